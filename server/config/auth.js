@@ -0,0 +1,20 @@
+module.exports = {
+  JWT_SECRET: process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production',
+  // Access tokens are short-lived; sessions are extended with rotating refresh tokens
+  ACCESS_TOKEN_TTL: process.env.ACCESS_TOKEN_TTL || '15m',
+  REFRESH_TOKEN_TTL_DAYS: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+  // Name shown next to the account in authenticator apps
+  TOTP_ISSUER: process.env.TOTP_ISSUER || 'UniqueStays Admin',
+  // Lifetime of the signed links in invitation and password reset emails
+  INVITE_TTL: process.env.INVITE_TTL || '72h',
+  PASSWORD_RESET_TTL: process.env.PASSWORD_RESET_TTL || '1h',
+  // Lifetime of the review link guests are sent after checking out
+  REVIEW_LINK_TTL: process.env.REVIEW_LINK_TTL || '60d',
+  // Lifetime of the link to a booking's receipts, sent with every invoice
+  RECEIPT_LINK_TTL: process.env.RECEIPT_LINK_TTL || '400d',
+  // Guest sessions are separate from admin sessions and last longer
+  GUEST_ACCESS_TOKEN_TTL: process.env.GUEST_ACCESS_TOKEN_TTL || '1h',
+  GUEST_REFRESH_TOKEN_TTL_DAYS: Number(process.env.GUEST_REFRESH_TOKEN_TTL_DAYS) || 90,
+  // Lifetime of the link that verifies a new guest account's email address
+  EMAIL_VERIFICATION_TTL: process.env.EMAIL_VERIFICATION_TTL || '48h'
+};
@@ -0,0 +1,25 @@
+// Currencies properties can be priced in and guests can pay in. Amounts
+// are kept in cents, so every currency here must have two decimal places.
+const CURRENCIES = (process.env.CURRENCIES || 'USD,EUR,GBP,CAD,AUD,CHF')
+  .split(',')
+  .map(code => code.trim().toUpperCase())
+  .filter(Boolean);
+
+// Base currency of properties that do not name one
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+
+// Currency revenue figures are normalised to; exchange rates missing
+// between two other currencies are derived through it
+const REPORTING_CURRENCY = (process.env.REPORTING_CURRENCY || DEFAULT_CURRENCY).toUpperCase();
+
+[DEFAULT_CURRENCY, REPORTING_CURRENCY].forEach((code) => {
+  if (!CURRENCIES.includes(code)) {
+    throw new Error(`Currency ${code} is not in CURRENCIES (${CURRENCIES.join(', ')})`);
+  }
+});
+
+module.exports = {
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  REPORTING_CURRENCY
+};
@@ -0,0 +1,35 @@
+const path = require('path');
+
+const driver = process.env.DB_DRIVER || 'sqlite';
+
+/**
+ * Create the database connection for the configured backend.
+ *  - sqlite:   embedded database file, for local development and tests
+ *  - postgres: Supabase/Postgres, configured by DATABASE_URL or DB_* variables
+ */
+const createDatabase = () => {
+  if (driver === 'postgres') {
+    const PostgresDriver = require('../db/drivers/postgresDriver');
+    return new PostgresDriver(process.env.DATABASE_URL
+      ? { connectionString: process.env.DATABASE_URL, ssl: { rejectUnauthorized: false } }
+      : {
+        host: process.env.DB_HOST,
+        port: Number(process.env.DB_PORT) || 5432,
+        database: process.env.DB_NAME,
+        user: process.env.DB_USER,
+        password: process.env.DB_PASSWORD
+      });
+  }
+
+  if (driver === 'sqlite') {
+    const SqliteDriver = require('../db/drivers/sqliteDriver');
+    return new SqliteDriver(process.env.SQLITE_PATH || path.join(__dirname, '..', 'data', 'uniquestays.db'));
+  }
+
+  console.error(`Unknown DB_DRIVER "${driver}". Use "sqlite" or "postgres".`);
+  process.exit(1);
+};
+
+const db = createDatabase();
+
+module.exports = db;
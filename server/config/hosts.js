@@ -0,0 +1,27 @@
+const { PAYOUT_SCHEDULES } = require('../constants/host');
+
+// Share of each stay the platform keeps, for hosts without a rate of their own
+const HOST_COMMISSION_RATE = Number(process.env.HOST_COMMISSION_RATE ?? 0.15);
+
+// Payout schedule of hosts that have not been given one
+const HOST_PAYOUT_SCHEDULE = process.env.HOST_PAYOUT_SCHEDULE || 'monthly';
+
+// Days between the end of a payout period and the day its payout is due,
+// leaving time for late refunds
+const HOST_PAYOUT_DELAY_DAYS = Number(process.env.HOST_PAYOUT_DELAY_DAYS ?? 7);
+
+if (!(HOST_COMMISSION_RATE >= 0 && HOST_COMMISSION_RATE < 1)) {
+  throw new Error('HOST_COMMISSION_RATE must be at least 0 and below 1');
+}
+if (!PAYOUT_SCHEDULES.includes(HOST_PAYOUT_SCHEDULE)) {
+  throw new Error(`HOST_PAYOUT_SCHEDULE must be one of: ${PAYOUT_SCHEDULES.join(', ')}`);
+}
+if (!(Number.isInteger(HOST_PAYOUT_DELAY_DAYS) && HOST_PAYOUT_DELAY_DAYS >= 0)) {
+  throw new Error('HOST_PAYOUT_DELAY_DAYS must be a whole number of days');
+}
+
+module.exports = {
+  HOST_COMMISSION_RATE,
+  HOST_PAYOUT_SCHEDULE,
+  HOST_PAYOUT_DELAY_DAYS
+};
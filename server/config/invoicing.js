@@ -0,0 +1,39 @@
+// Companies that issue invoices, keyed by a short code. Each numbers its
+// invoices and credit notes in sequences of its own; properties name the
+// entity that invoices their stays, and the default covers the rest.
+// LEGAL_ENTITIES replaces the built-in entity with a JSON object of the same shape.
+const DEFAULT_ENTITIES = {
+  uniquestays: {
+    name: 'UniqueStays Ltd',
+    address: ['1 Example Street', 'London EC1A 1AA', 'United Kingdom'],
+    taxId: 'GB123456789',
+    email: 'billing@uniquestays.com',
+    // Prices are tax-inclusive; invoices show the tax they contain
+    taxName: 'VAT',
+    taxRate: 0.2,
+    // Invoice numbers look like US-000042, credit notes like US-CN-000007
+    invoicePrefix: 'US',
+    brand: { color: '#059669', logoUrl: null }
+  }
+};
+
+const parseEntities = () => {
+  if (!process.env.LEGAL_ENTITIES) return DEFAULT_ENTITIES;
+  try {
+    return JSON.parse(process.env.LEGAL_ENTITIES);
+  } catch (error) {
+    throw new Error(`LEGAL_ENTITIES is not valid JSON: ${error.message}`);
+  }
+};
+
+const LEGAL_ENTITIES = parseEntities();
+const DEFAULT_LEGAL_ENTITY = process.env.DEFAULT_LEGAL_ENTITY || Object.keys(LEGAL_ENTITIES)[0];
+
+if (!LEGAL_ENTITIES[DEFAULT_LEGAL_ENTITY]) {
+  throw new Error(`DEFAULT_LEGAL_ENTITY "${DEFAULT_LEGAL_ENTITY}" is not one of LEGAL_ENTITIES`);
+}
+
+module.exports = {
+  LEGAL_ENTITIES,
+  DEFAULT_LEGAL_ENTITY
+};
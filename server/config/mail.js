@@ -0,0 +1,19 @@
+const path = require('path');
+
+// Outgoing mail. In development messages are written to a local outbox
+// directory instead of being sent, unless MAIL_TRANSPORT=smtp.
+module.exports = {
+  MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'file'),
+  MAIL_FROM: process.env.MAIL_FROM || 'UniqueStays <no-reply@uniquestays.com>',
+  MAIL_OUTBOX_PATH: process.env.MAIL_OUTBOX_PATH || path.join(__dirname, '..', 'data', 'outbox'),
+  SMTP: {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: Number(process.env.SMTP_PORT) === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  },
+  // Where links in admin emails point to
+  ADMIN_APP_URL: process.env.ADMIN_APP_URL || 'http://localhost:5173/#/admin',
+  // Where links in guest emails point to
+  GUEST_APP_URL: process.env.GUEST_APP_URL || 'http://localhost:5173/#'
+};
@@ -0,0 +1,22 @@
+const provider = process.env.PAYMENT_PROVIDER || 'simulated';
+
+/**
+ * Create the payment provider for the configured backend.
+ *  - simulated: approves every card except the test cards that decline,
+ *    and moves no money; for development and tests
+ */
+const createPaymentProvider = () => {
+  if (provider === 'simulated') {
+    if (process.env.NODE_ENV === 'production') {
+      console.warn('PAYMENT_PROVIDER is "simulated": no payments are actually taken.');
+    }
+    const SimulatedProvider = require('../payments/simulatedProvider');
+    return new SimulatedProvider();
+  }
+
+  throw new Error(`Unsupported PAYMENT_PROVIDER "${provider}". Use "simulated".`);
+};
+
+module.exports = {
+  paymentProvider: createPaymentProvider()
+};
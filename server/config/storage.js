@@ -0,0 +1,35 @@
+const path = require('path');
+
+const driver = process.env.STORAGE_DRIVER || 'local';
+
+// Uploaded files: where they go and how large they may be
+const UPLOAD_PATH = path.resolve(process.env.UPLOAD_PATH || path.join(__dirname, '..', 'uploads'));
+const MAX_FILE_SIZE = Number(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+const UPLOAD_ROUTE = '/uploads';
+
+// Keys of files only the app may hand out, after checking who is asking
+const PRIVATE_PREFIX = 'private/';
+
+/**
+ * Create the file store for the configured backend.
+ *  - local: files under UPLOAD_PATH, served by this app at /uploads
+ */
+const createStorage = () => {
+  if (driver === 'local') {
+    const LocalDiskStorage = require('../storage/localDiskStorage');
+    return new LocalDiskStorage({
+      root: UPLOAD_PATH,
+      publicUrl: process.env.UPLOAD_PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}${UPLOAD_ROUTE}`,
+      privatePrefix: PRIVATE_PREFIX
+    });
+  }
+
+  throw new Error(`Unsupported STORAGE_DRIVER "${driver}". Use "local".`);
+};
+
+module.exports = {
+  storage: createStorage(),
+  MAX_FILE_SIZE,
+  UPLOAD_ROUTE,
+  PRIVATE_PREFIX
+};
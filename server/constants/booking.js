@@ -0,0 +1,21 @@
+const BOOKING_STATUSES = {
+  PENDING: 'Pending',
+  CONFIRMED: 'Confirmed',
+  CHECKED_IN: 'CheckedIn',
+  COMPLETED: 'Completed',
+  CANCELLED: 'Cancelled',
+  NO_SHOW: 'NoShow'
+};
+
+// Bookings in these statuses no longer occupy the property's dates
+const RELEASED_STATUSES = [BOOKING_STATUSES.CANCELLED, BOOKING_STATUSES.NO_SHOW];
+
+// Payment status is tracked independently of the booking status. It is
+// derived from the booking's payment ledger and never set by hand.
+const PAYMENT_STATUSES = ['Pending', 'Authorized', 'PartiallyPaid', 'Paid', 'PartiallyRefunded', 'Refunded', 'Failed'];
+
+module.exports = {
+  BOOKING_STATUSES,
+  RELEASED_STATUSES,
+  PAYMENT_STATUSES
+};
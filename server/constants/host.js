@@ -0,0 +1,26 @@
+// Role of the accounts that run their own properties through the host portal
+const HOST_ROLE = 'host';
+
+// How often hosts are paid: weekly periods end on Sunday, monthly ones on
+// the last day of the month
+const PAYOUT_SCHEDULES = ['weekly', 'monthly'];
+
+// A payout is scheduled when its period closes and paid once the money has gone out
+const PAYOUT_STATUSES = {
+  SCHEDULED: 'scheduled',
+  PAID: 'paid'
+};
+
+// Property fields hosts may change themselves; the rest, such as the legal
+// entity, currency and host, stays with platform admins
+const HOST_EDITABLE_FIELDS = [
+  'name', 'category', 'description', 'price', 'status', 'image',
+  'maxGuests', 'bedrooms', 'bathrooms', 'amenities'
+];
+
+module.exports = {
+  HOST_ROLE,
+  PAYOUT_SCHEDULES,
+  PAYOUT_STATUSES,
+  HOST_EDITABLE_FIELDS
+};
@@ -0,0 +1,22 @@
+// Formats accepted for upload, by the format name sharp detects
+const IMAGE_FORMATS = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+  png: { contentType: 'image/png', extension: 'png' },
+  webp: { contentType: 'image/webp', extension: 'webp' },
+  avif: { contentType: 'image/avif', extension: 'avif' }
+};
+
+// Responsive variants by maximum width, all WebP; images are never scaled up
+const IMAGE_VARIANTS = { thumb: 320, small: 640, medium: 1024, large: 1600 };
+
+const MAX_IMAGES_PER_PROPERTY = 30;
+
+// Files accepted in one upload request
+const MAX_IMAGES_PER_UPLOAD = 10;
+
+module.exports = {
+  IMAGE_FORMATS,
+  IMAGE_VARIANTS,
+  MAX_IMAGES_PER_PROPERTY,
+  MAX_IMAGES_PER_UPLOAD
+};
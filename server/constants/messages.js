@@ -0,0 +1,81 @@
+const { BOOKING_STATUSES } = require('./booking');
+
+// Who can write in a booking's thread. Admins write for the platform, on
+// the host's side of the conversation; system messages record what
+// happened to the booking.
+const MESSAGE_SENDERS = {
+  GUEST: 'guest',
+  HOST: 'host',
+  ADMIN: 'admin',
+  SYSTEM: 'system'
+};
+
+// The two sides of a thread and the senders writing on each
+const MESSAGE_PARTIES = {
+  guest: [MESSAGE_SENDERS.GUEST],
+  host: [MESSAGE_SENDERS.HOST, MESSAGE_SENDERS.ADMIN]
+};
+
+// Messages each side receives, and so counts as unread and marks as read.
+// System messages are notices for the guest; the host side sees the
+// booking itself change.
+const RECEIVED_MESSAGES = {
+  guest: [MESSAGE_SENDERS.HOST, MESSAGE_SENDERS.ADMIN, MESSAGE_SENDERS.SYSTEM],
+  host: [MESSAGE_SENDERS.GUEST]
+};
+
+// Moderation states. A flagged message is held from the other side until a
+// moderator approves it as written or redacts the contact details in it.
+const MODERATION_STATUSES = {
+  FLAGGED: 'flagged',
+  APPROVED: 'approved',
+  REDACTED: 'redacted'
+};
+
+// Until a booking is confirmed, guests and hosts must not move the
+// conversation off the platform
+const CONTACT_SHARING_STATUSES = [BOOKING_STATUSES.CONFIRMED, BOOKING_STATUSES.CHECKED_IN, BOOKING_STATUSES.COMPLETED];
+
+// System messages, by event
+const SYSTEM_MESSAGES = {
+  booking_requested: 'Booking requested',
+  booking_modified: 'Booking details changed',
+  booking_confirmed: 'Booking confirmed',
+  booking_cancelled: 'Booking cancelled',
+  guest_checked_in: 'Guest checked in',
+  stay_completed: 'Stay completed',
+  guest_no_show: 'Guest did not arrive'
+};
+
+// The system message event each booking status change posts
+const STATUS_EVENTS = {
+  [BOOKING_STATUSES.CONFIRMED]: 'booking_confirmed',
+  [BOOKING_STATUSES.CANCELLED]: 'booking_cancelled',
+  [BOOKING_STATUSES.CHECKED_IN]: 'guest_checked_in',
+  [BOOKING_STATUSES.COMPLETED]: 'stay_completed',
+  [BOOKING_STATUSES.NO_SHOW]: 'guest_no_show'
+};
+
+const MAX_MESSAGE_LENGTH = 5000;
+
+// Attachments: photos and documents, stored as sent
+const ATTACHMENT_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf'
+};
+const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+
+module.exports = {
+  MESSAGE_SENDERS,
+  MESSAGE_PARTIES,
+  RECEIVED_MESSAGES,
+  MODERATION_STATUSES,
+  CONTACT_SHARING_STATUSES,
+  SYSTEM_MESSAGES,
+  STATUS_EVENTS,
+  MAX_MESSAGE_LENGTH,
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENTS_PER_MESSAGE
+};
@@ -0,0 +1,49 @@
+// What a payment is for: the stay itself, or a refundable security deposit
+const PAYMENT_PURPOSES = {
+  BOOKING: 'booking',
+  DEPOSIT: 'deposit'
+};
+
+// Lifecycle of a single payment with the provider. A capture takes all or
+// part of the authorised amount and releases the rest.
+const PAYMENT_STATES = {
+  AUTHORIZED: 'authorized',
+  DECLINED: 'declined',
+  CAPTURED: 'captured',
+  VOIDED: 'voided'
+};
+
+// Outcome of one call to the provider. A pending call may or may not have
+// reached it yet; an unknown one was made but never answered, so the provider
+// may have acted on it. Failed ones were never made and are never recorded.
+const OPERATION_STATES = {
+  PENDING: 'pending',
+  UNKNOWN: 'unknown',
+  SUCCEEDED: 'succeeded',
+  DECLINED: 'declined',
+  FAILED: 'failed'
+};
+
+// Ledger accounts, kept per booking. Every ledger transaction debits and
+// credits them by the same total.
+const LEDGER_ACCOUNTS = {
+  // Amounts authorised on the guest's card for the stay, not yet taken
+  CARD_HOLDS: 'card_holds',
+  // Security deposits authorised on the guest's card
+  DEPOSIT_HOLDS: 'deposit_holds',
+  // The other side of every hold
+  HOLDS_CLEARING: 'holds_clearing',
+  // Money taken from the guest, held by the payment provider
+  PROVIDER_BALANCE: 'provider_balance',
+  // What the guest has paid for the stay, net of refunds
+  GUEST_PAYMENTS: 'guest_payments',
+  // Deposits kept, for example to cover damage
+  DEPOSIT_CLAIMS: 'deposit_claims'
+};
+
+module.exports = {
+  PAYMENT_PURPOSES,
+  PAYMENT_STATES,
+  OPERATION_STATES,
+  LEDGER_ACCOUNTS
+};
@@ -0,0 +1,101 @@
+// Everything an admin can be allowed to do, as `resource:action`
+const PERMISSIONS = [
+  'stats:read',
+  'properties:read',
+  'properties:write',
+  'properties:delete',
+  'pricing:write',
+  'users:read',
+  'bookings:read',
+  'bookings:write',
+  'bookings:refund',
+  'payments:write',
+  'hosts:read',
+  'hosts:write',
+  'host:portal',
+  'reviews:read',
+  'reviews:moderate',
+  'reviews:reply',
+  'messages:read',
+  'messages:write',
+  'messages:moderate',
+  'admins:read',
+  'admins:write',
+  'audit:read'
+];
+
+// Built-in roles and the permissions they grant
+const ROLES = {
+  super_admin: {
+    name: 'Super admin',
+    description: 'Full access, including managing other admins',
+    permissions: PERMISSIONS
+  },
+  property_manager: {
+    name: 'Property manager',
+    description: 'Runs listings, calendars, pricing and reservations',
+    permissions: [
+      'stats:read',
+      'properties:read',
+      'properties:write',
+      'properties:delete',
+      'pricing:write',
+      'bookings:read',
+      'bookings:write',
+      'payments:write',
+      'hosts:read',
+      'reviews:read',
+      'reviews:reply',
+      'messages:read',
+      'messages:write'
+    ]
+  },
+  finance: {
+    name: 'Finance',
+    description: 'Reporting, payments and refunds',
+    permissions: [
+      'stats:read',
+      'properties:read',
+      'pricing:write',
+      'users:read',
+      'bookings:read',
+      'bookings:refund',
+      'payments:write',
+      'hosts:read',
+      'hosts:write'
+    ]
+  },
+  support: {
+    name: 'Support',
+    description: 'Helps guests with their accounts and bookings',
+    permissions: [
+      'properties:read',
+      'users:read',
+      'bookings:read',
+      'bookings:write',
+      'reviews:read',
+      'reviews:moderate',
+      'messages:read',
+      'messages:write',
+      'messages:moderate'
+    ]
+  },
+  host: {
+    name: 'Host',
+    description: 'Runs their own properties, calendars and bookings, talks with their guests, and sees their earnings and payouts',
+    permissions: ['host:portal']
+  }
+};
+
+/**
+ * Union of the permissions granted by a set of roles
+ * @param {Array} roles - Role keys
+ * @returns {Array} - Permissions
+ */
+const permissionsFor = (roles) => [...new Set(roles.flatMap(role => ROLES[role]?.permissions || []))];
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  permissionsFor
+};
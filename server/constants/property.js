@@ -0,0 +1,19 @@
+// Kinds of stay listed on the site
+const PROPERTY_CATEGORIES = [
+  'Treehouse', 'Castle', 'Cave', 'Igloo', 'Lighthouse', 'Container',
+  'Boat', 'Dome', 'Cabin', 'Yurt', 'Windmill', 'Barn'
+];
+
+// Only Active properties are bookable and count towards occupancy
+const PROPERTY_STATUSES = ['Active', 'Inactive', 'Maintenance'];
+
+// Nightly price bounds, in the property's currency
+const MIN_PRICE = 1;
+const MAX_PRICE = 100000;
+
+module.exports = {
+  PROPERTY_CATEGORIES,
+  PROPERTY_STATUSES,
+  MIN_PRICE,
+  MAX_PRICE
+};
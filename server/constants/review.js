@@ -0,0 +1,23 @@
+// Moderation states: new reviews wait for a moderator; only published ones
+// are shown to guests and count towards ratings
+const REVIEW_STATUSES = {
+  PENDING: 'pending',
+  PUBLISHED: 'published',
+  REJECTED: 'rejected'
+};
+
+// Aspects guests score besides the overall score, each from 1 to 5
+const REVIEW_SUB_SCORES = ['cleanliness', 'location', 'value', 'host'];
+
+// Bayesian smoothing of property ratings: every property starts from
+// RATING_PRIOR_WEIGHT imaginary reviews of RATING_PRIOR_MEAN stars, so a
+// handful of reviews cannot push a listing to the top or bottom
+const RATING_PRIOR_MEAN = 4;
+const RATING_PRIOR_WEIGHT = 5;
+
+module.exports = {
+  REVIEW_STATUSES,
+  REVIEW_SUB_SCORES,
+  RATING_PRIOR_MEAN,
+  RATING_PRIOR_WEIGHT
+};
@@ -0,0 +1,45 @@
+// Bump whenever tokenising, synonyms or weights change: the search index
+// is rebuilt at startup when the stored version differs
+const SEARCH_INDEX_VERSION = 1;
+
+// How much a match counts in each indexed field
+const FIELD_WEIGHTS = {
+  name: 3,
+  category: 2,
+  location: 2,
+  description: 1
+};
+
+// Words every listing uses, which would match everything
+const STOP_WORDS = [
+  'a', 'an', 'and', 'at', 'by', 'for', 'from', 'in', 'into', 'is', 'near',
+  'of', 'on', 'or', 'the', 'to', 'with'
+];
+
+// Terms guests use interchangeably, each group indexed under its first term.
+// Phrases match as consecutive words.
+const SYNONYM_GROUPS = [
+  ['treehouse', 'tree house', 'treetop'],
+  ['castle', 'chateau', 'fortress', 'citadel'],
+  ['cave', 'cavern', 'grotto'],
+  ['igloo', 'snow house'],
+  ['lighthouse', 'light house'],
+  ['container', 'shipping container'],
+  ['boat', 'houseboat', 'house boat', 'barge'],
+  ['dome', 'geodome', 'geodesic dome'],
+  ['cabin', 'chalet', 'hut', 'log cabin'],
+  ['yurt', 'ger'],
+  ['windmill', 'wind mill'],
+  ['barn', 'barn conversion']
+];
+
+// Rating boost: a 5-star stay scores up to this fraction above an unrated one
+const RATING_BOOST = 0.5;
+
+module.exports = {
+  SEARCH_INDEX_VERSION,
+  FIELD_WEIGHTS,
+  STOP_WORDS,
+  SYNONYM_GROUPS,
+  RATING_BOOST
+};
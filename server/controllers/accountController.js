@@ -0,0 +1,215 @@
+const { bookings } = require('../repositories');
+const accountService = require('../services/accountService');
+const guestSessionService = require('../services/guestSessionService');
+const bookingService = require('../services/bookingService');
+const sendError = require('../utils/sendError');
+const assertRequestValid = require('../utils/assertRequestValid');
+
+/**
+ * Describe the client a session is used from
+ * @param {Object} req - Request object
+ * @returns {Object} - { ip, userAgent }
+ */
+const clientFrom = (req) => ({ ip: req.ip, userAgent: req.get('User-Agent') || null });
+
+/**
+ * Identify the signed-in guest making a change, for the booking history
+ * @param {Object} req - Request object
+ * @returns {Object} - Actor
+ */
+const actorFrom = (req) => ({ type: 'guest', id: String(req.user.id) });
+
+/**
+ * Guest account controller: sign-up, sign-in, passwords, the guest's
+ * profile and preferences, and their own bookings
+ */
+class AccountController {
+  /**
+   * Create an account and email a link to verify its address
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async signup(req, res) {
+    try {
+      assertRequestValid(req);
+      const user = await accountService.register(req.body);
+      res.status(201).json({
+        user,
+        message: 'Account created. Check your email to confirm your address before signing in.'
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to create account');
+    }
+  }
+
+  async verifyEmail(req, res) {
+    try {
+      assertRequestValid(req);
+      const user = await accountService.verifyEmail(req.body.token);
+      res.json({ user, message: 'Email address confirmed' });
+    } catch (error) {
+      sendError(res, error, 'Failed to confirm email address');
+    }
+  }
+
+  /**
+   * Send the sign-up link again for the password it was chosen with; the answer
+   * is the same whether or not the address has an account
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async resendVerification(req, res) {
+    try {
+      assertRequestValid(req);
+      await accountService.resendVerification(req.body.email, req.body.password);
+      res.json({ message: 'If that address has an unconfirmed sign-up with this password, its link is on its way' });
+    } catch (error) {
+      sendError(res, error, 'Failed to send verification email');
+    }
+  }
+
+  /**
+   * Sign in, starting a guest session with an access token and a refresh token
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async login(req, res) {
+    try {
+      assertRequestValid(req);
+      res.json(await accountService.login(req.body.email, req.body.password, clientFrom(req)));
+    } catch (error) {
+      sendError(res, error, 'Login failed');
+    }
+  }
+
+  /**
+   * Rotate a refresh token: the old one is spent and a new pair is issued
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async refresh(req, res) {
+    try {
+      assertRequestValid(req);
+      res.json(await guestSessionService.refresh(req.body.refreshToken, clientFrom(req)));
+    } catch (error) {
+      sendError(res, error, 'Failed to refresh session');
+    }
+  }
+
+  async logout(req, res) {
+    try {
+      await guestSessionService.revoke(req.guestSession.id, 'logout');
+      res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+      sendError(res, error, 'Failed to log out');
+    }
+  }
+
+  /**
+   * Email a password reset link; the answer is the same whether or not the address has an account
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async forgotPassword(req, res) {
+    try {
+      assertRequestValid(req);
+      await accountService.requestPasswordReset(req.body.email);
+      res.json({ message: 'If that address has an account, a reset link is on its way' });
+    } catch (error) {
+      sendError(res, error, 'Failed to request password reset');
+    }
+  }
+
+  async resetPassword(req, res) {
+    try {
+      assertRequestValid(req);
+      await accountService.resetPassword(req.body.token, req.body.password);
+      res.json({ message: 'Password updated. Sign in with your new password.' });
+    } catch (error) {
+      sendError(res, error, 'Failed to reset password');
+    }
+  }
+
+  /**
+   * Change one's own password; other sessions are signed out
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async changePassword(req, res) {
+    try {
+      assertRequestValid(req);
+      await accountService.changePassword(req.user, req.body.currentPassword, req.body.newPassword, req.guestSession.id);
+      res.json({ message: 'Password changed' });
+    } catch (error) {
+      sendError(res, error, 'Failed to change password');
+    }
+  }
+
+  async getProfile(req, res) {
+    res.json(req.user);
+  }
+
+  async updateProfile(req, res) {
+    try {
+      res.json(await accountService.updateProfile(req.user.id, req.body));
+    } catch (error) {
+      sendError(res, error, 'Failed to update profile');
+    }
+  }
+
+  async getPreferences(req, res) {
+    res.json(req.user.preferences);
+  }
+
+  async updatePreferences(req, res) {
+    try {
+      res.json(await accountService.updatePreferences(req.user, req.body));
+    } catch (error) {
+      sendError(res, error, 'Failed to update preferences');
+    }
+  }
+
+  /**
+   * The signed-in guest's bookings, with the admin list's pagination, filters and sorting
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listBookings(req, res) {
+    try {
+      res.json(await bookings.list({ ...req.query, userId: req.user.id }));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch bookings');
+    }
+  }
+
+  async getBooking(req, res) {
+    res.json(req.booking);
+  }
+
+  /**
+   * Book a stay as the signed-in guest, priced in the currency asked for,
+   * else the guest's preferred one, else the property's
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async createBooking(req, res) {
+    try {
+      assertRequestValid(req);
+      const { propertyId, checkIn, checkOut, guests, currency } = req.body;
+      const booking = await bookingService.createBooking({
+        propertyId,
+        checkIn,
+        checkOut,
+        guests,
+        guestName: req.user.name,
+        guestEmail: req.user.email,
+        currency: currency || req.user.preferences.currency
+      }, actorFrom(req));
+      res.status(201).json(booking);
+    } catch (error) {
+      sendError(res, error, 'Failed to create booking');
+    }
+  }
+}
+
+module.exports = new AccountController();
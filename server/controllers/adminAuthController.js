@@ -0,0 +1,288 @@
+const bcrypt = require('bcryptjs');
+const { validationResult } = require('express-validator');
+const { admins } = require('../repositories');
+const adminService = require('../services/adminService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const sendError = require('../utils/sendError');
+const { permissionsFor } = require('../constants/permissions');
+const { auditChange } = require('../middleware/audit');
+
+/**
+ * Remove the password hash before an admin leaves the server
+ * @param {Object} admin - Admin record
+ * @returns {Object} - Admin without password
+ */
+const withoutPassword = ({ password: _, ...adminData }) => adminData;
+
+/**
+ * Describe the client a session is used from
+ * @param {Object} req - Request object
+ * @returns {Object} - { ip, userAgent }
+ */
+const clientFrom = (req) => ({ ip: req.ip, userAgent: req.get('User-Agent') || null });
+
+/**
+ * Start a session and build the login response
+ * @param {Object} req - Request object
+ * @param {Object} admin - Authenticated admin
+ * @returns {Promise<Object>} - Tokens and the admin
+ */
+const startSession = async (req, admin) => ({
+  ...(await sessionService.start(admin, clientFrom(req))),
+  admin: { ...withoutPassword(admin), permissions: permissionsFor(admin.roles) },
+  message: 'Login successful'
+});
+
+/**
+ * Admin authentication controller
+ */
+class AdminAuthController {
+  /**
+   * Log in with email and password, starting a session with an access token
+   * and a refresh token. Admins with 2FA get a challenge token instead and
+   * finish with loginTwoFactor.
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async login(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Invalid input data' });
+      }
+
+      const { email, password } = req.body;
+      auditChange(req, { actor: { email } });
+
+      const admin = await admins.findByEmail(email);
+      if (!admin || admin.status !== 'active') {
+        auditChange(req, { details: { reason: admin ? 'inactive_account' : 'unknown_email' } });
+        return res.status(401).json({ message: 'Invalid credentials' });
+      }
+      auditChange(req, { actor: { id: admin.id, email: admin.email }, target: { type: 'admins', id: admin.id } });
+
+      const isPasswordValid = await bcrypt.compare(password, admin.password);
+      if (!isPasswordValid) {
+        auditChange(req, { details: { reason: 'wrong_password' } });
+        return res.status(401).json({ message: 'Invalid credentials' });
+      }
+
+      if (admin.twoFactorEnabled) {
+        auditChange(req, { details: { twoFactorRequired: true } });
+        return res.json({
+          twoFactorRequired: true,
+          challengeToken: twoFactorService.createChallenge(admin),
+          message: 'Enter your authentication code'
+        });
+      }
+
+      res.json(await startSession(req, admin));
+    } catch (error) {
+      console.error('Login error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Second login step: a TOTP code or a recovery code for the challenge
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async loginTwoFactor(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Invalid input data' });
+      }
+
+      const { challengeToken, code, recoveryCode } = req.body;
+      const admin = await twoFactorService.completeChallenge(challengeToken, { code, recoveryCode });
+      auditChange(req, {
+        actor: { id: admin.id, email: admin.email },
+        target: { type: 'admins', id: admin.id },
+        details: { method: recoveryCode ? 'recovery_code' : 'totp' }
+      });
+
+      res.json(await startSession(req, admin));
+    } catch (error) {
+      sendError(res, error, 'Login failed');
+    }
+  }
+
+  /**
+   * Return the admin the token belongs to, with their effective permissions
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async verify(req, res) {
+    res.json(withoutPassword(req.admin));
+  }
+
+  /**
+   * Rotate a refresh token: the old one is spent and a new pair is issued
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async refresh(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Invalid input data' });
+      }
+
+      res.json(await sessionService.refresh(req.body.refreshToken, clientFrom(req)));
+    } catch (error) {
+      sendError(res, error, 'Failed to refresh session');
+    }
+  }
+
+  /**
+   * End the current session
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async logout(req, res) {
+    try {
+      await sessionService.revoke(req.admin.id, req.adminSession.id, 'logout');
+      res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+      sendError(res, error, 'Failed to log out');
+    }
+  }
+
+  /**
+   * List the admin's own live sessions, flagging the current one
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listSessions(req, res) {
+    try {
+      res.json(await sessionService.list(req.admin.id, req.adminSession.id));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch sessions');
+    }
+  }
+
+  /**
+   * Revoke one of the admin's own sessions
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async revokeSession(req, res) {
+    try {
+      await sessionService.revoke(req.admin.id, req.params.sessionId);
+      res.json({ message: 'Session revoked successfully' });
+    } catch (error) {
+      sendError(res, error, 'Failed to revoke session');
+    }
+  }
+
+  /**
+   * Revoke all of the admin's sessions except the current one
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async revokeOtherSessions(req, res) {
+    try {
+      const revoked = await sessionService.revokeOthers(req.admin.id, req.adminSession.id);
+      res.json({ message: 'Other sessions revoked successfully', revoked });
+    } catch (error) {
+      sendError(res, error, 'Failed to revoke sessions');
+    }
+  }
+
+  /**
+   * Show who an invitation link is for
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getInvitation(req, res) {
+    try {
+      res.json(await adminService.getInvitation(String(req.query.token || '')));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch invitation');
+    }
+  }
+
+  /**
+   * Accept an invitation by choosing a password
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async acceptInvite(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Invalid input data', errors: errors.array() });
+      }
+
+      const { token, password, name } = req.body;
+      const admin = await adminService.acceptInvite(token, password, name);
+      res.json({ admin, message: 'Invitation accepted. You can now log in.' });
+    } catch (error) {
+      sendError(res, error, 'Failed to accept invitation');
+    }
+  }
+
+  /**
+   * Request a password reset email. The response is the same whether or
+   * not the address belongs to an admin.
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async forgotPassword(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Invalid input data' });
+      }
+
+      await adminService.requestPasswordReset(req.body.email);
+      res.json({ message: 'If an account exists for this email, a reset link has been sent.' });
+    } catch (error) {
+      sendError(res, error, 'Failed to request password reset');
+    }
+  }
+
+  /**
+   * Set a new password with a reset link
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async resetPassword(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Invalid input data', errors: errors.array() });
+      }
+
+      await adminService.resetPassword(req.body.token, req.body.password);
+      res.json({ message: 'Password reset successfully. You can now log in.' });
+    } catch (error) {
+      sendError(res, error, 'Failed to reset password');
+    }
+  }
+
+  /**
+   * Change the current admin's password
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async changePassword(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Invalid input data', errors: errors.array() });
+      }
+
+      const { currentPassword, newPassword } = req.body;
+      await adminService.changePassword(req.admin, currentPassword, newPassword, req.adminSession.id);
+      res.json({ message: 'Password changed successfully' });
+    } catch (error) {
+      sendError(res, error, 'Failed to change password');
+    }
+  }
+}
+
+module.exports = new AdminAuthController();
@@ -0,0 +1,149 @@
+const { validationResult } = require('express-validator');
+const adminService = require('../services/adminService');
+const sendError = require('../utils/sendError');
+const { auditChange } = require('../middleware/audit');
+
+/**
+ * Admin accounts and role assignment controller
+ */
+class AdminController {
+  /**
+   * List the available roles and the permissions each grants
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listRoles(req, res) {
+    res.json(adminService.listRoles());
+  }
+
+  /**
+   * List admins with their roles
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listAdmins(req, res) {
+    try {
+      res.json(await adminService.listAdmins());
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch admins');
+    }
+  }
+
+  /**
+   * Get one admin with their roles and effective permissions
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getAdmin(req, res) {
+    try {
+      res.json(await adminService.getAdmin(req.params.id));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch admin');
+    }
+  }
+
+  /**
+   * Replace the roles assigned to an admin
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async updateRoles(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Invalid input data', errors: errors.array() });
+      }
+
+      const before = await adminService.getAdmin(req.params.id);
+      const admin = await adminService.setRoles(req.params.id, req.body.roles, req.admin);
+      auditChange(req, { before: { roles: before.roles }, after: { roles: admin.roles } });
+      res.json(admin);
+    } catch (error) {
+      sendError(res, error, 'Failed to update roles');
+    }
+  }
+
+  /**
+   * Invite a new admin by email
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async inviteAdmin(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Invalid input data', errors: errors.array() });
+      }
+
+      const { email, name, roles } = req.body;
+      const invitation = await adminService.invite({ email, name, roles }, req.admin);
+      auditChange(req, {
+        target: { type: 'admins', id: invitation.admin.id },
+        after: { email: invitation.admin.email, name: invitation.admin.name, roles: invitation.admin.roles }
+      });
+      res.status(201).json(invitation);
+    } catch (error) {
+      sendError(res, error, 'Failed to invite admin');
+    }
+  }
+
+  /**
+   * Send a new invitation link to an admin who has not accepted yet
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async resendInvite(req, res) {
+    try {
+      res.json(await adminService.resendInvite(req.params.id, req.admin));
+    } catch (error) {
+      sendError(res, error, 'Failed to resend invitation');
+    }
+  }
+
+  /**
+   * Email an admin a password reset link
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async sendPasswordReset(req, res) {
+    try {
+      res.json(await adminService.sendPasswordReset(req.params.id, req.admin));
+    } catch (error) {
+      sendError(res, error, 'Failed to send password reset');
+    }
+  }
+
+  /**
+   * Disable an admin account and end its sessions
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async deactivateAdmin(req, res) {
+    try {
+      const before = await adminService.getAdmin(req.params.id);
+      const admin = await adminService.deactivate(req.params.id, req.admin);
+      auditChange(req, { before: { status: before.status }, after: { status: admin.status } });
+      res.json(admin);
+    } catch (error) {
+      sendError(res, error, 'Failed to deactivate admin');
+    }
+  }
+
+  /**
+   * Re-enable a disabled admin account
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async reactivateAdmin(req, res) {
+    try {
+      const before = await adminService.getAdmin(req.params.id);
+      const admin = await adminService.reactivate(req.params.id);
+      auditChange(req, { before: { status: before.status }, after: { status: admin.status } });
+      res.json(admin);
+    } catch (error) {
+      sendError(res, error, 'Failed to reactivate admin');
+    }
+  }
+}
+
+module.exports = new AdminController();
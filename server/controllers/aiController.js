@@ -1,4 +1,5 @@
 const aiService = require('../services/aiService');
+const reviewService = require('../services/reviewService');
 
 /**
  * AI Controller for handling AI-related requests
@@ -11,12 +12,13 @@ class AIController {
    */
   async generatePersonalityProfile(req, res) {
     try {
-      const { userId, userData } = req.body;
+      const userId = req.user.id;
+      const { userData } = req.body;
 
-      if (!userId || !userData) {
+      if (!userData) {
         return res.status(400).json({
           success: false,
-          message: 'Missing required parameters: userId and userData'
+          message: 'Missing required parameter: userData'
         });
       }
 
@@ -48,12 +50,13 @@ class AIController {
    */
   async generateRecommendations(req, res) {
     try {
-      const { userId, userProfile, context } = req.body;
+      const userId = req.user.id;
+      const { userProfile, context } = req.body;
 
-      if (!userId || !userProfile) {
+      if (!userProfile) {
         return res.status(400).json({
           success: false,
-          message: 'Missing required parameters: userId and userProfile'
+          message: 'Missing required parameter: userProfile'
         });
       }
 
@@ -85,12 +88,13 @@ class AIController {
    */
   async analyzeUserPhotos(req, res) {
     try {
-      const { userId, userImages } = req.body;
+      const userId = req.user.id;
+      const { userImages } = req.body;
 
-      if (!userId || !userImages || !Array.isArray(userImages)) {
+      if (!userImages || !Array.isArray(userImages)) {
         return res.status(400).json({
           success: false,
-          message: 'Missing required parameters: userId and userImages array'
+          message: 'Missing required parameter: userImages array'
         });
       }
 
@@ -121,22 +125,19 @@ class AIController {
   }
 
   /**
-   * Analyze user text (notes and reviews)
+   * Analyze user text (notes and reviews; the user's published reviews when none are sent)
    * @param {Object} req - Request object
    * @param {Object} res - Response object
    */
   async analyzeUserText(req, res) {
     try {
-      const { userId, userNotes, reviews } = req.body;
+      const userId = req.user.id;
+      const { userNotes, reviews } = req.body;
 
-      if (!userId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Missing required parameter: userId'
-        });
-      }
+      // Without reviews in the request, use the ones the guest published with us
+      const reviewTexts = reviews || await reviewService.listCommentsByUser(userId);
 
-      const analysis = await aiService.analyzeUserText(userNotes, reviews);
+      const analysis = await aiService.analyzeUserText(userNotes, reviewTexts?.length ? reviewTexts : undefined);
       
       // Store insights
       if (analysis && !analysis.error) {
@@ -169,14 +170,8 @@ class AIController {
    */
   async analyzeBehavioralPatterns(req, res) {
     try {
-      const { userId, userActivity, interactions, userChoices } = req.body;
-
-      if (!userId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Missing required parameter: userId'
-        });
-      }
+      const userId = req.user.id;
+      const { userActivity, interactions, userChoices } = req.body;
 
       // Analyze different behavioral aspects
       const timePatterns = aiService.analyzeTimePatterns(userActivity);
@@ -216,12 +211,13 @@ class AIController {
    */
   async classifyTravelArchetype(req, res) {
     try {
-      const { userId, personalityProfile, behaviorData } = req.body;
+      const userId = req.user.id;
+      const { personalityProfile, behaviorData } = req.body;
 
-      if (!userId || !personalityProfile) {
+      if (!personalityProfile) {
         return res.status(400).json({
           success: false,
-          message: 'Missing required parameters: userId and personalityProfile'
+          message: 'Missing required parameter: personalityProfile'
         });
       }
 
@@ -256,12 +252,13 @@ class AIController {
    */
   async predictTravelIntent(req, res) {
     try {
-      const { userId, userBehavior, externalFactors } = req.body;
+      const userId = req.user.id;
+      const { userBehavior, externalFactors } = req.body;
 
-      if (!userId || !userBehavior) {
+      if (!userBehavior) {
         return res.status(400).json({
           success: false,
-          message: 'Missing required parameters: userId and userBehavior'
+          message: 'Missing required parameter: userBehavior'
         });
       }
 
@@ -0,0 +1,62 @@
+const { audit } = require('../repositories');
+const sendError = require('../utils/sendError');
+const { streamExport } = require('../utils/exportStream');
+
+const CSV_COLUMNS = [
+  'id', 'createdAt', 'actorType', 'actorId', 'actorEmail', 'action', 'method', 'path',
+  'targetType', 'targetId', 'statusCode', 'outcome', 'changes', 'details', 'ip', 'userAgent'
+];
+
+const toCsvValues = (entry) => [
+  entry.id,
+  entry.createdAt,
+  entry.actor.type,
+  entry.actor.id,
+  entry.actor.email,
+  entry.action,
+  entry.method,
+  entry.path,
+  entry.target?.type,
+  entry.target?.id,
+  entry.statusCode,
+  entry.outcome,
+  entry.changes,
+  entry.details,
+  entry.ip,
+  entry.userAgent
+];
+
+/**
+ * Audit log controller
+ */
+class AuditController {
+  /**
+   * List audit entries, newest first, with the usual list filters
+   * (actorId, actorEmail, action, method, targetType, targetId, outcome, ip, from, to, q)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listEntries(req, res) {
+    try {
+      res.json(await audit.list(req.query));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch audit log');
+    }
+  }
+
+  /**
+   * Stream every entry matching the filters as CSV
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async exportEntries(req, res) {
+    await streamExport(res, () => audit.iterate(req.query), {
+      name: 'audit-log',
+      columns: CSV_COLUMNS,
+      toValues: toCsvValues,
+      message: 'Failed to export audit log'
+    });
+  }
+}
+
+module.exports = new AuditController();
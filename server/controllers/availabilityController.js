@@ -0,0 +1,143 @@
+const { properties } = require('../repositories');
+const availabilityService = require('../services/availabilityService');
+const HttpError = require('../utils/httpError');
+const sendError = require('../utils/sendError');
+const assertRequestValid = require('../utils/assertRequestValid');
+const { addDays, today } = require('../utils/dates');
+const { auditChange } = require('../middleware/audit');
+
+/**
+ * Fail with 404 unless the property exists
+ * @param {String} id - Property id
+ */
+const assertProperty = async (id) => {
+  if (!(await properties.findById(id))) {
+    throw new HttpError(404, 'Property not found');
+  }
+};
+
+/**
+ * Admin availability controller
+ */
+class AvailabilityController {
+  /**
+   * Day-by-day availability calendar, defaulting to the next 30 days
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getCalendar(req, res) {
+    try {
+      assertRequestValid(req);
+      await assertProperty(req.params.id);
+
+      const from = req.query.from || today();
+      const to = req.query.to || addDays(from, 30);
+      res.json(await availabilityService.getCalendar(req.params.id, from, to));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch availability');
+    }
+  }
+
+  /**
+   * Check whether a specific stay, optionally for a number of guests, can be booked
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async checkAvailability(req, res) {
+    try {
+      assertRequestValid(req);
+      await assertProperty(req.params.id);
+
+      const { checkIn, checkOut, guests } = req.query;
+      if (checkIn >= checkOut) {
+        throw new HttpError(400, 'checkOut must be after checkIn');
+      }
+
+      res.json(await availabilityService.checkAvailability(req.params.id, checkIn, checkOut, { guests }));
+    } catch (error) {
+      sendError(res, error, 'Failed to check availability');
+    }
+  }
+
+  /**
+   * Get the stay rules of a property
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getRules(req, res) {
+    try {
+      await assertProperty(req.params.id);
+      res.json(await availabilityService.getRules(req.params.id));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch availability rules');
+    }
+  }
+
+  /**
+   * Update min/max stay, check-in weekdays and buffer days
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async updateRules(req, res) {
+    try {
+      assertRequestValid(req);
+      await assertProperty(req.params.id);
+
+      const { minStay, maxStay, checkInDays, bufferDays } = req.body;
+      const before = await availabilityService.getRules(req.params.id);
+      const rules = await availabilityService.updateRules(req.params.id, Object.fromEntries(
+        Object.entries({ minStay, maxStay, checkInDays, bufferDays }).filter(([, value]) => value !== undefined)
+      ));
+      auditChange(req, { before, after: rules });
+      res.json(rules);
+    } catch (error) {
+      sendError(res, error, 'Failed to update availability rules');
+    }
+  }
+
+  /**
+   * List blocked date ranges
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listBlockedDates(req, res) {
+    try {
+      await assertProperty(req.params.id);
+      res.json(await availabilityService.listBlocks(req.params.id, req.query.from, req.query.to));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch blocked dates');
+    }
+  }
+
+  /**
+   * Block a range of nights
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async blockDates(req, res) {
+    try {
+      assertRequestValid(req);
+      await assertProperty(req.params.id);
+
+      res.status(201).json(await availabilityService.blockDates(req.params.id, req.body));
+    } catch (error) {
+      sendError(res, error, 'Failed to block dates');
+    }
+  }
+
+  /**
+   * Remove a blocked range
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async unblockDates(req, res) {
+    try {
+      await availabilityService.unblockDates(req.params.id, req.params.blockId);
+      res.json({ message: 'Blocked dates removed successfully' });
+    } catch (error) {
+      sendError(res, error, 'Failed to remove blocked dates');
+    }
+  }
+}
+
+module.exports = new AvailabilityController();
@@ -0,0 +1,187 @@
+const { validationResult } = require('express-validator');
+const { bookings } = require('../repositories');
+const bookingService = require('../services/bookingService');
+const sendError = require('../utils/sendError');
+const { BOOKING_STATUSES } = require('../constants/booking');
+const { auditChange } = require('../middleware/audit');
+const { streamExport } = require('../utils/exportStream');
+
+// The nightly pricing breakdown is only part of JSON exports
+const CSV_COLUMNS = [
+  'id', 'propertyId', 'propertyName', 'propertyLocation', 'userId', 'guestName', 'guestEmail',
+  'checkIn', 'checkOut', 'guests', 'totalAmount', 'status', 'paymentStatus', 'bookingDate',
+  'created_at', 'updated_at'
+];
+
+/**
+ * Identify the admin making a change, for the booking history
+ * @param {Object} req - Request object
+ * @returns {Object} - Actor
+ */
+const actorFrom = (req) => ({ type: 'admin', id: req.admin.id });
+
+/**
+ * Shared handler for the lifecycle endpoints (confirm, cancel, check-in, ...)
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {String} status - Target status
+ * @param {String} action - Action name used in the failure message
+ */
+const transition = async (req, res, status, action) => {
+  try {
+    const before = await bookings.findById(req.params.id);
+    const booking = await bookingService.transition(req.params.id, status, actorFrom(req), req.body?.note);
+    auditChange(req, { before, after: booking });
+    res.json(booking);
+  } catch (error) {
+    sendError(res, error, `Failed to ${action} booking`);
+  }
+};
+
+/**
+ * Admin booking management controller
+ */
+class BookingController {
+  /**
+   * List bookings with cursor pagination, filters, sorting and `q` search
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listBookings(req, res) {
+    try {
+      res.json(await bookings.list(req.query));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch bookings');
+    }
+  }
+
+  /**
+   * Stream every booking matching the list filters as CSV or JSON (`format`)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async exportBookings(req, res) {
+    await streamExport(res, () => bookings.iterate(req.query), {
+      format: req.query.format,
+      name: 'bookings',
+      columns: CSV_COLUMNS,
+      toValues: booking => CSV_COLUMNS.map(column => booking[column]),
+      message: 'Failed to export bookings'
+    });
+  }
+
+  /**
+   * Get one booking with its status history
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getBooking(req, res) {
+    try {
+      res.json(await bookingService.getBooking(req.params.id));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch booking');
+    }
+  }
+
+  /**
+   * Create a pending booking
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async createBooking(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Invalid input data', errors: errors.array() });
+      }
+
+      const booking = await bookingService.createBooking(req.body, actorFrom(req));
+      auditChange(req, { target: { type: 'bookings', id: booking.id }, after: booking });
+      res.status(201).json(booking);
+    } catch (error) {
+      sendError(res, error, 'Failed to create booking');
+    }
+  }
+
+  /**
+   * Modify dates, guests or guest details of a booking
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async updateBooking(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: 'Invalid input data', errors: errors.array() });
+      }
+
+      const before = await bookings.findById(req.params.id);
+      const booking = await bookingService.modifyBooking(req.params.id, req.body, actorFrom(req));
+      auditChange(req, { before, after: booking });
+      res.json(booking);
+    } catch (error) {
+      sendError(res, error, 'Failed to update booking');
+    }
+  }
+
+  /**
+   * Confirm a pending booking
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async confirmBooking(req, res) {
+    return transition(req, res, BOOKING_STATUSES.CONFIRMED, 'confirm');
+  }
+
+  /**
+   * Cancel a pending or confirmed booking
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async cancelBooking(req, res) {
+    return transition(req, res, BOOKING_STATUSES.CANCELLED, 'cancel');
+  }
+
+  /**
+   * Check the guest in
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async checkInBooking(req, res) {
+    return transition(req, res, BOOKING_STATUSES.CHECKED_IN, 'check in');
+  }
+
+  /**
+   * Check the guest out, completing the stay
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async checkOutBooking(req, res) {
+    return transition(req, res, BOOKING_STATUSES.COMPLETED, 'check out');
+  }
+
+  /**
+   * Mark a confirmed booking as a no-show
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async markNoShow(req, res) {
+    return transition(req, res, BOOKING_STATUSES.NO_SHOW, 'mark no-show for');
+  }
+
+  /**
+   * Get the history of a booking
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getBookingHistory(req, res) {
+    try {
+      const { history } = await bookingService.getBooking(req.params.id);
+      res.json(history);
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch booking history');
+    }
+  }
+}
+
+module.exports = new BookingController();
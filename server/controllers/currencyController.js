@@ -0,0 +1,51 @@
+const currencyService = require('../services/currencyService');
+const sendError = require('../utils/sendError');
+const { auditChange } = require('../middleware/audit');
+
+/**
+ * Admin currency controller: the exchange rate table and its history
+ */
+class CurrencyController {
+  /**
+   * Supported currencies, the rate in effect for each pair and scheduled changes
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listRates(req, res) {
+    try {
+      res.json(await currencyService.listRates());
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch exchange rates');
+    }
+  }
+
+  /**
+   * Every rate a currency pair has had, newest first
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getRateHistory(req, res) {
+    try {
+      res.json(await currencyService.getRateHistory(req.params.base, req.params.quote));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch exchange rate history');
+    }
+  }
+
+  /**
+   * Set the rate of a currency pair, now or from a later moment
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async setRate(req, res) {
+    try {
+      const rate = await currencyService.setRate(req.body, req.admin.id);
+      auditChange(req, { target: { type: 'exchange-rates', id: `${rate.base}/${rate.quote}` }, after: rate });
+      res.status(201).json(rate);
+    } catch (error) {
+      sendError(res, error, 'Failed to set exchange rate');
+    }
+  }
+}
+
+module.exports = new CurrencyController();
@@ -0,0 +1,62 @@
+const hostService = require('../services/hostService');
+const sendError = require('../utils/sendError');
+const assertRequestValid = require('../utils/assertRequestValid');
+const { auditChange } = require('../middleware/audit');
+
+/**
+ * Admin host controller: host settings and earnings statements
+ */
+class HostController {
+  /**
+   * Every host with their commission rate, payout schedule and property count
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listHosts(req, res) {
+    try {
+      res.json(await hostService.listHosts());
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch hosts');
+    }
+  }
+
+  async getHost(req, res) {
+    try {
+      res.json(await hostService.getHost(req.params.id));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch host');
+    }
+  }
+
+  /**
+   * Change a host's commission rate or payout schedule
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async updateHost(req, res) {
+    try {
+      const before = await hostService.getHost(req.params.id);
+      const host = await hostService.updateSettings(req.params.id, req.body, req.admin.id);
+      auditChange(req, { target: { type: 'hosts', id: host.id }, before, after: host });
+      res.json(host);
+    } catch (error) {
+      sendError(res, error, 'Failed to update host');
+    }
+  }
+
+  /**
+   * A host's earnings statement for stays that checked out between `from` and `to`
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getEarnings(req, res) {
+    try {
+      assertRequestValid(req);
+      res.json(await hostService.getEarnings(req.params.id, req.query));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch host earnings');
+    }
+  }
+}
+
+module.exports = new HostController();
@@ -0,0 +1,121 @@
+const { properties, bookings } = require('../repositories');
+const propertyService = require('../services/propertyService');
+const hostService = require('../services/hostService');
+const payoutService = require('../services/payoutService');
+const hostPropertySchema = require('../schemas/hostPropertySchema');
+const { assertValid } = require('../utils/schema');
+const sendError = require('../utils/sendError');
+const assertRequestValid = require('../utils/assertRequestValid');
+const { auditChange } = require('../middleware/audit');
+
+/**
+ * Host portal controller: a host's own properties, bookings, earnings and
+ * payouts. Lists are always narrowed to the signed-in host; routes taking a
+ * property or booking id check ownership first (see middleware/hostScope).
+ */
+class HostPortalController {
+  /**
+   * The host's properties, with the admin list's pagination, filters and search
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listProperties(req, res) {
+    try {
+      res.json(await properties.list({ ...req.query, hostId: req.admin.id }));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch properties');
+    }
+  }
+
+  /**
+   * One of the host's properties, as loaded by requireOwnProperty
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getProperty(req, res) {
+    res.json(req.property);
+  }
+
+  /**
+   * Describe the fields hosts may change, for the portal's forms
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getPropertySchema(req, res) {
+    res.json(hostPropertySchema);
+  }
+
+  /**
+   * Update the host-editable fields of a property; changes are stored as revisions
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async updateProperty(req, res) {
+    try {
+      const changes = assertValid(hostPropertySchema, req.body, { partial: true });
+      const property = await propertyService.updateProperty(req.params.id, changes, req.admin.id);
+      auditChange(req, { before: req.property, after: property });
+      res.json(property);
+    } catch (error) {
+      sendError(res, error, 'Failed to update property');
+    }
+  }
+
+  /**
+   * Bookings of the host's properties, with the admin list's pagination, filters and search
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listBookings(req, res) {
+    try {
+      res.json(await bookings.list({ ...req.query, hostId: req.admin.id }));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch bookings');
+    }
+  }
+
+  /**
+   * Earnings statement for stays that checked out between `from` and `to`
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getEarnings(req, res) {
+    try {
+      assertRequestValid(req);
+      res.json(await hostService.getEarnings(req.admin.id, req.query));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch earnings');
+    }
+  }
+
+  /**
+   * The host's payout schedule, next payout date and amount due so far
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getPayoutSchedule(req, res) {
+    try {
+      res.json(await payoutService.getSchedule(req.admin.id));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch payout schedule');
+    }
+  }
+
+  async listPayouts(req, res) {
+    try {
+      res.json(await payoutService.listPayouts({ ...req.query, hostId: req.admin.id }));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch payouts');
+    }
+  }
+
+  async getPayout(req, res) {
+    try {
+      res.json(await payoutService.getPayout(req.params.id, { hostId: req.admin.id }));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch payout');
+    }
+  }
+}
+
+module.exports = new HostPortalController();
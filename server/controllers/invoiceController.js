@@ -0,0 +1,123 @@
+const invoiceService = require('../services/invoiceService');
+const sendError = require('../utils/sendError');
+const { auditChange } = require('../middleware/audit');
+
+/**
+ * Answer with an invoice as JSON, or as a document when `format` is pdf or html
+ * @param {Object} res - Response object
+ * @param {Object} invoice - Invoice or credit note
+ * @param {String} format - json (default), pdf or html
+ */
+const sendInvoice = async (res, invoice, format = 'json') => {
+  if (format === 'json') {
+    return res.json(invoice);
+  }
+
+  const { contentType, filename, body } = await invoiceService.renderDocument(invoice, format);
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `${format === 'pdf' ? 'attachment' : 'inline'}; filename="${filename}"`);
+  res.set('Cache-Control', 'private, no-store');
+  res.send(body);
+};
+
+/**
+ * Invoice controller: admins listing, downloading and issuing invoices and
+ * credit notes, and guests fetching their receipts through a receipt link
+ */
+class InvoiceController {
+  /**
+   * List invoices and credit notes with filters (kind, legalEntity,
+   * bookingId, issuedFrom, ...), sorting, `q` search and cursor pagination
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listInvoices(req, res) {
+    try {
+      res.json(await invoiceService.listInvoices(req.query));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch invoices');
+    }
+  }
+
+  /**
+   * Get one invoice or credit note, as JSON or as a document (`format`)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getInvoice(req, res) {
+    try {
+      await sendInvoice(res, await invoiceService.getInvoice(req.params.id), req.query.format);
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch invoice');
+    }
+  }
+
+  /**
+   * Email an invoice or credit note to the guest again
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async sendInvoice(req, res) {
+    try {
+      res.json(await invoiceService.sendReceipt(await invoiceService.getInvoice(req.params.id)));
+    } catch (error) {
+      sendError(res, error, 'Failed to send invoice');
+    }
+  }
+
+  /**
+   * Invoices and credit notes of a booking
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listBookingInvoices(req, res) {
+    try {
+      res.json(await invoiceService.listBookingInvoices(req.params.id));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch invoices');
+    }
+  }
+
+  /**
+   * Invoice a stay that is not fully paid yet
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async issueStayInvoice(req, res) {
+    try {
+      const invoice = await invoiceService.issueStayInvoice(req.params.id, { type: 'admin', id: req.admin.id });
+      auditChange(req, { after: { number: invoice.number, total: invoice.total } });
+      res.status(201).json(invoice);
+    } catch (error) {
+      sendError(res, error, 'Failed to issue invoice');
+    }
+  }
+
+  /**
+   * List the receipts of the booking a receipt link is for (token)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listReceipts(req, res) {
+    try {
+      res.json(await invoiceService.getReceipts(req.query.token));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch receipts');
+    }
+  }
+
+  /**
+   * Get one receipt through a receipt link (token), as JSON or as a document (`format`)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getReceipt(req, res) {
+    try {
+      await sendInvoice(res, await invoiceService.getReceipt(req.query.token, req.params.id), req.query.format);
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch receipt');
+    }
+  }
+}
+
+module.exports = new InvoiceController();
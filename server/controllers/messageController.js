@@ -0,0 +1,122 @@
+const messageService = require('../services/messageService');
+const sendError = require('../utils/sendError');
+const assertRequestValid = require('../utils/assertRequestValid');
+const { auditChange } = require('../middleware/audit');
+
+/**
+ * Booking message controller, shared by the guest area, the host portal
+ * and the admin dashboard. Handlers act as req.viewer on req.booking (see
+ * middleware/messageThread); moderation is for admins only.
+ */
+class MessageController {
+  /**
+   * Threads in the viewer's scope, newest activity first, with unread counts,
+   * filters (propertyId, status), `q` search and cursor pagination
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listThreads(req, res) {
+    try {
+      res.json(await messageService.listThreads(req.query, req.viewer));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch message threads');
+    }
+  }
+
+  /**
+   * Unread message counters for the viewer's side, in total and by thread
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getUnreadCounts(req, res) {
+    try {
+      res.json(await messageService.getUnreadCounts(req.viewer));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch unread messages');
+    }
+  }
+
+  async getThread(req, res) {
+    try {
+      res.json(await messageService.getThread(req.booking, req.viewer));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch messages');
+    }
+  }
+
+  /**
+   * Write in a booking's thread: JSON with `body`, or multipart form data
+   * with `body` and files in the "attachments" field
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async postMessage(req, res) {
+    try {
+      assertRequestValid(req);
+      const message = await messageService.postMessage(req.booking, req.viewer, req.body?.body, req.files);
+      res.status(201).json(message);
+    } catch (error) {
+      sendError(res, error, 'Failed to send message');
+    }
+  }
+
+  /**
+   * Mark everything the viewer's side has received in the thread as read
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async markRead(req, res) {
+    try {
+      res.json(await messageService.markRead(req.booking, req.viewer));
+    } catch (error) {
+      sendError(res, error, 'Failed to mark messages as read');
+    }
+  }
+
+  async downloadAttachment(req, res) {
+    try {
+      const { fileName, contentType, content } = await messageService.getAttachment(
+        req.booking, req.params.attachmentId, req.viewer
+      );
+      res.set('Content-Type', contentType);
+      res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.set('Cache-Control', 'private, no-store');
+      res.send(content);
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch attachment');
+    }
+  }
+
+  /**
+   * Messages across threads for moderation, e.g. `moderationStatus=flagged`
+   * for the ones held for sharing contact details
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listMessages(req, res) {
+    try {
+      res.json(await messageService.listMessages(req.query));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch messages');
+    }
+  }
+
+  /**
+   * Release a held message as written (approved) or without its contact details (redacted)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async moderateMessage(req, res) {
+    try {
+      assertRequestValid(req);
+      const before = await messageService.getMessage(req.params.id);
+      const message = await messageService.moderateMessage(req.params.id, req.body, req.admin.id);
+      auditChange(req, { before, after: message });
+      res.json(message);
+    } catch (error) {
+      sendError(res, error, 'Failed to moderate message');
+    }
+  }
+}
+
+module.exports = new MessageController();
@@ -0,0 +1,100 @@
+const paymentService = require('../services/paymentService');
+const sendError = require('../utils/sendError');
+const { auditChange } = require('../middleware/audit');
+
+/**
+ * Identify the admin making a change, for the booking history
+ * @param {Object} req - Request object
+ * @returns {Object} - Actor
+ */
+const actorFrom = (req) => ({ type: 'admin', id: req.admin.id });
+
+/**
+ * Shared handler for the payment changes: runs one against the booking in
+ * the URL and audits what it did to the payment status
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Function} change - Async (bookingId, actor) => payment overview
+ * @param {String} action - Action name used in the failure message
+ * @param {Function} statusFor - Response status for the resulting overview
+ */
+const applyChange = async (req, res, change, action, statusFor = () => 200) => {
+  try {
+    const before = await paymentService.getPayments(req.params.id);
+    const after = await change(req.params.id, actorFrom(req));
+    auditChange(req, {
+      before: { paymentStatus: before.paymentStatus, outstanding: before.outstanding },
+      after: { paymentStatus: after.paymentStatus, outstanding: after.outstanding },
+      details: { payment: after.payment && { id: after.payment.id, status: after.payment.status }, refunds: after.refunds }
+    });
+    res.status(statusFor(after)).json(after);
+  } catch (error) {
+    sendError(res, error, `Failed to ${action}`);
+  }
+};
+
+/**
+ * Booking payments controller: the ledger of a booking and the payment
+ * changes admins make to it
+ */
+class PaymentController {
+  /**
+   * Get a booking's payments, ledger entries and balances
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getPayments(req, res) {
+    try {
+      res.json(await paymentService.getPayments(req.params.id));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch payments');
+    }
+  }
+
+  /**
+   * Authorise a payment for the stay or a security deposit. A declined card
+   * is recorded and answered with 402.
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async authorizePayment(req, res) {
+    return applyChange(req, res, (bookingId, actor) => (
+      paymentService.authorize(bookingId, req.body, actor)
+    ), 'authorise payment', after => (after.payment.status === 'declined' ? 402 : 201));
+  }
+
+  /**
+   * Capture all or part (`amount`) of an authorised payment
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async capturePayment(req, res) {
+    return applyChange(req, res, (bookingId, actor) => (
+      paymentService.capture(bookingId, Number(req.params.paymentId), req.body, actor)
+    ), 'capture payment');
+  }
+
+  /**
+   * Release an authorised payment
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async voidPayment(req, res) {
+    return applyChange(req, res, (bookingId, actor) => (
+      paymentService.void(bookingId, Number(req.params.paymentId), req.body, actor)
+    ), 'void payment');
+  }
+
+  /**
+   * Refund captured money, all of it unless `amount` is given
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async refundPayment(req, res) {
+    return applyChange(req, res, (bookingId, actor) => (
+      paymentService.refund(bookingId, req.body, actor)
+    ), 'refund payment', () => 201);
+  }
+}
+
+module.exports = new PaymentController();
@@ -0,0 +1,67 @@
+const payoutService = require('../services/payoutService');
+const sendError = require('../utils/sendError');
+const assertRequestValid = require('../utils/assertRequestValid');
+const { auditChange } = require('../middleware/audit');
+
+/**
+ * Admin payout controller: payout runs and recording transfers
+ */
+class PayoutController {
+  /**
+   * List payouts with cursor pagination, filters and sorting
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listPayouts(req, res) {
+    try {
+      res.json(await payoutService.listPayouts(req.query));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch payouts');
+    }
+  }
+
+  async getPayout(req, res) {
+    try {
+      res.json(await payoutService.getPayout(req.params.id));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch payout');
+    }
+  }
+
+  /**
+   * Schedule the payouts of every host's last closed period
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async runPayouts(req, res) {
+    try {
+      assertRequestValid(req);
+      const result = await payoutService.runPayouts(req.body.date, req.admin.id);
+      auditChange(req, {
+        details: { date: result.date, payouts: result.payouts.map(payout => payout.id) }
+      });
+      res.status(201).json(result);
+    } catch (error) {
+      sendError(res, error, 'Failed to run payouts');
+    }
+  }
+
+  /**
+   * Record that a payout was transferred to the host
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async markPaid(req, res) {
+    try {
+      assertRequestValid(req);
+      const before = await payoutService.getPayout(req.params.id);
+      const payout = await payoutService.markPaid(req.params.id, req.body.reference, req.admin.id);
+      auditChange(req, { target: { type: 'payouts', id: payout.id }, before, after: payout });
+      res.json(payout);
+    } catch (error) {
+      sendError(res, error, 'Failed to mark payout as paid');
+    }
+  }
+}
+
+module.exports = new PayoutController();
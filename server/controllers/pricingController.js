@@ -0,0 +1,150 @@
+const { properties } = require('../repositories');
+const pricingService = require('../services/pricingService');
+const HttpError = require('../utils/httpError');
+const sendError = require('../utils/sendError');
+const assertRequestValid = require('../utils/assertRequestValid');
+const { auditChange } = require('../middleware/audit');
+
+/**
+ * Fail with 404 unless the property exists
+ * @param {String} id - Property id
+ */
+const assertProperty = async (id) => {
+  if (!(await properties.findById(id))) {
+    throw new HttpError(404, 'Property not found');
+  }
+};
+
+/**
+ * Admin pricing controller: quotes, pricing rules and rate overrides
+ */
+class PricingController {
+  /**
+   * Itemised quote for a stay, in the property's currency or `currency`
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getQuote(req, res) {
+    try {
+      assertRequestValid(req);
+      const { checkIn, checkOut, currency } = req.query;
+      res.json(await pricingService.getQuote(req.params.id, checkIn, checkOut, { currency }));
+    } catch (error) {
+      sendError(res, error, 'Failed to calculate quote');
+    }
+  }
+
+  /**
+   * List the pricing rules of a property
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listRules(req, res) {
+    try {
+      await assertProperty(req.params.id);
+      res.json(await pricingService.listRules(req.params.id));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch pricing rules');
+    }
+  }
+
+  /**
+   * Create a pricing rule
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async createRule(req, res) {
+    try {
+      assertRequestValid(req);
+      await assertProperty(req.params.id);
+
+      const { type, name, config, priority, active } = req.body;
+      const rule = await pricingService.createRule(req.params.id, { type, name, config, priority, active });
+      auditChange(req, { target: { type: 'pricing-rules', id: rule.id }, after: rule });
+      res.status(201).json(rule);
+    } catch (error) {
+      sendError(res, error, 'Failed to create pricing rule');
+    }
+  }
+
+  /**
+   * Update a pricing rule
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async updateRule(req, res) {
+    try {
+      assertRequestValid(req);
+
+      const { name, config, priority, active } = req.body;
+      const before = await pricingService.getRule(req.params.id, req.params.ruleId);
+      const rule = await pricingService.updateRule(req.params.id, req.params.ruleId, { name, config, priority, active });
+      auditChange(req, { target: { type: 'pricing-rules', id: rule.id }, before, after: rule });
+      res.json(rule);
+    } catch (error) {
+      sendError(res, error, 'Failed to update pricing rule');
+    }
+  }
+
+  /**
+   * Delete a pricing rule
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async deleteRule(req, res) {
+    try {
+      const before = await pricingService.getRule(req.params.id, req.params.ruleId);
+      await pricingService.deleteRule(req.params.id, req.params.ruleId);
+      auditChange(req, { target: { type: 'pricing-rules', id: req.params.ruleId }, before, after: null });
+      res.json({ message: 'Pricing rule deleted successfully' });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete pricing rule');
+    }
+  }
+
+  /**
+   * List per-date rate overrides
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listOverrides(req, res) {
+    try {
+      await assertProperty(req.params.id);
+      res.json(await pricingService.listOverrides(req.params.id, req.query.from, req.query.to));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch rate overrides');
+    }
+  }
+
+  /**
+   * Create or replace per-date rate overrides
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async setOverrides(req, res) {
+    try {
+      assertRequestValid(req);
+      await assertProperty(req.params.id);
+
+      res.json(await pricingService.setOverrides(req.params.id, req.body.overrides));
+    } catch (error) {
+      sendError(res, error, 'Failed to save rate overrides');
+    }
+  }
+
+  /**
+   * Remove the override for one date
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async deleteOverride(req, res) {
+    try {
+      await pricingService.deleteOverride(req.params.id, req.params.date);
+      res.json({ message: 'Rate override deleted successfully' });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete rate override');
+    }
+  }
+}
+
+module.exports = new PricingController();
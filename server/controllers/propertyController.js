@@ -0,0 +1,248 @@
+const { properties } = require('../repositories');
+const propertyService = require('../services/propertyService');
+const propertyImportService = require('../services/propertyImportService');
+const propertySchema = require('../schemas/propertySchema');
+const { PROPERTY_CSV_COLUMNS, toCsvValues } = require('../schemas/propertyCsv');
+const { streamExport } = require('../utils/exportStream');
+const sendError = require('../utils/sendError');
+const assertRequestValid = require('../utils/assertRequestValid');
+const { auditChange } = require('../middleware/audit');
+
+/**
+ * Admin property management controller
+ */
+class PropertyController {
+  /**
+   * List properties with cursor pagination, filters, sorting and `q` search
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listProperties(req, res) {
+    try {
+      res.json(await properties.list(req.query));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch properties');
+    }
+  }
+
+  /**
+   * Describe the property schema (field rules, categories, read-only fields) for admin forms
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getSchema(req, res) {
+    res.json(propertySchema);
+  }
+
+  /**
+   * Create a property
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async createProperty(req, res) {
+    try {
+      const property = await propertyService.createProperty(req.body, req.admin.id);
+      auditChange(req, { target: { type: 'properties', id: property.id }, after: property });
+      res.status(201).json(property);
+    } catch (error) {
+      sendError(res, error, 'Failed to create property');
+    }
+  }
+
+  /**
+   * Update a property; every effective change is stored as a revision
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async updateProperty(req, res) {
+    try {
+      const before = await properties.findById(req.params.id);
+      const property = await propertyService.updateProperty(req.params.id, req.body, req.admin.id);
+      auditChange(req, { before, after: property });
+      res.json(property);
+    } catch (error) {
+      sendError(res, error, 'Failed to update property');
+    }
+  }
+
+  /**
+   * Import properties from a CSV or JSON file (multipart field `file`), a
+   * text/csv body, or a JSON body. With `dryRun=true` nothing is written and
+   * the report shows what would happen to each row.
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async importProperties(req, res) {
+    try {
+      assertRequestValid(req);
+
+      let format;
+      let input;
+      if (req.file) {
+        format = req.file.originalname.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+        input = req.file.buffer.toString('utf8');
+      } else if (req.is('text/csv')) {
+        format = 'csv';
+        input = typeof req.body === 'string' ? req.body : '';
+      } else {
+        format = 'json';
+        input = req.body;
+      }
+
+      const dryRun = req.query.dryRun === true;
+      const result = await propertyImportService.run(propertyImportService.parse(format, input), {
+        dryRun,
+        adminId: req.admin.id
+      });
+
+      auditChange(req, {
+        details: {
+          format,
+          dryRun,
+          total: result.total,
+          created: result.created,
+          updated: result.updated,
+          fileName: req.file?.originalname
+        }
+      });
+      res.json(result);
+    } catch (error) {
+      sendError(res, error, 'Failed to import properties');
+    }
+  }
+
+  /**
+   * Stream every property matching the list filters as CSV or JSON (`format`)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async exportProperties(req, res) {
+    await streamExport(res, () => properties.iterate(req.query), {
+      format: req.query.format,
+      name: 'properties',
+      columns: PROPERTY_CSV_COLUMNS,
+      toValues: toCsvValues,
+      message: 'Failed to export properties'
+    });
+  }
+
+  /**
+   * Move a property to the trash
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async deleteProperty(req, res) {
+    try {
+      const before = await properties.findById(req.params.id);
+      const property = await propertyService.deleteProperty(req.params.id, req.admin.id);
+      auditChange(req, { before, after: property });
+      res.json({ message: 'Property moved to trash', property });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete property');
+    }
+  }
+
+  /**
+   * List trashed properties, paginated like the main list
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listTrash(req, res) {
+    try {
+      res.json(await propertyService.listTrash(req.query));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch trash');
+    }
+  }
+
+  /**
+   * Restore a property from the trash
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async restoreProperty(req, res) {
+    try {
+      const before = await properties.findById(req.params.id, { includeDeleted: true });
+      const property = await propertyService.restoreProperty(req.params.id, req.admin.id);
+      auditChange(req, { before, after: property });
+      res.json(property);
+    } catch (error) {
+      sendError(res, error, 'Failed to restore property');
+    }
+  }
+
+  /**
+   * Delete a trashed property permanently
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async purgeProperty(req, res) {
+    try {
+      const property = await propertyService.purgeProperty(req.params.id);
+      auditChange(req, { before: property, after: null });
+      res.json({ message: 'Property deleted permanently' });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete property');
+    }
+  }
+
+  /**
+   * List the revisions of a property, newest first
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listRevisions(req, res) {
+    try {
+      res.json(await propertyService.listRevisions(req.params.id));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch revisions');
+    }
+  }
+
+  /**
+   * Get one revision with its full snapshot
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getRevision(req, res) {
+    try {
+      assertRequestValid(req);
+      res.json(await propertyService.getRevision(req.params.id, req.params.revision));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch revision');
+    }
+  }
+
+  /**
+   * Compare two revisions (`from` and `to` query parameters)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async diffRevisions(req, res) {
+    try {
+      assertRequestValid(req);
+      res.json(await propertyService.diffRevisions(req.params.id, req.query.from, req.query.to));
+    } catch (error) {
+      sendError(res, error, 'Failed to compare revisions');
+    }
+  }
+
+  /**
+   * Roll a property back to an earlier revision
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async rollbackProperty(req, res) {
+    try {
+      assertRequestValid(req);
+      const before = await properties.findById(req.params.id);
+      const result = await propertyService.rollbackProperty(req.params.id, req.params.revision, req.admin.id);
+      auditChange(req, { before, after: result.property, details: { restoredFrom: result.revision.restoredFrom } });
+      res.json(result);
+    } catch (error) {
+      sendError(res, error, 'Failed to roll back property');
+    }
+  }
+}
+
+module.exports = new PropertyController();
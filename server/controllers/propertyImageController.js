@@ -0,0 +1,99 @@
+const { properties } = require('../repositories');
+const imageService = require('../services/imageService');
+const sendError = require('../utils/sendError');
+const assertRequestValid = require('../utils/assertRequestValid');
+const { auditChange } = require('../middleware/audit');
+
+/**
+ * Record an image change against the property in the audit log
+ * @param {Object} req - Request object
+ * @param {Object} details - What happened to which images
+ * @param {Object} before - Property before the change
+ */
+const auditImages = async (req, details, before) => {
+  auditChange(req, { before, after: await properties.findById(req.params.id), details });
+};
+
+/**
+ * Admin property image controller
+ */
+class PropertyImageController {
+  /**
+   * List a property's images in display order
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listImages(req, res) {
+    try {
+      res.json(await imageService.listImages(req.params.id));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch images');
+    }
+  }
+
+  /**
+   * Upload images (multipart field `images`); they are added after the existing ones
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async uploadImages(req, res) {
+    try {
+      const before = await properties.findById(req.params.id);
+      const images = await imageService.uploadImages(req.params.id, req.files, req.admin.id);
+      await auditImages(req, { uploaded: images.map(image => image.id) }, before);
+      res.status(201).json(images);
+    } catch (error) {
+      sendError(res, error, 'Failed to upload images');
+    }
+  }
+
+  /**
+   * Reorder a property's images
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async reorderImages(req, res) {
+    try {
+      assertRequestValid(req);
+      const images = await imageService.reorderImages(req.params.id, req.body.imageIds);
+      auditChange(req, { details: { order: req.body.imageIds } });
+      res.json(images);
+    } catch (error) {
+      sendError(res, error, 'Failed to reorder images');
+    }
+  }
+
+  /**
+   * Make an image the property's cover
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async setCover(req, res) {
+    try {
+      const before = await properties.findById(req.params.id);
+      const image = await imageService.setCover(req.params.id, req.params.imageId, req.admin.id);
+      await auditImages(req, { cover: image.id }, before);
+      res.json(image);
+    } catch (error) {
+      sendError(res, error, 'Failed to set cover image');
+    }
+  }
+
+  /**
+   * Delete an image and its stored files
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async deleteImage(req, res) {
+    try {
+      const before = await properties.findById(req.params.id);
+      const image = await imageService.deleteImage(req.params.id, req.params.imageId, req.admin.id);
+      await auditImages(req, { deleted: image.id, originalName: image.originalName }, before);
+      res.json({ message: 'Image deleted successfully' });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete image');
+    }
+  }
+}
+
+module.exports = new PropertyImageController();
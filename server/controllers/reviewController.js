@@ -0,0 +1,140 @@
+const reviewService = require('../services/reviewService');
+const sendError = require('../utils/sendError');
+const { auditChange } = require('../middleware/audit');
+
+/**
+ * Review controller: guests submitting reviews through their review link
+ * or their account, and admins moderating and replying to them
+ */
+class ReviewController {
+  /**
+   * Describe the stay a review link is for (token)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getInvitation(req, res) {
+    try {
+      res.json(await reviewService.getInvitation(req.query.token));
+    } catch (error) {
+      sendError(res, error, 'Failed to load review link');
+    }
+  }
+
+  /**
+   * Submit a review with the token from the review link
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async submitReview(req, res) {
+    try {
+      const review = await reviewService.submitReview(req.body);
+      res.status(201).json({ id: review.id, status: review.status });
+    } catch (error) {
+      sendError(res, error, 'Failed to submit review');
+    }
+  }
+
+  /**
+   * Submit a review of one of the signed-in guest's completed bookings
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async submitGuestReview(req, res) {
+    try {
+      const review = await reviewService.submitGuestReview(req.booking, req.body);
+      res.status(201).json({ id: review.id, status: review.status });
+    } catch (error) {
+      sendError(res, error, 'Failed to submit review');
+    }
+  }
+
+  /**
+   * List reviews for moderation with filters (status, propertyId, minOverall,
+   * replied, ...), sorting, `q` search and cursor pagination
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listReviews(req, res) {
+    try {
+      res.json(await reviewService.listReviews(req.query));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch reviews');
+    }
+  }
+
+  /**
+   * Get one review
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getReview(req, res) {
+    try {
+      res.json(await reviewService.getReview(req.params.id));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch review');
+    }
+  }
+
+  /**
+   * Publish or reject a review
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async moderateReview(req, res) {
+    try {
+      const before = await reviewService.getReview(req.params.id);
+      const review = await reviewService.moderateReview(req.params.id, req.body, req.admin.id);
+      auditChange(req, { before, after: review });
+      res.json(review);
+    } catch (error) {
+      sendError(res, error, 'Failed to moderate review');
+    }
+  }
+
+  /**
+   * Set the host reply of a review
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async replyToReview(req, res) {
+    try {
+      const before = await reviewService.getReview(req.params.id);
+      const review = await reviewService.replyToReview(req.params.id, req.body.reply, req.admin.id);
+      auditChange(req, { before, after: review });
+      res.json(review);
+    } catch (error) {
+      sendError(res, error, 'Failed to reply to review');
+    }
+  }
+
+  /**
+   * Remove the host reply of a review
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async deleteReply(req, res) {
+    try {
+      const before = await reviewService.getReview(req.params.id);
+      const review = await reviewService.replyToReview(req.params.id, null, req.admin.id);
+      auditChange(req, { before, after: review });
+      res.json(review);
+    } catch (error) {
+      sendError(res, error, 'Failed to remove reply');
+    }
+  }
+
+  /**
+   * Email the guest of a completed booking a (new) review link
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async sendInvitation(req, res) {
+    try {
+      res.json(await reviewService.sendInvitation(req.params.id));
+    } catch (error) {
+      sendError(res, error, 'Failed to send review invitation');
+    }
+  }
+}
+
+module.exports = new ReviewController();
@@ -0,0 +1,29 @@
+const statsService = require('../services/statsService');
+const sendError = require('../utils/sendError');
+const assertRequestValid = require('../utils/assertRequestValid');
+
+/**
+ * Admin dashboard statistics controller
+ */
+class StatsController {
+  /**
+   * Get dashboard stats for a period (`period=7d|30d|MTD|QTD|YTD|custom`, with
+   * `from`/`to` for custom, which they imply on their own), each compared with
+   * the previous equivalent period
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getStats(req, res) {
+    try {
+      assertRequestValid(req);
+      const { period, from, to } = req.query;
+      const range = statsService.resolvePeriod(period, from, to);
+
+      res.json(await statsService.getStats(range));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch stats');
+    }
+  }
+}
+
+module.exports = new StatsController();
@@ -0,0 +1,150 @@
+const catalogueService = require('../services/catalogueService');
+const reviewService = require('../services/reviewService');
+const sendError = require('../utils/sendError');
+const assertRequestValid = require('../utils/assertRequestValid');
+
+// Shared caches may keep catalogue responses briefly; Express adds an ETag
+// so clients can revalidate them cheaply once they go stale
+const LIST_CACHE = 'public, max-age=60, stale-while-revalidate=300';
+const DETAIL_CACHE = 'public, max-age=300, stale-while-revalidate=600';
+const MAP_CACHE = 'public, max-age=60, stale-while-revalidate=300';
+// Quotes follow the rate table, so they are kept only briefly
+const QUOTE_CACHE = 'public, max-age=60';
+
+/**
+ * Public stay catalogue controller
+ */
+class StayController {
+  /**
+   * List published stays with filters (category, minPrice, maxPrice, guests,
+   * location, minRating, checkIn/checkOut, q), sorting and cursor pagination,
+   * priced in `currency`
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listStays(req, res) {
+    try {
+      assertRequestValid(req);
+      const stays = await catalogueService.listStays(req.query);
+      res.set('Cache-Control', LIST_CACHE);
+      res.json(stays);
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch stays');
+    }
+  }
+
+  /**
+   * Typo-tolerant full-text search of published stays (q, limit, offset)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async searchStays(req, res) {
+    try {
+      assertRequestValid(req);
+      const results = await catalogueService.searchStays(req.query);
+      res.set('Cache-Control', LIST_CACHE);
+      res.json(results);
+    } catch (error) {
+      sendError(res, error, 'Failed to search stays');
+    }
+  }
+
+  /**
+   * Search-box completions for what was typed so far (q)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async suggestStays(req, res) {
+    try {
+      assertRequestValid(req);
+      const suggestions = await catalogueService.suggestStays(req.query);
+      res.set('Cache-Control', LIST_CACHE);
+      res.json(suggestions);
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch suggestions');
+    }
+  }
+
+  /**
+   * Stay markers inside a map viewport (bbox), clustered for the zoom level,
+   * with the catalogue filters
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async mapStays(req, res) {
+    try {
+      assertRequestValid(req);
+      const map = await catalogueService.mapStays(req.query);
+      res.set('Cache-Control', MAP_CACHE);
+      res.json(map);
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch map markers');
+    }
+  }
+
+  /**
+   * Stays nearest to a point (lat, lng), within radiusKm when given
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async nearbyStays(req, res) {
+    try {
+      assertRequestValid(req);
+      const nearby = await catalogueService.nearbyStays(req.query);
+      res.set('Cache-Control', LIST_CACHE);
+      res.json(nearby);
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch nearby stays');
+    }
+  }
+
+  /**
+   * Get one published stay with its photos and stay rules, priced in `currency`
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getStay(req, res) {
+    try {
+      assertRequestValid(req);
+      const stay = await catalogueService.getStay(req.params.id, req.query.currency);
+      res.set('Cache-Control', DETAIL_CACHE);
+      res.json(stay);
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch stay');
+    }
+  }
+
+  /**
+   * Itemised price of a stay (checkIn, checkOut) in the guest's currency
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getQuote(req, res) {
+    try {
+      assertRequestValid(req);
+      const quote = await catalogueService.getQuote(req.params.id, req.query);
+      res.set('Cache-Control', QUOTE_CACHE);
+      res.json(quote);
+    } catch (error) {
+      sendError(res, error, 'Failed to calculate quote');
+    }
+  }
+
+  /**
+   * Published reviews of a stay with their averages, newest first
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listReviews(req, res) {
+    try {
+      assertRequestValid(req);
+      const reviews = await reviewService.listPropertyReviews(req.params.id, req.query);
+      res.set('Cache-Control', LIST_CACHE);
+      res.json(reviews);
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch reviews');
+    }
+  }
+}
+
+module.exports = new StayController();
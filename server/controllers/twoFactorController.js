@@ -0,0 +1,122 @@
+const twoFactorService = require('../services/twoFactorService');
+const sendError = require('../utils/sendError');
+const assertRequestValid = require('../utils/assertRequestValid');
+const { auditChange } = require('../middleware/audit');
+
+/**
+ * Admin two-factor authentication controller
+ */
+class TwoFactorController {
+  /**
+   * Whether 2FA is enabled and required for the current admin
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getStatus(req, res) {
+    try {
+      res.json(await twoFactorService.getStatus(req.admin));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch two-factor status');
+    }
+  }
+
+  /**
+   * Start enrolment: returns the secret and the otpauth URI for the authenticator app
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async beginEnrolment(req, res) {
+    try {
+      res.json(await twoFactorService.beginEnrolment(req.admin));
+    } catch (error) {
+      sendError(res, error, 'Failed to start two-factor enrolment');
+    }
+  }
+
+  /**
+   * Confirm enrolment with a code and receive the recovery codes
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async confirmEnrolment(req, res) {
+    try {
+      assertRequestValid(req);
+      res.json(await twoFactorService.confirmEnrolment(req.admin, req.body.code));
+    } catch (error) {
+      sendError(res, error, 'Failed to enable two-factor authentication');
+    }
+  }
+
+  /**
+   * Turn 2FA off with a code or a recovery code
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async disable(req, res) {
+    try {
+      await twoFactorService.disable(req.admin, req.body);
+      res.json({ message: 'Two-factor authentication disabled successfully' });
+    } catch (error) {
+      sendError(res, error, 'Failed to disable two-factor authentication');
+    }
+  }
+
+  /**
+   * Replace the recovery codes
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      res.json(await twoFactorService.regenerateRecoveryCodes(req.admin, req.body));
+    } catch (error) {
+      sendError(res, error, 'Failed to regenerate recovery codes');
+    }
+  }
+
+  /**
+   * Remove another admin's 2FA and end their sessions
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async reset(req, res) {
+    try {
+      await twoFactorService.reset(req.params.id);
+      res.json({ message: 'Two-factor authentication reset successfully' });
+    } catch (error) {
+      sendError(res, error, 'Failed to reset two-factor authentication');
+    }
+  }
+
+  /**
+   * Get the roles for which 2FA is mandatory
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async getPolicy(req, res) {
+    try {
+      res.json(await twoFactorService.getPolicy());
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch two-factor policy');
+    }
+  }
+
+  /**
+   * Set the roles for which 2FA is mandatory
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async updatePolicy(req, res) {
+    try {
+      assertRequestValid(req);
+      const before = await twoFactorService.getPolicy();
+      const policy = await twoFactorService.setPolicy(req.body.requiredRoles, req.admin);
+      auditChange(req, { target: { type: 'settings', id: 'two-factor' }, before, after: policy });
+      res.json(policy);
+    } catch (error) {
+      sendError(res, error, 'Failed to update two-factor policy');
+    }
+  }
+}
+
+module.exports = new TwoFactorController();
@@ -0,0 +1,40 @@
+const { users } = require('../repositories');
+const sendError = require('../utils/sendError');
+const { streamExport } = require('../utils/exportStream');
+
+const CSV_COLUMNS = ['id', 'name', 'email', 'status', 'joinDate', 'lastLogin', 'bookings', 'totalSpent', 'location'];
+
+/**
+ * Admin user management controller
+ */
+class UserController {
+  /**
+   * List users with cursor pagination, filters, sorting and `q` search
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async listUsers(req, res) {
+    try {
+      res.json(await users.list(req.query));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch users');
+    }
+  }
+
+  /**
+   * Stream every user matching the list filters as CSV or JSON (`format`)
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async exportUsers(req, res) {
+    await streamExport(res, () => users.iterate(req.query), {
+      format: req.query.format,
+      name: 'users',
+      columns: CSV_COLUMNS,
+      toValues: user => CSV_COLUMNS.map(column => user[column]),
+      message: 'Failed to export users'
+    });
+  }
+}
+
+module.exports = new UserController();
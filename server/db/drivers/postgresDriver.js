@@ -0,0 +1,103 @@
+const { Pool, types } = require('pg');
+
+// COUNT(*) and SUM() over integers come back as int8; return them as numbers
+types.setTypeParser(20, value => Number(value));
+
+/**
+ * Rewrite `?` placeholders into Postgres' positional `$n` form,
+ * leaving question marks inside string literals untouched
+ * @param {String} sql - SQL with `?` placeholders
+ * @returns {String} - SQL with `$n` placeholders
+ */
+const toPositional = (sql) => {
+  let index = 0;
+  let inString = false;
+  let output = '';
+
+  for (const char of sql) {
+    if (char === "'") {
+      inString = !inString;
+    }
+    output += char === '?' && !inString ? `$${++index}` : char;
+  }
+
+  return output;
+};
+
+const normalizeParams = (params = []) => params.map(value => {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+});
+
+/**
+ * Postgres backend for production, e.g. the Supabase database via its
+ * connection string. Shares the SQL used by the SQLite driver.
+ */
+class PostgresDriver {
+  /**
+   * @param {Object} config - pg Pool configuration
+   * @param {Object} client - Checked-out client when running inside a transaction
+   */
+  constructor(config, client = null) {
+    this.pool = client ? null : new Pool(config);
+    this.client = client || this.pool;
+    this.dialect = 'postgres';
+    this.types = {
+      serial: 'SERIAL PRIMARY KEY',
+      float: 'DOUBLE PRECISION'
+    };
+  }
+
+  async query(sql, params) {
+    const result = await this.client.query(toPositional(sql), normalizeParams(params));
+    return result.rows;
+  }
+
+  async get(sql, params) {
+    const rows = await this.query(sql, params);
+    return rows[0];
+  }
+
+  async run(sql, params) {
+    const result = await this.client.query(toPositional(sql), normalizeParams(params));
+    return { changes: result.rowCount };
+  }
+
+  async exec(sql) {
+    await this.client.query(sql);
+  }
+
+  /**
+   * Run work inside a transaction on a dedicated pooled connection
+   * @param {Function} fn - Async work receiving the transaction executor
+   * @returns {Promise<*>} - Result of the callback
+   */
+  async transaction(fn) {
+    if (!this.pool) {
+      return fn(this);
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(new PostgresDriver(null, client));
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+    }
+  }
+}
+
+module.exports = PostgresDriver;
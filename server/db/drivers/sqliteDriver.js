@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+/**
+ * Convert JavaScript values into something SQLite can bind
+ * @param {Array} params - Query parameters
+ * @returns {Array} - Bindable parameters
+ */
+const normalizeParams = (params = []) => params.map(value => {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+});
+
+/**
+ * Executes statements directly against a better-sqlite3 connection.
+ * Used as-is inside transactions, where the driver queue is already held.
+ */
+class SqliteExecutor {
+  constructor(connection) {
+    this.connection = connection;
+    this.dialect = 'sqlite';
+    this.types = {
+      serial: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+      float: 'REAL'
+    };
+  }
+
+  /**
+   * Run a statement and return all resulting rows
+   * @param {String} sql - SQL with `?` placeholders
+   * @param {Array} params - Query parameters
+   * @returns {Promise<Array>} - Result rows
+   */
+  async query(sql, params) {
+    const statement = this.connection.prepare(sql);
+    if (statement.reader) {
+      return statement.all(normalizeParams(params));
+    }
+    statement.run(normalizeParams(params));
+    return [];
+  }
+
+  /**
+   * Run a statement and return the first row
+   * @param {String} sql - SQL with `?` placeholders
+   * @param {Array} params - Query parameters
+   * @returns {Promise<Object|undefined>} - First row
+   */
+  async get(sql, params) {
+    const rows = await this.query(sql, params);
+    return rows[0];
+  }
+
+  /**
+   * Run a statement that does not return rows
+   * @param {String} sql - SQL with `?` placeholders
+   * @param {Array} params - Query parameters
+   * @returns {Promise<Object>} - Number of affected rows
+   */
+  async run(sql, params) {
+    const info = this.connection.prepare(sql).run(normalizeParams(params));
+    return { changes: info.changes };
+  }
+
+  /**
+   * Execute one or more statements without parameters (used by migrations)
+   * @param {String} sql - SQL script
+   */
+  async exec(sql) {
+    this.connection.exec(sql);
+  }
+
+  /**
+   * Nested transactions join the enclosing one
+   * @param {Function} fn - Work to run with this executor
+   */
+  async transaction(fn) {
+    return fn(this);
+  }
+}
+
+/**
+ * Embedded SQLite backend for local development and tests.
+ *
+ * better-sqlite3 is synchronous and has a single connection, so every
+ * operation is queued: a transaction holds the queue until it commits,
+ * which keeps other requests from interleaving with its statements.
+ */
+class SqliteDriver {
+  constructor(filename) {
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    this.connection = new Database(filename);
+    this.connection.pragma('journal_mode = WAL');
+    this.connection.pragma('foreign_keys = ON');
+
+    this.executor = new SqliteExecutor(this.connection);
+    this.dialect = this.executor.dialect;
+    this.types = this.executor.types;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Run a task once every previously queued operation has finished
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} - Task result
+   */
+  schedule(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  query(sql, params) {
+    return this.schedule(() => this.executor.query(sql, params));
+  }
+
+  get(sql, params) {
+    return this.schedule(() => this.executor.get(sql, params));
+  }
+
+  run(sql, params) {
+    return this.schedule(() => this.executor.run(sql, params));
+  }
+
+  exec(sql) {
+    return this.schedule(() => this.executor.exec(sql));
+  }
+
+  /**
+   * Run work inside a transaction. The callback receives an executor that
+   * must be used for every statement belonging to the transaction.
+   * @param {Function} fn - Async work receiving the transaction executor
+   * @returns {Promise<*>} - Result of the callback
+   */
+  transaction(fn) {
+    return this.schedule(async () => {
+      this.connection.exec('BEGIN IMMEDIATE');
+      try {
+        const result = await fn(this.executor);
+        this.connection.exec('COMMIT');
+        return result;
+      } catch (error) {
+        this.connection.exec('ROLLBACK');
+        throw error;
+      }
+    });
+  }
+
+  async close() {
+    await this.queue;
+    this.connection.close();
+  }
+}
+
+module.exports = SqliteDriver;
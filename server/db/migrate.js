@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * Load migration modules ordered by the numeric prefix of their file name
+ * @returns {Array} - Migrations with their version number
+ */
+const loadMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+  .filter(file => /^\d+_.+\.js$/.test(file))
+  .map(file => ({
+    version: parseInt(file, 10),
+    ...require(path.join(MIGRATIONS_DIR, file))
+  }))
+  .sort((a, b) => a.version - b.version);
+
+/**
+ * Apply every migration that has not run yet, each in its own transaction
+ * @param {Object} db - Database driver
+ * @returns {Promise<Array>} - Versions that were applied
+ */
+const migrate = async (db) => {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const rows = await db.query('SELECT version FROM schema_migrations');
+  const applied = new Set(rows.map(row => Number(row.version)));
+  const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+  for (const migration of pending) {
+    await db.transaction(async (tx) => {
+      await migration.up(tx);
+      await tx.run(
+        'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+        [migration.version, migration.name, new Date().toISOString()]
+      );
+    });
+    console.log(`Applied migration ${migration.version}_${migration.name}`);
+  }
+
+  return pending.map(migration => migration.version);
+};
+
+if (require.main === module) {
+  const db = require('../config/database');
+
+  migrate(db)
+    .then((versions) => {
+      console.log(versions.length ? `${versions.length} migration(s) applied` : 'Database is up to date');
+      return db.close();
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = migrate;
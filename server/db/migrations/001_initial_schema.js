@@ -0,0 +1,75 @@
+/**
+ * Core admin tables: admins, properties, users and bookings
+ */
+module.exports = {
+  name: 'initial_schema',
+
+  async up(db) {
+    const { serial, float } = db.types;
+
+    await db.exec(`
+      CREATE TABLE admins (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        email TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'admin',
+        status TEXT NOT NULL DEFAULT 'active',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE properties (
+        id ${serial},
+        name TEXT NOT NULL,
+        location TEXT NOT NULL,
+        category TEXT NOT NULL,
+        description TEXT,
+        price ${float} NOT NULL DEFAULT 0,
+        rating ${float} NOT NULL DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'Active',
+        bookings INTEGER NOT NULL DEFAULT 0,
+        image TEXT,
+        attributes TEXT NOT NULL DEFAULT '{}',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE users (
+        id ${serial},
+        name TEXT NOT NULL,
+        email TEXT NOT NULL UNIQUE,
+        status TEXT NOT NULL DEFAULT 'Active',
+        join_date TEXT NOT NULL,
+        last_login TEXT,
+        bookings INTEGER NOT NULL DEFAULT 0,
+        total_spent ${float} NOT NULL DEFAULT 0,
+        location TEXT
+      );
+
+      CREATE TABLE bookings (
+        id TEXT PRIMARY KEY,
+        property_id INTEGER REFERENCES properties(id) ON DELETE SET NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        guest_name TEXT NOT NULL,
+        guest_email TEXT NOT NULL,
+        check_in TEXT NOT NULL,
+        check_out TEXT NOT NULL,
+        guests INTEGER NOT NULL DEFAULT 1,
+        total_amount ${float} NOT NULL DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'Pending',
+        payment_status TEXT NOT NULL DEFAULT 'Pending',
+        booking_date TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_bookings_property ON bookings (property_id);
+
+      CREATE TABLE sequences (
+        name TEXT PRIMARY KEY,
+        value INTEGER NOT NULL
+      );
+    `);
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * Booking lifecycle history: every status change, modification and
+ * payment status update, with the actor who made it
+ */
+module.exports = {
+  name: 'booking_events',
+
+  async up(db) {
+    const { serial } = db.types;
+
+    await db.exec(`
+      CREATE TABLE booking_events (
+        id ${serial},
+        booking_id TEXT NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+        type TEXT NOT NULL,
+        from_status TEXT,
+        to_status TEXT,
+        actor_type TEXT NOT NULL,
+        actor_id TEXT,
+        note TEXT,
+        details TEXT NOT NULL DEFAULT '{}',
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_booking_events_booking ON booking_events (booking_id, id);
+    `);
+  }
+};
@@ -0,0 +1,33 @@
+/**
+ * Per-property stay rules and blocked date ranges
+ */
+module.exports = {
+  name: 'availability',
+
+  async up(db) {
+    const { serial } = db.types;
+
+    await db.exec(`
+      CREATE TABLE availability_rules (
+        property_id INTEGER PRIMARY KEY REFERENCES properties(id) ON DELETE CASCADE,
+        min_stay INTEGER NOT NULL DEFAULT 1,
+        max_stay INTEGER,
+        check_in_days TEXT,
+        buffer_days INTEGER NOT NULL DEFAULT 0,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE blocked_dates (
+        id ${serial},
+        property_id INTEGER NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+        start_date TEXT NOT NULL,
+        end_date TEXT NOT NULL,
+        reason TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_blocked_dates_property ON blocked_dates (property_id, start_date);
+      CREATE INDEX idx_bookings_property_dates ON bookings (property_id, check_in, check_out);
+    `);
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * Dynamic pricing: per-property pricing rules, per-date rate overrides,
+ * and the quote each booking was priced with
+ */
+module.exports = {
+  name: 'pricing',
+
+  async up(db) {
+    const { serial, float } = db.types;
+
+    await db.exec(`
+      CREATE TABLE pricing_rules (
+        id ${serial},
+        property_id INTEGER NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+        type TEXT NOT NULL,
+        name TEXT NOT NULL,
+        config TEXT NOT NULL DEFAULT '{}',
+        priority INTEGER NOT NULL DEFAULT 0,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_pricing_rules_property ON pricing_rules (property_id);
+
+      CREATE TABLE rate_overrides (
+        property_id INTEGER NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+        date TEXT NOT NULL,
+        price ${float} NOT NULL,
+        note TEXT,
+        PRIMARY KEY (property_id, date)
+      );
+
+      ALTER TABLE bookings ADD COLUMN pricing TEXT;
+    `);
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * Role assignments: an admin may hold several roles. Existing admins
+ * had full access, so they become super admins.
+ */
+module.exports = {
+  name: 'admin_roles',
+
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE admin_roles (
+        admin_id TEXT NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+        role TEXT NOT NULL,
+        assigned_by TEXT,
+        assigned_at TEXT NOT NULL,
+        PRIMARY KEY (admin_id, role)
+      );
+    `);
+
+    await db.run(
+      `INSERT INTO admin_roles (admin_id, role, assigned_at)
+       SELECT id, 'super_admin', ? FROM admins`,
+      [new Date().toISOString()]
+    );
+
+    await db.exec('ALTER TABLE admins DROP COLUMN role');
+  }
+};
@@ -0,0 +1,35 @@
+/**
+ * Admin sessions. Each login starts a session (a refresh token family);
+ * every refresh token ever issued is kept, hashed, so that reuse of a
+ * rotated token can be detected.
+ */
+module.exports = {
+  name: 'admin_sessions',
+
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE admin_sessions (
+        id TEXT PRIMARY KEY,
+        admin_id TEXT NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+        ip TEXT,
+        user_agent TEXT,
+        created_at TEXT NOT NULL,
+        last_used_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        revoked_at TEXT,
+        revoked_reason TEXT
+      );
+
+      CREATE INDEX idx_admin_sessions_admin ON admin_sessions (admin_id);
+
+      CREATE TABLE admin_refresh_tokens (
+        token_hash TEXT PRIMARY KEY,
+        session_id TEXT NOT NULL REFERENCES admin_sessions(id) ON DELETE CASCADE,
+        issued_at TEXT NOT NULL,
+        used_at TEXT
+      );
+
+      CREATE INDEX idx_admin_refresh_tokens_session ON admin_refresh_tokens (session_id);
+    `);
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * TOTP two-factor authentication for admins, one-time recovery codes,
+ * and a key/value settings table for policies such as mandatory 2FA
+ */
+module.exports = {
+  name: 'two_factor',
+
+  async up(db) {
+    const { serial } = db.types;
+
+    await db.exec(`
+      ALTER TABLE admins ADD COLUMN totp_secret TEXT;
+      ALTER TABLE admins ADD COLUMN totp_enabled INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE admins ADD COLUMN totp_last_step INTEGER;
+
+      CREATE TABLE admin_recovery_codes (
+        id ${serial},
+        admin_id TEXT NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+        code_hash TEXT NOT NULL,
+        used_at TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_admin_recovery_codes_admin ON admin_recovery_codes (admin_id);
+
+      CREATE TABLE settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        updated_by TEXT,
+        updated_at TEXT NOT NULL
+      );
+    `);
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Single-use tokens behind the signed links in invitation and password
+ * reset emails. The link carries a JWT whose `jti` is a row here.
+ */
+module.exports = {
+  name: 'admin_tokens',
+
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE admin_tokens (
+        id TEXT PRIMARY KEY,
+        admin_id TEXT NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+        purpose TEXT NOT NULL,
+        created_by TEXT,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        used_at TEXT
+      );
+
+      CREATE INDEX idx_admin_tokens_admin ON admin_tokens (admin_id, purpose);
+    `);
+  }
+};
@@ -0,0 +1,57 @@
+/**
+ * Append-only audit trail of mutating admin calls. Triggers reject
+ * UPDATE and DELETE so entries cannot be altered after the fact.
+ */
+module.exports = {
+  name: 'audit_log',
+
+  async up(db) {
+    const { serial } = db.types;
+
+    await db.exec(`
+      CREATE TABLE audit_log (
+        id ${serial},
+        created_at TEXT NOT NULL,
+        actor_type TEXT NOT NULL,
+        actor_id TEXT,
+        actor_email TEXT,
+        action TEXT NOT NULL,
+        method TEXT NOT NULL,
+        path TEXT NOT NULL,
+        target_type TEXT,
+        target_id TEXT,
+        status_code INTEGER NOT NULL,
+        outcome TEXT NOT NULL,
+        changes TEXT,
+        details TEXT,
+        ip TEXT,
+        user_agent TEXT
+      );
+
+      CREATE INDEX idx_audit_log_created ON audit_log (created_at);
+      CREATE INDEX idx_audit_log_actor ON audit_log (actor_id);
+      CREATE INDEX idx_audit_log_target ON audit_log (target_type, target_id);
+    `);
+
+    if (db.dialect === 'postgres') {
+      await db.exec(`
+        CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+        BEGIN
+          RAISE EXCEPTION 'audit_log is append-only';
+        END;
+        $$ LANGUAGE plpgsql;
+
+        CREATE TRIGGER audit_log_no_update BEFORE UPDATE OR DELETE ON audit_log
+          FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+      `);
+    } else {
+      await db.exec(`
+        CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+
+        CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+      `);
+    }
+  }
+};
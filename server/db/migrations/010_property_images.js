@@ -0,0 +1,29 @@
+/**
+ * Uploaded property images: ordered per property, one of them the cover,
+ * each with its stored variants and a blurhash placeholder
+ */
+module.exports = {
+  name: 'property_images',
+
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE property_images (
+        id TEXT PRIMARY KEY,
+        property_id INTEGER NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        is_cover INTEGER NOT NULL DEFAULT 0,
+        original_name TEXT,
+        content_type TEXT NOT NULL,
+        width INTEGER NOT NULL,
+        height INTEGER NOT NULL,
+        size INTEGER NOT NULL,
+        blurhash TEXT NOT NULL,
+        variants TEXT NOT NULL,
+        created_by TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_property_images_property ON property_images (property_id, position);
+    `);
+  }
+};
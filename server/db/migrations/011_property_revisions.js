@@ -0,0 +1,29 @@
+/**
+ * Soft deletion of properties and a revision for every change to one.
+ * Each revision keeps a full snapshot so any of them can be restored.
+ */
+module.exports = {
+  name: 'property_revisions',
+
+  async up(db) {
+    const { serial } = db.types;
+
+    await db.exec(`
+      ALTER TABLE properties ADD COLUMN deleted_at TEXT;
+      ALTER TABLE properties ADD COLUMN deleted_by TEXT;
+
+      CREATE TABLE property_revisions (
+        id ${serial},
+        property_id INTEGER NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+        revision INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        snapshot TEXT NOT NULL,
+        changes TEXT,
+        restored_from INTEGER,
+        created_by TEXT,
+        created_at TEXT NOT NULL,
+        UNIQUE (property_id, revision)
+      );
+    `);
+  }
+};
@@ -0,0 +1,15 @@
+/**
+ * External ids let bulk imports from spreadsheets and other systems
+ * update the properties they created earlier instead of duplicating them
+ */
+module.exports = {
+  name: 'property_external_id',
+
+  async up(db) {
+    await db.exec(`
+      ALTER TABLE properties ADD COLUMN external_id TEXT;
+
+      CREATE UNIQUE INDEX idx_properties_external_id ON properties (external_id);
+    `);
+  }
+};
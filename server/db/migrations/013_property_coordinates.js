@@ -0,0 +1,18 @@
+/**
+ * Coordinates place properties on the guest map. Both are NULL until a
+ * property is geocoded; the index serves bounding-box searches.
+ */
+module.exports = {
+  name: 'property_coordinates',
+
+  async up(db) {
+    const { float } = db.types;
+
+    await db.exec(`
+      ALTER TABLE properties ADD COLUMN latitude ${float};
+      ALTER TABLE properties ADD COLUMN longitude ${float};
+
+      CREATE INDEX idx_properties_coordinates ON properties (latitude, longitude);
+    `);
+  }
+};
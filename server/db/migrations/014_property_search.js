@@ -0,0 +1,24 @@
+/**
+ * Inverted index for stay search: each term of a property's name,
+ * category, location and description, with the weight of its field.
+ * It is filled at startup by the search service (see SEARCH_INDEX_VERSION).
+ */
+module.exports = {
+  name: 'property_search',
+
+  async up(db) {
+    const { float } = db.types;
+
+    await db.exec(`
+      CREATE TABLE property_search_terms (
+        property_id INTEGER NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+        term TEXT NOT NULL,
+        field TEXT NOT NULL,
+        weight ${float} NOT NULL,
+        PRIMARY KEY (property_id, term, field)
+      );
+
+      CREATE INDEX idx_property_search_terms_term ON property_search_terms (term);
+    `);
+  }
+};
@@ -0,0 +1,46 @@
+/**
+ * Guest reviews, one per completed booking, with sub-scores, moderation
+ * and a host reply. Property ratings become derived from published
+ * reviews; until a property has any, it sits at the prior mean.
+ */
+module.exports = {
+  name: 'reviews',
+
+  async up(db) {
+    const { serial } = db.types;
+
+    await db.exec(`
+      CREATE TABLE reviews (
+        id ${serial},
+        property_id INTEGER NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+        booking_id TEXT NOT NULL UNIQUE REFERENCES bookings(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        guest_name TEXT NOT NULL,
+        overall INTEGER NOT NULL,
+        cleanliness INTEGER NOT NULL,
+        location INTEGER NOT NULL,
+        value INTEGER NOT NULL,
+        host INTEGER NOT NULL,
+        comment TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        moderation_note TEXT,
+        moderated_by TEXT,
+        moderated_at TEXT,
+        reply TEXT,
+        replied_by TEXT,
+        replied_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_reviews_property ON reviews (property_id, status);
+      CREATE INDEX idx_reviews_user ON reviews (user_id);
+
+      ALTER TABLE properties ADD COLUMN review_count INTEGER NOT NULL DEFAULT 0;
+    `);
+
+    // Ratings typed in by admins give way to the prior (RATING_PRIOR_MEAN
+    // when this migration was written) until reviews come in
+    await db.run('UPDATE properties SET rating = 4');
+  }
+};
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+
+/**
+ * Payments with the provider and the double-entry ledger of each booking.
+ * Ledger amounts are integer minor units (cents) so every transaction
+ * balances exactly. Bookings recorded as Paid or Refunded before the ledger
+ * get an opening balance for their total; other statuses cannot be
+ * reconstructed and stay as they are until the booking's next payment.
+ */
+module.exports = {
+  name: 'payments',
+
+  async up(db) {
+    const { serial } = db.types;
+
+    await db.exec(`
+      CREATE TABLE payments (
+        id ${serial},
+        booking_id TEXT NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+        purpose TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        provider_ref TEXT,
+        payment_method TEXT,
+        amount INTEGER NOT NULL,
+        currency TEXT NOT NULL,
+        status TEXT NOT NULL,
+        failure_reason TEXT,
+        created_by TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_payments_booking ON payments (booking_id);
+
+      CREATE TABLE ledger_entries (
+        id ${serial},
+        transaction_id TEXT NOT NULL,
+        booking_id TEXT NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+        payment_id INTEGER REFERENCES payments(id) ON DELETE CASCADE,
+        type TEXT NOT NULL,
+        account TEXT NOT NULL,
+        debit INTEGER NOT NULL DEFAULT 0,
+        credit INTEGER NOT NULL DEFAULT 0,
+        currency TEXT NOT NULL,
+        provider_ref TEXT,
+        note TEXT,
+        created_by TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_ledger_entries_booking ON ledger_entries (booking_id, id);
+      CREATE INDEX idx_ledger_entries_transaction ON ledger_entries (transaction_id);
+    `);
+
+    // USD was the only currency when this migration was written
+    const bookings = await db.query(
+      "SELECT id, total_amount, payment_status FROM bookings WHERE payment_status IN ('Paid', 'Refunded') AND total_amount > 0"
+    );
+    const now = new Date().toISOString();
+
+    for (const booking of bookings) {
+      const amount = Math.round(Number(booking.total_amount) * 100);
+      const payment = await db.get(
+        `INSERT INTO payments (booking_id, purpose, provider, amount, currency, status, created_at, updated_at)
+         VALUES (?, 'booking', 'legacy', ?, 'USD', 'captured', ?, ?) RETURNING id`,
+        [booking.id, amount, now, now]
+      );
+
+      const post = async (type, entries) => {
+        const transactionId = crypto.randomUUID();
+        for (const [account, debit, credit] of entries) {
+          await db.run(
+            `INSERT INTO ledger_entries (transaction_id, booking_id, payment_id, type, account, debit, credit,
+               currency, note, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, 'USD', 'Recorded before the payment ledger', ?)`,
+            [transactionId, booking.id, payment.id, type, account, debit, credit, now]
+          );
+        }
+      };
+
+      await post('opening_balance', [['provider_balance', amount, 0], ['guest_payments', 0, amount]]);
+      if (booking.payment_status === 'Refunded') {
+        await post('refund', [['guest_payments', amount, 0], ['provider_balance', 0, amount]]);
+      }
+    }
+  }
+};
@@ -0,0 +1,42 @@
+/**
+ * Invoices and credit notes. Each is a frozen snapshot of what was billed,
+ * to whom and by which legal entity, so later changes to a booking, a
+ * property or the entity's details never alter an issued document.
+ * Amounts are integer minor units, as in the payment ledger.
+ */
+module.exports = {
+  name: 'invoices',
+
+  async up(db) {
+    const { serial } = db.types;
+
+    await db.exec(`
+      ALTER TABLE properties ADD COLUMN legal_entity TEXT;
+
+      CREATE TABLE invoices (
+        id ${serial},
+        number TEXT NOT NULL UNIQUE,
+        kind TEXT NOT NULL,
+        legal_entity TEXT NOT NULL,
+        booking_id TEXT NOT NULL REFERENCES bookings(id),
+        payment_id INTEGER REFERENCES payments(id),
+        invoice_id INTEGER REFERENCES invoices(id),
+        purpose TEXT NOT NULL,
+        currency TEXT NOT NULL,
+        issue_date TEXT NOT NULL,
+        seller TEXT NOT NULL,
+        buyer TEXT NOT NULL,
+        stay TEXT NOT NULL,
+        lines TEXT NOT NULL,
+        subtotal INTEGER NOT NULL,
+        tax INTEGER NOT NULL,
+        total INTEGER NOT NULL,
+        created_by TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_invoices_booking ON invoices (booking_id);
+      CREATE INDEX idx_invoices_invoice ON invoices (invoice_id);
+    `);
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * Currencies. Each property is priced in a base currency, and each booking
+ * records the currency it is charged in with the exchange rate from the
+ * property's currency that was used to price it, so later rate changes never
+ * alter a booking. Exchange rates are kept as history: a change adds a row
+ * and the newest row in effect wins.
+ */
+module.exports = {
+  name: 'currencies',
+
+  async up(db) {
+    const { serial, float } = db.types;
+
+    // USD was the only currency when this migration was written
+    await db.exec(`
+      ALTER TABLE properties ADD COLUMN currency TEXT NOT NULL DEFAULT 'USD';
+
+      ALTER TABLE bookings ADD COLUMN currency TEXT NOT NULL DEFAULT 'USD';
+      ALTER TABLE bookings ADD COLUMN base_currency TEXT NOT NULL DEFAULT 'USD';
+      ALTER TABLE bookings ADD COLUMN exchange_rate ${float} NOT NULL DEFAULT 1;
+
+      CREATE TABLE exchange_rates (
+        id ${serial},
+        base_currency TEXT NOT NULL,
+        quote_currency TEXT NOT NULL,
+        rate ${float} NOT NULL,
+        effective_from TEXT NOT NULL,
+        note TEXT,
+        created_by TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_exchange_rates_pair ON exchange_rates (base_currency, quote_currency, effective_from);
+    `);
+  }
+};
@@ -0,0 +1,58 @@
+/**
+ * Hosts: admin accounts with the host role that run their own properties.
+ * A property belongs to at most one host. Host settings hold the commission
+ * and payout schedule; payouts record what each host was paid for which
+ * bookings, amounts in integer minor units of the property's currency.
+ */
+module.exports = {
+  name: 'hosts',
+
+  async up(db) {
+    const { serial, float } = db.types;
+
+    await db.exec(`
+      ALTER TABLE properties ADD COLUMN host_id TEXT REFERENCES admins(id);
+      CREATE INDEX idx_properties_host ON properties (host_id);
+
+      CREATE TABLE host_settings (
+        admin_id TEXT PRIMARY KEY REFERENCES admins(id) ON DELETE CASCADE,
+        commission_rate ${float} NOT NULL,
+        payout_schedule TEXT NOT NULL,
+        updated_by TEXT,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE payouts (
+        id ${serial},
+        host_id TEXT NOT NULL REFERENCES admins(id),
+        currency TEXT NOT NULL,
+        period_end TEXT NOT NULL,
+        scheduled_for TEXT NOT NULL,
+        gross INTEGER NOT NULL,
+        commission INTEGER NOT NULL,
+        net INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        reference TEXT,
+        paid_at TEXT,
+        paid_by TEXT,
+        created_by TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_payouts_host ON payouts (host_id, period_end);
+
+      CREATE TABLE payout_lines (
+        id ${serial},
+        payout_id INTEGER NOT NULL REFERENCES payouts(id) ON DELETE CASCADE,
+        booking_id TEXT NOT NULL REFERENCES bookings(id),
+        property_id INTEGER,
+        check_out TEXT NOT NULL,
+        gross INTEGER NOT NULL,
+        commission_rate ${float} NOT NULL,
+        commission INTEGER NOT NULL,
+        net INTEGER NOT NULL
+      );
+      CREATE INDEX idx_payout_lines_payout ON payout_lines (payout_id);
+      CREATE INDEX idx_payout_lines_booking ON payout_lines (booking_id);
+    `);
+  }
+};
@@ -0,0 +1,52 @@
+/**
+ * Guest accounts. Users gain a password, a verified email address, a phone
+ * number and preferences. Guests sign in to sessions of their own, apart
+ * from admin sessions, with the same rotating refresh tokens. Email
+ * verification and password reset links are single-use rows in guest_tokens.
+ */
+module.exports = {
+  name: 'guest_accounts',
+
+  async up(db) {
+    await db.exec(`
+      ALTER TABLE users ADD COLUMN password_hash TEXT;
+      ALTER TABLE users ADD COLUMN email_verified_at TEXT;
+      ALTER TABLE users ADD COLUMN phone TEXT;
+      ALTER TABLE users ADD COLUMN preferences TEXT NOT NULL DEFAULT '{}';
+
+      CREATE TABLE guest_sessions (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        ip TEXT,
+        user_agent TEXT,
+        created_at TEXT NOT NULL,
+        last_used_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        revoked_at TEXT,
+        revoked_reason TEXT
+      );
+
+      CREATE INDEX idx_guest_sessions_user ON guest_sessions (user_id);
+
+      CREATE TABLE guest_refresh_tokens (
+        token_hash TEXT PRIMARY KEY,
+        session_id TEXT NOT NULL REFERENCES guest_sessions(id) ON DELETE CASCADE,
+        issued_at TEXT NOT NULL,
+        used_at TEXT
+      );
+
+      CREATE INDEX idx_guest_refresh_tokens_session ON guest_refresh_tokens (session_id);
+
+      CREATE TABLE guest_tokens (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        purpose TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        used_at TEXT
+      );
+
+      CREATE INDEX idx_guest_tokens_user ON guest_tokens (user_id, purpose);
+    `);
+  }
+};
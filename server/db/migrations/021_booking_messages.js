@@ -0,0 +1,47 @@
+/**
+ * Message threads between guests and hosts, one per booking. Messages carry
+ * attachments and the time the other side read them; system messages
+ * record what happened to the booking. Messages sharing contact details
+ * before the booking is confirmed are held for moderation.
+ */
+module.exports = {
+  name: 'booking_messages',
+
+  async up(db) {
+    const { serial } = db.types;
+
+    await db.exec(`
+      CREATE TABLE booking_messages (
+        id ${serial},
+        booking_id TEXT NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+        sender_type TEXT NOT NULL,
+        sender_id TEXT,
+        body TEXT NOT NULL,
+        event TEXT,
+        read_at TEXT,
+        moderation_status TEXT,
+        moderation_flags TEXT NOT NULL DEFAULT '[]',
+        moderation_note TEXT,
+        moderated_by TEXT,
+        moderated_at TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_booking_messages_booking ON booking_messages (booking_id, id);
+      CREATE INDEX idx_booking_messages_moderation ON booking_messages (moderation_status);
+
+      CREATE TABLE booking_message_attachments (
+        id TEXT PRIMARY KEY,
+        message_id INTEGER NOT NULL REFERENCES booking_messages(id) ON DELETE CASCADE,
+        file_name TEXT NOT NULL,
+        content_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        storage_key TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_booking_message_attachments_message ON booking_message_attachments (message_id, position);
+    `);
+  }
+};
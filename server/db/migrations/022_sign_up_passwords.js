@@ -0,0 +1,13 @@
+/**
+ * A sign-up link carries the password chosen with it until it is redeemed,
+ * so that signing up cannot change the password of an unverified address
+ */
+module.exports = {
+  name: 'sign_up_passwords',
+
+  async up(db) {
+    await db.exec(`
+      ALTER TABLE guest_tokens ADD COLUMN password_hash TEXT;
+    `);
+  }
+};
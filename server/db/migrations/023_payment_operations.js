@@ -0,0 +1,37 @@
+/**
+ * Every call to the payment provider is journalled in payment_operations
+ * before it is made, under an id the provider also gets as its idempotency
+ * key, and its result is kept there until the ledger records it
+ */
+module.exports = {
+  name: 'payment_operations',
+
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE payment_operations (
+        id TEXT PRIMARY KEY,
+        change_id TEXT NOT NULL,
+        booking_id TEXT NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+        payment_id INTEGER REFERENCES payments(id) ON DELETE CASCADE,
+        kind TEXT NOT NULL,
+        purpose TEXT NOT NULL,
+        amount INTEGER NOT NULL,
+        currency TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        payment_method TEXT,
+        reference TEXT,
+        status TEXT NOT NULL,
+        provider_ref TEXT,
+        failure_reason TEXT,
+        note TEXT,
+        actor_type TEXT,
+        actor_id TEXT,
+        created_at TEXT NOT NULL,
+        completed_at TEXT,
+        recorded_at TEXT
+      );
+
+      CREATE INDEX idx_payment_operations_booking ON payment_operations (booking_id, recorded_at);
+    `);
+  }
+};
@@ -0,0 +1,169 @@
+const bcrypt = require('bcryptjs');
+const { assertPasswordPolicy } = require('../utils/passwordPolicy');
+
+const PROPERTIES = [
+  {
+    name: "Treehouse Paradise",
+    location: "Costa Rica",
+    category: "Treehouse",
+    price: 180,
+    status: "Active",
+    bookings: 24,
+    latitude: 10.3009,
+    longitude: -84.8256,
+    image: "https://images.unsplash.com/photo-1571896349842-33c89424de2d?ixlib=rb-4.0.3&auto=format&fit=crop&w=300&q=80",
+    created_at: "2024-01-15"
+  },
+  {
+    name: "Castle in the Clouds",
+    location: "Scotland",
+    category: "Castle",
+    price: 360,
+    currency: "GBP",
+    status: "Active",
+    bookings: 18,
+    latitude: 57.1089,
+    longitude: -4.7312,
+    image: "https://images.unsplash.com/photo-1520637736862-4d197d17c92a?ixlib=rb-4.0.3&auto=format&fit=crop&w=300&q=80",
+    created_at: "2024-01-10"
+  }
+];
+
+const USERS = [
+  {
+    name: "Sarah Johnson",
+    email: "sarah.johnson@email.com",
+    status: "Active",
+    joinDate: "2024-01-15",
+    lastLogin: "2024-03-10",
+    bookings: 5,
+    totalSpent: 2450,
+    location: "New York, USA"
+  }
+];
+
+const BOOKINGS = [
+  {
+    guestName: "Sarah Johnson",
+    guestEmail: "sarah.johnson@email.com",
+    propertyName: "Treehouse Paradise",
+    checkIn: "2024-04-15",
+    checkOut: "2024-04-18",
+    guests: 2,
+    totalAmount: 540,
+    currency: "USD",
+    status: "Confirmed",
+    bookingDate: "2024-03-10",
+    paid: true
+  }
+];
+
+// Demo exchange rates, 1 USD = rate quote
+const EXCHANGE_RATES = [
+  { base: "USD", quote: "EUR", rate: 0.92 },
+  { base: "USD", quote: "GBP", rate: 0.79 },
+  { base: "USD", quote: "CAD", rate: 1.36 },
+  { base: "USD", quote: "AUD", rate: 1.52 },
+  { base: "USD", quote: "CHF", rate: 0.88 }
+];
+
+/**
+ * Create the first super admin from SEED_ADMIN_EMAIL. With SEED_ADMIN_PASSWORD
+ * the account is active straight away; otherwise an invitation is emailed so
+ * no password is ever hard-coded.
+ * @param {Object} repositories - Repositories to seed through
+ */
+const seedAdmin = async (repositories) => {
+  const email = process.env.SEED_ADMIN_EMAIL;
+  if (!email) {
+    console.warn('No admin accounts exist. Set SEED_ADMIN_EMAIL to create the first super admin.');
+    return;
+  }
+
+  const password = process.env.SEED_ADMIN_PASSWORD;
+  if (password) {
+    assertPasswordPolicy(password, { email });
+    await repositories.admins.create({
+      name: 'Admin User',
+      email,
+      password: await bcrypt.hash(password, 10),
+      roles: ['super_admin']
+    });
+    console.log(`Seeded admin ${email}`);
+    return;
+  }
+
+  // Required lazily: the service pulls in the shared repositories
+  const adminService = require('../services/adminService');
+  await adminService.invite({ email, name: 'Admin User', roles: ['super_admin'] }, null);
+  console.log(`Seeded admin ${email}; an invitation to set their password has been sent`);
+};
+
+/**
+ * Populate an empty database with the first admin and demo data.
+ * Tables that already contain rows are left alone, so this is safe to re-run.
+ * @param {Object} repositories - Repositories to seed through
+ */
+const seed = async (repositories) => {
+  if (await repositories.admins.count() === 0) {
+    await seedAdmin(repositories);
+  }
+
+  await repositories.transaction(async (repos) => {
+    const { properties, users, bookings, bookingEvents, exchangeRates } = repos;
+    if ((await exchangeRates.findEffective()).length === 0) {
+      const effectiveFrom = new Date().toISOString();
+      for (const rate of EXCHANGE_RATES) {
+        await exchangeRates.create({ ...rate, effectiveFrom, note: 'Seed data' });
+      }
+      console.log(`Seeded ${EXCHANGE_RATES.length} exchange rates`);
+    }
+
+    if (await properties.count({ includeDeleted: true }) === 0) {
+      for (const property of PROPERTIES) {
+        await properties.create(property);
+      }
+      console.log(`Seeded ${PROPERTIES.length} properties`);
+    }
+
+    if (await users.count() === 0) {
+      for (const user of USERS) {
+        await users.create(user);
+      }
+      console.log(`Seeded ${USERS.length} users`);
+    }
+
+    if (await bookings.count() === 0) {
+      const allProperties = await properties.findAll();
+      // Required lazily, like the admin service; paid bookings go through
+      // the (simulated) provider so their ledger is complete
+      const paymentService = require('../services/paymentService');
+      for (const { propertyName, paid, ...booking } of BOOKINGS) {
+        const property = allProperties.find(p => p.name === propertyName);
+        const user = await users.findByEmail(booking.guestEmail);
+        const created = await bookings.create({ ...booking, propertyId: property?.id, userId: user?.id });
+        await bookingEvents.record({ bookingId: created.id, type: 'created', toStatus: created.status, note: 'Seed data' });
+        if (paid) {
+          const { payment } = await paymentService.authorize(created.id, { paymentMethod: 'pm_card_visa' }, null, { repos });
+          await paymentService.capture(created.id, payment.id, {}, null, { repos });
+        }
+      }
+      console.log(`Seeded ${BOOKINGS.length} bookings`);
+    }
+  });
+};
+
+if (require.main === module) {
+  const migrate = require('./migrate');
+  const repositories = require('../repositories');
+
+  migrate(repositories.db)
+    .then(() => seed(repositories))
+    .then(() => repositories.db.close())
+    .catch((error) => {
+      console.error('Seeding failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = seed;
@@ -0,0 +1,57 @@
+const { audit } = require('../repositories');
+const { diffObjects } = require('../utils/diff');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Record every mutating admin request in the audit log once the response
+ * has been sent, whether it succeeded or not. Handlers describe what they
+ * changed with auditChange(); anything they leave out is derived from the route.
+ */
+const auditTrail = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  const baseUrl = req.baseUrl;
+  req.audit = {};
+
+  res.on('finish', () => {
+    const routePath = req.route?.path || req.path;
+    const resource = routePath.split('/')[1] || null;
+    const { actor, target, before, after, changes, details } = req.audit;
+
+    audit.record({
+      actor: req.admin
+        ? { type: 'admin', id: req.admin.id, email: req.admin.email }
+        : { type: actor ? 'admin' : 'anonymous', id: actor?.id, email: actor?.email },
+      action: req.audit.action || `${req.method} ${routePath}`,
+      method: req.method,
+      path: `${baseUrl}${req.path}`,
+      target: target || (req.params?.id ? { type: resource, id: req.params.id } : null),
+      statusCode: res.statusCode,
+      outcome: res.statusCode < 400 ? 'success' : 'failure',
+      changes: changes || (before || after ? diffObjects(before, after) : null),
+      details,
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || null
+    }).catch((error) => {
+      console.error('Failed to write audit log entry:', error);
+    });
+  });
+
+  next();
+};
+
+/**
+ * Describe a change for the audit entry of the current request
+ * @param {Object} req - Request object
+ * @param {Object} change - Any of { action, actor, target, before, after, changes, details }
+ */
+const auditChange = (req, change) => {
+  if (req.audit) {
+    Object.assign(req.audit, change);
+  }
+};
+
+module.exports = { auditTrail, auditChange };
@@ -0,0 +1,87 @@
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET } = require('../config/auth');
+const { admins, users } = require('../repositories');
+const sessionService = require('../services/sessionService');
+const guestSessionService = require('../services/guestSessionService');
+const twoFactorService = require('../services/twoFactorService');
+const { permissionsFor } = require('../constants/permissions');
+
+// Admin authentication middleware
+const authenticateAdmin = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    if (!token) {
+      return res.status(401).json({ message: 'Access denied. No token provided.' });
+    }
+
+    const decoded = jwt.verify(token, JWT_SECRET);
+
+    // Access tokens only work while their session is live, so logout and revocation take effect at once
+    const session = await sessionService.findLiveSession(decoded.sid, decoded.adminId);
+    if (!session) {
+      return res.status(401).json({ message: 'Invalid token.' });
+    }
+
+    const admin = await admins.findById(decoded.adminId);
+    if (!admin || admin.status !== 'active') {
+      return res.status(401).json({ message: 'Invalid token.' });
+    }
+
+    req.admin = {
+      ...admin,
+      permissions: permissionsFor(admin.roles),
+      twoFactorSetupRequired: !admin.twoFactorEnabled && await twoFactorService.isRequired(admin.roles)
+    };
+    req.adminSession = session;
+    next();
+  } catch (error) {
+    res.status(401).json({ message: 'Invalid token.' });
+  }
+};
+
+/**
+ * Allow the request only if the authenticated admin's roles grant a permission.
+ * Admins whose role requires 2FA get no permissions until they have enrolled.
+ * Must run after authenticateAdmin.
+ * @param {String} permission - Required permission, e.g. `properties:write`
+ * @returns {Function} - Express middleware
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (req.admin?.twoFactorSetupRequired) {
+    return res.status(403).json({
+      message: 'Two-factor authentication must be set up before continuing',
+      code: 'TWO_FACTOR_SETUP_REQUIRED'
+    });
+  }
+  if (!req.admin?.permissions.includes(permission)) {
+    return res.status(403).json({ message: 'Insufficient permissions', required: permission });
+  }
+  next();
+};
+
+/**
+ * Guest authentication: a guest access token whose session is live. Sets
+ * req.user and req.guestSession. Admin tokens are not accepted here.
+ */
+const authenticateGuest = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    if (!token) {
+      return res.status(401).json({ message: 'Access denied. No token provided.' });
+    }
+
+    const session = await guestSessionService.verify(token);
+    const user = session && await users.findById(session.userId);
+    if (!user || user.status !== 'Active') {
+      return res.status(401).json({ message: 'Invalid token.' });
+    }
+
+    req.user = user;
+    req.guestSession = session;
+    next();
+  } catch (error) {
+    res.status(401).json({ message: 'Invalid token.' });
+  }
+};
+
+module.exports = { authenticateAdmin, requirePermission, authenticateGuest };
@@ -0,0 +1,47 @@
+const { properties, bookings } = require('../repositories');
+const sendError = require('../utils/sendError');
+const HttpError = require('../utils/httpError');
+
+/**
+ * Let the request through only when the property in `:id` belongs to the
+ * authenticated host. Other hosts' properties answer 404, as if they did
+ * not exist. Must run after authenticateAdmin.
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Function} next - Next middleware
+ */
+const requireOwnProperty = async (req, res, next) => {
+  try {
+    const property = await properties.findById(req.params.id);
+    if (!property || property.host_id !== req.admin.id) {
+      throw new HttpError(404, 'Property not found');
+    }
+    req.property = property;
+    next();
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch property');
+  }
+};
+
+/**
+ * Let the request through only when the booking in `:id` is for one of the
+ * authenticated host's properties; other bookings answer 404.
+ * Must run after authenticateAdmin.
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Function} next - Next middleware
+ */
+const requireOwnBooking = async (req, res, next) => {
+  try {
+    const booking = await bookings.findById(req.params.id);
+    if (!booking || booking.hostId !== req.admin.id) {
+      throw new HttpError(404, 'Booking not found');
+    }
+    req.booking = booking;
+    next();
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch booking');
+  }
+};
+
+module.exports = { requireOwnProperty, requireOwnBooking };
@@ -0,0 +1,68 @@
+const { bookings } = require('../repositories');
+const sendError = require('../utils/sendError');
+const HttpError = require('../utils/httpError');
+const { MESSAGE_SENDERS } = require('../constants/messages');
+
+// Who reads and writes booking threads through each area of the API.
+// Guests see their own bookings; hosts their properties' (the routes check
+// ownership with requireOwnBooking); staff every booking, and those who
+// moderate also see held messages.
+const VIEWERS = {
+  guest: (req) => ({
+    party: 'guest',
+    type: MESSAGE_SENDERS.GUEST,
+    id: String(req.user.id),
+    scope: { userId: req.user.id }
+  }),
+  host: (req) => ({
+    party: 'host',
+    type: MESSAGE_SENDERS.HOST,
+    id: req.admin.id,
+    scope: { hostId: req.admin.id }
+  }),
+  admin: (req) => ({
+    party: 'host',
+    type: MESSAGE_SENDERS.ADMIN,
+    id: req.admin.id,
+    scope: {},
+    moderator: req.admin.permissions.includes('messages:moderate')
+  })
+};
+
+/**
+ * Set req.viewer, the identity message handlers act as.
+ * Must run after authenticateGuest (guest) or authenticateAdmin (host, admin).
+ * @param {String} area - guest, host or admin
+ * @returns {Function} - Express middleware
+ */
+const messageViewer = (area) => (req, res, next) => {
+  req.viewer = VIEWERS[area](req);
+  next();
+};
+
+/**
+ * Load the booking in `:id` into req.booking, answering 404 when it does not
+ * exist or, with `ownedByGuest`, is not the signed-in guest's
+ * @param {Object} options - { ownedByGuest }
+ * @returns {Function} - Express middleware
+ */
+const loadBooking = ({ ownedByGuest = false } = {}) => async (req, res, next) => {
+  try {
+    const booking = await bookings.findById(req.params.id);
+    if (!booking || (ownedByGuest && booking.userId !== req.user.id)) {
+      throw new HttpError(404, 'Booking not found');
+    }
+    req.booking = booking;
+    next();
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch booking');
+  }
+};
+
+// Any booking, for staff; must run after authenticateAdmin
+const requireBooking = loadBooking();
+
+// One of the signed-in guest's bookings; must run after authenticateGuest
+const requireGuestBooking = loadBooking({ ownedByGuest: true });
+
+module.exports = { messageViewer, requireBooking, requireGuestBooking };
@@ -0,0 +1,109 @@
+const path = require('path');
+const multer = require('multer');
+const { MAX_FILE_SIZE } = require('../config/storage');
+const { IMAGE_FORMATS, MAX_IMAGES_PER_UPLOAD } = require('../constants/images');
+const { ATTACHMENT_TYPES, MAX_ATTACHMENTS_PER_MESSAGE } = require('../constants/messages');
+
+const IMAGE_TYPES = Object.values(IMAGE_FORMATS).map(format => format.contentType);
+
+// Import files are recognised by extension; browsers label CSV inconsistently
+const IMPORT_EXTENSIONS = ['.csv', '.json'];
+
+/**
+ * Reject a file from the multer file filter with a 415
+ * @param {Object} file - Multer file
+ * @param {String} message - Message for the client
+ * @returns {Error} - Error for the multer callback
+ */
+const unsupportedFile = (file, message) => {
+  const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+  error.message = message;
+  error.status = 415;
+  return error;
+};
+
+// Files are kept in memory: images are re-encoded and imports parsed before anything is stored
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_IMAGES_PER_UPLOAD },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_TYPES.includes(file.mimetype)) {
+      return cb(unsupportedFile(file, `${file.originalname} is not a supported image. Use JPEG, PNG, WebP or AVIF`));
+    }
+    cb(null, true);
+  }
+});
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!IMPORT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(unsupportedFile(file, `${file.originalname} is not a supported import file. Use .csv or .json`));
+    }
+    cb(null, true);
+  }
+});
+
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_ATTACHMENTS_PER_MESSAGE },
+  fileFilter: (req, file, cb) => {
+    if (!ATTACHMENT_TYPES[file.mimetype]) {
+      return cb(unsupportedFile(file, `${file.originalname} cannot be attached. Use JPEG, PNG, WebP or PDF`));
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Run a multer handler, answering upload problems (size, count, type) with a JSON error
+ * @param {Function} handler - Multer middleware
+ * @param {String} tooMany - Message when too many files are sent
+ * @returns {Function} - Express middleware
+ */
+const withUploadErrors = (handler, tooMany) => (req, res, next) => {
+  handler(req, res, (error) => {
+    if (!error) return next();
+    if (!(error instanceof multer.MulterError)) return next(error);
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: `Files may be at most ${MAX_FILE_SIZE} bytes`, maxFileSize: MAX_FILE_SIZE });
+    }
+    if (error.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({ message: tooMany });
+    }
+    res.status(error.status || 400).json({ message: error.message, field: error.field });
+  });
+};
+
+/**
+ * Accept up to MAX_IMAGES_PER_UPLOAD images from a multipart field
+ * @param {String} field - Form field name
+ * @returns {Function} - Express middleware
+ */
+const uploadImages = (field) => withUploadErrors(
+  imageUpload.array(field, MAX_IMAGES_PER_UPLOAD),
+  `Upload at most ${MAX_IMAGES_PER_UPLOAD} images at a time`
+);
+
+/**
+ * Accept one optional .csv or .json file from a multipart field; other
+ * request bodies pass through untouched
+ * @param {String} field - Form field name
+ * @returns {Function} - Express middleware
+ */
+const uploadImportFile = (field) => withUploadErrors(importUpload.single(field), 'Upload one file at a time');
+
+/**
+ * Accept up to MAX_ATTACHMENTS_PER_MESSAGE message attachments from a
+ * multipart field; JSON bodies without attachments pass through untouched
+ * @param {String} field - Form field name
+ * @returns {Function} - Express middleware
+ */
+const uploadAttachments = (field) => withUploadErrors(
+  attachmentUpload.array(field, MAX_ATTACHMENTS_PER_MESSAGE),
+  `Attach at most ${MAX_ATTACHMENTS_PER_MESSAGE} files to a message`
+);
+
+module.exports = { uploadImages, uploadImportFile, uploadAttachments };
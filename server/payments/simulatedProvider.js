@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+// Test payment methods and the decline they trigger; any other method is approved
+const DECLINING_METHODS = {
+  pm_card_declined: 'card_declined',
+  pm_card_insufficient_funds: 'insufficient_funds',
+  pm_card_expired: 'expired_card'
+};
+
+// Simulates the provider being unreachable
+const FAILING_METHOD = 'pm_card_provider_error';
+
+/**
+ * Payment provider that moves no money, for development and tests. It
+ * remembers its answer to each idempotency key for as long as the process
+ * runs, so a retried call gets the first answer again; outages are not
+ * remembered, since nothing happened.
+ *
+ * Every payment provider implements the same interface, so a card processor
+ * can replace this one without touching the services. Amounts are in minor
+ * units (cents); `idempotencyKey` lets the provider ignore a retried call.
+ *  - authorize({ amount, currency, paymentMethod, description, idempotencyKey })
+ *      -> { status: 'authorized', reference } or { status: 'declined', reason }
+ *  - capture({ reference, amount, currency, idempotencyKey }) -> { reference }
+ *      takes `amount` of the authorisation and releases the rest
+ *  - void({ reference, idempotencyKey })                      -> {}
+ *  - refund({ reference, amount, currency, idempotencyKey })  -> { reference }
+ *      where `reference` is the capture being refunded
+ * Provider outages are thrown as errors; declines are not errors.
+ */
+class SimulatedProvider {
+  constructor() {
+    this.name = 'simulated';
+    this.answers = new Map();
+  }
+
+  async authorize({ paymentMethod, idempotencyKey }) {
+    return this.once(idempotencyKey, async () => {
+      if (paymentMethod === FAILING_METHOD) {
+        throw new Error('Simulated provider outage');
+      }
+      if (DECLINING_METHODS[paymentMethod]) {
+        return { status: 'declined', reason: DECLINING_METHODS[paymentMethod] };
+      }
+      return { status: 'authorized', reference: reference('auth') };
+    });
+  }
+
+  async capture({ idempotencyKey }) {
+    return this.once(idempotencyKey, async () => ({ reference: reference('cap') }));
+  }
+
+  async void({ idempotencyKey }) {
+    return this.once(idempotencyKey, async () => ({}));
+  }
+
+  async refund({ idempotencyKey }) {
+    return this.once(idempotencyKey, async () => ({ reference: reference('ref') }));
+  }
+
+  /**
+   * Answer a call, or repeat the answer to an earlier call with the same key
+   * @param {String} idempotencyKey - Key of the call, if any
+   * @param {Function} call - Async call making the answer
+   * @returns {Promise<Object>} - Answer
+   */
+  once(idempotencyKey, call) {
+    if (!idempotencyKey) return call();
+    if (!this.answers.has(idempotencyKey)) {
+      this.answers.set(idempotencyKey, call().catch((error) => {
+        this.answers.delete(idempotencyKey);
+        throw error;
+      }));
+    }
+    return this.answers.get(idempotencyKey);
+  }
+}
+
+function reference(kind) {
+  return `sim_${kind}_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+module.exports = SimulatedProvider;
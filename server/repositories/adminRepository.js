@@ -0,0 +1,206 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Map a database row to the admin shape used by the API
+ * @param {Object} row - Database row
+ * @param {Array} roles - Role keys assigned to the admin
+ * @returns {Object} - Admin, including the password hash
+ */
+const toAdmin = (row, roles = []) => row && {
+  id: row.id,
+  name: row.name,
+  email: row.email,
+  password: row.password_hash,
+  roles,
+  status: row.status,
+  twoFactorEnabled: Boolean(row.totp_enabled),
+  created_at: row.created_at,
+  updated_at: row.updated_at
+};
+
+// API field -> column for admin updates
+const UPDATABLE_FIELDS = {
+  name: 'name',
+  password: 'password_hash',
+  status: 'status'
+};
+
+class AdminRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async findAll() {
+    const rows = await this.db.query('SELECT * FROM admins ORDER BY created_at, id');
+    const assignments = await this.db.query('SELECT admin_id, role FROM admin_roles ORDER BY role');
+    return rows.map(row => toAdmin(
+      row,
+      assignments.filter(assignment => assignment.admin_id === row.id).map(assignment => assignment.role)
+    ));
+  }
+
+  async findById(id) {
+    const row = await this.db.get('SELECT * FROM admins WHERE id = ?', [id]);
+    return row ? toAdmin(row, await this.findRoles(row.id)) : null;
+  }
+
+  async findByEmail(email) {
+    const row = await this.db.get('SELECT * FROM admins WHERE email = ?', [email]);
+    return row ? toAdmin(row, await this.findRoles(row.id)) : null;
+  }
+
+  async count() {
+    const row = await this.db.get('SELECT COUNT(*) AS count FROM admins');
+    return Number(row.count);
+  }
+
+  /**
+   * Create an admin
+   * @param {Object} data - Admin fields; `password` must already be hashed and
+   *   is left empty for invited admins until they accept
+   * @returns {Promise<Object>} - Created admin
+   */
+  async create(data) {
+    const now = new Date().toISOString();
+    const row = await this.db.get(
+      `INSERT INTO admins (id, name, email, password_hash, status, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?) RETURNING *`,
+      [data.id || uuidv4(), data.name, data.email, data.password || '', data.status || 'active', now, now]
+    );
+    const roles = data.roles || [];
+    await this.setRoles(row.id, roles, null);
+    return toAdmin(row, roles);
+  }
+
+  /**
+   * Update name, password hash or status
+   * @param {String} id - Admin id
+   * @param {Object} changes - { name, password, status }
+   * @returns {Promise<Object>} - Updated admin
+   */
+  async update(id, changes) {
+    const fields = Object.keys(changes).filter(field => UPDATABLE_FIELDS[field]);
+    await this.db.run(
+      `UPDATE admins SET ${fields.map(field => `${UPDATABLE_FIELDS[field]} = ?, `).join('')}updated_at = ? WHERE id = ?`,
+      [...fields.map(field => changes[field]), new Date().toISOString(), id]
+    );
+    return this.findById(id);
+  }
+
+  async findRoles(adminId) {
+    const rows = await this.db.query('SELECT role FROM admin_roles WHERE admin_id = ? ORDER BY role', [adminId]);
+    return rows.map(row => row.role);
+  }
+
+  /**
+   * Replace the roles assigned to an admin
+   * @param {String} adminId - Admin id
+   * @param {Array} roles - Role keys
+   * @param {String} assignedBy - Id of the admin making the change
+   */
+  async setRoles(adminId, roles, assignedBy) {
+    const now = new Date().toISOString();
+    await this.db.run('DELETE FROM admin_roles WHERE admin_id = ?', [adminId]);
+    for (const role of roles) {
+      await this.db.run(
+        'INSERT INTO admin_roles (admin_id, role, assigned_by, assigned_at) VALUES (?, ?, ?, ?)',
+        [adminId, role, assignedBy, now]
+      );
+    }
+  }
+
+  /**
+   * Count active admins holding a role
+   * @param {String} role - Role key
+   * @returns {Promise<Number>} - Count
+   */
+  async countActiveWithRole(role) {
+    const row = await this.db.get(
+      `SELECT COUNT(*) AS count FROM admin_roles r
+       JOIN admins a ON a.id = r.admin_id
+       WHERE r.role = ? AND a.status = 'active'`,
+      [role]
+    );
+    return Number(row.count);
+  }
+
+  /**
+   * TOTP state of an admin; kept out of the admin shape so the secret never leaves the server
+   * @param {String} adminId - Admin id
+   * @returns {Promise<Object>} - { secret, enabled, lastStep }
+   */
+  async findTwoFactor(adminId) {
+    const row = await this.db.get('SELECT totp_secret, totp_enabled, totp_last_step FROM admins WHERE id = ?', [adminId]);
+    return row && {
+      secret: row.totp_secret,
+      enabled: Boolean(row.totp_enabled),
+      lastStep: row.totp_last_step === null ? null : Number(row.totp_last_step)
+    };
+  }
+
+  /**
+   * Store a TOTP secret (pending until enabled) or clear it with `secret: null`
+   * @param {String} adminId - Admin id
+   * @param {Object} state - { secret, enabled }
+   */
+  async saveTwoFactor(adminId, { secret, enabled }) {
+    await this.db.run(
+      'UPDATE admins SET totp_secret = ?, totp_enabled = ?, totp_last_step = NULL, updated_at = ? WHERE id = ?',
+      [secret, enabled ? 1 : 0, new Date().toISOString(), adminId]
+    );
+  }
+
+  /**
+   * Record the time step of an accepted code so the same code cannot be replayed
+   * @param {String} adminId - Admin id
+   * @param {Number} step - Accepted step
+   * @returns {Promise<Boolean>} - False if an equal or later step was already used
+   */
+  async useTotpStep(adminId, step) {
+    const { changes } = await this.db.run(
+      'UPDATE admins SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+      [step, adminId, step]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Replace an admin's recovery codes
+   * @param {String} adminId - Admin id
+   * @param {Array} codeHashes - Hashes of the new codes
+   */
+  async replaceRecoveryCodes(adminId, codeHashes) {
+    const now = new Date().toISOString();
+    await this.db.run('DELETE FROM admin_recovery_codes WHERE admin_id = ?', [adminId]);
+    for (const codeHash of codeHashes) {
+      await this.db.run(
+        'INSERT INTO admin_recovery_codes (admin_id, code_hash, created_at) VALUES (?, ?, ?)',
+        [adminId, codeHash, now]
+      );
+    }
+  }
+
+  /**
+   * Spend a recovery code
+   * @param {String} adminId - Admin id
+   * @param {String} codeHash - Hash of the code presented
+   * @returns {Promise<Boolean>} - Whether an unused code matched
+   */
+  async useRecoveryCode(adminId, codeHash) {
+    const { changes } = await this.db.run(
+      'UPDATE admin_recovery_codes SET used_at = ? WHERE admin_id = ? AND code_hash = ? AND used_at IS NULL',
+      [new Date().toISOString(), adminId, codeHash]
+    );
+    return changes > 0;
+  }
+
+  async countRecoveryCodes(adminId) {
+    const row = await this.db.get(
+      'SELECT COUNT(*) AS count FROM admin_recovery_codes WHERE admin_id = ? AND used_at IS NULL',
+      [adminId]
+    );
+    return Number(row.count);
+  }
+}
+
+module.exports = AdminRepository;
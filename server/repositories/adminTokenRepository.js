@@ -0,0 +1,57 @@
+const { v4: uuidv4 } = require('uuid');
+
+const toToken = (row) => row && {
+  id: row.id,
+  adminId: row.admin_id,
+  purpose: row.purpose,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  expiresAt: row.expires_at,
+  usedAt: row.used_at
+};
+
+/**
+ * Single-use tokens for admin invitations and password resets
+ */
+class AdminTokenRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async findById(id) {
+    return toToken(await this.db.get('SELECT * FROM admin_tokens WHERE id = ?', [id]));
+  }
+
+  /**
+   * Issue a token, discarding unused ones of the same purpose so only the latest link works
+   * @param {Object} data - { id, adminId, purpose, createdBy, expiresAt }
+   * @returns {Promise<Object>} - Created token
+   */
+  async create(data) {
+    await this.db.run(
+      'DELETE FROM admin_tokens WHERE admin_id = ? AND purpose = ? AND used_at IS NULL',
+      [data.adminId, data.purpose]
+    );
+    const row = await this.db.get(
+      `INSERT INTO admin_tokens (id, admin_id, purpose, created_by, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?) RETURNING *`,
+      [data.id || uuidv4(), data.adminId, data.purpose, data.createdBy, new Date().toISOString(), data.expiresAt]
+    );
+    return toToken(row);
+  }
+
+  /**
+   * Spend a token
+   * @param {String} id - Token id
+   * @returns {Promise<Boolean>} - False if it was already used or no longer exists
+   */
+  async use(id) {
+    const { changes } = await this.db.run(
+      'UPDATE admin_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL',
+      [new Date().toISOString(), id]
+    );
+    return changes > 0;
+  }
+}
+
+module.exports = AdminTokenRepository;
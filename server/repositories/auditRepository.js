@@ -0,0 +1,106 @@
+const { parseListParams, runListQuery, iterateList } = require('../utils/listQuery');
+
+// Filtering and sorting allowed on the audit log
+const LIST_SPEC = {
+  from: 'SELECT a.* FROM audit_log a',
+  countFrom: 'FROM audit_log a',
+  id: 'id',
+  defaultSort: '-id',
+  fields: {
+    id: { expr: 'a.id', row: 'id' },
+    created_at: { expr: 'a.created_at', row: 'created_at' },
+    action: { expr: 'a.action', row: 'action' }
+  },
+  filters: {
+    actorId: { expr: 'a.actor_id', op: 'eq' },
+    actorEmail: { expr: 'a.actor_email', op: 'contains' },
+    action: { expr: 'a.action', op: 'contains' },
+    method: { expr: 'a.method', op: 'in' },
+    targetType: { expr: 'a.target_type', op: 'in' },
+    targetId: { expr: 'a.target_id', op: 'eq' },
+    outcome: { expr: 'a.outcome', op: 'in' },
+    ip: { expr: 'a.ip', op: 'eq' },
+    from: { expr: 'SUBSTR(a.created_at, 1, 10)', op: 'gte', type: 'date' },
+    to: { expr: 'SUBSTR(a.created_at, 1, 10)', op: 'lte', type: 'date' }
+  },
+  search: ['a.action', 'a.path', 'a.actor_email', 'a.target_id']
+};
+
+/**
+ * Map a database row to an audit entry
+ * @param {Object} row - Database row
+ * @returns {Object} - Audit entry
+ */
+const toEntry = (row) => row && {
+  id: row.id,
+  createdAt: row.created_at,
+  actor: { type: row.actor_type, id: row.actor_id, email: row.actor_email },
+  action: row.action,
+  method: row.method,
+  path: row.path,
+  target: row.target_type ? { type: row.target_type, id: row.target_id } : null,
+  statusCode: row.status_code,
+  outcome: row.outcome,
+  changes: row.changes ? JSON.parse(row.changes) : null,
+  details: row.details ? JSON.parse(row.details) : null,
+  ip: row.ip,
+  userAgent: row.user_agent
+};
+
+/**
+ * Append-only audit trail: entries can be added and read, never changed
+ */
+class AuditRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Append an entry
+   * @param {Object} entry - { actor, action, method, path, target, statusCode, outcome, changes, details, ip, userAgent }
+   */
+  async record(entry) {
+    await this.db.run(
+      `INSERT INTO audit_log (created_at, actor_type, actor_id, actor_email, action, method, path,
+         target_type, target_id, status_code, outcome, changes, details, ip, user_agent)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        new Date().toISOString(),
+        entry.actor.type,
+        entry.actor.id,
+        entry.actor.email,
+        entry.action,
+        entry.method,
+        entry.path,
+        entry.target?.type,
+        entry.target?.id === undefined || entry.target?.id === null ? null : String(entry.target.id),
+        entry.statusCode,
+        entry.outcome,
+        entry.changes ? JSON.stringify(entry.changes) : null,
+        entry.details ? JSON.stringify(entry.details) : null,
+        entry.ip,
+        entry.userAgent
+      ]
+    );
+  }
+
+  /**
+   * Paginated, filtered list
+   * @param {Object} query - Query string parameters (see LIST_SPEC)
+   * @returns {Promise<Object>} - { data, pagination }
+   */
+  async list(query) {
+    return runListQuery(this.db, LIST_SPEC, parseListParams(query, LIST_SPEC), toEntry);
+  }
+
+  /**
+   * Every entry matching the filters, for exports
+   * @param {Object} query - Query string parameters (see LIST_SPEC)
+   * @returns {AsyncGenerator<Object>} - Entries
+   */
+  iterate(query) {
+    return iterateList(this.db, LIST_SPEC, parseListParams(query, LIST_SPEC), toEntry);
+  }
+}
+
+module.exports = AuditRepository;
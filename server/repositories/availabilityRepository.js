@@ -0,0 +1,110 @@
+const DEFAULT_RULES = {
+  minStay: 1,
+  maxStay: null,
+  checkInDays: null,
+  bufferDays: 0
+};
+
+const toRules = (row) => (row ? {
+  minStay: row.min_stay,
+  maxStay: row.max_stay,
+  checkInDays: row.check_in_days ? JSON.parse(row.check_in_days) : null,
+  bufferDays: row.buffer_days
+} : { ...DEFAULT_RULES });
+
+const toBlock = (row) => row && {
+  id: row.id,
+  propertyId: row.property_id,
+  startDate: row.start_date,
+  endDate: row.end_date,
+  reason: row.reason,
+  created_at: row.created_at
+};
+
+/**
+ * Stay rules and blocked dates per property
+ */
+class AvailabilityRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Get the stay rules of a property, falling back to the defaults
+   * @param {Number} propertyId - Property id
+   * @returns {Promise<Object>} - { minStay, maxStay, checkInDays, bufferDays }
+   */
+  async getRules(propertyId) {
+    return toRules(await this.db.get('SELECT * FROM availability_rules WHERE property_id = ?', [propertyId]));
+  }
+
+  /**
+   * Replace the stay rules of a property
+   * @param {Number} propertyId - Property id
+   * @param {Object} rules - { minStay, maxStay, checkInDays, bufferDays }
+   * @returns {Promise<Object>} - Stored rules
+   */
+  async saveRules(propertyId, rules) {
+    const row = await this.db.get(
+      `INSERT INTO availability_rules (property_id, min_stay, max_stay, check_in_days, buffer_days, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT (property_id) DO UPDATE SET
+         min_stay = excluded.min_stay,
+         max_stay = excluded.max_stay,
+         check_in_days = excluded.check_in_days,
+         buffer_days = excluded.buffer_days,
+         updated_at = excluded.updated_at
+       RETURNING *`,
+      [
+        propertyId,
+        rules.minStay,
+        rules.maxStay,
+        rules.checkInDays ? JSON.stringify(rules.checkInDays) : null,
+        rules.bufferDays,
+        new Date().toISOString()
+      ]
+    );
+    return toRules(row);
+  }
+
+  /**
+   * Blocked ranges of a property that touch [from, to]
+   * @param {Number} propertyId - Property id
+   * @param {String} from - YYYY-MM-DD, optional
+   * @param {String} to - YYYY-MM-DD, optional
+   * @returns {Promise<Array>} - Blocked ranges
+   */
+  async findBlocks(propertyId, from = '0000-01-01', to = '9999-12-31') {
+    const rows = await this.db.query(
+      `SELECT * FROM blocked_dates
+       WHERE property_id = ? AND start_date <= ? AND end_date >= ?
+       ORDER BY start_date`,
+      [propertyId, to, from]
+    );
+    return rows.map(toBlock);
+  }
+
+  /**
+   * Block a range of nights; both ends are inclusive
+   * @param {Object} block - { propertyId, startDate, endDate, reason }
+   * @returns {Promise<Object>} - Stored block
+   */
+  async addBlock(block) {
+    const row = await this.db.get(
+      `INSERT INTO blocked_dates (property_id, start_date, end_date, reason, created_at)
+       VALUES (?, ?, ?, ?, ?) RETURNING *`,
+      [block.propertyId, block.startDate, block.endDate, block.reason, new Date().toISOString()]
+    );
+    return toBlock(row);
+  }
+
+  async removeBlock(propertyId, blockId) {
+    const { changes } = await this.db.run(
+      'DELETE FROM blocked_dates WHERE property_id = ? AND id = ?',
+      [propertyId, blockId]
+    );
+    return changes > 0;
+  }
+}
+
+module.exports = AvailabilityRepository;
@@ -0,0 +1,56 @@
+/**
+ * Map a database row to a booking history entry
+ * @param {Object} row - Database row
+ * @returns {Object} - Booking event
+ */
+const toEvent = (row) => row && {
+  id: row.id,
+  bookingId: row.booking_id,
+  type: row.type,
+  fromStatus: row.from_status,
+  toStatus: row.to_status,
+  actor: { type: row.actor_type, id: row.actor_id },
+  note: row.note,
+  details: JSON.parse(row.details || '{}'),
+  created_at: row.created_at
+};
+
+/**
+ * Append-only history of what happened to each booking
+ */
+class BookingEventRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Record a booking event
+   * @param {Object} event - { bookingId, type, fromStatus, toStatus, actor, note, details }
+   * @returns {Promise<Object>} - Stored event
+   */
+  async record(event) {
+    const row = await this.db.get(
+      `INSERT INTO booking_events (booking_id, type, from_status, to_status, actor_type, actor_id, note, details, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING *`,
+      [
+        event.bookingId,
+        event.type,
+        event.fromStatus,
+        event.toStatus,
+        event.actor?.type || 'system',
+        event.actor?.id,
+        event.note,
+        JSON.stringify(event.details || {}),
+        new Date().toISOString()
+      ]
+    );
+    return toEvent(row);
+  }
+
+  async findByBooking(bookingId) {
+    const rows = await this.db.query('SELECT * FROM booking_events WHERE booking_id = ? ORDER BY id', [bookingId]);
+    return rows.map(toEvent);
+  }
+}
+
+module.exports = BookingEventRepository;
@@ -0,0 +1,240 @@
+const SequenceRepository = require('./sequenceRepository');
+const { parseListParams, runListQuery, iterateList } = require('../utils/listQuery');
+
+const SELECT_BOOKINGS = `
+  SELECT b.*, p.name AS property_name, p.location AS property_location, p.host_id
+  FROM bookings b
+  LEFT JOIN properties p ON p.id = b.property_id`;
+
+// Sorting, filtering and search allowed on the admin booking list
+const LIST_SPEC = {
+  from: SELECT_BOOKINGS,
+  countFrom: 'FROM bookings b LEFT JOIN properties p ON p.id = b.property_id',
+  id: 'id',
+  defaultSort: '-created_at',
+  fields: {
+    id: { expr: 'b.id', row: 'id' },
+    guestName: { expr: 'b.guest_name', row: 'guest_name' },
+    guestEmail: { expr: 'b.guest_email', row: 'guest_email' },
+    propertyName: { expr: "COALESCE(p.name, '')", row: 'property_name', nullValue: '' },
+    checkIn: { expr: 'b.check_in', row: 'check_in' },
+    checkOut: { expr: 'b.check_out', row: 'check_out' },
+    guests: { expr: 'b.guests', row: 'guests' },
+    totalAmount: { expr: 'b.total_amount', row: 'total_amount' },
+    status: { expr: 'b.status', row: 'status' },
+    paymentStatus: { expr: 'b.payment_status', row: 'payment_status' },
+    bookingDate: { expr: 'b.booking_date', row: 'booking_date' },
+    created_at: { expr: 'b.created_at', row: 'created_at' }
+  },
+  filters: {
+    status: { expr: 'b.status', op: 'in' },
+    paymentStatus: { expr: 'b.payment_status', op: 'in' },
+    currency: { expr: 'b.currency', op: 'in' },
+    propertyId: { expr: 'b.property_id', op: 'in', type: 'number' },
+    hostId: { expr: 'p.host_id', op: 'eq' },
+    userId: { expr: 'b.user_id', op: 'eq', type: 'number' },
+    category: { expr: 'p.category', op: 'in' },
+    location: { expr: 'p.location', op: 'contains' },
+    checkInFrom: { expr: 'b.check_in', op: 'gte', type: 'date' },
+    checkInTo: { expr: 'b.check_in', op: 'lte', type: 'date' },
+    checkOutFrom: { expr: 'b.check_out', op: 'gte', type: 'date' },
+    checkOutTo: { expr: 'b.check_out', op: 'lte', type: 'date' },
+    bookedFrom: { expr: 'b.booking_date', op: 'gte', type: 'date' },
+    bookedTo: { expr: 'b.booking_date', op: 'lte', type: 'date' }
+  },
+  search: ['b.id', 'b.guest_name', 'b.guest_email', 'p.name', 'p.location']
+};
+
+/**
+ * Map a database row to the booking shape used by the admin API
+ * @param {Object} row - Database row joined with its property
+ * @returns {Object} - Booking
+ */
+const toBooking = (row) => row && {
+  id: row.id,
+  propertyId: row.property_id,
+  userId: row.user_id,
+  guestName: row.guest_name,
+  guestEmail: row.guest_email,
+  propertyName: row.property_name,
+  propertyLocation: row.property_location,
+  hostId: row.host_id,
+  checkIn: row.check_in,
+  checkOut: row.check_out,
+  guests: row.guests,
+  totalAmount: row.total_amount,
+  currency: row.currency,
+  baseCurrency: row.base_currency,
+  exchangeRate: Number(row.exchange_rate),
+  status: row.status,
+  bookingDate: row.booking_date,
+  paymentStatus: row.payment_status,
+  pricing: row.pricing ? JSON.parse(row.pricing) : null,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+};
+
+// API field -> column for fields that can change after creation
+const UPDATABLE_FIELDS = {
+  propertyId: 'property_id',
+  userId: 'user_id',
+  guestName: 'guest_name',
+  guestEmail: 'guest_email',
+  checkIn: 'check_in',
+  checkOut: 'check_out',
+  guests: 'guests',
+  totalAmount: 'total_amount',
+  baseCurrency: 'base_currency',
+  exchangeRate: 'exchange_rate',
+  status: 'status',
+  paymentStatus: 'payment_status',
+  pricing: 'pricing'
+};
+
+/**
+ * Format a booking number as its public id, e.g. 1 -> BK001
+ * @param {Number} value - Sequence value
+ * @returns {String} - Booking id
+ */
+const formatBookingId = (value) => `BK${String(value).padStart(3, '0')}`;
+
+class BookingRepository {
+  constructor(db) {
+    this.db = db;
+    this.sequences = new SequenceRepository(db);
+  }
+
+  async findAll() {
+    const rows = await this.db.query(`${SELECT_BOOKINGS} ORDER BY b.created_at, b.id`);
+    return rows.map(toBooking);
+  }
+
+  /**
+   * Paginated, filtered and sorted list for the admin API
+   * @param {Object} query - Query string parameters (see LIST_SPEC)
+   * @returns {Promise<Object>} - { data, pagination }
+   */
+  async list(query) {
+    return runListQuery(this.db, LIST_SPEC, parseListParams(query, LIST_SPEC), toBooking);
+  }
+
+  /**
+   * Walk every booking matching the list filters, for exports
+   * @param {Object} query - Query string parameters (see LIST_SPEC)
+   * @returns {AsyncGenerator<Object>} - Bookings
+   */
+  iterate(query) {
+    return iterateList(this.db, LIST_SPEC, parseListParams(query, LIST_SPEC), toBooking);
+  }
+
+  async findById(id) {
+    return toBooking(await this.db.get(`${SELECT_BOOKINGS} WHERE b.id = ?`, [id]));
+  }
+
+  /**
+   * Bookings of a property that still hold their dates and overlap [from, to)
+   * @param {Number} propertyId - Property id
+   * @param {String} from - YYYY-MM-DD
+   * @param {String} to - YYYY-MM-DD (exclusive)
+   * @param {Array} releasedStatuses - Statuses that no longer occupy the property
+   * @returns {Promise<Array>} - Overlapping bookings
+   */
+  async findOverlapping(propertyId, from, to, releasedStatuses) {
+    const rows = await this.db.query(
+      `${SELECT_BOOKINGS}
+       WHERE b.property_id = ? AND b.check_in < ? AND b.check_out > ?
+         AND b.status NOT IN (${releasedStatuses.map(() => '?').join(', ')})
+       ORDER BY b.check_in`,
+      [propertyId, to, from, ...releasedStatuses]
+    );
+    return rows.map(toBooking);
+  }
+
+  async count() {
+    const row = await this.db.get('SELECT COUNT(*) AS count FROM bookings');
+    return Number(row.count);
+  }
+
+  /**
+   * Create a booking with the next sequential booking id
+   * @param {Object} data - Booking fields, with the currency it is charged in, the
+   *                        property's base currency and the exchange rate between them
+   * @returns {Promise<Object>} - Created booking
+   */
+  async create(data) {
+    const id = formatBookingId(await this.sequences.next('booking'));
+    const now = new Date().toISOString();
+
+    await this.db.run(
+      `INSERT INTO bookings (id, property_id, user_id, guest_name, guest_email, check_in, check_out,
+         guests, total_amount, currency, base_currency, exchange_rate, status, payment_status, pricing,
+         booking_date, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id,
+        data.propertyId,
+        data.userId,
+        data.guestName,
+        data.guestEmail,
+        data.checkIn,
+        data.checkOut,
+        data.guests || 1,
+        data.totalAmount || 0,
+        data.currency,
+        data.baseCurrency || data.currency,
+        data.exchangeRate ?? 1,
+        data.status || 'Pending',
+        data.paymentStatus || 'Pending',
+        data.pricing ? JSON.stringify(data.pricing) : null,
+        data.bookingDate || now.slice(0, 10),
+        now,
+        now
+      ]
+    );
+
+    return this.findById(id);
+  }
+
+  /**
+   * Lock a booking row until the surrounding transaction ends, so payment
+   * changes cannot race. Only matters on Postgres, as for properties.
+   * @param {String} id - Booking id
+   */
+  async lock(id) {
+    if (this.db.dialect === 'postgres') {
+      await this.db.query('SELECT id FROM bookings WHERE id = ? FOR UPDATE', [id]);
+    }
+  }
+
+  /**
+   * Give the bookings made for an email address without an account to the
+   * user who has just verified that address
+   * @param {String} email - Guest email address
+   * @param {Number} userId - User id
+   * @returns {Promise<Number>} - Bookings linked
+   */
+  async linkToUser(email, userId) {
+    const { changes } = await this.db.run(
+      'UPDATE bookings SET user_id = ?, updated_at = ? WHERE user_id IS NULL AND LOWER(guest_email) = LOWER(?)',
+      [userId, new Date().toISOString(), email]
+    );
+    return changes;
+  }
+
+  /**
+   * Update booking fields
+   * @param {String} id - Booking id
+   * @param {Object} changes - Fields to change, using API field names
+   * @returns {Promise<Object|null>} - Updated booking, or null if not found
+   */
+  async update(id, changes) {
+    const fields = Object.keys(changes).filter(field => UPDATABLE_FIELDS[field]);
+    const { changes: updated } = await this.db.run(
+      `UPDATE bookings SET ${fields.map(field => `${UPDATABLE_FIELDS[field]} = ?, `).join('')}updated_at = ? WHERE id = ?`,
+      [...fields.map(field => (field === 'pricing' ? JSON.stringify(changes.pricing) : changes[field])), new Date().toISOString(), id]
+    );
+    return updated > 0 ? this.findById(id) : null;
+  }
+}
+
+module.exports = BookingRepository;
@@ -0,0 +1,82 @@
+/**
+ * Map a database row to the exchange rate shape used by the API
+ * @param {Object} row - Database row
+ * @returns {Object} - Exchange rate: 1 base = rate quote
+ */
+const toRate = (row) => row && {
+  id: row.id,
+  base: row.base_currency,
+  quote: row.quote_currency,
+  rate: Number(row.rate),
+  effectiveFrom: row.effective_from,
+  note: row.note,
+  createdBy: row.created_by,
+  created_at: row.created_at
+};
+
+/**
+ * Exchange rate history. Rows are never changed: a new rate for a pair is
+ * a new row, and the newest one whose effective_from has passed is in effect.
+ */
+class ExchangeRateRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Every rate that took effect up to a moment, oldest first, so a later
+   * row of a pair replaces an earlier one when read in order
+   * @param {String} at - ISO timestamp; omit for the whole history
+   * @returns {Promise<Array>} - Exchange rates
+   */
+  async findEffective(at) {
+    const rows = at
+      ? await this.db.query('SELECT * FROM exchange_rates WHERE effective_from <= ? ORDER BY effective_from, id', [at])
+      : await this.db.query('SELECT * FROM exchange_rates ORDER BY effective_from, id');
+    return rows.map(toRate);
+  }
+
+  /**
+   * History of one pair, newest first, scheduled rates included
+   * @param {String} base - Base currency
+   * @param {String} quote - Quote currency
+   * @returns {Promise<Array>} - Exchange rates
+   */
+  async findByPair(base, quote) {
+    const rows = await this.db.query(
+      `SELECT * FROM exchange_rates WHERE base_currency = ? AND quote_currency = ?
+       ORDER BY effective_from DESC, id DESC`,
+      [base, quote]
+    );
+    return rows.map(toRate);
+  }
+
+  /**
+   * Rates set to take effect later, soonest first
+   * @param {String} after - ISO timestamp
+   * @returns {Promise<Array>} - Exchange rates
+   */
+  async findScheduled(after) {
+    const rows = await this.db.query(
+      'SELECT * FROM exchange_rates WHERE effective_from > ? ORDER BY effective_from, id',
+      [after]
+    );
+    return rows.map(toRate);
+  }
+
+  /**
+   * Record a rate for a pair
+   * @param {Object} data - { base, quote, rate, effectiveFrom, note, createdBy }
+   * @returns {Promise<Object>} - Stored rate
+   */
+  async create(data) {
+    const row = await this.db.get(
+      `INSERT INTO exchange_rates (base_currency, quote_currency, rate, effective_from, note, created_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?) RETURNING *`,
+      [data.base, data.quote, data.rate, data.effectiveFrom, data.note || null, data.createdBy, new Date().toISOString()]
+    );
+    return toRate(row);
+  }
+}
+
+module.exports = ExchangeRateRepository;
@@ -0,0 +1,81 @@
+const { v4: uuidv4 } = require('uuid');
+
+const toToken = (row) => row && {
+  id: row.id,
+  userId: row.user_id,
+  purpose: row.purpose,
+  passwordHash: row.password_hash,
+  createdAt: row.created_at,
+  expiresAt: row.expires_at,
+  usedAt: row.used_at
+};
+
+/**
+ * Single-use tokens for guest email verification and password resets
+ */
+class GuestTokenRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async findById(id) {
+    return toToken(await this.db.get('SELECT * FROM guest_tokens WHERE id = ?', [id]));
+  }
+
+  /**
+   * Unused, unexpired tokens of a user for one purpose, newest first
+   * @param {Number} userId - User id
+   * @param {String} purpose - Token purpose
+   * @returns {Promise<Array>} - Tokens
+   */
+  async findPending(userId, purpose) {
+    const rows = await this.db.query(
+      `SELECT * FROM guest_tokens
+       WHERE user_id = ? AND purpose = ? AND used_at IS NULL AND expires_at > ?
+       ORDER BY created_at DESC`,
+      [userId, purpose, new Date().toISOString()]
+    );
+    return rows.map(toToken);
+  }
+
+  /**
+   * Issue a token
+   * @param {Object} data - { id, userId, purpose, passwordHash, expiresAt }
+   * @returns {Promise<Object>} - Created token
+   */
+  async create(data) {
+    const row = await this.db.get(
+      `INSERT INTO guest_tokens (id, user_id, purpose, password_hash, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?) RETURNING *`,
+      [data.id || uuidv4(), data.userId, data.purpose, data.passwordHash ?? null, new Date().toISOString(), data.expiresAt]
+    );
+    return toToken(row);
+  }
+
+  /**
+   * Discard a user's unused tokens of one purpose, so that their links stop working
+   * @param {Number} userId - User id
+   * @param {String} purpose - Token purpose
+   */
+  async discardUnused(userId, purpose) {
+    await this.db.run(
+      'DELETE FROM guest_tokens WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+      [userId, purpose]
+    );
+  }
+
+  /**
+   * Spend a token
+   * @param {String} id - Token id
+   * @returns {Promise<Boolean>} - False if it was already used or no longer exists
+   */
+  async use(id) {
+    const { changes } = await this.db.run(
+      'UPDATE guest_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL',
+      [new Date().toISOString(), id]
+    );
+    return changes > 0;
+  }
+}
+
+module.exports = GuestTokenRepository;
@@ -0,0 +1,134 @@
+/**
+ * Map a database row to the host shape used by the API
+ * @param {Object} row - Database row
+ * @returns {Object} - Host; commission and schedule are null until set
+ */
+const toHost = (row) => row && {
+  id: row.id,
+  name: row.name,
+  email: row.email,
+  status: row.status,
+  commissionRate: row.commission_rate === null ? null : Number(row.commission_rate),
+  payoutSchedule: row.payout_schedule,
+  propertyCount: Number(row.property_count),
+  settingsUpdatedBy: row.updated_by,
+  settingsUpdatedAt: row.updated_at
+};
+
+const SELECT_HOSTS = `
+  SELECT a.id, a.name, a.email, a.status, s.commission_rate, s.payout_schedule, s.updated_by, s.updated_at,
+    (SELECT COUNT(*) FROM properties p WHERE p.host_id = a.id AND p.deleted_at IS NULL) AS property_count
+  FROM admins a
+  JOIN admin_roles r ON r.admin_id = a.id AND r.role = ?
+  LEFT JOIN host_settings s ON s.admin_id = a.id`;
+
+/**
+ * Hosts (admins holding the host role), their commission and payout
+ * settings, and the figures their earnings are worked out from
+ */
+class HostRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Every account holding the host role
+   * @param {String} role - Host role key
+   * @returns {Promise<Array>} - Hosts, by name
+   */
+  async findAll(role) {
+    const rows = await this.db.query(`${SELECT_HOSTS} ORDER BY a.name, a.id`, [role]);
+    return rows.map(toHost);
+  }
+
+  async findById(id, role) {
+    return toHost(await this.db.get(`${SELECT_HOSTS} WHERE a.id = ?`, [role, id]));
+  }
+
+  /**
+   * Hold a host's row for the rest of the transaction, so two payout runs
+   * cannot pay the same bookings twice
+   * @param {String} id - Host id
+   */
+  async lock(id) {
+    if (this.db.dialect === 'postgres') {
+      await this.db.query('SELECT id FROM admins WHERE id = ? FOR UPDATE', [id]);
+    }
+  }
+
+  /**
+   * Store a host's commission rate and payout schedule
+   * @param {String} adminId - Host id
+   * @param {Object} settings - { commissionRate, payoutSchedule }, both required
+   * @param {String} updatedBy - Admin making the change
+   */
+  async saveSettings(adminId, { commissionRate, payoutSchedule }, updatedBy) {
+    await this.db.run(
+      `INSERT INTO host_settings (admin_id, commission_rate, payout_schedule, updated_by, updated_at)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (admin_id) DO UPDATE SET commission_rate = excluded.commission_rate,
+         payout_schedule = excluded.payout_schedule, updated_by = excluded.updated_by, updated_at = excluded.updated_at`,
+      [adminId, commissionRate, payoutSchedule, updatedBy, new Date().toISOString()]
+    );
+  }
+
+  /**
+   * A host's bookings in a status that checked out in a date range, with
+   * what the guest paid for the stay net of refunds and what earlier
+   * payouts already covered
+   * @param {String} hostId - Host id
+   * @param {Object} range - { from, to }: YYYY-MM-DD check-out dates, both inclusive; either may be omitted
+   * @param {String} status - Booking status
+   * @param {String} account - Ledger account holding guest payments
+   * @returns {Promise<Array>} - Rows; money in integer minor units
+   */
+  async findEarnings(hostId, { from, to }, status, account) {
+    const clauses = ['p.host_id = ?', 'b.status = ?'];
+    const values = [account, hostId, status];
+    if (from) {
+      clauses.push('b.check_out >= ?');
+      values.push(from);
+    }
+    if (to) {
+      clauses.push('b.check_out <= ?');
+      values.push(to);
+    }
+
+    const rows = await this.db.query(
+      `SELECT b.id, b.property_id, p.name AS property_name, b.check_in, b.check_out,
+         b.currency, b.base_currency, b.exchange_rate,
+         COALESCE(l.received, 0) AS received,
+         COALESCE(pl.gross, 0) AS paid_gross, COALESCE(pl.commission, 0) AS paid_commission,
+         COALESCE(pl.net, 0) AS paid_net
+       FROM bookings b
+       JOIN properties p ON p.id = b.property_id
+       LEFT JOIN (
+         SELECT booking_id, SUM(credit) - SUM(debit) AS received
+         FROM ledger_entries WHERE account = ? GROUP BY booking_id
+       ) l ON l.booking_id = b.id
+       LEFT JOIN (
+         SELECT booking_id, SUM(gross) AS gross, SUM(commission) AS commission, SUM(net) AS net
+         FROM payout_lines GROUP BY booking_id
+       ) pl ON pl.booking_id = b.id
+       WHERE ${clauses.join(' AND ')}
+       ORDER BY b.check_out, b.id`,
+      values
+    );
+    return rows.map(row => ({
+      bookingId: row.id,
+      propertyId: row.property_id,
+      propertyName: row.property_name,
+      checkIn: row.check_in,
+      checkOut: row.check_out,
+      currency: row.currency,
+      baseCurrency: row.base_currency,
+      exchangeRate: Number(row.exchange_rate),
+      received: Number(row.received),
+      paidGross: Number(row.paid_gross),
+      paidCommission: Number(row.paid_commission),
+      paidNet: Number(row.paid_net)
+    }));
+  }
+}
+
+module.exports = HostRepository;
@@ -0,0 +1,70 @@
+const db = require('../config/database');
+const AdminRepository = require('./adminRepository');
+const SessionRepository = require('./sessionRepository');
+const AdminTokenRepository = require('./adminTokenRepository');
+const PropertyRepository = require('./propertyRepository');
+const PropertyImageRepository = require('./propertyImageRepository');
+const PropertyRevisionRepository = require('./propertyRevisionRepository');
+const UserRepository = require('./userRepository');
+const BookingRepository = require('./bookingRepository');
+const BookingEventRepository = require('./bookingEventRepository');
+const AvailabilityRepository = require('./availabilityRepository');
+const PricingRepository = require('./pricingRepository');
+const StatsRepository = require('./statsRepository');
+const SettingsRepository = require('./settingsRepository');
+const AuditRepository = require('./auditRepository');
+const SearchIndexRepository = require('./searchIndexRepository');
+const ReviewRepository = require('./reviewRepository');
+const PaymentRepository = require('./paymentRepository');
+const PaymentOperationRepository = require('./paymentOperationRepository');
+const LedgerRepository = require('./ledgerRepository');
+const InvoiceRepository = require('./invoiceRepository');
+const ExchangeRateRepository = require('./exchangeRateRepository');
+const HostRepository = require('./hostRepository');
+const PayoutRepository = require('./payoutRepository');
+const GuestSessionRepository = require('./guestSessionRepository');
+const GuestTokenRepository = require('./guestTokenRepository');
+const MessageRepository = require('./messageRepository');
+
+/**
+ * Build the set of repositories on top of a database executor
+ * @param {Object} executor - Database driver or transaction executor
+ * @returns {Object} - Repositories plus a `transaction` helper
+ */
+const createRepositories = (executor) => ({
+  db: executor,
+  admins: new AdminRepository(executor),
+  sessions: new SessionRepository(executor),
+  adminTokens: new AdminTokenRepository(executor),
+  properties: new PropertyRepository(executor),
+  propertyImages: new PropertyImageRepository(executor),
+  propertyRevisions: new PropertyRevisionRepository(executor),
+  users: new UserRepository(executor),
+  bookings: new BookingRepository(executor),
+  bookingEvents: new BookingEventRepository(executor),
+  availability: new AvailabilityRepository(executor),
+  pricing: new PricingRepository(executor),
+  stats: new StatsRepository(executor),
+  settings: new SettingsRepository(executor),
+  audit: new AuditRepository(executor),
+  searchIndex: new SearchIndexRepository(executor),
+  reviews: new ReviewRepository(executor),
+  payments: new PaymentRepository(executor),
+  paymentOperations: new PaymentOperationRepository(executor),
+  ledger: new LedgerRepository(executor),
+  invoices: new InvoiceRepository(executor),
+  exchangeRates: new ExchangeRateRepository(executor),
+  hosts: new HostRepository(executor),
+  payouts: new PayoutRepository(executor),
+  guestSessions: new GuestSessionRepository(executor),
+  guestTokens: new GuestTokenRepository(executor),
+  messages: new MessageRepository(executor),
+
+  /**
+   * Run work atomically; the callback receives repositories bound to the transaction
+   * @param {Function} fn - Async work receiving transactional repositories
+   */
+  transaction: (fn) => executor.transaction(tx => fn(createRepositories(tx)))
+});
+
+module.exports = createRepositories(db);
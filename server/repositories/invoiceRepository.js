@@ -0,0 +1,142 @@
+const SequenceRepository = require('./sequenceRepository');
+const { parseListParams, runListQuery } = require('../utils/listQuery');
+const { toMajor } = require('../utils/money');
+
+// Sorting, filtering and search allowed on the admin invoice list
+const LIST_SPEC = {
+  from: 'SELECT i.* FROM invoices i',
+  countFrom: 'FROM invoices i',
+  id: 'id',
+  defaultSort: '-id',
+  fields: {
+    id: { expr: 'i.id', row: 'id' },
+    number: { expr: 'i.number', row: 'number' },
+    issueDate: { expr: 'i.issue_date', row: 'issue_date' },
+    total: { expr: 'i.total', row: 'total' }
+  },
+  filters: {
+    kind: { expr: 'i.kind', op: 'in' },
+    legalEntity: { expr: 'i.legal_entity', op: 'in' },
+    bookingId: { expr: 'i.booking_id', op: 'eq' },
+    purpose: { expr: 'i.purpose', op: 'in' },
+    issuedFrom: { expr: 'i.issue_date', op: 'gte', type: 'date' },
+    issuedTo: { expr: 'i.issue_date', op: 'lte', type: 'date' }
+  },
+  search: ['i.number', 'i.booking_id', 'i.buyer']
+};
+
+/**
+ * Map a database row to the invoice shape used by the API
+ * @param {Object} row - Database row
+ * @returns {Object} - Invoice or credit note, amounts in currency units
+ */
+const toInvoice = (row) => row && {
+  id: row.id,
+  number: row.number,
+  kind: row.kind,
+  legalEntity: row.legal_entity,
+  bookingId: row.booking_id,
+  paymentId: row.payment_id,
+  invoiceId: row.invoice_id,
+  purpose: row.purpose,
+  currency: row.currency,
+  issueDate: row.issue_date,
+  seller: JSON.parse(row.seller),
+  buyer: JSON.parse(row.buyer),
+  stay: JSON.parse(row.stay),
+  lines: JSON.parse(row.lines).map(line => ({
+    ...line,
+    unitPrice: toMajor(line.unitPrice),
+    amount: toMajor(line.amount),
+    taxAmount: toMajor(line.taxAmount)
+  })),
+  subtotal: toMajor(row.subtotal),
+  tax: toMajor(row.tax),
+  total: toMajor(row.total),
+  createdBy: row.created_by,
+  created_at: row.created_at
+};
+
+/**
+ * Issued invoices and credit notes. They are never changed once written;
+ * a credit note corrects an invoice instead.
+ */
+class InvoiceRepository {
+  constructor(db) {
+    this.db = db;
+    this.sequences = new SequenceRepository(db);
+  }
+
+  /**
+   * Paginated, filtered and sorted list for the admin API
+   * @param {Object} query - Query string parameters (see LIST_SPEC)
+   * @returns {Promise<Object>} - { data, pagination }
+   */
+  async list(query) {
+    return runListQuery(this.db, LIST_SPEC, parseListParams(query, LIST_SPEC), toInvoice);
+  }
+
+  async findById(id) {
+    return toInvoice(await this.db.get('SELECT * FROM invoices WHERE id = ?', [id]));
+  }
+
+  async findByBooking(bookingId) {
+    const rows = await this.db.query('SELECT * FROM invoices WHERE booking_id = ? ORDER BY id', [bookingId]);
+    return rows.map(toInvoice);
+  }
+
+  /**
+   * Total of the credit notes issued against an invoice
+   * @param {Number} invoiceId - Invoice id
+   * @returns {Promise<Number>} - Minor units, zero or negative
+   */
+  async creditedTotal(invoiceId) {
+    const row = await this.db.get(
+      "SELECT COALESCE(SUM(total), 0) AS total FROM invoices WHERE invoice_id = ? AND kind = 'credit_note'",
+      [invoiceId]
+    );
+    return Number(row.total);
+  }
+
+  /**
+   * Store a document under the next number of its legal entity's sequence.
+   * The counter moves in the same transaction, so numbers have no gaps.
+   * @param {Object} data - { kind, legalEntity, prefix, bookingId, paymentId, invoiceId, purpose, currency,
+   *                          issueDate, seller, buyer, stay, lines, subtotal, tax, total, createdBy }
+   *                        with amounts in minor units
+   * @returns {Promise<Object>} - Stored invoice
+   */
+  async create(data) {
+    const value = await this.sequences.next(`${data.kind}:${data.legalEntity}`);
+    const number = `${data.prefix}-${data.kind === 'credit_note' ? 'CN-' : ''}${String(value).padStart(6, '0')}`;
+
+    const row = await this.db.get(
+      `INSERT INTO invoices (number, kind, legal_entity, booking_id, payment_id, invoice_id, purpose, currency,
+         issue_date, seller, buyer, stay, lines, subtotal, tax, total, created_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING *`,
+      [
+        number,
+        data.kind,
+        data.legalEntity,
+        data.bookingId,
+        data.paymentId,
+        data.invoiceId,
+        data.purpose,
+        data.currency,
+        data.issueDate,
+        JSON.stringify(data.seller),
+        JSON.stringify(data.buyer),
+        JSON.stringify(data.stay),
+        JSON.stringify(data.lines),
+        data.subtotal,
+        data.tax,
+        data.total,
+        data.createdBy,
+        new Date().toISOString()
+      ]
+    );
+    return toInvoice(row);
+  }
+}
+
+module.exports = InvoiceRepository;
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { toMajor } = require('../utils/money');
+
+/**
+ * Map a database row to the ledger entry shape used by the API
+ * @param {Object} row - Database row
+ * @returns {Object} - Ledger entry, amounts in currency units
+ */
+const toEntry = (row) => row && {
+  id: row.id,
+  transactionId: row.transaction_id,
+  bookingId: row.booking_id,
+  paymentId: row.payment_id,
+  type: row.type,
+  account: row.account,
+  debit: toMajor(row.debit),
+  credit: toMajor(row.credit),
+  currency: row.currency,
+  providerRef: row.provider_ref,
+  note: row.note,
+  createdBy: row.created_by,
+  created_at: row.created_at
+};
+
+/**
+ * Double-entry ledger of booking payments. Entries are only ever appended;
+ * corrections are new transactions.
+ */
+class LedgerRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Append a balanced transaction. Unbalanced or malformed entries are a
+   * programming error and throw before anything is written.
+   * @param {Object} transaction - { bookingId, paymentId, type, currency, providerRef, note, createdBy,
+   *                                 entries: [{ account, debit, credit }] in minor units }
+   * @returns {Promise<String>} - Transaction id shared by its entries
+   */
+  async post(transaction) {
+    const { entries } = transaction;
+    const valid = entries.length >= 2 && entries.every(({ debit = 0, credit = 0 }) => (
+      Number.isInteger(debit) && Number.isInteger(credit) && debit >= 0 && credit >= 0 && (debit > 0) !== (credit > 0)
+    ));
+    const debits = entries.reduce((sum, entry) => sum + (entry.debit || 0), 0);
+    const credits = entries.reduce((sum, entry) => sum + (entry.credit || 0), 0);
+    if (!valid || debits !== credits) {
+      throw new Error(`Unbalanced ledger transaction "${transaction.type}" for booking ${transaction.bookingId}`);
+    }
+
+    const transactionId = crypto.randomUUID();
+    const now = new Date().toISOString();
+    for (const entry of entries) {
+      await this.db.run(
+        `INSERT INTO ledger_entries (transaction_id, booking_id, payment_id, type, account, debit, credit,
+           currency, provider_ref, note, created_by, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          transactionId,
+          transaction.bookingId,
+          transaction.paymentId,
+          transaction.type,
+          entry.account,
+          entry.debit || 0,
+          entry.credit || 0,
+          transaction.currency,
+          transaction.providerRef,
+          transaction.note,
+          transaction.createdBy,
+          now
+        ]
+      );
+    }
+    return transactionId;
+  }
+
+  async findByBooking(bookingId) {
+    const rows = await this.db.query('SELECT * FROM ledger_entries WHERE booking_id = ? ORDER BY id', [bookingId]);
+    return rows.map(toEntry);
+  }
+
+  /**
+   * Debit and credit totals of a booking's ledger per payment, account and
+   * transaction type
+   * @param {String} bookingId - Booking id
+   * @returns {Promise<Array>} - [{ paymentId, account, type, debit, credit }] in minor units
+   */
+  async totals(bookingId) {
+    const rows = await this.db.query(
+      `SELECT payment_id, account, type, SUM(debit) AS debit, SUM(credit) AS credit
+       FROM ledger_entries WHERE booking_id = ?
+       GROUP BY payment_id, account, type`,
+      [bookingId]
+    );
+    return rows.map(row => ({
+      paymentId: row.payment_id,
+      account: row.account,
+      type: row.type,
+      debit: Number(row.debit),
+      credit: Number(row.credit)
+    }));
+  }
+}
+
+module.exports = LedgerRepository;
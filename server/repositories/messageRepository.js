@@ -0,0 +1,331 @@
+const { parseListParams, runListQuery } = require('../utils/listQuery');
+const { MODERATION_STATUSES } = require('../constants/messages');
+
+// One thread per booking with messages, with its latest activity
+const THREADS = `(
+    SELECT booking_id, COUNT(*) AS message_count, MAX(created_at) AS last_message_at
+    FROM booking_messages GROUP BY booking_id
+  ) t
+  JOIN bookings b ON b.id = t.booking_id
+  LEFT JOIN properties p ON p.id = b.property_id`;
+
+// Sorting, filtering and search allowed on thread lists
+const THREAD_SPEC = {
+  from: `SELECT t.*, b.property_id, b.user_id, b.guest_name, b.status AS booking_status, b.check_in, b.check_out,
+      p.name AS property_name, p.host_id
+    FROM ${THREADS}`,
+  countFrom: `FROM ${THREADS}`,
+  id: 'bookingId',
+  defaultSort: '-lastMessageAt',
+  fields: {
+    bookingId: { expr: 't.booking_id', row: 'booking_id' },
+    lastMessageAt: { expr: 't.last_message_at', row: 'last_message_at' },
+    checkIn: { expr: 'b.check_in', row: 'check_in' }
+  },
+  filters: {
+    userId: { expr: 'b.user_id', op: 'eq', type: 'number' },
+    hostId: { expr: 'p.host_id', op: 'eq' },
+    propertyId: { expr: 'b.property_id', op: 'in', type: 'number' },
+    status: { expr: 'b.status', op: 'in' }
+  },
+  search: ['b.id', 'b.guest_name', 'p.name']
+};
+
+const MESSAGES = `booking_messages m
+  JOIN bookings b ON b.id = m.booking_id
+  LEFT JOIN properties p ON p.id = b.property_id`;
+
+// Sorting, filtering and search allowed on the moderation list
+const MESSAGE_SPEC = {
+  from: `SELECT m.*, b.guest_name, p.name AS property_name, p.host_id FROM ${MESSAGES}`,
+  countFrom: `FROM ${MESSAGES}`,
+  id: 'id',
+  defaultSort: '-id',
+  fields: {
+    id: { expr: 'm.id', row: 'id' }
+  },
+  filters: {
+    moderationStatus: { expr: 'm.moderation_status', op: 'in' },
+    senderType: { expr: 'm.sender_type', op: 'in' },
+    bookingId: { expr: 'm.booking_id', op: 'eq' },
+    hostId: { expr: 'p.host_id', op: 'eq' }
+  },
+  search: ['m.body', 'm.booking_id', 'b.guest_name']
+};
+
+/**
+ * Map a database row to the message shape used by the API
+ * @param {Object} row - Database row
+ * @returns {Object} - Message, without attachments
+ */
+const toMessage = (row) => row && {
+  id: row.id,
+  bookingId: row.booking_id,
+  sender: { type: row.sender_type, id: row.sender_id },
+  body: row.body,
+  event: row.event,
+  readAt: row.read_at,
+  moderation: row.moderation_status ? {
+    status: row.moderation_status,
+    flags: JSON.parse(row.moderation_flags || '[]'),
+    note: row.moderation_note,
+    moderatedBy: row.moderated_by,
+    moderatedAt: row.moderated_at
+  } : null,
+  ...(row.guest_name !== undefined && { guestName: row.guest_name, propertyName: row.property_name, hostId: row.host_id }),
+  created_at: row.created_at
+};
+
+const toThread = (row) => ({
+  bookingId: row.booking_id,
+  propertyId: row.property_id,
+  propertyName: row.property_name,
+  hostId: row.host_id,
+  userId: row.user_id,
+  guestName: row.guest_name,
+  bookingStatus: row.booking_status,
+  checkIn: row.check_in,
+  checkOut: row.check_out,
+  messageCount: Number(row.message_count),
+  lastMessageAt: row.last_message_at
+});
+
+const toAttachment = (row) => row && {
+  id: row.id,
+  messageId: row.message_id,
+  fileName: row.file_name,
+  contentType: row.content_type,
+  size: row.size,
+  storageKey: row.storage_key,
+  created_at: row.created_at
+};
+
+// Held messages are hidden from the other side of the thread
+const NOT_HELD = `(m.moderation_status IS NULL OR m.moderation_status <> '${MODERATION_STATUSES.FLAGGED}')`;
+
+/**
+ * Booking message threads, their attachments and read receipts
+ */
+class MessageRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Paginated list of threads (see THREAD_SPEC)
+   * @param {Object} query - Query string parameters
+   * @returns {Promise<Object>} - { data, pagination }
+   */
+  async listThreads(query) {
+    return runListQuery(this.db, THREAD_SPEC, parseListParams(query, THREAD_SPEC), toThread);
+  }
+
+  /**
+   * Paginated list of messages across threads, for moderation (see MESSAGE_SPEC)
+   * @param {Object} query - Query string parameters
+   * @returns {Promise<Object>} - { data, pagination }
+   */
+  async list(query) {
+    return runListQuery(this.db, MESSAGE_SPEC, parseListParams(query, MESSAGE_SPEC), toMessage);
+  }
+
+  /**
+   * One message with its attachments
+   * @param {Number} id - Message id
+   * @returns {Promise<Object|null>} - Message
+   */
+  async findById(id) {
+    const message = toMessage(await this.db.get('SELECT * FROM booking_messages WHERE id = ?', [id]));
+    return message && (await this.withAttachments([message]))[0];
+  }
+
+  /**
+   * The messages of a booking's thread, oldest first, with their attachments
+   * @param {String} bookingId - Booking id
+   * @param {Array} heldFrom - Senders whose held messages are left out
+   * @returns {Promise<Array>} - Messages
+   */
+  async findByBooking(bookingId, heldFrom = []) {
+    const hidden = heldFrom.length
+      ? ` AND (m.sender_type NOT IN (${heldFrom.map(() => '?').join(', ')}) OR ${NOT_HELD})`
+      : '';
+    const rows = await this.db.query(
+      `SELECT m.* FROM booking_messages m WHERE m.booking_id = ?${hidden} ORDER BY m.id`,
+      [bookingId, ...heldFrom]
+    );
+    return this.withAttachments(rows.map(toMessage));
+  }
+
+  /**
+   * Store a message
+   * @param {Object} data - { bookingId, senderType, senderId, body, event, moderationStatus, moderationFlags }
+   * @returns {Promise<Object>} - Stored message, without attachments
+   */
+  async create(data) {
+    const row = await this.db.get(
+      `INSERT INTO booking_messages (booking_id, sender_type, sender_id, body, event, moderation_status,
+         moderation_flags, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?) RETURNING *`,
+      [
+        data.bookingId,
+        data.senderType,
+        data.senderId ?? null,
+        data.body,
+        data.event ?? null,
+        data.moderationStatus ?? null,
+        JSON.stringify(data.moderationFlags || []),
+        new Date().toISOString()
+      ]
+    );
+    return toMessage(row);
+  }
+
+  /**
+   * Record a stored file as an attachment of a message
+   * @param {Object} data - { id, messageId, fileName, contentType, size, storageKey, position }
+   * @returns {Promise<Object>} - Attachment
+   */
+  async addAttachment(data) {
+    const row = await this.db.get(
+      `INSERT INTO booking_message_attachments (id, message_id, file_name, content_type, size, storage_key, position,
+         created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?) RETURNING *`,
+      [
+        data.id,
+        data.messageId,
+        data.fileName,
+        data.contentType,
+        data.size,
+        data.storageKey,
+        data.position,
+        new Date().toISOString()
+      ]
+    );
+    return toAttachment(row);
+  }
+
+  /**
+   * One attachment of a booking's thread, with the message it belongs to
+   * @param {String} bookingId - Booking id
+   * @param {String} attachmentId - Attachment id
+   * @returns {Promise<Object|null>} - { attachment, message }
+   */
+  async findAttachment(bookingId, attachmentId) {
+    const row = await this.db.get(
+      `SELECT a.* FROM booking_message_attachments a
+       JOIN booking_messages m ON m.id = a.message_id
+       WHERE a.id = ? AND m.booking_id = ?`,
+      [attachmentId, bookingId]
+    );
+    return row ? { attachment: toAttachment(row), message: await this.findById(row.message_id) } : null;
+  }
+
+  /**
+   * Mark every delivered message of a thread from the given senders as read
+   * @param {String} bookingId - Booking id
+   * @param {Array} senders - Senders whose messages the reader receives
+   * @returns {Promise<Number>} - Messages newly marked read
+   */
+  async markRead(bookingId, senders) {
+    const result = await this.db.run(
+      `UPDATE booking_messages AS m SET read_at = ?
+       WHERE m.booking_id = ? AND m.read_at IS NULL AND ${NOT_HELD}
+         AND m.sender_type IN (${senders.map(() => '?').join(', ')})`,
+      [new Date().toISOString(), bookingId, ...senders]
+    );
+    return result.changes;
+  }
+
+  /**
+   * Unread delivered messages from the given senders, by thread
+   * @param {Array} senders - Senders whose messages the reader receives
+   * @param {Object} scope - Narrow to { userId } (a guest's bookings), { hostId } (a host's
+   *                         properties) and/or { bookingIds }; empty for every thread
+   * @returns {Promise<Array>} - [{ bookingId, unread }] for threads with unread messages
+   */
+  async countUnread(senders, { userId, hostId, bookingIds } = {}) {
+    const clauses = [
+      'm.read_at IS NULL',
+      NOT_HELD,
+      `m.sender_type IN (${senders.map(() => '?').join(', ')})`
+    ];
+    const values = [...senders];
+    if (userId !== undefined) {
+      clauses.push('b.user_id = ?');
+      values.push(userId);
+    }
+    if (hostId !== undefined) {
+      clauses.push('p.host_id = ?');
+      values.push(hostId);
+    }
+    if (bookingIds) {
+      if (!bookingIds.length) return [];
+      clauses.push(`m.booking_id IN (${bookingIds.map(() => '?').join(', ')})`);
+      values.push(...bookingIds);
+    }
+
+    const rows = await this.db.query(
+      `SELECT m.booking_id, COUNT(*) AS unread FROM ${MESSAGES}
+       WHERE ${clauses.join(' AND ')}
+       GROUP BY m.booking_id`,
+      values
+    );
+    return rows.map(row => ({ bookingId: row.booking_id, unread: Number(row.unread) }));
+  }
+
+  /**
+   * Count messages in a moderation status
+   * @param {String} status - Moderation status
+   * @returns {Promise<Number>} - Message count
+   */
+  async countByModerationStatus(status) {
+    const row = await this.db.get('SELECT COUNT(*) AS count FROM booking_messages WHERE moderation_status = ?', [status]);
+    return Number(row.count);
+  }
+
+  /**
+   * Record a moderation decision, with the body as it is delivered
+   * @param {Number} id - Message id
+   * @param {Object} decision - { status, body, note, moderatedBy }
+   * @returns {Promise<Object>} - Updated message
+   */
+  async moderate(id, { status, body, note, moderatedBy }) {
+    await this.db.run(
+      `UPDATE booking_messages SET moderation_status = ?, body = ?, moderation_note = ?, moderated_by = ?, moderated_at = ?
+       WHERE id = ?`,
+      [status, body, note ?? null, moderatedBy, new Date().toISOString(), id]
+    );
+    return this.findById(id);
+  }
+
+  /**
+   * Lock a message row until the surrounding transaction ends, so two
+   * moderators cannot decide on it at once. Only matters on Postgres.
+   * @param {Number} id - Message id
+   */
+  async lock(id) {
+    if (this.db.dialect === 'postgres') {
+      await this.db.get('SELECT id FROM booking_messages WHERE id = ? FOR UPDATE', [id]);
+    }
+  }
+
+  /**
+   * Add their attachments to messages
+   * @param {Array} messages - Messages
+   * @returns {Promise<Array>} - Messages with `attachments`
+   */
+  async withAttachments(messages) {
+    if (!messages.length) return messages;
+    const rows = await this.db.query(
+      `SELECT * FROM booking_message_attachments WHERE message_id IN (${messages.map(() => '?').join(', ')})
+       ORDER BY message_id, position`,
+      messages.map(message => message.id)
+    );
+    return messages.map(message => ({
+      ...message,
+      attachments: rows.filter(row => row.message_id === message.id).map(toAttachment)
+    }));
+  }
+}
+
+module.exports = MessageRepository;
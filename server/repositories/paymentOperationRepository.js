@@ -0,0 +1,157 @@
+const { OPERATION_STATES } = require('../constants/payment');
+
+const toOperation = (row) => row && {
+  id: row.id,
+  changeId: row.change_id,
+  bookingId: row.booking_id,
+  paymentId: row.payment_id,
+  kind: row.kind,
+  purpose: row.purpose,
+  amount: row.amount,
+  currency: row.currency,
+  provider: row.provider,
+  paymentMethod: row.payment_method,
+  reference: row.reference,
+  status: row.status,
+  providerRef: row.provider_ref,
+  failureReason: row.failure_reason,
+  note: row.note,
+  actor: row.actor_type ? { type: row.actor_type, id: row.actor_id } : null,
+  createdAt: row.created_at,
+  completedAt: row.completed_at,
+  recordedAt: row.recorded_at
+};
+
+/**
+ * Journal of calls to the payment provider. A call is written here before
+ * it is made and its result as soon as it is known, so nothing the provider
+ * did is lost when recording it in the ledger fails. Amounts are in minor units.
+ */
+class PaymentOperationRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Journal a call about to be made, or one that needs no provider
+   * @param {Object} data - { id, changeId, bookingId, paymentId, kind, purpose, amount, currency, provider,
+   *                          paymentMethod, reference, status, note, actor }
+   * @returns {Promise<Object>} - Stored operation
+   */
+  async create(data) {
+    const now = new Date().toISOString();
+    const completed = data.status !== OPERATION_STATES.PENDING;
+    const row = await this.db.get(
+      `INSERT INTO payment_operations (id, change_id, booking_id, payment_id, kind, purpose, amount, currency,
+         provider, payment_method, reference, status, note, actor_type, actor_id, created_at, completed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING *`,
+      [
+        data.id,
+        data.changeId,
+        data.bookingId,
+        data.paymentId ?? null,
+        data.kind,
+        data.purpose,
+        data.amount,
+        data.currency,
+        data.provider,
+        data.paymentMethod ?? null,
+        data.reference ?? null,
+        data.status,
+        data.note ?? null,
+        data.actor?.type ?? null,
+        data.actor?.id ?? null,
+        now,
+        completed ? now : null
+      ]
+    );
+    return toOperation(row);
+  }
+
+  async findByChange(changeId) {
+    const rows = await this.db.query('SELECT * FROM payment_operations WHERE change_id = ? ORDER BY created_at, id', [changeId]);
+    return rows.map(toOperation);
+  }
+
+  /**
+   * Operations of a booking that the ledger does not reflect yet: calls in
+   * flight and results waiting to be recorded
+   * @param {String} bookingId - Booking id
+   * @returns {Promise<Array>} - Operations, oldest first
+   */
+  async findUnrecorded(bookingId) {
+    const rows = await this.db.query(
+      `SELECT * FROM payment_operations
+       WHERE booking_id = ? AND recorded_at IS NULL AND status <> ?
+       ORDER BY created_at, id`,
+      [bookingId, OPERATION_STATES.FAILED]
+    );
+    return rows.map(toOperation);
+  }
+
+  /**
+   * Calls of a booking whose outcome is not known: those the provider never
+   * answered, and those still pending since before a point in time
+   * @param {String} bookingId - Booking id
+   * @param {String} before - ISO timestamp
+   * @returns {Promise<Array>} - Operations, oldest first
+   */
+  async findStale(bookingId, before) {
+    const rows = await this.db.query(
+      `SELECT * FROM payment_operations
+       WHERE booking_id = ? AND (status = ? OR (status = ? AND created_at < ?))
+       ORDER BY created_at, id`,
+      [bookingId, OPERATION_STATES.UNKNOWN, OPERATION_STATES.PENDING, before]
+    );
+    return rows.map(toOperation);
+  }
+
+  /**
+   * Write down the outcome of a pending or unanswered call
+   * @param {String} id - Operation id
+   * @param {Object} outcome - { status, providerRef, failureReason }
+   * @returns {Promise<Boolean>} - False if the outcome was already written
+   */
+  async complete(id, { status, providerRef, failureReason }) {
+    const { changes } = await this.db.run(
+      `UPDATE payment_operations SET status = ?, provider_ref = ?, failure_reason = ?, completed_at = ?
+       WHERE id = ? AND status IN (?, ?)`,
+      [
+        status,
+        providerRef ?? null,
+        failureReason ?? null,
+        new Date().toISOString(),
+        id,
+        OPERATION_STATES.PENDING,
+        OPERATION_STATES.UNKNOWN
+      ]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Write down that a pending call got no answer, so it is sent again
+   * @param {String} id - Operation id
+   * @param {String} failureReason - What went wrong
+   */
+  async markUnknown(id, failureReason) {
+    await this.db.run(
+      'UPDATE payment_operations SET status = ?, failure_reason = ? WHERE id = ? AND status = ?',
+      [OPERATION_STATES.UNKNOWN, failureReason, id, OPERATION_STATES.PENDING]
+    );
+  }
+
+  /**
+   * Mark an operation as recorded in the ledger
+   * @param {String} id - Operation id
+   * @param {Number} paymentId - Payment it recorded or created
+   */
+  async markRecorded(id, paymentId) {
+    await this.db.run(
+      'UPDATE payment_operations SET recorded_at = ?, payment_id = ? WHERE id = ?',
+      [new Date().toISOString(), paymentId, id]
+    );
+  }
+}
+
+module.exports = PaymentOperationRepository;
@@ -0,0 +1,81 @@
+const { toMajor } = require('../utils/money');
+
+/**
+ * Map a database row to the payment shape used by the API
+ * @param {Object} row - Database row
+ * @returns {Object} - Payment, amounts in currency units
+ */
+const toPayment = (row) => row && {
+  id: row.id,
+  bookingId: row.booking_id,
+  purpose: row.purpose,
+  provider: row.provider,
+  providerRef: row.provider_ref,
+  paymentMethod: row.payment_method,
+  amount: toMajor(row.amount),
+  currency: row.currency,
+  status: row.status,
+  failureReason: row.failure_reason,
+  createdBy: row.created_by,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+};
+
+/**
+ * Payments taken from guests through the payment provider: one row per
+ * authorisation, declined ones included
+ */
+class PaymentRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async findByBooking(bookingId) {
+    const rows = await this.db.query('SELECT * FROM payments WHERE booking_id = ? ORDER BY id', [bookingId]);
+    return rows.map(toPayment);
+  }
+
+  async findById(bookingId, id) {
+    return toPayment(await this.db.get('SELECT * FROM payments WHERE booking_id = ? AND id = ?', [bookingId, id]));
+  }
+
+  /**
+   * Record an authorisation attempt
+   * @param {Object} data - { bookingId, purpose, provider, providerRef, paymentMethod,
+   *                          amount (minor units), currency, status, failureReason, createdBy }
+   * @returns {Promise<Object>} - Stored payment
+   */
+  async create(data) {
+    const now = new Date().toISOString();
+    const row = await this.db.get(
+      `INSERT INTO payments (booking_id, purpose, provider, provider_ref, payment_method, amount, currency,
+         status, failure_reason, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING *`,
+      [
+        data.bookingId,
+        data.purpose,
+        data.provider,
+        data.providerRef,
+        data.paymentMethod,
+        data.amount,
+        data.currency,
+        data.status,
+        data.failureReason,
+        data.createdBy,
+        now,
+        now
+      ]
+    );
+    return toPayment(row);
+  }
+
+  async setStatus(id, status) {
+    const row = await this.db.get(
+      'UPDATE payments SET status = ?, updated_at = ? WHERE id = ? RETURNING *',
+      [status, new Date().toISOString(), id]
+    );
+    return toPayment(row);
+  }
+}
+
+module.exports = PaymentRepository;
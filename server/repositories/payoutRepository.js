@@ -0,0 +1,148 @@
+const { parseListParams, runListQuery } = require('../utils/listQuery');
+const { toMajor } = require('../utils/money');
+
+// Sorting and filtering allowed on payout lists
+const LIST_SPEC = {
+  from: 'SELECT po.*, a.name AS host_name FROM payouts po LEFT JOIN admins a ON a.id = po.host_id',
+  countFrom: 'FROM payouts po',
+  id: 'id',
+  defaultSort: '-id',
+  fields: {
+    id: { expr: 'po.id', row: 'id' },
+    periodEnd: { expr: 'po.period_end', row: 'period_end' },
+    scheduledFor: { expr: 'po.scheduled_for', row: 'scheduled_for' },
+    net: { expr: 'po.net', row: 'net' }
+  },
+  filters: {
+    hostId: { expr: 'po.host_id', op: 'eq' },
+    status: { expr: 'po.status', op: 'in' },
+    currency: { expr: 'po.currency', op: 'in' },
+    scheduledFrom: { expr: 'po.scheduled_for', op: 'gte', type: 'date' },
+    scheduledTo: { expr: 'po.scheduled_for', op: 'lte', type: 'date' }
+  }
+};
+
+/**
+ * Map a database row to the payout shape used by the API
+ * @param {Object} row - Database row
+ * @returns {Object} - Payout, amounts in currency units
+ */
+const toPayout = (row) => row && {
+  id: row.id,
+  hostId: row.host_id,
+  hostName: row.host_name,
+  currency: row.currency,
+  periodEnd: row.period_end,
+  scheduledFor: row.scheduled_for,
+  gross: toMajor(row.gross),
+  commission: toMajor(row.commission),
+  net: toMajor(row.net),
+  status: row.status,
+  reference: row.reference,
+  paidAt: row.paid_at,
+  paidBy: row.paid_by,
+  createdBy: row.created_by,
+  created_at: row.created_at
+};
+
+const toLine = (row) => ({
+  bookingId: row.booking_id,
+  propertyId: row.property_id,
+  checkOut: row.check_out,
+  gross: toMajor(row.gross),
+  commissionRate: Number(row.commission_rate),
+  commission: toMajor(row.commission),
+  net: toMajor(row.net)
+});
+
+/**
+ * Host payouts and the bookings each one covers. The amounts of a payout
+ * never change once written; later refunds are netted off the next one.
+ */
+class PayoutRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Paginated, filtered and sorted list
+   * @param {Object} query - Query string parameters (see LIST_SPEC)
+   * @returns {Promise<Object>} - { data, pagination }
+   */
+  async list(query) {
+    return runListQuery(this.db, LIST_SPEC, parseListParams(query, LIST_SPEC), toPayout);
+  }
+
+  /**
+   * One payout with its booking lines
+   * @param {Number} id - Payout id
+   * @returns {Promise<Object|null>} - Payout
+   */
+  async findById(id) {
+    const payout = toPayout(await this.db.get(`${LIST_SPEC.from} WHERE po.id = ?`, [id]));
+    if (!payout) {
+      return null;
+    }
+    const lines = await this.db.query('SELECT * FROM payout_lines WHERE payout_id = ? ORDER BY check_out, id', [id]);
+    return { ...payout, lines: lines.map(toLine) };
+  }
+
+  /**
+   * Store a scheduled payout and its lines
+   * @param {Object} data - { hostId, currency, periodEnd, scheduledFor, status, createdBy,
+   *                          lines: [{ bookingId, propertyId, checkOut, gross, commissionRate, commission, net }] }
+   *                        with amounts in minor units
+   * @returns {Promise<Object>} - Stored payout with its lines
+   */
+  async create(data) {
+    const sum = (field) => data.lines.reduce((total, line) => total + line[field], 0);
+    const row = await this.db.get(
+      `INSERT INTO payouts (host_id, currency, period_end, scheduled_for, gross, commission, net, status,
+         created_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING id`,
+      [
+        data.hostId,
+        data.currency,
+        data.periodEnd,
+        data.scheduledFor,
+        sum('gross'),
+        sum('commission'),
+        sum('net'),
+        data.status,
+        data.createdBy,
+        new Date().toISOString()
+      ]
+    );
+
+    for (const line of data.lines) {
+      await this.db.run(
+        `INSERT INTO payout_lines (payout_id, booking_id, property_id, check_out, gross, commission_rate, commission, net)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [row.id, line.bookingId, line.propertyId, line.checkOut, line.gross, line.commissionRate, line.commission, line.net]
+      );
+    }
+    return this.findById(row.id);
+  }
+
+  /**
+   * Record that a payout was sent
+   * @param {Number} id - Payout id
+   * @param {Object} data - { status, reference, paidBy }
+   * @returns {Promise<Object>} - Updated payout
+   */
+  async markPaid(id, { status, reference, paidBy }) {
+    await this.db.run(
+      'UPDATE payouts SET status = ?, reference = ?, paid_at = ?, paid_by = ? WHERE id = ?',
+      [status, reference, new Date().toISOString(), paidBy, id]
+    );
+    return this.findById(id);
+  }
+
+  async lock(id) {
+    if (this.db.dialect === 'postgres') {
+      await this.db.query('SELECT id FROM payouts WHERE id = ? FOR UPDATE', [id]);
+    }
+  }
+}
+
+module.exports = PayoutRepository;
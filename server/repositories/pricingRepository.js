@@ -0,0 +1,104 @@
+const toRule = (row) => row && {
+  id: row.id,
+  propertyId: row.property_id,
+  type: row.type,
+  name: row.name,
+  config: JSON.parse(row.config || '{}'),
+  priority: row.priority,
+  active: Boolean(row.active),
+  created_at: row.created_at,
+  updated_at: row.updated_at
+};
+
+const toOverride = (row) => row && {
+  date: row.date,
+  price: row.price,
+  note: row.note
+};
+
+/**
+ * Pricing rules and per-date rate overrides
+ */
+class PricingRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async findRules(propertyId, { activeOnly = false } = {}) {
+    const rows = await this.db.query(
+      `SELECT * FROM pricing_rules WHERE property_id = ?${activeOnly ? ' AND active = 1' : ''}
+       ORDER BY priority DESC, id`,
+      [propertyId]
+    );
+    return rows.map(toRule);
+  }
+
+  async findRule(propertyId, ruleId) {
+    return toRule(await this.db.get(
+      'SELECT * FROM pricing_rules WHERE property_id = ? AND id = ?',
+      [propertyId, ruleId]
+    ));
+  }
+
+  async createRule(rule) {
+    const now = new Date().toISOString();
+    const row = await this.db.get(
+      `INSERT INTO pricing_rules (property_id, type, name, config, priority, active, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?) RETURNING *`,
+      [rule.propertyId, rule.type, rule.name, JSON.stringify(rule.config), rule.priority || 0, rule.active !== false, now, now]
+    );
+    return toRule(row);
+  }
+
+  async updateRule(propertyId, ruleId, rule) {
+    const row = await this.db.get(
+      `UPDATE pricing_rules SET name = ?, config = ?, priority = ?, active = ?, updated_at = ?
+       WHERE property_id = ? AND id = ? RETURNING *`,
+      [rule.name, JSON.stringify(rule.config), rule.priority, rule.active, new Date().toISOString(), propertyId, ruleId]
+    );
+    return toRule(row);
+  }
+
+  async deleteRule(propertyId, ruleId) {
+    const { changes } = await this.db.run(
+      'DELETE FROM pricing_rules WHERE property_id = ? AND id = ?',
+      [propertyId, ruleId]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Rate overrides of a property within [from, to)
+   * @param {Number} propertyId - Property id
+   * @param {String} from - YYYY-MM-DD
+   * @param {String} to - YYYY-MM-DD (exclusive)
+   * @returns {Promise<Array>} - Overrides ordered by date
+   */
+  async findOverrides(propertyId, from = '0000-01-01', to = '9999-12-31') {
+    const rows = await this.db.query(
+      'SELECT * FROM rate_overrides WHERE property_id = ? AND date >= ? AND date < ? ORDER BY date',
+      [propertyId, from, to]
+    );
+    return rows.map(toOverride);
+  }
+
+  async saveOverride(propertyId, { date, price, note }) {
+    const row = await this.db.get(
+      `INSERT INTO rate_overrides (property_id, date, price, note) VALUES (?, ?, ?, ?)
+       ON CONFLICT (property_id, date) DO UPDATE SET price = excluded.price, note = excluded.note
+       RETURNING *`,
+      [propertyId, date, price, note]
+    );
+    return toOverride(row);
+  }
+
+  async deleteOverride(propertyId, date) {
+    const { changes } = await this.db.run(
+      'DELETE FROM rate_overrides WHERE property_id = ? AND date = ?',
+      [propertyId, date]
+    );
+    return changes > 0;
+  }
+}
+
+module.exports = PricingRepository;
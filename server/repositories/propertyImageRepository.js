@@ -0,0 +1,103 @@
+const toImage = (row) => row && {
+  id: row.id,
+  propertyId: row.property_id,
+  position: row.position,
+  isCover: Boolean(row.is_cover),
+  originalName: row.original_name,
+  contentType: row.content_type,
+  width: row.width,
+  height: row.height,
+  size: row.size,
+  blurhash: row.blurhash,
+  variants: JSON.parse(row.variants),
+  createdBy: row.created_by,
+  created_at: row.created_at
+};
+
+/**
+ * Property images. Rows hold storage keys; URLs are added by the image service.
+ */
+class PropertyImageRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async findByProperty(propertyId) {
+    const rows = await this.db.query(
+      'SELECT * FROM property_images WHERE property_id = ? ORDER BY position, created_at',
+      [propertyId]
+    );
+    return rows.map(toImage);
+  }
+
+  async findById(propertyId, imageId) {
+    return toImage(await this.db.get(
+      'SELECT * FROM property_images WHERE property_id = ? AND id = ?',
+      [propertyId, imageId]
+    ));
+  }
+
+  async count(propertyId) {
+    const row = await this.db.get('SELECT COUNT(*) AS count FROM property_images WHERE property_id = ?', [propertyId]);
+    return Number(row.count);
+  }
+
+  /**
+   * Store an image at the end of the property's list
+   * @param {Object} image - { id, propertyId, isCover, originalName, contentType, width, height, size, blurhash, variants, createdBy }
+   * @returns {Promise<Object>} - Stored image
+   */
+  async create(image) {
+    const row = await this.db.get(
+      `INSERT INTO property_images
+         (id, property_id, position, is_cover, original_name, content_type, width, height, size, blurhash, variants, created_by, created_at)
+       VALUES (?, ?, (SELECT COALESCE(MAX(position), -1) + 1 FROM property_images WHERE property_id = ?), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       RETURNING *`,
+      [
+        image.id,
+        image.propertyId,
+        image.propertyId,
+        image.isCover ? 1 : 0,
+        image.originalName,
+        image.contentType,
+        image.width,
+        image.height,
+        image.size,
+        image.blurhash,
+        JSON.stringify(image.variants),
+        image.createdBy,
+        new Date().toISOString()
+      ]
+    );
+    return toImage(row);
+  }
+
+  async setPosition(propertyId, imageId, position) {
+    await this.db.run(
+      'UPDATE property_images SET position = ? WHERE property_id = ? AND id = ?',
+      [position, propertyId, imageId]
+    );
+  }
+
+  /**
+   * Make one image the cover, clearing the flag on the others
+   * @param {Number} propertyId - Property id
+   * @param {String} imageId - Image id
+   */
+  async setCover(propertyId, imageId) {
+    await this.db.run(
+      'UPDATE property_images SET is_cover = CASE WHEN id = ? THEN 1 ELSE 0 END WHERE property_id = ?',
+      [imageId, propertyId]
+    );
+  }
+
+  async delete(propertyId, imageId) {
+    const { changes } = await this.db.run(
+      'DELETE FROM property_images WHERE property_id = ? AND id = ?',
+      [propertyId, imageId]
+    );
+    return changes > 0;
+  }
+}
+
+module.exports = PropertyImageRepository;
@@ -0,0 +1,452 @@
+const { parseListParams, parseFilters, buildFilters, runListQuery, iterateList } = require('../utils/listQuery');
+const { RATING_PRIOR_MEAN } = require('../constants/review');
+const { DEFAULT_CURRENCY } = require('../config/currencies');
+
+// Fields stored in their own columns; anything else lives in `attributes`
+const COLUMNS = ['name', 'location', 'category', 'description', 'price', 'rating', 'status', 'bookings', 'image', 'external_id', 'latitude', 'longitude', 'review_count', 'legal_entity', 'currency', 'host_id'];
+const SERVER_FIELDS = ['id', 'created_at', 'updated_at', 'deleted_at', 'deleted_by'];
+// Until reviews come in, a property is rated at the prior of the Bayesian rating
+const DEFAULTS = { price: 0, rating: RATING_PRIOR_MEAN, status: 'Active', bookings: 0, review_count: 0, currency: DEFAULT_CURRENCY };
+
+// Sorting, filtering and search allowed on the admin property list
+const LIST_SPEC = {
+  from: 'SELECT p.* FROM properties p',
+  countFrom: 'FROM properties p',
+  where: ['p.deleted_at IS NULL'],
+  id: 'id',
+  defaultSort: 'id',
+  fields: {
+    id: { expr: 'p.id', row: 'id' },
+    name: { expr: 'p.name', row: 'name' },
+    location: { expr: 'p.location', row: 'location' },
+    category: { expr: 'p.category', row: 'category' },
+    price: { expr: 'p.price', row: 'price' },
+    rating: { expr: 'p.rating', row: 'rating' },
+    status: { expr: 'p.status', row: 'status' },
+    bookings: { expr: 'p.bookings', row: 'bookings' },
+    created_at: { expr: 'p.created_at', row: 'created_at' },
+    updated_at: { expr: 'p.updated_at', row: 'updated_at' }
+  },
+  filters: {
+    status: { expr: 'p.status', op: 'in' },
+    category: { expr: 'p.category', op: 'in' },
+    externalId: { expr: 'p.external_id', op: 'in' },
+    hostId: { expr: 'p.host_id', op: 'eq' },
+    location: { expr: 'p.location', op: 'contains' },
+    minPrice: { expr: 'p.price', op: 'gte', type: 'number' },
+    maxPrice: { expr: 'p.price', op: 'lte', type: 'number' },
+    minRating: { expr: 'p.rating', op: 'gte', type: 'number' },
+    createdFrom: { expr: 'SUBSTR(p.created_at, 1, 10)', op: 'gte', type: 'date' },
+    createdTo: { expr: 'SUBSTR(p.created_at, 1, 10)', op: 'lte', type: 'date' }
+  },
+  search: ['p.name', 'p.location', 'p.category', 'p.description', 'p.external_id']
+};
+
+// The trash: soft-deleted properties, most recently deleted first
+const TRASH_SPEC = {
+  ...LIST_SPEC,
+  where: ['p.deleted_at IS NOT NULL'],
+  defaultSort: '-deleted_at',
+  fields: {
+    ...LIST_SPEC.fields,
+    deleted_at: { expr: 'p.deleted_at', row: 'deleted_at' }
+  }
+};
+
+// Published stays for the guest catalogue: live, Active properties only
+const PUBLISHED = ['p.deleted_at IS NULL', "p.status = 'Active'"];
+
+/**
+ * SQL for a property's nightly price in the guest's currency. Rates are
+ * numbers and currency codes three letters, so both are safe to inline;
+ * properties priced in a currency without a rate have no price.
+ * @param {Object} rates - { currency: rate to the guest's currency }, optional
+ * @returns {String} - SQL expression
+ */
+const convertedPrice = (rates) => {
+  if (!rates) return 'p.price';
+  const cases = Object.entries(rates)
+    .filter(([code, rate]) => /^[A-Z]{3}$/.test(code) && Number.isFinite(rate))
+    .map(([code, rate]) => `WHEN '${code}' THEN p.price * ${Number(rate)}`);
+  return cases.length ? `(CASE p.currency ${cases.join(' ')} END)` : 'NULL';
+};
+
+/**
+ * List spec of the guest catalogue. Guest counts live in the attributes
+ * JSON, which each dialect reads differently; a stay filter (checkIn,
+ * checkOut) adds the same rules the availability check applies. Prices are
+ * sorted and filtered in the guest's currency when rates are given.
+ * @param {String} dialect - 'sqlite' or 'postgres'
+ * @param {Object} stay - { checkIn, checkOut, lastNight, nights, weekday, releasedStatuses }, optional
+ * @param {Object} rates - { currency: rate to the guest's currency }, optional
+ * @returns {Object} - List spec
+ */
+const catalogueSpec = (dialect, stay, rates) => {
+  const price = convertedPrice(rates);
+  const maxGuests = dialect === 'postgres'
+    ? "CAST(p.attributes::json->>'maxGuests' AS INTEGER)"
+    : "CAST(json_extract(p.attributes, '$.maxGuests') AS INTEGER)";
+  const shift = (sign) => (dialect === 'postgres'
+    ? `TO_CHAR(CAST(? AS DATE) ${sign} COALESCE(r.buffer_days, 0), 'YYYY-MM-DD')`
+    : `DATE(?, '${sign}' || COALESCE(r.buffer_days, 0) || ' days')`);
+
+  // Stays that cannot be priced in the guest's currency are left out
+  const where = rates ? [...PUBLISHED, `${price} IS NOT NULL`] : [...PUBLISHED];
+  const whereValues = [];
+  if (stay) {
+    where.push(
+      'COALESCE(r.min_stay, 1) <= ?',
+      '(r.max_stay IS NULL OR r.max_stay >= ?)',
+      '(r.check_in_days IS NULL OR r.check_in_days LIKE ?)',
+      `NOT EXISTS (SELECT 1 FROM blocked_dates bd
+        WHERE bd.property_id = p.id AND bd.start_date <= ? AND bd.end_date >= ?)`,
+      // Buffer days keep a gap around other stays, as in the availability check
+      `NOT EXISTS (SELECT 1 FROM bookings b
+        WHERE b.property_id = p.id AND b.check_in < ${shift('+')} AND b.check_out > ${shift('-')}
+          AND b.status NOT IN (${stay.releasedStatuses.map(() => '?').join(', ')}))`
+    );
+    whereValues.push(
+      stay.nights,
+      stay.nights,
+      `%${stay.weekday}%`,
+      stay.lastNight,
+      stay.checkIn,
+      stay.checkOut,
+      stay.checkIn,
+      ...stay.releasedStatuses
+    );
+  }
+
+  return {
+    from: `SELECT p.*, ${price} AS converted_price FROM properties p LEFT JOIN availability_rules r ON r.property_id = p.id`,
+    countFrom: 'FROM properties p LEFT JOIN availability_rules r ON r.property_id = p.id',
+    where,
+    whereValues,
+    id: 'id',
+    defaultSort: '-rating',
+    fields: {
+      id: { expr: 'p.id', row: 'id' },
+      name: { expr: 'p.name', row: 'name' },
+      price: { expr: price, row: 'converted_price' },
+      rating: { expr: 'p.rating', row: 'rating' }
+    },
+    filters: {
+      category: { expr: 'p.category', op: 'in' },
+      location: { expr: 'p.location', op: 'contains' },
+      minPrice: { expr: price, op: 'gte', type: 'number' },
+      maxPrice: { expr: price, op: 'lte', type: 'number' },
+      minRating: { expr: 'p.rating', op: 'gte', type: 'number' },
+      guests: { expr: maxGuests, op: 'gte', type: 'number' }
+    },
+    search: ['p.name', 'p.location', 'p.category', 'p.description']
+  };
+};
+
+/**
+ * Map a database row to the property shape used by the API
+ * @param {Object} row - Database row
+ * @returns {Object} - Property
+ */
+const toProperty = (row) => {
+  if (!row) return row;
+
+  const property = { id: row.id, ...JSON.parse(row.attributes || '{}') };
+  COLUMNS.forEach(column => {
+    property[column] = row[column];
+  });
+  property.created_at = row.created_at;
+  property.updated_at = row.updated_at;
+  if (row.deleted_at) {
+    property.deleted_at = row.deleted_at;
+    property.deleted_by = row.deleted_by;
+  }
+  return property;
+};
+
+/**
+ * Split API fields into column values and free-form attributes
+ * @param {Object} data - Property fields
+ * @returns {Object} - { columns, attributes }
+ */
+const splitFields = (data) => {
+  const columns = {};
+  const attributes = {};
+
+  Object.entries(data).forEach(([key, value]) => {
+    if (COLUMNS.includes(key)) {
+      columns[key] = value;
+    } else if (!SERVER_FIELDS.includes(key)) {
+      attributes[key] = value;
+    }
+  });
+
+  return { columns, attributes };
+};
+
+class PropertyRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async findAll() {
+    const rows = await this.db.query('SELECT * FROM properties WHERE deleted_at IS NULL ORDER BY id');
+    return rows.map(toProperty);
+  }
+
+  /**
+   * Paginated, filtered and sorted list for the admin API
+   * @param {Object} query - Query string parameters (see LIST_SPEC)
+   * @returns {Promise<Object>} - { data, pagination }
+   */
+  async list(query) {
+    return runListQuery(this.db, LIST_SPEC, parseListParams(query, LIST_SPEC), toProperty);
+  }
+
+  /**
+   * Soft-deleted properties, paginated like the main list
+   * @param {Object} query - Query string parameters (see TRASH_SPEC)
+   * @returns {Promise<Object>} - { data, pagination }
+   */
+  async listTrash(query) {
+    return runListQuery(this.db, TRASH_SPEC, parseListParams(query, TRASH_SPEC), toProperty);
+  }
+
+  /**
+   * Paginated list of published stays for the guest catalogue
+   * @param {Object} query - Query string parameters (see catalogueSpec)
+   * @param {Object} options - { stay: the results must be bookable for, rates: to the guest's currency }
+   * @returns {Promise<Object>} - { data, pagination }
+   */
+  async listPublished(query, { stay, rates } = {}) {
+    const spec = catalogueSpec(this.db.dialect, stay, rates);
+    return runListQuery(this.db, spec, parseListParams(query, spec), toProperty);
+  }
+
+  /**
+   * Published stays inside a bounding box, with the catalogue filters. The
+   * box wraps around the antimeridian when minLng is greater than maxLng.
+   * Without `near`, the best rated come first; with it, the closest by a
+   * flat-earth approximation that is good enough to rank within the box.
+   * @param {Object} box - { minLat, maxLat, minLng, maxLng }
+   * @param {Object} query - Query string parameters (see catalogueSpec)
+   * @param {Object} options - { stay, rates, near: { latitude, longitude }, limit }
+   * @returns {Promise<Array>} - Properties
+   */
+  async findPublishedWithin(box, query, { stay, rates, near, limit }) {
+    const spec = catalogueSpec(this.db.dialect, stay, rates);
+    const { clauses, values } = buildFilters(spec, parseFilters(query, spec));
+
+    clauses.push('p.latitude BETWEEN ? AND ?');
+    values.push(box.minLat, box.maxLat);
+    if (box.minLng <= box.maxLng) {
+      clauses.push('p.longitude BETWEEN ? AND ?');
+      values.push(box.minLng, box.maxLng);
+    } else {
+      clauses.push('(p.longitude >= ? OR p.longitude <= ?)');
+      values.push(box.minLng, box.maxLng);
+    }
+
+    let orderBy = 'p.rating DESC, p.id';
+    const orderValues = [];
+    if (near) {
+      const scale = Math.cos((near.latitude * Math.PI) / 180) ** 2;
+      orderBy = '(p.latitude - ?) * (p.latitude - ?) + (p.longitude - ?) * (p.longitude - ?) * ?, p.id';
+      orderValues.push(near.latitude, near.latitude, near.longitude, near.longitude, scale);
+    }
+
+    const rows = await this.db.query(
+      `${spec.from} WHERE ${clauses.join(' AND ')} ORDER BY ${orderBy} LIMIT ?`,
+      [...values, ...orderValues, limit]
+    );
+    return rows.map(toProperty);
+  }
+
+  async findPublished(id) {
+    return toProperty(await this.db.get(
+      `SELECT * FROM properties p WHERE p.id = ? AND ${PUBLISHED.join(' AND ')}`,
+      [id]
+    ));
+  }
+
+  async findPublishedByIds(ids) {
+    if (ids.length === 0) return [];
+    const rows = await this.db.query(
+      `SELECT * FROM properties p WHERE p.id IN (${ids.map(() => '?').join(', ')}) AND ${PUBLISHED.join(' AND ')}`,
+      ids
+    );
+    return rows.map(toProperty);
+  }
+
+  /**
+   * Find a property; soft-deleted ones only when asked for
+   * @param {Number} id - Property id
+   * @param {Object} options - { includeDeleted }
+   * @returns {Promise<Object|undefined>} - Property
+   */
+  async findById(id, { includeDeleted = false } = {}) {
+    return toProperty(await this.db.get(
+      `SELECT * FROM properties WHERE id = ?${includeDeleted ? '' : ' AND deleted_at IS NULL'}`,
+      [id]
+    ));
+  }
+
+  /**
+   * Walk every property matching the list filters, for exports
+   * @param {Object} query - Query string parameters (see LIST_SPEC)
+   * @returns {AsyncGenerator<Object>} - Properties
+   */
+  iterate(query) {
+    return iterateList(this.db, LIST_SPEC, parseListParams(query, LIST_SPEC), toProperty);
+  }
+
+  /**
+   * Find properties by external id, trashed ones included
+   * @param {Array} externalIds - External ids
+   * @returns {Promise<Array>} - Properties
+   */
+  async findByExternalIds(externalIds) {
+    if (externalIds.length === 0) return [];
+    const rows = await this.db.query(
+      `SELECT * FROM properties WHERE external_id IN (${externalIds.map(() => '?').join(', ')})`,
+      externalIds
+    );
+    return rows.map(toProperty);
+  }
+
+  /**
+   * Lock a property row until the surrounding transaction ends, so checks
+   * such as availability cannot race. SQLite transactions already run one
+   * at a time, so this only matters on Postgres.
+   * @param {Number} id - Property id
+   */
+  async lock(id) {
+    if (this.db.dialect === 'postgres') {
+      await this.db.query('SELECT id FROM properties WHERE id = ? FOR UPDATE', [id]);
+    }
+  }
+
+  async count({ includeDeleted = false } = {}) {
+    const row = await this.db.get(`SELECT COUNT(*) AS count FROM properties${includeDeleted ? '' : ' WHERE deleted_at IS NULL'}`);
+    return Number(row.count);
+  }
+
+  /**
+   * Create a property; the id is assigned by the database
+   * @param {Object} data - Property fields
+   * @returns {Promise<Object>} - Created property
+   */
+  async create(data) {
+    const { columns, attributes } = splitFields(data);
+    const now = new Date().toISOString();
+    const row = await this.db.get(
+      `INSERT INTO properties (${COLUMNS.join(', ')}, attributes, created_at, updated_at)
+       VALUES (${COLUMNS.map(() => '?').join(', ')}, ?, ?, ?) RETURNING *`,
+      [
+        ...COLUMNS.map(column => (columns[column] !== undefined ? columns[column] : DEFAULTS[column])),
+        JSON.stringify(attributes),
+        data.created_at || now,
+        now
+      ]
+    );
+    return toProperty(row);
+  }
+
+  /**
+   * Store a rating derived from reviews. Ratings are not edits, so they
+   * leave updated_at and the revision history alone.
+   * @param {Number} id - Property id
+   * @param {Number} rating - Rating
+   * @param {Number} reviewCount - Published reviews it is based on
+   */
+  async setRating(id, rating, reviewCount) {
+    await this.db.run('UPDATE properties SET rating = ?, review_count = ? WHERE id = ?', [rating, reviewCount, id]);
+  }
+
+  /**
+   * Merge changes into an existing property
+   * @param {Number} id - Property id
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object|null>} - Updated property, or null if not found
+   */
+  async update(id, changes) {
+    const existing = await this.findById(id);
+    if (!existing) {
+      return null;
+    }
+
+    const { columns, attributes } = splitFields({ ...existing, ...changes });
+    const row = await this.db.get(
+      `UPDATE properties SET ${COLUMNS.map(column => `${column} = ?`).join(', ')}, attributes = ?, updated_at = ?
+       WHERE id = ? RETURNING *`,
+      [
+        ...COLUMNS.map(column => columns[column]),
+        JSON.stringify(attributes),
+        new Date().toISOString(),
+        id
+      ]
+    );
+    return toProperty(row);
+  }
+
+  /**
+   * Overwrite a property with exactly the given fields: attributes not
+   * listed are dropped and missing columns fall back to their defaults
+   * @param {Number} id - Property id
+   * @param {Object} data - Complete set of property fields
+   * @returns {Promise<Object|null>} - Updated property, or null if not found
+   */
+  async replace(id, data) {
+    const { columns, attributes } = splitFields(data);
+    const row = await this.db.get(
+      `UPDATE properties SET ${COLUMNS.map(column => `${column} = ?`).join(', ')}, attributes = ?, updated_at = ?
+       WHERE id = ? AND deleted_at IS NULL RETURNING *`,
+      [
+        ...COLUMNS.map(column => columns[column] ?? DEFAULTS[column] ?? null),
+        JSON.stringify(attributes),
+        new Date().toISOString(),
+        id
+      ]
+    );
+    return toProperty(row) || null;
+  }
+
+  /**
+   * Move a property to the trash
+   * @param {Number} id - Property id
+   * @param {String} adminId - Deleting admin
+   * @returns {Promise<Object|undefined>} - The trashed property, if it was live
+   */
+  async softDelete(id, adminId) {
+    const now = new Date().toISOString();
+    return toProperty(await this.db.get(
+      `UPDATE properties SET deleted_at = ?, deleted_by = ?, updated_at = ?
+       WHERE id = ? AND deleted_at IS NULL RETURNING *`,
+      [now, adminId, now, id]
+    ));
+  }
+
+  /**
+   * Take a property out of the trash
+   * @param {Number} id - Property id
+   * @returns {Promise<Object|undefined>} - The restored property, if it was trashed
+   */
+  async restore(id) {
+    return toProperty(await this.db.get(
+      `UPDATE properties SET deleted_at = NULL, deleted_by = NULL, updated_at = ?
+       WHERE id = ? AND deleted_at IS NOT NULL RETURNING *`,
+      [new Date().toISOString(), id]
+    ));
+  }
+
+  /**
+   * Delete a property permanently, with everything that belongs to it
+   * @param {Number} id - Property id
+   * @returns {Promise<Boolean>} - Whether a property was deleted
+   */
+  async delete(id) {
+    const { changes } = await this.db.run('DELETE FROM properties WHERE id = ?', [id]);
+    return changes > 0;
+  }
+}
+
+module.exports = PropertyRepository;
@@ -0,0 +1,97 @@
+const { diffObjects } = require('../utils/diff');
+
+// Listing revisions leaves out the snapshots, which can be large
+const SUMMARY_COLUMNS = 'property_id, revision, action, changes, restored_from, created_by, created_at';
+
+const toRevision = (row) => row && {
+  propertyId: row.property_id,
+  revision: row.revision,
+  action: row.action,
+  changes: row.changes ? JSON.parse(row.changes) : null,
+  restoredFrom: row.restored_from,
+  ...(row.snapshot !== undefined && { snapshot: JSON.parse(row.snapshot) }),
+  createdBy: row.created_by,
+  created_at: row.created_at
+};
+
+/**
+ * Numbered revisions of properties, each with a full snapshot
+ */
+class PropertyRevisionRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Revisions of a property, newest first, without their snapshots
+   * @param {Number} propertyId - Property id
+   * @returns {Promise<Array>} - Revisions
+   */
+  async findByProperty(propertyId) {
+    const rows = await this.db.query(
+      `SELECT ${SUMMARY_COLUMNS} FROM property_revisions WHERE property_id = ? ORDER BY revision DESC`,
+      [propertyId]
+    );
+    return rows.map(toRevision);
+  }
+
+  async find(propertyId, revision) {
+    return toRevision(await this.db.get(
+      'SELECT * FROM property_revisions WHERE property_id = ? AND revision = ?',
+      [propertyId, revision]
+    ));
+  }
+
+  async count(propertyId) {
+    const row = await this.db.get('SELECT COUNT(*) AS count FROM property_revisions WHERE property_id = ?', [propertyId]);
+    return Number(row.count);
+  }
+
+  /**
+   * Store the next revision of a property
+   * @param {Object} revision - { propertyId, action, snapshot, changes, restoredFrom, createdBy }
+   * @returns {Promise<Object>} - Stored revision
+   */
+  async record(revision) {
+    const row = await this.db.get(
+      `INSERT INTO property_revisions (property_id, revision, action, snapshot, changes, restored_from, created_by, created_at)
+       VALUES (?, (SELECT COALESCE(MAX(revision), 0) + 1 FROM property_revisions WHERE property_id = ?), ?, ?, ?, ?, ?, ?)
+       RETURNING *`,
+      [
+        revision.propertyId,
+        revision.propertyId,
+        revision.action,
+        JSON.stringify(revision.snapshot),
+        revision.changes ? JSON.stringify(revision.changes) : null,
+        revision.restoredFrom || null,
+        revision.createdBy || null,
+        new Date().toISOString()
+      ]
+    );
+    return toRevision(row);
+  }
+
+  /**
+   * Record a change to a property as its next revision. Properties that
+   * predate revision history first get a baseline of their previous state,
+   * so the change can be rolled back.
+   * @param {Object} change - { before, after, action, restoredFrom, createdBy }
+   * @returns {Promise<Object>} - Stored revision
+   */
+  async recordChange({ before, after, action, restoredFrom, createdBy }) {
+    if (before && await this.count(before.id) === 0) {
+      await this.record({ propertyId: before.id, action: 'baseline', snapshot: before });
+    }
+
+    return this.record({
+      propertyId: after.id,
+      action,
+      snapshot: after,
+      changes: diffObjects(before, after),
+      restoredFrom,
+      createdBy
+    });
+  }
+}
+
+module.exports = PropertyRevisionRepository;
@@ -0,0 +1,214 @@
+const { parseListParams, runListQuery } = require('../utils/listQuery');
+const { REVIEW_SUB_SCORES, REVIEW_STATUSES } = require('../constants/review');
+
+const SELECT_REVIEWS = `
+  SELECT r.*, p.name AS property_name
+  FROM reviews r
+  LEFT JOIN properties p ON p.id = r.property_id`;
+
+const FIELDS = {
+  id: { expr: 'r.id', row: 'id' },
+  overall: { expr: 'r.overall', row: 'overall' },
+  created_at: { expr: 'r.created_at', row: 'created_at' }
+};
+
+// Sorting, filtering and search allowed on the moderation list
+const LIST_SPEC = {
+  from: SELECT_REVIEWS,
+  countFrom: 'FROM reviews r LEFT JOIN properties p ON p.id = r.property_id',
+  id: 'id',
+  defaultSort: '-created_at',
+  fields: {
+    ...FIELDS,
+    status: { expr: 'r.status', row: 'status' },
+    propertyName: { expr: "COALESCE(p.name, '')", row: 'property_name', nullValue: '' }
+  },
+  filters: {
+    status: { expr: 'r.status', op: 'in' },
+    propertyId: { expr: 'r.property_id', op: 'in', type: 'number' },
+    userId: { expr: 'r.user_id', op: 'eq', type: 'number' },
+    bookingId: { expr: 'r.booking_id', op: 'eq' },
+    minOverall: { expr: 'r.overall', op: 'gte', type: 'number' },
+    maxOverall: { expr: 'r.overall', op: 'lte', type: 'number' },
+    replied: { expr: "CASE WHEN r.reply IS NULL THEN 'false' ELSE 'true' END", op: 'eq' },
+    createdFrom: { expr: 'SUBSTR(r.created_at, 1, 10)', op: 'gte', type: 'date' },
+    createdTo: { expr: 'SUBSTR(r.created_at, 1, 10)', op: 'lte', type: 'date' }
+  },
+  search: ['r.comment', 'r.guest_name', 'r.booking_id', 'p.name']
+};
+
+/**
+ * The published reviews of one property, as guests see them
+ * @param {Number} propertyId - Property id
+ * @returns {Object} - List spec
+ */
+const publishedSpec = (propertyId) => ({
+  from: SELECT_REVIEWS,
+  countFrom: 'FROM reviews r',
+  where: ['r.property_id = ?', 'r.status = ?'],
+  whereValues: [propertyId, REVIEW_STATUSES.PUBLISHED],
+  id: 'id',
+  defaultSort: '-created_at',
+  fields: FIELDS,
+  filters: {
+    minOverall: { expr: 'r.overall', op: 'gte', type: 'number' }
+  },
+  search: ['r.comment']
+});
+
+/**
+ * Map a database row to the review shape used by the API
+ * @param {Object} row - Database row joined with its property
+ * @returns {Object} - Review
+ */
+const toReview = (row) => row && {
+  id: row.id,
+  propertyId: row.property_id,
+  propertyName: row.property_name,
+  bookingId: row.booking_id,
+  userId: row.user_id,
+  guestName: row.guest_name,
+  overall: row.overall,
+  scores: Object.fromEntries(REVIEW_SUB_SCORES.map(score => [score, row[score]])),
+  comment: row.comment,
+  status: row.status,
+  moderationNote: row.moderation_note,
+  moderatedBy: row.moderated_by,
+  moderatedAt: row.moderated_at,
+  reply: row.reply,
+  repliedBy: row.replied_by,
+  repliedAt: row.replied_at,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+};
+
+class ReviewRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Paginated list of all reviews for moderators
+   * @param {Object} query - Query string parameters (see LIST_SPEC)
+   * @returns {Promise<Object>} - { data, pagination }
+   */
+  async list(query) {
+    return runListQuery(this.db, LIST_SPEC, parseListParams(query, LIST_SPEC), toReview);
+  }
+
+  /**
+   * Paginated published reviews of a property
+   * @param {Number} propertyId - Property id
+   * @param {Object} query - Query string parameters
+   * @returns {Promise<Object>} - { data, pagination }
+   */
+  async listPublished(propertyId, query) {
+    const spec = publishedSpec(propertyId);
+    return runListQuery(this.db, spec, parseListParams(query, spec), toReview);
+  }
+
+  async findById(id) {
+    return toReview(await this.db.get(`${SELECT_REVIEWS} WHERE r.id = ?`, [id]));
+  }
+
+  async findByBooking(bookingId) {
+    return toReview(await this.db.get(`${SELECT_REVIEWS} WHERE r.booking_id = ?`, [bookingId]));
+  }
+
+  /**
+   * Published review comments written by a user, newest first
+   * @param {Number} userId - User id
+   * @returns {Promise<Array>} - Reviews
+   */
+  async findPublishedByUser(userId) {
+    const rows = await this.db.query(
+      `${SELECT_REVIEWS} WHERE r.user_id = ? AND r.status = ? ORDER BY r.created_at DESC`,
+      [userId, REVIEW_STATUSES.PUBLISHED]
+    );
+    return rows.map(toReview);
+  }
+
+  /**
+   * Store a new review
+   * @param {Object} data - { propertyId, bookingId, userId, guestName, overall, scores, comment, status }
+   * @returns {Promise<Object>} - Created review
+   */
+  async create(data) {
+    const now = new Date().toISOString();
+    const { id } = await this.db.get(
+      `INSERT INTO reviews (property_id, booking_id, user_id, guest_name, overall,
+         ${REVIEW_SUB_SCORES.join(', ')}, comment, status, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ${REVIEW_SUB_SCORES.map(() => '?').join(', ')}, ?, ?, ?, ?) RETURNING id`,
+      [
+        data.propertyId,
+        data.bookingId,
+        data.userId ?? null,
+        data.guestName,
+        data.overall,
+        ...REVIEW_SUB_SCORES.map(score => data.scores[score]),
+        data.comment ?? null,
+        data.status,
+        now,
+        now
+      ]
+    );
+    return this.findById(id);
+  }
+
+  /**
+   * Record a moderation decision
+   * @param {Number} id - Review id
+   * @param {Object} data - { status, note, moderatedBy }
+   * @returns {Promise<Object>} - Updated review
+   */
+  async setStatus(id, { status, note, moderatedBy }) {
+    const now = new Date().toISOString();
+    await this.db.run(
+      `UPDATE reviews SET status = ?, moderation_note = ?, moderated_by = ?, moderated_at = ?, updated_at = ?
+       WHERE id = ?`,
+      [status, note ?? null, moderatedBy, now, now, id]
+    );
+    return this.findById(id);
+  }
+
+  /**
+   * Set or clear the host reply
+   * @param {Number} id - Review id
+   * @param {String} reply - Reply text, or null to remove it
+   * @param {String} repliedBy - Who replied
+   * @returns {Promise<Object>} - Updated review
+   */
+  async setReply(id, reply, repliedBy) {
+    const now = new Date().toISOString();
+    await this.db.run(
+      'UPDATE reviews SET reply = ?, replied_by = ?, replied_at = ?, updated_at = ? WHERE id = ?',
+      [reply, reply === null ? null : repliedBy, reply === null ? null : now, now, id]
+    );
+    return this.findById(id);
+  }
+
+  /**
+   * Count and averages of a property's published reviews
+   * @param {Number} propertyId - Property id
+   * @returns {Promise<Object>} - { count, overall, scores: { cleanliness, ... }, distribution: { 1..5 } }
+   */
+  async summarize(propertyId) {
+    const row = await this.db.get(
+      `SELECT COUNT(*) AS count, AVG(overall) AS overall,
+         ${REVIEW_SUB_SCORES.map(score => `AVG(${score}) AS ${score}`).join(', ')},
+         ${[1, 2, 3, 4, 5].map(stars => `SUM(CASE WHEN overall = ${stars} THEN 1 ELSE 0 END) AS stars_${stars}`).join(', ')}
+       FROM reviews WHERE property_id = ? AND status = ?`,
+      [propertyId, REVIEW_STATUSES.PUBLISHED]
+    );
+    const average = (value) => (value === null ? null : Math.round(Number(value) * 100) / 100);
+
+    return {
+      count: Number(row.count),
+      overall: average(row.overall),
+      scores: Object.fromEntries(REVIEW_SUB_SCORES.map(score => [score, average(row[score])])),
+      distribution: Object.fromEntries([1, 2, 3, 4, 5].map(stars => [stars, Number(row[`stars_${stars}`] || 0)]))
+    };
+  }
+}
+
+module.exports = ReviewRepository;
@@ -0,0 +1,66 @@
+/**
+ * Terms of the stay search index, one row per property, term and field
+ */
+class SearchIndexRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Replace the indexed terms of a property
+   * @param {Number} propertyId - Property id
+   * @param {Array} entries - [{ term, field, weight }], unique per term and field
+   */
+  async replace(propertyId, entries) {
+    await this.remove(propertyId);
+    for (const { term, field, weight } of entries) {
+      await this.db.run(
+        'INSERT INTO property_search_terms (property_id, term, field, weight) VALUES (?, ?, ?, ?)',
+        [propertyId, term, field, weight]
+      );
+    }
+  }
+
+  async remove(propertyId) {
+    await this.db.run('DELETE FROM property_search_terms WHERE property_id = ?', [propertyId]);
+  }
+
+  async clear() {
+    await this.db.run('DELETE FROM property_search_terms');
+  }
+
+  /**
+   * Every distinct indexed term, for fuzzy and prefix matching
+   * @returns {Promise<Array>} - Terms
+   */
+  async vocabulary() {
+    const rows = await this.db.query('SELECT DISTINCT term FROM property_search_terms');
+    return rows.map(row => row.term);
+  }
+
+  /**
+   * Postings of the given terms on published stays, as in the catalogue
+   * @param {Array} terms - Indexed terms
+   * @returns {Promise<Array>} - [{ propertyId, term, field, weight, rating }]
+   */
+  async findPublishedPostings(terms) {
+    if (terms.length === 0) return [];
+
+    const rows = await this.db.query(
+      `SELECT t.property_id, t.term, t.field, t.weight, p.rating
+       FROM property_search_terms t JOIN properties p ON p.id = t.property_id
+       WHERE t.term IN (${terms.map(() => '?').join(', ')})
+         AND p.deleted_at IS NULL AND p.status = 'Active'`,
+      terms
+    );
+    return rows.map(row => ({
+      propertyId: row.property_id,
+      term: row.term,
+      field: row.field,
+      weight: Number(row.weight),
+      rating: Number(row.rating)
+    }));
+  }
+}
+
+module.exports = SearchIndexRepository;
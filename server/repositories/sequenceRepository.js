@@ -0,0 +1,25 @@
+/**
+ * Named counters used for human-readable identifiers such as booking ids
+ */
+class SequenceRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Atomically increment a counter, creating it on first use
+   * @param {String} name - Sequence name
+   * @returns {Promise<Number>} - The next value
+   */
+  async next(name) {
+    const row = await this.db.get(
+      `INSERT INTO sequences (name, value) VALUES (?, 1)
+       ON CONFLICT (name) DO UPDATE SET value = sequences.value + 1
+       RETURNING value`,
+      [name]
+    );
+    return Number(row.value);
+  }
+}
+
+module.exports = SequenceRepository;
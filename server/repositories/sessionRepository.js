@@ -0,0 +1,125 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Map a database row to the session shape used by the API
+ * @param {Object} row - Database row
+ * @returns {Object} - Session
+ */
+const toSession = (row) => row && {
+  id: row.id,
+  adminId: row.admin_id,
+  ip: row.ip,
+  userAgent: row.user_agent,
+  createdAt: row.created_at,
+  lastUsedAt: row.last_used_at,
+  expiresAt: row.expires_at,
+  revokedAt: row.revoked_at,
+  revokedReason: row.revoked_reason
+};
+
+/**
+ * Admin sessions and the refresh tokens issued within them
+ */
+class SessionRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async findById(id) {
+    return toSession(await this.db.get('SELECT * FROM admin_sessions WHERE id = ?', [id]));
+  }
+
+  /**
+   * Sessions of an admin that are neither revoked nor expired, most recent first
+   * @param {String} adminId - Admin id
+   * @returns {Promise<Array>} - Sessions
+   */
+  async findActiveByAdmin(adminId) {
+    const rows = await this.db.query(
+      `SELECT * FROM admin_sessions
+       WHERE admin_id = ? AND revoked_at IS NULL AND expires_at > ?
+       ORDER BY last_used_at DESC`,
+      [adminId, new Date().toISOString()]
+    );
+    return rows.map(toSession);
+  }
+
+  /**
+   * Start a session
+   * @param {Object} data - { adminId, ip, userAgent, expiresAt }
+   * @returns {Promise<Object>} - Created session
+   */
+  async create(data) {
+    const now = new Date().toISOString();
+    const row = await this.db.get(
+      `INSERT INTO admin_sessions (id, admin_id, ip, user_agent, created_at, last_used_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?) RETURNING *`,
+      [uuidv4(), data.adminId, data.ip, data.userAgent, now, now, data.expiresAt]
+    );
+    return toSession(row);
+  }
+
+  async touch(id, { ip, userAgent }) {
+    await this.db.run(
+      'UPDATE admin_sessions SET last_used_at = ?, ip = ?, user_agent = ? WHERE id = ?',
+      [new Date().toISOString(), ip, userAgent, id]
+    );
+  }
+
+  /**
+   * Revoke a session; already revoked sessions keep their original reason
+   * @param {String} id - Session id
+   * @param {String} reason - Why it was revoked
+   * @returns {Promise<Boolean>} - Whether a live session was revoked
+   */
+  async revoke(id, reason) {
+    const { changes } = await this.db.run(
+      'UPDATE admin_sessions SET revoked_at = ?, revoked_reason = ? WHERE id = ? AND revoked_at IS NULL',
+      [new Date().toISOString(), reason, id]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Revoke every live session of an admin
+   * @param {String} adminId - Admin id
+   * @param {String} reason - Why they were revoked
+   * @param {String} exceptId - Session to keep, if any
+   * @returns {Promise<Number>} - Number of sessions revoked
+   */
+  async revokeAllForAdmin(adminId, reason, exceptId = null) {
+    const { changes } = await this.db.run(
+      `UPDATE admin_sessions SET revoked_at = ?, revoked_reason = ?
+       WHERE admin_id = ? AND revoked_at IS NULL AND id <> ?`,
+      [new Date().toISOString(), reason, adminId, exceptId || '']
+    );
+    return changes;
+  }
+
+  async addRefreshToken(sessionId, tokenHash) {
+    await this.db.run(
+      'INSERT INTO admin_refresh_tokens (token_hash, session_id, issued_at) VALUES (?, ?, ?)',
+      [tokenHash, sessionId, new Date().toISOString()]
+    );
+  }
+
+  async findRefreshToken(tokenHash) {
+    const row = await this.db.get('SELECT * FROM admin_refresh_tokens WHERE token_hash = ?', [tokenHash]);
+    return row && { tokenHash: row.token_hash, sessionId: row.session_id, issuedAt: row.issued_at, usedAt: row.used_at };
+  }
+
+  /**
+   * Mark a refresh token as spent
+   * @param {String} tokenHash - Token hash
+   * @returns {Promise<Boolean>} - False if it had already been used
+   */
+  async useRefreshToken(tokenHash) {
+    const { changes } = await this.db.run(
+      'UPDATE admin_refresh_tokens SET used_at = ? WHERE token_hash = ? AND used_at IS NULL',
+      [new Date().toISOString(), tokenHash]
+    );
+    return changes > 0;
+  }
+}
+
+module.exports = SessionRepository;
@@ -0,0 +1,37 @@
+/**
+ * Application-wide settings stored as JSON values under a key
+ */
+class SettingsRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Read a setting
+   * @param {String} key - Setting key
+   * @param {*} fallback - Value returned when the setting was never stored
+   * @returns {Promise<*>} - Stored value or fallback
+   */
+  async get(key, fallback = null) {
+    const row = await this.db.get('SELECT value FROM settings WHERE key = ?', [key]);
+    return row ? JSON.parse(row.value) : fallback;
+  }
+
+  /**
+   * Store a setting
+   * @param {String} key - Setting key
+   * @param {*} value - JSON-serialisable value
+   * @param {String} updatedBy - Id of the admin making the change
+   * @returns {Promise<*>} - Stored value
+   */
+  async set(key, value, updatedBy) {
+    await this.db.run(
+      `INSERT INTO settings (key, value, updated_by, updated_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_by = excluded.updated_by, updated_at = excluded.updated_at`,
+      [key, JSON.stringify(value), updatedBy, new Date().toISOString()]
+    );
+    return value;
+  }
+}
+
+module.exports = SettingsRepository;
@@ -0,0 +1,85 @@
+/**
+ * Aggregate queries behind the admin dashboard
+ */
+class StatsRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Properties that existed before a date and were not in the trash by then
+   * @param {String} before - YYYY-MM-DD (exclusive)
+   * @returns {Promise<Object>} - { count, activeCount, avgRating }
+   */
+  async propertySnapshot(before) {
+    const row = await this.db.get(
+      `SELECT COUNT(*) AS count,
+         SUM(CASE WHEN status = 'Active' THEN 1 ELSE 0 END) AS active_count,
+         AVG(CASE WHEN rating > 0 THEN rating END) AS avg_rating
+       FROM properties WHERE created_at < ? AND (deleted_at IS NULL OR deleted_at >= ?)`,
+      [before, before]
+    );
+    return {
+      count: Number(row.count),
+      activeCount: Number(row.active_count || 0),
+      avgRating: row.avg_rating === null ? null : Number(row.avg_rating)
+    };
+  }
+
+  async countUsersJoinedBefore(before) {
+    const row = await this.db.get('SELECT COUNT(*) AS count FROM users WHERE join_date < ?', [before]);
+    return Number(row.count);
+  }
+
+  async countBookingsMade(from, to) {
+    const row = await this.db.get(
+      'SELECT COUNT(*) AS count FROM bookings WHERE booking_date >= ? AND booking_date <= ?',
+      [from, to]
+    );
+    return Number(row.count);
+  }
+
+  /**
+   * Stays that occupy at least one night in [from, to)
+   * @param {String} from - YYYY-MM-DD
+   * @param {String} to - YYYY-MM-DD (exclusive)
+   * @param {Array} releasedStatuses - Statuses that no longer occupy a property
+   * @returns {Promise<Array>} - Rows with dates, amount and pricing
+   */
+  async findStays(from, to, releasedStatuses) {
+    const rows = await this.db.query(
+      `SELECT id, property_id, check_in, check_out, total_amount, currency, pricing, created_at FROM bookings
+       WHERE check_in < ? AND check_out > ?
+         AND status NOT IN (${releasedStatuses.map(() => '?').join(', ')})`,
+      [to, from, ...releasedStatuses]
+    );
+    return rows.map(row => ({
+      id: row.id,
+      propertyId: row.property_id,
+      checkIn: row.check_in,
+      checkOut: row.check_out,
+      totalAmount: Number(row.total_amount),
+      currency: row.currency,
+      pricing: row.pricing ? JSON.parse(row.pricing) : null,
+      created_at: row.created_at
+    }));
+  }
+
+  /**
+   * Blocked ranges of active properties touching [from, to]
+   * @param {String} from - YYYY-MM-DD
+   * @param {String} to - YYYY-MM-DD (inclusive)
+   * @returns {Promise<Array>} - { startDate, endDate }
+   */
+  async findBlocks(from, to) {
+    const rows = await this.db.query(
+      `SELECT b.start_date, b.end_date FROM blocked_dates b
+       JOIN properties p ON p.id = b.property_id
+       WHERE p.status = 'Active' AND p.deleted_at IS NULL AND b.start_date <= ? AND b.end_date >= ?`,
+      [to, from]
+    );
+    return rows.map(row => ({ startDate: row.start_date, endDate: row.end_date }));
+  }
+}
+
+module.exports = StatsRepository;
@@ -0,0 +1,161 @@
+const { parseListParams, runListQuery, iterateList } = require('../utils/listQuery');
+
+// Sorting, filtering and search allowed on the admin user list
+const LIST_SPEC = {
+  from: 'SELECT u.* FROM users u',
+  countFrom: 'FROM users u',
+  id: 'id',
+  defaultSort: 'id',
+  fields: {
+    id: { expr: 'u.id', row: 'id' },
+    name: { expr: 'u.name', row: 'name' },
+    email: { expr: 'u.email', row: 'email' },
+    status: { expr: 'u.status', row: 'status' },
+    joinDate: { expr: 'u.join_date', row: 'join_date' },
+    lastLogin: { expr: "COALESCE(u.last_login, '')", row: 'last_login', nullValue: '' },
+    bookings: { expr: 'u.bookings', row: 'bookings' },
+    totalSpent: { expr: 'u.total_spent', row: 'total_spent' },
+    location: { expr: "COALESCE(u.location, '')", row: 'location', nullValue: '' }
+  },
+  filters: {
+    status: { expr: 'u.status', op: 'in' },
+    location: { expr: 'u.location', op: 'contains' },
+    joinedFrom: { expr: 'u.join_date', op: 'gte', type: 'date' },
+    joinedTo: { expr: 'u.join_date', op: 'lte', type: 'date' },
+    lastLoginFrom: { expr: 'SUBSTR(u.last_login, 1, 10)', op: 'gte', type: 'date' },
+    lastLoginTo: { expr: 'SUBSTR(u.last_login, 1, 10)', op: 'lte', type: 'date' },
+    minSpent: { expr: 'u.total_spent', op: 'gte', type: 'number' },
+    maxSpent: { expr: 'u.total_spent', op: 'lte', type: 'number' }
+  },
+  search: ['u.name', 'u.email', 'u.location']
+};
+
+/**
+ * Map a database row to the user shape used by the API; the password hash
+ * never leaves the repository this way
+ * @param {Object} row - Database row
+ * @returns {Object} - User
+ */
+const toUser = (row) => row && {
+  id: row.id,
+  name: row.name,
+  email: row.email,
+  phone: row.phone,
+  status: row.status,
+  emailVerified: Boolean(row.email_verified_at),
+  hasAccount: Boolean(row.password_hash),
+  joinDate: row.join_date,
+  lastLogin: row.last_login,
+  bookings: row.bookings,
+  totalSpent: row.total_spent,
+  location: row.location,
+  preferences: JSON.parse(row.preferences || '{}')
+};
+
+// API field -> column for user updates
+const UPDATABLE_FIELDS = {
+  name: 'name',
+  phone: 'phone',
+  location: 'location',
+  preferences: 'preferences',
+  password: 'password_hash',
+  emailVerifiedAt: 'email_verified_at',
+  lastLogin: 'last_login'
+};
+
+class UserRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async findAll() {
+    const rows = await this.db.query('SELECT * FROM users ORDER BY id');
+    return rows.map(toUser);
+  }
+
+  /**
+   * Paginated, filtered and sorted list for the admin API
+   * @param {Object} query - Query string parameters (see LIST_SPEC)
+   * @returns {Promise<Object>} - { data, pagination }
+   */
+  async list(query) {
+    return runListQuery(this.db, LIST_SPEC, parseListParams(query, LIST_SPEC), toUser);
+  }
+
+  /**
+   * Walk every user matching the list filters, for exports
+   * @param {Object} query - Query string parameters (see LIST_SPEC)
+   * @returns {AsyncGenerator<Object>} - Users
+   */
+  iterate(query) {
+    return iterateList(this.db, LIST_SPEC, parseListParams(query, LIST_SPEC), toUser);
+  }
+
+  async findById(id) {
+    return toUser(await this.db.get('SELECT * FROM users WHERE id = ?', [id]));
+  }
+
+  async findByEmail(email) {
+    return toUser(await this.db.get('SELECT * FROM users WHERE email = ?', [email]));
+  }
+
+  /**
+   * What signing in needs to know about a user, password hash included
+   * @param {String} email - Email address
+   * @returns {Promise<Object|null>} - { id, email, name, status, password, emailVerifiedAt }
+   */
+  async findCredentials(email) {
+    const row = await this.db.get('SELECT * FROM users WHERE email = ?', [email]);
+    return row && {
+      id: row.id,
+      email: row.email,
+      name: row.name,
+      status: row.status,
+      password: row.password_hash,
+      emailVerifiedAt: row.email_verified_at
+    };
+  }
+
+  async count() {
+    const row = await this.db.get('SELECT COUNT(*) AS count FROM users');
+    return Number(row.count);
+  }
+
+  async create(data) {
+    const row = await this.db.get(
+      `INSERT INTO users (name, email, status, join_date, last_login, bookings, total_spent, location, password_hash)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING *`,
+      [
+        data.name,
+        data.email,
+        data.status || 'Active',
+        data.joinDate || new Date().toISOString().slice(0, 10),
+        data.lastLogin,
+        data.bookings || 0,
+        data.totalSpent || 0,
+        data.location,
+        data.password
+      ]
+    );
+    return toUser(row);
+  }
+
+  /**
+   * Update profile fields, preferences, the password hash or sign-in times
+   * @param {Number} id - User id
+   * @param {Object} changes - Any of UPDATABLE_FIELDS; preferences as an object
+   * @returns {Promise<Object>} - Updated user
+   */
+  async update(id, changes) {
+    const fields = Object.keys(changes).filter(field => UPDATABLE_FIELDS[field]);
+    if (fields.length > 0) {
+      await this.db.run(
+        `UPDATE users SET ${fields.map(field => `${UPDATABLE_FIELDS[field]} = ?`).join(', ')} WHERE id = ?`,
+        [...fields.map(field => (field === 'preferences' ? JSON.stringify(changes[field]) : changes[field])), id]
+      );
+    }
+    return this.findById(id);
+  }
+}
+
+module.exports = UserRepository;
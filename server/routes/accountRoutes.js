@@ -0,0 +1,93 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body } = require('express-validator');
+const router = express.Router();
+const { authenticateGuest } = require('../middleware/auth');
+const accountController = require('../controllers/accountController');
+const messageController = require('../controllers/messageController');
+const reviewController = require('../controllers/reviewController');
+const { messageViewer, requireGuestBooking } = require('../middleware/messageThread');
+const { uploadAttachments } = require('../middleware/upload');
+const { MAX_MESSAGE_LENGTH } = require('../constants/messages');
+
+// Sign-in and email link endpoints are open to guessing; keep them slow
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10
+});
+
+// Calendar dates are exchanged as YYYY-MM-DD
+const isDate = { format: 'YYYY-MM-DD', strictMode: true };
+
+/**
+ * Guest Account Routes: sign-up, sign-in and the signed-in guest's own
+ * profile, preferences, bookings, reviews of them and messages with hosts
+ */
+
+// Sign-up and email verification
+router.post('/signup', authLimiter, [
+  body('name').notEmpty().trim(),
+  body('email').isEmail().normalizeEmail(),
+  body('password').isString()
+], accountController.signup);
+router.post('/verify-email', authLimiter, [
+  body('token').isString().notEmpty()
+], accountController.verifyEmail);
+router.post('/verify-email/resend', authLimiter, [
+  body('email').isEmail().normalizeEmail(),
+  body('password').isString().notEmpty()
+], accountController.resendVerification);
+
+// Sessions
+router.post('/login', authLimiter, [
+  body('email').isEmail().normalizeEmail(),
+  body('password').isString().notEmpty()
+], accountController.login);
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty()
+], accountController.refresh);
+router.post('/logout', authenticateGuest, accountController.logout);
+
+// Passwords
+router.post('/password/forgot', authLimiter, [
+  body('email').isEmail().normalizeEmail()
+], accountController.forgotPassword);
+router.post('/password/reset', authLimiter, [
+  body('token').isString().notEmpty(),
+  body('password').isString()
+], accountController.resetPassword);
+router.put('/password', authenticateGuest, [
+  body('currentPassword').isString().notEmpty(),
+  body('newPassword').isString()
+], accountController.changePassword);
+
+// Profile and preferences
+router.get('/profile', authenticateGuest, accountController.getProfile);
+router.put('/profile', authenticateGuest, accountController.updateProfile);
+router.get('/preferences', authenticateGuest, accountController.getPreferences);
+router.put('/preferences', authenticateGuest, accountController.updatePreferences);
+
+// Bookings, made as and listed for the signed-in guest
+router.get('/bookings', authenticateGuest, accountController.listBookings);
+router.post('/bookings', authenticateGuest, [
+  body('propertyId').isInt({ min: 1 }).toInt(),
+  body('checkIn').isDate(isDate),
+  body('checkOut').isDate(isDate),
+  body('guests').isInt({ min: 1 }).toInt(),
+  body('currency').optional().isString()
+], accountController.createBooking);
+router.get('/bookings/:id', authenticateGuest, requireGuestBooking, accountController.getBooking);
+router.post('/bookings/:id/review', authenticateGuest, requireGuestBooking, reviewController.submitGuestReview);
+
+// Messages with hosts, one thread per booking
+const guestThread = [authenticateGuest, requireGuestBooking, messageViewer('guest')];
+router.get('/messages', authenticateGuest, messageViewer('guest'), messageController.listThreads);
+router.get('/messages/unread', authenticateGuest, messageViewer('guest'), messageController.getUnreadCounts);
+router.get('/bookings/:id/messages', guestThread, messageController.getThread);
+router.post('/bookings/:id/messages', guestThread, uploadAttachments('attachments'), [
+  body('body').optional().isString().isLength({ max: MAX_MESSAGE_LENGTH })
+], messageController.postMessage);
+router.post('/bookings/:id/messages/read', guestThread, messageController.markRead);
+router.get('/bookings/:id/messages/attachments/:attachmentId', guestThread, messageController.downloadAttachment);
+
+module.exports = router;
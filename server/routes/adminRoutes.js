@@ -0,0 +1,321 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+const { authenticateAdmin, requirePermission } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const adminAuthController = require('../controllers/adminAuthController');
+const statsController = require('../controllers/statsController');
+const propertyController = require('../controllers/propertyController');
+const userController = require('../controllers/userController');
+const bookingController = require('../controllers/bookingController');
+const availabilityController = require('../controllers/availabilityController');
+const pricingController = require('../controllers/pricingController');
+const adminController = require('../controllers/adminController');
+const twoFactorController = require('../controllers/twoFactorController');
+const auditController = require('../controllers/auditController');
+const propertyImageController = require('../controllers/propertyImageController');
+const reviewController = require('../controllers/reviewController');
+const paymentController = require('../controllers/paymentController');
+const invoiceController = require('../controllers/invoiceController');
+const currencyController = require('../controllers/currencyController');
+const hostController = require('../controllers/hostController');
+const payoutController = require('../controllers/payoutController');
+const messageController = require('../controllers/messageController');
+const { messageViewer, requireBooking } = require('../middleware/messageThread');
+const { uploadImages, uploadImportFile, uploadAttachments } = require('../middleware/upload');
+const { MAX_MESSAGE_LENGTH } = require('../constants/messages');
+const { MAX_FILE_SIZE } = require('../config/storage');
+
+// Auth rate limiting (more strict)
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5 // limit each IP to 5 auth requests per windowMs
+});
+
+// Calendar dates are exchanged as YYYY-MM-DD
+const isDate = { format: 'YYYY-MM-DD', strictMode: true };
+
+/**
+ * Admin Routes
+ */
+
+// Every mutating call below, including logins, ends up in the audit log
+router.use(auditTrail);
+
+// Authentication
+router.post('/login', authLimiter, [
+  body('email').isEmail().normalizeEmail(),
+  body('password').isLength({ min: 6 })
+], adminAuthController.login);
+router.post('/login/2fa', authLimiter, [
+  body('challengeToken').isString().notEmpty(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], adminAuthController.loginTwoFactor);
+router.get('/verify', authenticateAdmin, adminAuthController.verify);
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty()
+], adminAuthController.refresh);
+router.post('/logout', authenticateAdmin, adminAuthController.logout);
+
+// Invitations and passwords
+router.get('/invitation', adminAuthController.getInvitation);
+router.post('/invitation/accept', authLimiter, [
+  body('token').isString().notEmpty(),
+  body('password').isString(),
+  body('name').optional().notEmpty().trim()
+], adminAuthController.acceptInvite);
+router.post('/password/forgot', authLimiter, [
+  body('email').isEmail().normalizeEmail()
+], adminAuthController.forgotPassword);
+router.post('/password/reset', authLimiter, [
+  body('token').isString().notEmpty(),
+  body('password').isString()
+], adminAuthController.resetPassword);
+router.put('/password', authenticateAdmin, [
+  body('currentPassword').isString().notEmpty(),
+  body('newPassword').isString()
+], adminAuthController.changePassword);
+
+// Own sessions
+router.get('/sessions', authenticateAdmin, adminAuthController.listSessions);
+router.delete('/sessions', authenticateAdmin, adminAuthController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', authenticateAdmin, adminAuthController.revokeSession);
+
+// Own two-factor authentication
+router.get('/2fa', authenticateAdmin, twoFactorController.getStatus);
+router.post('/2fa/setup', authenticateAdmin, twoFactorController.beginEnrolment);
+router.post('/2fa/confirm', authenticateAdmin, [
+  body('code').isString().notEmpty()
+], twoFactorController.confirmEnrolment);
+router.post('/2fa/disable', authenticateAdmin, twoFactorController.disable);
+router.post('/2fa/recovery-codes', authenticateAdmin, twoFactorController.regenerateRecoveryCodes);
+
+// Dashboard stats
+router.get('/stats', authenticateAdmin, requirePermission('stats:read'), [
+  query('from').optional().isDate(isDate),
+  query('to').optional().isDate(isDate)
+], statsController.getStats);
+
+// Properties
+router.get('/properties', authenticateAdmin, requirePermission('properties:read'), propertyController.listProperties);
+// Property bodies are checked against the shared property schema in the service
+router.post('/properties', authenticateAdmin, requirePermission('properties:write'), propertyController.createProperty);
+router.get('/properties/schema', authenticateAdmin, requirePermission('properties:read'), propertyController.getSchema);
+router.get('/properties/export', authenticateAdmin, requirePermission('properties:read'), propertyController.exportProperties);
+router.post('/properties/import', authenticateAdmin, requirePermission('properties:write'),
+  uploadImportFile('file'),
+  express.text({ type: 'text/csv', limit: MAX_FILE_SIZE }),
+  [query('dryRun').optional().isBoolean().toBoolean()],
+  propertyController.importProperties);
+router.get('/properties/trash', authenticateAdmin, requirePermission('properties:read'), propertyController.listTrash);
+router.delete('/properties/trash/:id', authenticateAdmin, requirePermission('properties:delete'), propertyController.purgeProperty);
+router.put('/properties/:id', authenticateAdmin, requirePermission('properties:write'), propertyController.updateProperty);
+router.delete('/properties/:id', authenticateAdmin, requirePermission('properties:delete'), propertyController.deleteProperty);
+router.post('/properties/:id/restore', authenticateAdmin, requirePermission('properties:delete'), propertyController.restoreProperty);
+
+// Property revisions
+router.get('/properties/:id/revisions', authenticateAdmin, requirePermission('properties:read'), propertyController.listRevisions);
+router.get('/properties/:id/revisions/diff', authenticateAdmin, requirePermission('properties:read'), [
+  query('from').isInt({ min: 1 }).toInt(),
+  query('to').isInt({ min: 1 }).toInt()
+], propertyController.diffRevisions);
+router.get('/properties/:id/revisions/:revision', authenticateAdmin, requirePermission('properties:read'), [
+  param('revision').isInt({ min: 1 }).toInt()
+], propertyController.getRevision);
+router.post('/properties/:id/revisions/:revision/rollback', authenticateAdmin, requirePermission('properties:write'), [
+  param('revision').isInt({ min: 1 }).toInt()
+], propertyController.rollbackProperty);
+
+// Property images
+router.get('/properties/:id/images', authenticateAdmin, requirePermission('properties:read'), propertyImageController.listImages);
+router.post('/properties/:id/images', authenticateAdmin, requirePermission('properties:write'), uploadImages('images'), propertyImageController.uploadImages);
+router.put('/properties/:id/images/order', authenticateAdmin, requirePermission('properties:write'), [
+  body('imageIds').isArray({ min: 1 }),
+  body('imageIds.*').isString()
+], propertyImageController.reorderImages);
+router.put('/properties/:id/images/:imageId/cover', authenticateAdmin, requirePermission('properties:write'), propertyImageController.setCover);
+router.delete('/properties/:id/images/:imageId', authenticateAdmin, requirePermission('properties:write'), propertyImageController.deleteImage);
+
+// Availability
+router.get('/properties/:id/availability', authenticateAdmin, requirePermission('properties:read'), [
+  query('from').optional().isDate(isDate),
+  query('to').optional().isDate(isDate)
+], availabilityController.getCalendar);
+router.get('/properties/:id/availability/check', authenticateAdmin, requirePermission('properties:read'), [
+  query('checkIn').isDate(isDate),
+  query('checkOut').isDate(isDate),
+  query('guests').optional().isInt({ min: 1 }).toInt()
+], availabilityController.checkAvailability);
+router.get('/properties/:id/availability/rules', authenticateAdmin, requirePermission('properties:read'), availabilityController.getRules);
+router.put('/properties/:id/availability/rules', authenticateAdmin, requirePermission('properties:write'), [
+  body('minStay').optional().isInt({ min: 1 }).toInt(),
+  body('maxStay').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  body('checkInDays').optional({ values: 'null' }).isArray({ min: 1, max: 7 }),
+  body('checkInDays.*').isInt({ min: 0, max: 6 }).toInt(),
+  body('bufferDays').optional().isInt({ min: 0, max: 30 }).toInt()
+], availabilityController.updateRules);
+router.get('/properties/:id/blocked-dates', authenticateAdmin, requirePermission('properties:read'), availabilityController.listBlockedDates);
+router.post('/properties/:id/blocked-dates', authenticateAdmin, requirePermission('properties:write'), [
+  body('startDate').isDate(isDate),
+  body('endDate').isDate(isDate),
+  body('reason').optional().trim()
+], availabilityController.blockDates);
+router.delete('/properties/:id/blocked-dates/:blockId', authenticateAdmin, requirePermission('properties:write'), availabilityController.unblockDates);
+
+// Pricing
+router.get('/properties/:id/quote', authenticateAdmin, requirePermission('properties:read'), [
+  query('checkIn').isDate(isDate),
+  query('checkOut').isDate(isDate),
+  query('currency').optional().isString()
+], pricingController.getQuote);
+router.get('/properties/:id/pricing-rules', authenticateAdmin, requirePermission('properties:read'), pricingController.listRules);
+router.post('/properties/:id/pricing-rules', authenticateAdmin, requirePermission('pricing:write'), [
+  body('type').notEmpty(),
+  body('name').notEmpty().trim(),
+  body('config').isObject(),
+  body('priority').optional().isInt().toInt(),
+  body('active').optional().isBoolean().toBoolean()
+], pricingController.createRule);
+router.put('/properties/:id/pricing-rules/:ruleId', authenticateAdmin, requirePermission('pricing:write'), [
+  body('name').optional().notEmpty().trim(),
+  body('config').optional().isObject(),
+  body('priority').optional().isInt().toInt(),
+  body('active').optional().isBoolean().toBoolean()
+], pricingController.updateRule);
+router.delete('/properties/:id/pricing-rules/:ruleId', authenticateAdmin, requirePermission('pricing:write'), pricingController.deleteRule);
+router.get('/properties/:id/rate-overrides', authenticateAdmin, requirePermission('properties:read'), pricingController.listOverrides);
+router.put('/properties/:id/rate-overrides', authenticateAdmin, requirePermission('pricing:write'), [
+  body('overrides').isArray({ min: 1, max: 366 }),
+  body('overrides.*.date').isDate(isDate),
+  body('overrides.*.price').isFloat({ min: 0 }).toFloat(),
+  body('overrides.*.note').optional().trim()
+], pricingController.setOverrides);
+router.delete('/properties/:id/rate-overrides/:date', authenticateAdmin, requirePermission('pricing:write'), pricingController.deleteOverride);
+
+// Exchange rates
+router.get('/exchange-rates', authenticateAdmin, requirePermission('properties:read'), currencyController.listRates);
+router.get('/exchange-rates/:base/:quote', authenticateAdmin, requirePermission('properties:read'), currencyController.getRateHistory);
+router.post('/exchange-rates', authenticateAdmin, requirePermission('pricing:write'), currencyController.setRate);
+
+// Hosts and payouts
+router.get('/hosts', authenticateAdmin, requirePermission('hosts:read'), hostController.listHosts);
+router.get('/hosts/:id', authenticateAdmin, requirePermission('hosts:read'), hostController.getHost);
+// Bodies are checked against the host settings schema in the service
+router.put('/hosts/:id', authenticateAdmin, requirePermission('hosts:write'), hostController.updateHost);
+router.get('/hosts/:id/earnings', authenticateAdmin, requirePermission('hosts:read'), [
+  query('from').optional().isDate(isDate),
+  query('to').optional().isDate(isDate)
+], hostController.getEarnings);
+router.get('/payouts', authenticateAdmin, requirePermission('hosts:read'), payoutController.listPayouts);
+router.post('/payouts/run', authenticateAdmin, requirePermission('hosts:write'), [
+  body('date').optional().isDate(isDate)
+], payoutController.runPayouts);
+router.get('/payouts/:id', authenticateAdmin, requirePermission('hosts:read'), payoutController.getPayout);
+router.post('/payouts/:id/paid', authenticateAdmin, requirePermission('hosts:write'), [
+  body('reference').isString().trim().notEmpty()
+], payoutController.markPaid);
+
+// Users
+router.get('/users', authenticateAdmin, requirePermission('users:read'), userController.listUsers);
+router.get('/users/export', authenticateAdmin, requirePermission('users:read'), userController.exportUsers);
+
+// Bookings
+const bookingFields = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('propertyId').isInt({ min: 1 }).toInt(),
+    field('guestName').notEmpty().trim(),
+    field('guestEmail').isEmail().normalizeEmail(),
+    field('checkIn').isDate(isDate),
+    field('checkOut').isDate(isDate),
+    field('guests').isInt({ min: 1 }).toInt()
+  ];
+};
+
+router.get('/bookings', authenticateAdmin, requirePermission('bookings:read'), bookingController.listBookings);
+router.get('/bookings/export', authenticateAdmin, requirePermission('bookings:read'), bookingController.exportBookings);
+router.post('/bookings', authenticateAdmin, requirePermission('bookings:write'), [
+  ...bookingFields(false),
+  // Currency the guest pays in, fixed for the life of the booking; the property's own by default
+  body('currency').optional().isString()
+], bookingController.createBooking);
+router.get('/bookings/:id', authenticateAdmin, requirePermission('bookings:read'), bookingController.getBooking);
+router.put('/bookings/:id', authenticateAdmin, requirePermission('bookings:write'), bookingFields(true), bookingController.updateBooking);
+router.get('/bookings/:id/history', authenticateAdmin, requirePermission('bookings:read'), bookingController.getBookingHistory);
+router.post('/bookings/:id/confirm', authenticateAdmin, requirePermission('bookings:write'), bookingController.confirmBooking);
+router.post('/bookings/:id/cancel', authenticateAdmin, requirePermission('bookings:write'), bookingController.cancelBooking);
+router.post('/bookings/:id/check-in', authenticateAdmin, requirePermission('bookings:write'), bookingController.checkInBooking);
+router.post('/bookings/:id/check-out', authenticateAdmin, requirePermission('bookings:write'), bookingController.checkOutBooking);
+router.post('/bookings/:id/no-show', authenticateAdmin, requirePermission('bookings:write'), bookingController.markNoShow);
+router.get('/bookings/:id/payments', authenticateAdmin, requirePermission('bookings:read'), paymentController.getPayments);
+router.post('/bookings/:id/payments', authenticateAdmin, requirePermission('payments:write'), paymentController.authorizePayment);
+router.post('/bookings/:id/payments/:paymentId/capture', authenticateAdmin, requirePermission('payments:write'), paymentController.capturePayment);
+router.post('/bookings/:id/payments/:paymentId/void', authenticateAdmin, requirePermission('payments:write'), paymentController.voidPayment);
+router.post('/bookings/:id/refunds', authenticateAdmin, requirePermission('bookings:refund'), paymentController.refundPayment);
+router.get('/bookings/:id/invoices', authenticateAdmin, requirePermission('bookings:read'), invoiceController.listBookingInvoices);
+router.post('/bookings/:id/invoices', authenticateAdmin, requirePermission('payments:write'), invoiceController.issueStayInvoice);
+router.post('/bookings/:id/review-invitation', authenticateAdmin, requirePermission('bookings:write'), reviewController.sendInvitation);
+
+// Messages with the guest, written for the platform
+const adminThread = [requireBooking, messageViewer('admin')];
+router.get('/bookings/:id/messages', authenticateAdmin, requirePermission('messages:read'), adminThread, messageController.getThread);
+router.post('/bookings/:id/messages', authenticateAdmin, requirePermission('messages:write'), adminThread, uploadAttachments('attachments'), [
+  body('body').optional().isString().isLength({ max: MAX_MESSAGE_LENGTH })
+], messageController.postMessage);
+router.post('/bookings/:id/messages/read', authenticateAdmin, requirePermission('messages:read'), adminThread, messageController.markRead);
+router.get('/bookings/:id/messages/attachments/:attachmentId', authenticateAdmin, requirePermission('messages:read'), adminThread,
+  messageController.downloadAttachment);
+
+// Invoices and credit notes
+router.get('/invoices', authenticateAdmin, requirePermission('bookings:read'), invoiceController.listInvoices);
+router.get('/invoices/:id', authenticateAdmin, requirePermission('bookings:read'), invoiceController.getInvoice);
+router.post('/invoices/:id/send', authenticateAdmin, requirePermission('payments:write'), invoiceController.sendInvoice);
+
+// Reviews
+router.get('/reviews', authenticateAdmin, requirePermission('reviews:read'), reviewController.listReviews);
+router.get('/reviews/:id', authenticateAdmin, requirePermission('reviews:read'), reviewController.getReview);
+router.put('/reviews/:id/status', authenticateAdmin, requirePermission('reviews:moderate'), reviewController.moderateReview);
+router.put('/reviews/:id/reply', authenticateAdmin, requirePermission('reviews:reply'), reviewController.replyToReview);
+router.delete('/reviews/:id/reply', authenticateAdmin, requirePermission('reviews:reply'), reviewController.deleteReply);
+
+// Message threads, unread counters and moderation
+router.get('/messages', authenticateAdmin, requirePermission('messages:read'), messageViewer('admin'), messageController.listThreads);
+router.get('/messages/unread', authenticateAdmin, requirePermission('messages:read'), messageViewer('admin'), messageController.getUnreadCounts);
+router.get('/messages/moderation', authenticateAdmin, requirePermission('messages:moderate'), messageController.listMessages);
+router.put('/messages/:id/moderation', authenticateAdmin, requirePermission('messages:moderate'), [
+  body('status').isIn(['approved', 'redacted']),
+  body('note').optional().isString().trim()
+], messageController.moderateMessage);
+
+// Admins and role assignments
+router.get('/roles', authenticateAdmin, requirePermission('admins:read'), adminController.listRoles);
+router.get('/admins', authenticateAdmin, requirePermission('admins:read'), adminController.listAdmins);
+router.post('/admins', authenticateAdmin, requirePermission('admins:write'), [
+  body('email').isEmail().normalizeEmail(),
+  body('name').notEmpty().trim(),
+  body('roles').optional().isArray(),
+  body('roles.*').isString()
+], adminController.inviteAdmin);
+router.get('/admins/:id', authenticateAdmin, requirePermission('admins:read'), adminController.getAdmin);
+router.post('/admins/:id/resend-invite', authenticateAdmin, requirePermission('admins:write'), adminController.resendInvite);
+router.post('/admins/:id/password-reset', authenticateAdmin, requirePermission('admins:write'), adminController.sendPasswordReset);
+router.post('/admins/:id/deactivate', authenticateAdmin, requirePermission('admins:write'), adminController.deactivateAdmin);
+router.post('/admins/:id/reactivate', authenticateAdmin, requirePermission('admins:write'), adminController.reactivateAdmin);
+router.put('/admins/:id/roles', authenticateAdmin, requirePermission('admins:write'), [
+  body('roles').isArray(),
+  body('roles.*').isString()
+], adminController.updateRoles);
+router.delete('/admins/:id/2fa', authenticateAdmin, requirePermission('admins:write'), twoFactorController.reset);
+router.get('/settings/two-factor', authenticateAdmin, requirePermission('admins:read'), twoFactorController.getPolicy);
+router.put('/settings/two-factor', authenticateAdmin, requirePermission('admins:write'), [
+  body('requiredRoles').isArray(),
+  body('requiredRoles.*').isString()
+], twoFactorController.updatePolicy);
+
+// Audit log
+router.get('/audit', authenticateAdmin, requirePermission('audit:read'), auditController.listEntries);
+router.get('/audit/export', authenticateAdmin, requirePermission('audit:read'), auditController.exportEntries);
+
+module.exports = router;
@@ -1,31 +1,33 @@
 const express = require('express');
 const router = express.Router();
 const aiController = require('../controllers/aiController');
+const { authenticateGuest } = require('../middleware/auth');
 
 /**
- * AI Routes
+ * AI Routes. Everything stored about a guest is keyed to the signed-in
+ * guest's account, never to an id sent in the request.
  */
 
 // Personality profiling
-router.post('/profile', aiController.generatePersonalityProfile);
+router.post('/profile', authenticateGuest, aiController.generatePersonalityProfile);
 
 // Recommendations
-router.post('/recommendations', aiController.generateRecommendations);
+router.post('/recommendations', authenticateGuest, aiController.generateRecommendations);
 
 // Multi-modal analysis
-router.post('/analyze-photos', aiController.analyzeUserPhotos);
-router.post('/analyze-text', aiController.analyzeUserText);
+router.post('/analyze-photos', authenticateGuest, aiController.analyzeUserPhotos);
+router.post('/analyze-text', authenticateGuest, aiController.analyzeUserText);
 
 // Behavioral pattern recognition
-router.post('/behavioral-patterns', aiController.analyzeBehavioralPatterns);
+router.post('/behavioral-patterns', authenticateGuest, aiController.analyzeBehavioralPatterns);
 
 // Travel archetype classification
-router.post('/travel-archetype', aiController.classifyTravelArchetype);
+router.post('/travel-archetype', authenticateGuest, aiController.classifyTravelArchetype);
 
 // Predictive travel intent
-router.post('/predict-intent', aiController.predictTravelIntent);
+router.post('/predict-intent', authenticateGuest, aiController.predictTravelIntent);
 
-// Contextual factors
+// Contextual factors, not tied to a guest
 router.post('/contextual-factors', aiController.getContextualFactors);
 
 module.exports = router;
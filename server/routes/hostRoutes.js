@@ -0,0 +1,88 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const router = express.Router();
+const { authenticateAdmin, requirePermission } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { requireOwnProperty, requireOwnBooking } = require('../middleware/hostScope');
+const hostPortalController = require('../controllers/hostPortalController');
+const availabilityController = require('../controllers/availabilityController');
+const bookingController = require('../controllers/bookingController');
+const messageController = require('../controllers/messageController');
+const { messageViewer } = require('../middleware/messageThread');
+const { uploadAttachments } = require('../middleware/upload');
+const { MAX_MESSAGE_LENGTH } = require('../constants/messages');
+
+// Calendar dates are exchanged as YYYY-MM-DD
+const isDate = { format: 'YYYY-MM-DD', strictMode: true };
+
+/**
+ * Host Portal Routes: hosts sign in through the admin login and manage only
+ * their own properties, calendars, bookings and guest messages here. Every route taking a
+ * property or booking id checks that it belongs to the host.
+ */
+
+router.use(auditTrail);
+router.use(authenticateAdmin, requirePermission('host:portal'), messageViewer('host'));
+
+// Properties
+router.get('/properties', hostPortalController.listProperties);
+router.get('/properties/schema', hostPortalController.getPropertySchema);
+router.get('/properties/:id', requireOwnProperty, hostPortalController.getProperty);
+// Bodies are checked against the host-editable part of the property schema
+router.put('/properties/:id', requireOwnProperty, hostPortalController.updateProperty);
+
+// Calendars
+router.get('/properties/:id/availability', requireOwnProperty, [
+  query('from').optional().isDate(isDate),
+  query('to').optional().isDate(isDate)
+], availabilityController.getCalendar);
+router.get('/properties/:id/availability/check', requireOwnProperty, [
+  query('checkIn').isDate(isDate),
+  query('checkOut').isDate(isDate),
+  query('guests').optional().isInt({ min: 1 }).toInt()
+], availabilityController.checkAvailability);
+router.get('/properties/:id/availability/rules', requireOwnProperty, availabilityController.getRules);
+router.put('/properties/:id/availability/rules', requireOwnProperty, [
+  body('minStay').optional().isInt({ min: 1 }).toInt(),
+  body('maxStay').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  body('checkInDays').optional({ values: 'null' }).isArray({ min: 1, max: 7 }),
+  body('checkInDays.*').isInt({ min: 0, max: 6 }).toInt(),
+  body('bufferDays').optional().isInt({ min: 0, max: 30 }).toInt()
+], availabilityController.updateRules);
+router.get('/properties/:id/blocked-dates', requireOwnProperty, availabilityController.listBlockedDates);
+router.post('/properties/:id/blocked-dates', requireOwnProperty, [
+  body('startDate').isDate(isDate),
+  body('endDate').isDate(isDate),
+  body('reason').optional().trim()
+], availabilityController.blockDates);
+router.delete('/properties/:id/blocked-dates/:blockId', requireOwnProperty, availabilityController.unblockDates);
+
+// Bookings
+router.get('/bookings', hostPortalController.listBookings);
+router.get('/bookings/:id', requireOwnBooking, bookingController.getBooking);
+router.post('/bookings/:id/confirm', requireOwnBooking, bookingController.confirmBooking);
+router.post('/bookings/:id/cancel', requireOwnBooking, bookingController.cancelBooking);
+router.post('/bookings/:id/check-in', requireOwnBooking, bookingController.checkInBooking);
+router.post('/bookings/:id/check-out', requireOwnBooking, bookingController.checkOutBooking);
+router.post('/bookings/:id/no-show', requireOwnBooking, bookingController.markNoShow);
+
+// Messages with guests
+router.get('/messages', messageController.listThreads);
+router.get('/messages/unread', messageController.getUnreadCounts);
+router.get('/bookings/:id/messages', requireOwnBooking, messageController.getThread);
+router.post('/bookings/:id/messages', requireOwnBooking, uploadAttachments('attachments'), [
+  body('body').optional().isString().isLength({ max: MAX_MESSAGE_LENGTH })
+], messageController.postMessage);
+router.post('/bookings/:id/messages/read', requireOwnBooking, messageController.markRead);
+router.get('/bookings/:id/messages/attachments/:attachmentId', requireOwnBooking, messageController.downloadAttachment);
+
+// Earnings and payouts
+router.get('/earnings', [
+  query('from').optional().isDate(isDate),
+  query('to').optional().isDate(isDate)
+], hostPortalController.getEarnings);
+router.get('/payouts', hostPortalController.listPayouts);
+router.get('/payouts/schedule', hostPortalController.getPayoutSchedule);
+router.get('/payouts/:id', hostPortalController.getPayout);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { query } = require('express-validator');
+const router = express.Router();
+const invoiceController = require('../controllers/invoiceController');
+
+// Receipt links are bearer tokens; keep guessing and flooding slow
+const receiptLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60
+});
+
+/**
+ * Public Receipt Routes: guests fetching the invoices and credit notes of
+ * their booking through the link emailed with each of them
+ */
+
+router.get('/', receiptLimiter, [
+  query('token').notEmpty()
+], invoiceController.listReceipts);
+router.get('/:id', receiptLimiter, [
+  query('token').notEmpty()
+], invoiceController.getReceipt);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { query } = require('express-validator');
+const router = express.Router();
+const reviewController = require('../controllers/reviewController');
+
+// Review links are bearer tokens; keep guessing and flooding slow
+const reviewLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20
+});
+
+/**
+ * Public Review Routes: guests reviewing a stay through the link they were emailed
+ */
+
+router.get('/invitation', reviewLimiter, [
+  query('token').notEmpty()
+], reviewController.getInvitation);
+router.post('/', reviewLimiter, reviewController.submitReview);
+
+module.exports = router;
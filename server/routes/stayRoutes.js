@@ -0,0 +1,64 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const router = express.Router();
+const stayController = require('../controllers/stayController');
+
+// Calendar dates are exchanged as YYYY-MM-DD
+const isDate = { format: 'YYYY-MM-DD', strictMode: true };
+
+// Currency prices are shown in, checked against the supported ones by the service
+const currency = () => query('currency').optional().isString();
+
+/**
+ * Public Stay Routes: the guest-facing catalogue, no authentication
+ */
+
+router.get('/', [
+  query('checkIn').optional().isDate(isDate),
+  query('checkOut').optional().isDate(isDate),
+  query('guests').optional().isInt({ min: 1 }),
+  currency()
+], stayController.listStays);
+router.get('/search', [
+  query('q').isString().trim().notEmpty().isLength({ max: 200 }),
+  query('limit').optional().isInt({ min: 1 }),
+  query('offset').optional().isInt({ min: 0 }),
+  currency()
+], stayController.searchStays);
+router.get('/suggest', [
+  query('q').optional().isString().isLength({ max: 200 }),
+  query('limit').optional().isInt({ min: 1 })
+], stayController.suggestStays);
+router.get('/map', [
+  query('bbox').notEmpty().withMessage('bbox is required (minLng,minLat,maxLng,maxLat)'),
+  query('zoom').isInt({ min: 0, max: 22 }),
+  query('checkIn').optional().isDate(isDate),
+  query('checkOut').optional().isDate(isDate),
+  query('guests').optional().isInt({ min: 1 }),
+  currency()
+], stayController.mapStays);
+router.get('/nearby', [
+  query('lat').isFloat({ min: -90, max: 90 }),
+  query('lng').isFloat({ min: -180, max: 180 }),
+  query('radiusKm').optional().isFloat({ gt: 0 }),
+  query('limit').optional().isInt({ min: 1 }),
+  query('checkIn').optional().isDate(isDate),
+  query('checkOut').optional().isDate(isDate),
+  query('guests').optional().isInt({ min: 1 }),
+  currency()
+], stayController.nearbyStays);
+router.get('/:id', [
+  param('id').isInt({ min: 1 }),
+  currency()
+], stayController.getStay);
+router.get('/:id/quote', [
+  param('id').isInt({ min: 1 }),
+  query('checkIn').isDate(isDate),
+  query('checkOut').isDate(isDate),
+  currency()
+], stayController.getQuote);
+router.get('/:id/reviews', [
+  param('id').isInt({ min: 1 })
+], stayController.listReviews);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const { CURRENCIES } = require('../config/currencies');
+
+// Server-owned parts of a guest account; the email address is the login and stays as it is
+const readOnly = [
+  'id', 'email', 'status', 'emailVerified', 'hasAccount', 'joinDate', 'lastLogin',
+  'bookings', 'totalSpent', 'password'
+];
+
+/**
+ * What guests may change on their own profile
+ */
+const profileSchema = {
+  fields: {
+    name: { type: 'string', required: true, maxLength: 120 },
+    phone: { type: 'string', nullable: true, maxLength: 40 },
+    location: { type: 'string', nullable: true, maxLength: 120 }
+  },
+  readOnly: [...readOnly, 'preferences']
+};
+
+/**
+ * Guest preferences, stored as one JSON document: the currency prices are
+ * shown in, the interface language, travel interests for recommendations,
+ * and whether they want marketing emails
+ */
+const preferencesSchema = {
+  fields: {
+    currency: { type: 'string', nullable: true, enum: CURRENCIES },
+    language: { type: 'string', nullable: true, maxLength: 10 },
+    interests: { type: 'array', nullable: true, maxLength: 20, items: { type: 'string', minLength: 1, maxLength: 60 } },
+    marketingEmails: { type: 'boolean' }
+  },
+  readOnly: []
+};
+
+module.exports = {
+  profileSchema,
+  preferencesSchema
+};
@@ -0,0 +1,18 @@
+const { CURRENCIES } = require('../config/currencies');
+
+/**
+ * Setting the exchange rate of a currency pair: 1 base = rate quote, from
+ * effectiveFrom (an ISO date or timestamp, now by default) on
+ */
+const exchangeRateSchema = {
+  fields: {
+    base: { type: 'string', required: true, enum: CURRENCIES },
+    quote: { type: 'string', required: true, enum: CURRENCIES },
+    rate: { type: 'number', required: true, min: 0.000001, max: 1000000 },
+    effectiveFrom: { type: 'string', maxLength: 40 },
+    note: { type: 'string', maxLength: 1000 }
+  },
+  readOnly: ['id', 'createdBy', 'created_at']
+};
+
+module.exports = exchangeRateSchema;
@@ -0,0 +1,16 @@
+const propertySchema = require('./propertySchema');
+const { HOST_EDITABLE_FIELDS } = require('../constants/host');
+
+/**
+ * What hosts may change on their own properties: the editable subset of
+ * the property schema. The other property fields are read-only to them.
+ */
+const hostPropertySchema = {
+  fields: Object.fromEntries(HOST_EDITABLE_FIELDS.map(field => [field, propertySchema.fields[field]])),
+  readOnly: [
+    ...propertySchema.readOnly,
+    ...Object.keys(propertySchema.fields).filter(field => !HOST_EDITABLE_FIELDS.includes(field))
+  ]
+};
+
+module.exports = hostPropertySchema;
@@ -0,0 +1,15 @@
+const { PAYOUT_SCHEDULES } = require('../constants/host');
+
+/**
+ * A host's commission rate (the platform's share of each stay, 0.15 for
+ * 15%) and payout schedule
+ */
+const hostSettingsSchema = {
+  fields: {
+    commissionRate: { type: 'number', required: true, min: 0, max: 0.99 },
+    payoutSchedule: { type: 'string', required: true, enum: PAYOUT_SCHEDULES }
+  },
+  readOnly: ['id', 'name', 'email', 'status', 'propertyCount', 'settingsUpdatedBy', 'settingsUpdatedAt']
+};
+
+module.exports = hostSettingsSchema;
@@ -0,0 +1,51 @@
+const { PAYMENT_PURPOSES } = require('../constants/payment');
+
+const amount = { type: 'number', min: 0.01 };
+const note = { type: 'string', maxLength: 1000 };
+const readOnly = ['id', 'bookingId', 'provider', 'providerRef', 'status', 'currency'];
+
+/**
+ * Authorising a payment on the guest's card: for the stay (the amount
+ * defaults to what is still outstanding) or for a security deposit
+ */
+const authorizationSchema = {
+  fields: {
+    purpose: { type: 'string', enum: Object.values(PAYMENT_PURPOSES) },
+    amount,
+    paymentMethod: { type: 'string', required: true, maxLength: 255 },
+    note
+  },
+  readOnly
+};
+
+// Capturing all (the default) or part of an authorised payment
+const captureSchema = {
+  fields: { amount, note },
+  readOnly
+};
+
+// Releasing what is left of an authorisation
+const voidSchema = {
+  fields: { note },
+  readOnly
+};
+
+/**
+ * Refunding captured money: from one payment, or from the stay's payments
+ * newest first. The amount defaults to everything refundable.
+ */
+const refundSchema = {
+  fields: {
+    amount,
+    paymentId: { type: 'integer', min: 1 },
+    note
+  },
+  readOnly
+};
+
+module.exports = {
+  authorizationSchema,
+  captureSchema,
+  voidSchema,
+  refundSchema
+};
@@ -0,0 +1,40 @@
+const propertySchema = require('./propertySchema');
+
+// List cells (amenities) hold their items separated by a pipe
+const LIST_SEPARATOR = '|';
+
+// Export column order: identity first, then the editable fields, then server-owned figures
+const PROPERTY_CSV_COLUMNS = [
+  'id', 'external_id',
+  ...Object.keys(propertySchema.fields).filter(field => field !== 'external_id'),
+  'rating', 'review_count', 'bookings', 'created_at', 'updated_at'
+];
+
+/**
+ * Property as a row of PROPERTY_CSV_COLUMNS
+ * @param {Object} property - Property
+ * @returns {Array} - Cell values
+ */
+const toCsvValues = (property) => PROPERTY_CSV_COLUMNS.map((column) => {
+  const value = property[column];
+  return Array.isArray(value) ? value.join(` ${LIST_SEPARATOR} `) : value;
+});
+
+/**
+ * Turn a CSV record into property fields. Empty cells are left out, so an
+ * import only touches the columns a row fills in.
+ * @param {Object} record - { column: cell text }
+ * @returns {Object} - Fields to validate against the property schema
+ */
+const fromCsvRecord = (record) => {
+  const data = {};
+  Object.entries(record).forEach(([column, cell]) => {
+    if (cell.trim() === '') return;
+    data[column] = propertySchema.fields[column]?.type === 'array'
+      ? cell.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean)
+      : cell;
+  });
+  return data;
+};
+
+module.exports = { PROPERTY_CSV_COLUMNS, toCsvValues, fromCsvRecord };
@@ -0,0 +1,39 @@
+const { PROPERTY_CATEGORIES, PROPERTY_STATUSES, MIN_PRICE, MAX_PRICE } = require('../constants/property');
+const { LEGAL_ENTITIES } = require('../config/invoicing');
+const { CURRENCIES } = require('../config/currencies');
+
+/**
+ * The one definition of what a property may contain, shared by create,
+ * update and import. Everything else is rejected, including the fields
+ * the server owns.
+ */
+const propertySchema = {
+  fields: {
+    name: { type: 'string', required: true, maxLength: 120 },
+    location: { type: 'string', required: true, maxLength: 120 },
+    category: { type: 'string', required: true, enum: PROPERTY_CATEGORIES },
+    description: { type: 'string', required: true, maxLength: 5000 },
+    price: { type: 'number', required: true, min: MIN_PRICE, max: MAX_PRICE },
+    // Currency of the price, rules and overrides; the default currency when unset
+    currency: { type: 'string', enum: CURRENCIES },
+    status: { type: 'string', enum: PROPERTY_STATUSES },
+    image: { type: 'string', nullable: true, format: 'url', maxLength: 2000 },
+    maxGuests: { type: 'integer', nullable: true, min: 1, max: 50 },
+    bedrooms: { type: 'integer', nullable: true, min: 0, max: 50 },
+    bathrooms: { type: 'number', nullable: true, min: 0, max: 50 },
+    // Where the stay is on the guest map; set both or neither
+    latitude: { type: 'number', nullable: true, min: -90, max: 90 },
+    longitude: { type: 'number', nullable: true, min: -180, max: 180 },
+    amenities: { type: 'array', nullable: true, maxLength: 50, items: { type: 'string', minLength: 1, maxLength: 60 } },
+    // Key of the property in the system it was imported from; imports update by it
+    external_id: { type: 'string', nullable: true, maxLength: 100 },
+    // Company that invoices stays here; unset means the default legal entity
+    legal_entity: { type: 'string', nullable: true, enum: Object.keys(LEGAL_ENTITIES) },
+    // Account with the host role that runs the property; unset for platform-run properties
+    host_id: { type: 'string', nullable: true, maxLength: 100 }
+  },
+  // Identity, timestamps, the trash, and figures derived from reviews and bookings
+  readOnly: ['id', 'created_at', 'updated_at', 'deleted_at', 'deleted_by', 'rating', 'review_count', 'bookings']
+};
+
+module.exports = propertySchema;
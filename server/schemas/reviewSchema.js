@@ -0,0 +1,19 @@
+const { REVIEW_SUB_SCORES } = require('../constants/review');
+
+const score = { type: 'integer', required: true, min: 1, max: 5 };
+
+/**
+ * What a guest submits when reviewing a stay: an overall score, the
+ * sub-scores and an optional comment. Review links send their token
+ * alongside, which the service takes off before checking the rest.
+ */
+const reviewSchema = {
+  fields: {
+    overall: score,
+    ...Object.fromEntries(REVIEW_SUB_SCORES.map(name => [name, score])),
+    comment: { type: 'string', nullable: true, maxLength: 5000 }
+  },
+  readOnly: ['id', 'propertyId', 'bookingId', 'userId', 'guestName', 'status', 'reply', 'created_at', 'updated_at']
+};
+
+module.exports = reviewSchema;
@@ -0,0 +1,300 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const repositories = require('../repositories');
+const mailService = require('./mailService');
+const guestSessionService = require('./guestSessionService');
+const HttpError = require('../utils/httpError');
+const { assertValid } = require('../utils/schema');
+const { assertPasswordPolicy } = require('../utils/passwordPolicy');
+const { profileSchema, preferencesSchema } = require('../schemas/accountSchema');
+const { emailVerificationEmail, guestPasswordResetEmail } = require('../templates/guestEmails');
+const { JWT_SECRET, EMAIL_VERIFICATION_TTL, PASSWORD_RESET_TTL } = require('../config/auth');
+const { GUEST_APP_URL } = require('../config/mail');
+
+// Signed email links: lifetime and the guest app page each one opens
+const LINKS = {
+  email_verification: { ttl: EMAIL_VERIFICATION_TTL, page: 'verify-email' },
+  password_reset: { ttl: PASSWORD_RESET_TTL, page: 'reset-password' }
+};
+
+const INVALID_LINK = 'This link is invalid or has expired';
+
+// Sign-up links an address may have waiting at once. Signing in and resending
+// check the password against each, and every sign-up mails the address.
+const MAX_PENDING_SIGN_UPS = 3;
+
+/**
+ * Account Service: guest sign-up with email verification, sign-in, passwords,
+ * and the guest's own profile and preferences.
+ *
+ * Guests from before accounts existed may have a user record without a
+ * password; signing up with that email address claims it once the address
+ * is verified. Bookings made for an address with no user record, such as
+ * those staff enter, belong to nobody until then: verifying the address
+ * links them to the account. Nobody can sign in before verifying. The password
+ * chosen at sign-up waits in its verification link and is only stored when
+ * that link is used, so signing up with somebody else's address cannot
+ * change the password their own link sets.
+ */
+class AccountService {
+  /**
+   * Create an account, or claim the record of an email address that has no
+   * verified account yet, and email a verification link carrying the password.
+   * An address with MAX_PENDING_SIGN_UPS links waiting gets no more until one
+   * is used or expires.
+   * @param {Object} data - { name, email, password }
+   * @returns {Promise<Object>} - The user, not yet verified
+   */
+  async register({ name, email, password }) {
+    assertPasswordPolicy(password, { email });
+
+    const user = await repositories.transaction(async ({ users, guestTokens }) => {
+      const existing = await users.findCredentials(email);
+      if (existing?.password && existing.emailVerifiedAt) {
+        throw new HttpError(409, 'An account with this email address already exists');
+      }
+      if (!existing) {
+        return users.create({ name, email, status: 'Active' });
+      }
+      if ((await guestTokens.findPending(existing.id, 'email_verification')).length >= MAX_PENDING_SIGN_UPS) {
+        throw new HttpError(429, 'This address has too many unconfirmed sign-ups. Use a link already sent, or try again later');
+      }
+      // Until the address is verified the caller has proved nothing, so the
+      // record's details and password stay as they are
+      return users.findById(existing.id);
+    });
+
+    await sendLink(user, 'email_verification', await bcrypt.hash(password, 10));
+    return user;
+  }
+
+  /**
+   * Confirm an email address from the link sent at sign-up, setting the
+   * password chosen with it and linking the bookings made for the address;
+   * the address's other sign-up links stop working
+   * @param {String} token - Token from the link
+   * @returns {Promise<Object>} - Verified user
+   */
+  async verifyEmail(token) {
+    return repositories.transaction(async (repos) => {
+      const { user, record } = await redeemLink(repos, token, 'email_verification');
+      await repos.guestTokens.discardUnused(user.id, 'email_verification');
+      await repos.bookings.linkToUser(user.email, user.id);
+      return repos.users.update(user.id, {
+        emailVerifiedAt: new Date().toISOString(),
+        ...(record.passwordHash && { password: record.passwordHash })
+      });
+    });
+  }
+
+  /**
+   * Send the sign-up link again for the password it was chosen with. Always
+   * succeeds from the caller's point of view, so it cannot be used to find
+   * out which addresses have accounts.
+   * @param {String} email - Email address
+   * @param {String} password - Password given at sign-up
+   */
+  async resendVerification(email, password) {
+    const credentials = await repositories.users.findCredentials(email);
+    if (!credentials || credentials.emailVerifiedAt) return;
+
+    try {
+      const record = await findSignUp(credentials.id, password);
+      if (record) {
+        await mailLink(await repositories.users.findById(credentials.id), record, signLink(record));
+      }
+    } catch (error) {
+      console.error('Failed to send verification email:', error);
+    }
+  }
+
+  /**
+   * Sign in with email and password, starting a guest session
+   * @param {String} email - Email address
+   * @param {String} password - Password
+   * @param {Object} client - { ip, userAgent }
+   * @returns {Promise<Object>} - Tokens and the user
+   */
+  async login(email, password, client) {
+    const credentials = await repositories.users.findCredentials(email);
+    if (!credentials || credentials.status !== 'Active') {
+      throw new HttpError(401, 'Invalid credentials');
+    }
+    // An unverified address has no password yet, only those waiting in its sign-up links
+    if (!credentials.emailVerifiedAt) {
+      if (await findSignUp(credentials.id, password)) {
+        throw new HttpError(403, 'Confirm your email address before signing in', { code: 'EMAIL_NOT_VERIFIED' });
+      }
+      throw new HttpError(401, 'Invalid credentials');
+    }
+    if (!credentials.password || !(await bcrypt.compare(password, credentials.password))) {
+      throw new HttpError(401, 'Invalid credentials');
+    }
+
+    const user = await repositories.users.update(credentials.id, { lastLogin: new Date().toISOString() });
+    return {
+      ...(await guestSessionService.start(user, client)),
+      user,
+      message: 'Login successful'
+    };
+  }
+
+  /**
+   * Email a password reset link if a verified account has this address.
+   * Always succeeds from the caller's point of view.
+   * @param {String} email - Email address
+   */
+  async requestPasswordReset(email) {
+    const credentials = await repositories.users.findCredentials(email);
+    if (!credentials?.password || !credentials.emailVerifiedAt || credentials.status !== 'Active') return;
+
+    try {
+      // Only the latest reset link works
+      await repositories.guestTokens.discardUnused(credentials.id, 'password_reset');
+      await sendLink(await repositories.users.findById(credentials.id), 'password_reset');
+    } catch (error) {
+      console.error('Failed to send password reset email:', error);
+    }
+  }
+
+  /**
+   * Set a new password from a reset link and end every session of the account
+   * @param {String} token - Token from the link
+   * @param {String} password - New password
+   */
+  async resetPassword(token, password) {
+    await repositories.transaction(async (repos) => {
+      const { user } = await redeemLink(repos, token, 'password_reset');
+      assertPasswordPolicy(password, user);
+
+      await repos.users.update(user.id, { password: await bcrypt.hash(password, 10) });
+      await repos.guestSessions.revokeAllForUser(user.id, 'password_reset');
+    });
+  }
+
+  /**
+   * Change one's own password; other sessions are signed out
+   * @param {Object} user - Signed-in user
+   * @param {String} currentPassword - Current password
+   * @param {String} newPassword - New password
+   * @param {String} sessionId - Session to keep
+   */
+  async changePassword(user, currentPassword, newPassword, sessionId) {
+    const credentials = await repositories.users.findCredentials(user.email);
+    if (!(await bcrypt.compare(currentPassword, credentials.password))) {
+      throw new HttpError(400, 'Current password is incorrect');
+    }
+    assertPasswordPolicy(newPassword, user);
+
+    await repositories.transaction(async ({ users, guestSessions }) => {
+      await users.update(user.id, { password: await bcrypt.hash(newPassword, 10) });
+      await guestSessions.revokeAllForUser(user.id, 'password_changed', sessionId);
+    });
+  }
+
+  /**
+   * Change one's own name, phone number or location
+   * @param {Number} userId - User id
+   * @param {Object} data - Fields to change, checked against the profile schema
+   * @returns {Promise<Object>} - Updated user
+   */
+  async updateProfile(userId, data) {
+    return repositories.users.update(userId, assertValid(profileSchema, data, { partial: true }));
+  }
+
+  /**
+   * Merge changes into one's preferences; null clears a preference
+   * @param {Object} user - Signed-in user
+   * @param {Object} data - Preferences to change, checked against the preferences schema
+   * @returns {Promise<Object>} - Updated preferences
+   */
+  async updatePreferences(user, data) {
+    const changes = assertValid(preferencesSchema, data, { partial: true });
+    const preferences = Object.fromEntries(Object.entries({ ...user.preferences, ...changes })
+      .filter(([, value]) => value !== null));
+    return (await repositories.users.update(user.id, { preferences })).preferences;
+  }
+}
+
+/**
+ * Issue a signed, single-use link and email it to the user
+ * @param {Object} user - User the link is for
+ * @param {String} purpose - `email_verification` or `password_reset`
+ * @param {String} passwordHash - For sign-up links, the password to set when the link is used
+ */
+async function sendLink(user, purpose, passwordHash) {
+  const id = uuidv4();
+  const token = jwt.sign({ userId: user.id, purpose }, JWT_SECRET, { expiresIn: LINKS[purpose].ttl, jwtid: id });
+  const expiresAt = new Date(jwt.decode(token).exp * 1000).toISOString();
+  const record = await repositories.guestTokens.create({ id, userId: user.id, purpose, passwordHash, expiresAt });
+  await mailLink(user, record, token);
+}
+
+/**
+ * Sign the link of an issued token again, expiring when the token does
+ * @param {Object} record - Token record
+ * @returns {String} - Token for the link
+ */
+function signLink(record) {
+  const exp = Math.floor(new Date(record.expiresAt).getTime() / 1000);
+  return jwt.sign({ userId: record.userId, purpose: record.purpose, exp }, JWT_SECRET, { jwtid: record.id });
+}
+
+/**
+ * Email a link to the user
+ * @param {Object} user - User the link is for
+ * @param {Object} record - Token record
+ * @param {String} token - Signed token for the link
+ */
+async function mailLink(user, record, token) {
+  const email = record.purpose === 'password_reset' ? guestPasswordResetEmail : emailVerificationEmail;
+  await mailService.send({
+    to: user.email,
+    ...email({
+      name: user.name,
+      link: `${GUEST_APP_URL}/${LINKS[record.purpose].page}?token=${encodeURIComponent(token)}`,
+      expiresAt: record.expiresAt
+    })
+  });
+}
+
+/**
+ * The pending sign-up link of an unverified address that was issued with this password
+ * @param {Number} userId - User id
+ * @param {String} password - Password given at sign-up
+ * @returns {Promise<Object|null>} - Token record
+ */
+async function findSignUp(userId, password) {
+  for (const record of await repositories.guestTokens.findPending(userId, 'email_verification')) {
+    if (record.passwordHash && await bcrypt.compare(password, record.passwordHash)) {
+      return record;
+    }
+  }
+  return null;
+}
+
+/**
+ * Verify a link's signature, expiry and single use, and spend it
+ * @param {Object} repos - Transactional repositories
+ * @param {String} token - Token from the link
+ * @param {String} purpose - Expected purpose
+ * @returns {Promise<Object>} - { user, record }
+ */
+async function redeemLink(repos, token, purpose) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    throw new HttpError(400, INVALID_LINK);
+  }
+
+  const record = decoded.purpose === purpose && await repos.guestTokens.findById(decoded.jti);
+  const user = record && !record.usedAt && record.userId === decoded.userId && await repos.users.findById(record.userId);
+  if (!user || user.status !== 'Active' || !(await repos.guestTokens.use(record.id))) {
+    throw new HttpError(400, INVALID_LINK);
+  }
+  return { user, record };
+}
+
+module.exports = new AccountService();
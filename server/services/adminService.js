@@ -0,0 +1,350 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const repositories = require('../repositories');
+const mailService = require('./mailService');
+const HttpError = require('../utils/httpError');
+const { assertPasswordPolicy } = require('../utils/passwordPolicy');
+const { inviteEmail, passwordResetEmail } = require('../templates/adminEmails');
+const { ROLES, permissionsFor } = require('../constants/permissions');
+const { JWT_SECRET, INVITE_TTL, PASSWORD_RESET_TTL } = require('../config/auth');
+const { ADMIN_APP_URL } = require('../config/mail');
+
+// Signed email links: lifetime and the admin app page each one opens
+const LINKS = {
+  invite: { ttl: INVITE_TTL, page: 'accept-invite' },
+  password_reset: { ttl: PASSWORD_RESET_TTL, page: 'reset-password' }
+};
+
+const INVALID_LINK = 'This link is invalid or has expired';
+
+/**
+ * Remove the password hash and add the effective permissions
+ * @param {Object} admin - Admin record
+ * @returns {Object} - Admin safe to return from the API
+ */
+const toPublicAdmin = ({ password: _, ...admin }) => ({ ...admin, permissions: permissionsFor(admin.roles) });
+
+/**
+ * Admin Service: admin accounts, invitations, passwords and role assignments
+ */
+class AdminService {
+  listRoles() {
+    return Object.entries(ROLES).map(([key, role]) => ({ key, ...role }));
+  }
+
+  async listAdmins() {
+    return (await repositories.admins.findAll()).map(toPublicAdmin);
+  }
+
+  async getAdmin(id) {
+    const admin = await repositories.admins.findById(id);
+    if (!admin) {
+      throw new HttpError(404, 'Admin not found');
+    }
+    return toPublicAdmin(admin);
+  }
+
+  /**
+   * Replace the roles of an admin. The last active super admin cannot lose
+   * the role, so nobody is left able to manage admins.
+   * @param {String} id - Admin id
+   * @param {Array} roles - Role keys
+   * @param {Object} actor - Admin making the change
+   * @returns {Promise<Object>} - Updated admin
+   */
+  async setRoles(id, roles, actor) {
+    const unknown = roles.filter(role => !ROLES[role]);
+    if (unknown.length > 0) {
+      throw new HttpError(400, `Unknown role(s): ${unknown.join(', ')}`, { roles: Object.keys(ROLES) });
+    }
+
+    return repositories.transaction(async ({ admins }) => {
+      const admin = await admins.findById(id);
+      if (!admin) {
+        throw new HttpError(404, 'Admin not found');
+      }
+
+      const losesSuperAdmin = admin.roles.includes('super_admin') && !roles.includes('super_admin');
+      if (losesSuperAdmin && admin.status === 'active' && await admins.countActiveWithRole('super_admin') <= 1) {
+        throw new HttpError(409, 'Cannot remove the last active super admin');
+      }
+
+      await admins.setRoles(id, [...new Set(roles)], actor.id);
+      return toPublicAdmin(await admins.findById(id));
+    });
+  }
+
+  /**
+   * Create an admin account in the `invited` state and email them a link to
+   * choose a password
+   * @param {Object} data - { email, name, roles }
+   * @param {Object} actor - Admin sending the invitation
+   * @returns {Promise<Object>} - { admin, expiresAt }
+   */
+  async invite({ email, name, roles = [] }, actor) {
+    const unknown = roles.filter(role => !ROLES[role]);
+    if (unknown.length > 0) {
+      throw new HttpError(400, `Unknown role(s): ${unknown.join(', ')}`, { roles: Object.keys(ROLES) });
+    }
+
+    const { admin, link } = await repositories.transaction(async ({ admins, adminTokens }) => {
+      if (await admins.findByEmail(email)) {
+        throw new HttpError(409, 'An admin with this email already exists');
+      }
+
+      const created = await admins.create({ name, email, status: 'invited' });
+      await admins.setRoles(created.id, [...new Set(roles)], actor?.id || null);
+      return {
+        admin: await admins.findById(created.id),
+        link: await issueLink(adminTokens, created, 'invite', actor)
+      };
+    });
+
+    await mailService.send({
+      to: admin.email,
+      ...inviteEmail({ name: admin.name, invitedBy: actor?.name, link: link.url, expiresAt: link.expiresAt })
+    });
+    return { admin: toPublicAdmin(admin), expiresAt: link.expiresAt };
+  }
+
+  /**
+   * Send a fresh invitation; earlier links stop working
+   * @param {String} id - Admin id
+   * @param {Object} actor - Admin resending
+   * @returns {Promise<Object>} - { admin, expiresAt }
+   */
+  async resendInvite(id, actor) {
+    const { admin, link } = await repositories.transaction(async ({ admins, adminTokens }) => {
+      const invited = await admins.findById(id);
+      if (!invited) {
+        throw new HttpError(404, 'Admin not found');
+      }
+      if (invited.status !== 'invited') {
+        throw new HttpError(409, 'This admin has already accepted their invitation');
+      }
+      return { admin: invited, link: await issueLink(adminTokens, invited, 'invite', actor) };
+    });
+
+    await mailService.send({
+      to: admin.email,
+      ...inviteEmail({ name: admin.name, invitedBy: actor.name, link: link.url, expiresAt: link.expiresAt })
+    });
+    return { admin: toPublicAdmin(admin), expiresAt: link.expiresAt };
+  }
+
+  /**
+   * Look up the account an invitation link belongs to, for the accept page
+   * @param {String} token - Token from the link
+   * @returns {Promise<Object>} - { email, name, expiresAt }
+   */
+  async getInvitation(token) {
+    const { admin, record } = await redeemLink(repositories, token, 'invite', { consume: false });
+    return { email: admin.email, name: admin.name, expiresAt: record.expiresAt };
+  }
+
+  /**
+   * Accept an invitation by choosing a password, activating the account
+   * @param {String} token - Token from the link
+   * @param {String} password - New password
+   * @param {String} name - Optional display name
+   * @returns {Promise<Object>} - Activated admin
+   */
+  async acceptInvite(token, password, name) {
+    return repositories.transaction(async (repos) => {
+      const { admin } = await redeemLink(repos, token, 'invite');
+      assertPasswordPolicy(password, admin);
+
+      const activated = await repos.admins.update(admin.id, {
+        ...(name ? { name } : {}),
+        password: await bcrypt.hash(password, 10),
+        status: 'active'
+      });
+      return toPublicAdmin(activated);
+    });
+  }
+
+  /**
+   * Email a password reset link if an active admin has this address. Always
+   * succeeds from the caller's point of view, so it cannot be used to find
+   * out which addresses have accounts.
+   * @param {String} email - Email address
+   */
+  async requestPasswordReset(email) {
+    const admin = await repositories.admins.findByEmail(email);
+    if (!admin || admin.status !== 'active') return;
+
+    try {
+      await sendPasswordReset(admin, null);
+    } catch (error) {
+      console.error('Failed to send password reset email:', error);
+    }
+  }
+
+  /**
+   * Email a password reset link on another admin's behalf
+   * @param {String} id - Admin id
+   * @param {Object} actor - Admin triggering the reset
+   * @returns {Promise<Object>} - { expiresAt }
+   */
+  async sendPasswordReset(id, actor) {
+    const admin = await repositories.admins.findById(id);
+    if (!admin) {
+      throw new HttpError(404, 'Admin not found');
+    }
+    if (admin.status !== 'active') {
+      throw new HttpError(409, 'Only active admins can reset their password');
+    }
+    return sendPasswordReset(admin, actor);
+  }
+
+  /**
+   * Set a new password from a reset link and end every session of the account
+   * @param {String} token - Token from the link
+   * @param {String} password - New password
+   */
+  async resetPassword(token, password) {
+    await repositories.transaction(async (repos) => {
+      const { admin } = await redeemLink(repos, token, 'password_reset');
+      if (admin.status !== 'active') {
+        throw new HttpError(400, INVALID_LINK);
+      }
+      assertPasswordPolicy(password, admin);
+
+      await repos.admins.update(admin.id, { password: await bcrypt.hash(password, 10) });
+      await repos.sessions.revokeAllForAdmin(admin.id, 'password_reset');
+    });
+  }
+
+  /**
+   * Change one's own password; other sessions are signed out
+   * @param {Object} admin - Authenticated admin
+   * @param {String} currentPassword - Current password
+   * @param {String} newPassword - New password
+   * @param {String} sessionId - Session to keep
+   */
+  async changePassword(admin, currentPassword, newPassword, sessionId) {
+    const stored = await repositories.admins.findById(admin.id);
+    if (!(await bcrypt.compare(currentPassword, stored.password))) {
+      throw new HttpError(400, 'Current password is incorrect');
+    }
+    assertPasswordPolicy(newPassword, stored);
+
+    await repositories.transaction(async ({ admins, sessions }) => {
+      await admins.update(admin.id, { password: await bcrypt.hash(newPassword, 10) });
+      await sessions.revokeAllForAdmin(admin.id, 'password_changed', sessionId);
+    });
+  }
+
+  /**
+   * Disable an account and end its sessions
+   * @param {String} id - Admin id
+   * @param {Object} actor - Admin making the change
+   * @returns {Promise<Object>} - Updated admin
+   */
+  async deactivate(id, actor) {
+    if (id === actor.id) {
+      throw new HttpError(409, 'You cannot deactivate your own account');
+    }
+
+    return repositories.transaction(async ({ admins, sessions }) => {
+      const admin = await admins.findById(id);
+      if (!admin) {
+        throw new HttpError(404, 'Admin not found');
+      }
+      if (admin.status === 'disabled') {
+        return toPublicAdmin(admin);
+      }
+      if (admin.status === 'active' && admin.roles.includes('super_admin')
+        && await admins.countActiveWithRole('super_admin') <= 1) {
+        throw new HttpError(409, 'Cannot deactivate the last active super admin');
+      }
+
+      const updated = await admins.update(id, { status: 'disabled' });
+      await sessions.revokeAllForAdmin(id, 'deactivated');
+      return toPublicAdmin(updated);
+    });
+  }
+
+  /**
+   * Re-enable a disabled account. Admins who never accepted their
+   * invitation go back to `invited`.
+   * @param {String} id - Admin id
+   * @returns {Promise<Object>} - Updated admin
+   */
+  async reactivate(id) {
+    const admin = await repositories.admins.findById(id);
+    if (!admin) {
+      throw new HttpError(404, 'Admin not found');
+    }
+    if (admin.status !== 'disabled') {
+      throw new HttpError(409, 'Only disabled admins can be reactivated');
+    }
+
+    const updated = await repositories.admins.update(id, { status: admin.password ? 'active' : 'invited' });
+    return toPublicAdmin(updated);
+  }
+}
+
+/**
+ * Issue a signed, single-use link for an admin
+ * @param {Object} adminTokens - Admin token repository
+ * @param {Object} admin - Admin the link is for
+ * @param {String} purpose - `invite` or `password_reset`
+ * @param {Object} actor - Admin issuing it, if any
+ * @returns {Promise<Object>} - { url, expiresAt }
+ */
+async function issueLink(adminTokens, admin, purpose, actor) {
+  const { ttl, page } = LINKS[purpose];
+  const id = uuidv4();
+  const token = jwt.sign({ adminId: admin.id, purpose }, JWT_SECRET, { expiresIn: ttl, jwtid: id });
+  const expiresAt = new Date(jwt.decode(token).exp * 1000).toISOString();
+
+  await adminTokens.create({ id, adminId: admin.id, purpose, createdBy: actor?.id || null, expiresAt });
+  return { url: `${ADMIN_APP_URL}/${page}?token=${encodeURIComponent(token)}`, expiresAt };
+}
+
+/**
+ * Verify a link's signature, expiry and single use
+ * @param {Object} repos - Repositories (transactional when consuming)
+ * @param {String} token - Token from the link
+ * @param {String} purpose - Expected purpose
+ * @param {Object} options - { consume: mark the token used }
+ * @returns {Promise<Object>} - { admin, record }
+ */
+async function redeemLink(repos, token, purpose, { consume = true } = {}) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    throw new HttpError(400, INVALID_LINK);
+  }
+
+  const record = decoded.purpose === purpose && await repos.adminTokens.findById(decoded.jti);
+  const admin = record && !record.usedAt && record.adminId === decoded.adminId && await repos.admins.findById(record.adminId);
+  if (!admin || (purpose === 'invite' && admin.status !== 'invited')) {
+    throw new HttpError(400, INVALID_LINK);
+  }
+  if (consume && !(await repos.adminTokens.use(record.id))) {
+    throw new HttpError(400, INVALID_LINK);
+  }
+
+  return { admin, record };
+}
+
+/**
+ * Issue and email a password reset link
+ * @param {Object} admin - Admin
+ * @param {Object} actor - Admin triggering it, if any
+ * @returns {Promise<Object>} - { expiresAt }
+ */
+async function sendPasswordReset(admin, actor) {
+  const link = await repositories.transaction(({ adminTokens }) => issueLink(adminTokens, admin, 'password_reset', actor));
+  await mailService.send({
+    to: admin.email,
+    ...passwordResetEmail({ name: admin.name, link: link.url, expiresAt: link.expiresAt })
+  });
+  return { expiresAt: link.expiresAt };
+}
+
+module.exports = new AdminService();
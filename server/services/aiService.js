@@ -1,6 +1,10 @@
 const supabase = require('../config/supabase');
 const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
+const { getSeasonForMonth } = require('../utils/seasons');
+const repositories = require('../repositories');
+const currencyService = require('./currencyService');
+const { REPORTING_CURRENCY } = require('../config/currencies');
 
 /**
  * AI Service for enhanced travel recommendations and user profiling
@@ -1381,17 +1385,25 @@ class AIService {
   }
 
   /**
-   * Get economic indicators for a location
+   * Get economic indicators for a location. The exchange rate is today's
+   * rate from the currency stays there are priced in to the reporting
+   * currency, from the rate table; it is null when no stay or rate is known.
    * @param {String} location - Location to get economic data for
    * @returns {Object} - Economic indicators
    */
   async getEconomicIndicators(location) {
-    // In a production system, this would call an economic data API
+    const { data: [stay] } = await repositories.properties.listPublished({ location, limit: '1' });
+    const currency = stay?.currency || null;
+    const rates = await currencyService.getRates();
+
+    // In a production system, the remaining figures would come from an economic data API
     // For now, return mock data
     return {
       location,
+      currency,
+      reportingCurrency: REPORTING_CURRENCY,
+      exchangeRate: currency ? rates.find(currency, REPORTING_CURRENCY) : null,
       currencyStrength: 'Strong',
-      exchangeRate: 1.2,
       costOfLivingIndex: 85,
       tourismOutlook: 'Growing'
     };
@@ -1408,16 +1420,7 @@ class AIService {
     const month = startDate.getMonth();
     
     // Determine season based on month (Northern Hemisphere)
-    let season;
-    if (month >= 2 && month <= 4) {
-      season = 'Spring';
-    } else if (month >= 5 && month <= 7) {
-      season = 'Summer';
-    } else if (month >= 8 && month <= 10) {
-      season = 'Fall';
-    } else {
-      season = 'Winter';
-    }
+    const season = getSeasonForMonth(month);
     
     // Define seasonal characteristics
     const seasonalFactors = {
@@ -0,0 +1,225 @@
+const repositories = require('../repositories');
+const HttpError = require('../utils/httpError');
+const { RELEASED_STATUSES } = require('../constants/booking');
+const { addDays, daysBetween, eachDay, today, weekday } = require('../utils/dates');
+
+const MAX_CALENDAR_DAYS = 366;
+
+/**
+ * Availability Service: stay rules, blocked dates and booking conflicts.
+ * Every booking, whoever makes it, must pass the same checks: an Active
+ * property, a check-in that has not passed, room for the guests, and free
+ * nights that follow the stay rules.
+ */
+class AvailabilityService {
+  /**
+   * Check whether a stay can be booked. Pass the repositories of an open
+   * transaction to make the check atomic with the write that follows it.
+   * @param {Number} propertyId - Property id
+   * @param {String} checkIn - YYYY-MM-DD
+   * @param {String} checkOut - YYYY-MM-DD
+   * @param {Object} options - { excludeBookingId, guests, repos }
+   * @returns {Promise<Object>} - { available, nights, reasons, conflicts }
+   */
+  async checkAvailability(propertyId, checkIn, checkOut, { excludeBookingId, guests, repos = repositories } = {}) {
+    const property = await repos.properties.findPublished(propertyId);
+    const rules = await repos.availability.getRules(propertyId);
+    const nights = daysBetween(checkIn, checkOut);
+    const reasons = [];
+
+    if (!property) {
+      reasons.push({ code: 'NOT_BOOKABLE', message: 'Only Active properties can be booked' });
+    } else if (guests !== undefined) {
+      reasons.push(...capacityReasons(property, guests));
+    }
+    if (checkIn < today()) {
+      reasons.push({ code: 'PAST_CHECK_IN', message: 'Check-in must not be in the past' });
+    }
+
+    if (nights < rules.minStay) {
+      reasons.push({ code: 'MIN_STAY', message: `Minimum stay is ${rules.minStay} night(s)` });
+    }
+    if (rules.maxStay && nights > rules.maxStay) {
+      reasons.push({ code: 'MAX_STAY', message: `Maximum stay is ${rules.maxStay} night(s)` });
+    }
+    if (rules.checkInDays && !rules.checkInDays.includes(weekday(checkIn))) {
+      reasons.push({ code: 'CHECK_IN_DAY', message: 'Check-in is not allowed on this day of the week' });
+    }
+
+    const blocks = await repos.availability.findBlocks(propertyId, checkIn, addDays(checkOut, -1));
+    if (blocks.length > 0) {
+      reasons.push({ code: 'BLOCKED', message: 'Some of the requested nights are blocked' });
+    }
+
+    // Buffer days keep a gap between the end of one stay and the start of the next
+    const conflicts = (await repos.bookings.findOverlapping(
+      propertyId,
+      addDays(checkIn, -rules.bufferDays),
+      addDays(checkOut, rules.bufferDays),
+      RELEASED_STATUSES
+    )).filter(booking => booking.id !== excludeBookingId);
+
+    if (conflicts.length > 0) {
+      reasons.push({ code: 'BOOKED', message: 'The requested dates overlap another booking' });
+    }
+
+    return {
+      available: reasons.length === 0,
+      nights,
+      reasons,
+      conflicts: conflicts.map(booking => booking.id)
+    };
+  }
+
+  /**
+   * Lock the property and fail with 409 unless the stay is available.
+   * Must run inside a transaction.
+   * @param {Object} repos - Transactional repositories
+   * @param {Number} propertyId - Property id
+   * @param {String} checkIn - YYYY-MM-DD
+   * @param {String} checkOut - YYYY-MM-DD
+   * @param {Object} options - { excludeBookingId: booking being modified, guests }
+   */
+  async assertAvailable(repos, propertyId, checkIn, checkOut, { excludeBookingId, guests } = {}) {
+    await repos.properties.lock(propertyId);
+
+    const result = await this.checkAvailability(propertyId, checkIn, checkOut, { excludeBookingId, guests, repos });
+    if (!result.available) {
+      throw new HttpError(409, 'Property is not available for the requested dates', {
+        reasons: result.reasons,
+        conflicts: result.conflicts
+      });
+    }
+  }
+
+  /**
+   * Fail with 409 when a property cannot take this many guests, for changes
+   * to the guest count alone
+   * @param {Object} repos - Repositories
+   * @param {Number} propertyId - Property id
+   * @param {Number} guests - Number of guests
+   */
+  async assertCapacity(repos, propertyId, guests) {
+    const property = await repos.properties.findById(propertyId);
+    const reasons = property ? capacityReasons(property, guests) : [];
+    if (reasons.length > 0) {
+      throw new HttpError(409, reasons[0].message, { reasons });
+    }
+  }
+
+  /**
+   * Day-by-day calendar for a property
+   * @param {Number} propertyId - Property id
+   * @param {String} from - YYYY-MM-DD
+   * @param {String} to - YYYY-MM-DD (exclusive)
+   * @returns {Promise<Object>} - { rules, days: [{ date, status, bookingId, checkInAllowed }] }
+   */
+  async getCalendar(propertyId, from, to) {
+    if (from >= to || daysBetween(from, to) > MAX_CALENDAR_DAYS) {
+      throw new HttpError(400, `Calendar range must be between 1 and ${MAX_CALENDAR_DAYS} days`);
+    }
+
+    const rules = await repositories.availability.getRules(propertyId);
+    const blocks = await repositories.availability.findBlocks(propertyId, from, to);
+    const bookings = await repositories.bookings.findOverlapping(
+      propertyId,
+      addDays(from, -rules.bufferDays),
+      addDays(to, rules.bufferDays),
+      RELEASED_STATUSES
+    );
+
+    const days = eachDay(from, to).map((date) => {
+      const booking = bookings.find(b => b.checkIn <= date && date < b.checkOut);
+      const block = blocks.find(b => b.startDate <= date && date <= b.endDate);
+      const inBuffer = !booking && rules.bufferDays > 0 && bookings.some(b => (
+        date >= addDays(b.checkIn, -rules.bufferDays) && date < addDays(b.checkOut, rules.bufferDays)
+      ));
+
+      let status = 'available';
+      if (booking) status = 'booked';
+      else if (block) status = 'blocked';
+      else if (inBuffer) status = 'buffer';
+
+      return {
+        date,
+        status,
+        bookingId: booking?.id || null,
+        checkInAllowed: status === 'available' && (!rules.checkInDays || rules.checkInDays.includes(weekday(date)))
+      };
+    });
+
+    return { propertyId: Number(propertyId), from, to, rules, days };
+  }
+
+  async getRules(propertyId) {
+    return repositories.availability.getRules(propertyId);
+  }
+
+  /**
+   * Replace the stay rules of a property
+   * @param {Number} propertyId - Property id
+   * @param {Object} rules - { minStay, maxStay, checkInDays, bufferDays }
+   * @returns {Promise<Object>} - Stored rules
+   */
+  async updateRules(propertyId, rules) {
+    const current = await repositories.availability.getRules(propertyId);
+    const next = { ...current, ...rules };
+
+    if (next.maxStay !== null && next.maxStay < next.minStay) {
+      throw new HttpError(400, 'maxStay must not be lower than minStay');
+    }
+
+    return repositories.availability.saveRules(propertyId, next);
+  }
+
+  async listBlocks(propertyId, from, to) {
+    return repositories.availability.findBlocks(propertyId, from, to);
+  }
+
+  /**
+   * Block a range of nights, refusing ranges that hold active bookings
+   * @param {Number} propertyId - Property id
+   * @param {Object} block - { startDate, endDate, reason }
+   * @returns {Promise<Object>} - Stored block
+   */
+  async blockDates(propertyId, { startDate, endDate, reason }) {
+    if (startDate > endDate) {
+      throw new HttpError(400, 'endDate must not be before startDate');
+    }
+
+    return repositories.transaction(async (repos) => {
+      await repos.properties.lock(propertyId);
+
+      const conflicts = await repos.bookings.findOverlapping(propertyId, startDate, addDays(endDate, 1), RELEASED_STATUSES);
+      if (conflicts.length > 0) {
+        throw new HttpError(409, 'These dates overlap existing bookings', {
+          conflicts: conflicts.map(booking => booking.id)
+        });
+      }
+
+      return repos.availability.addBlock({ propertyId, startDate, endDate, reason });
+    });
+  }
+
+  async unblockDates(propertyId, blockId) {
+    const removed = await repositories.availability.removeBlock(propertyId, blockId);
+    if (!removed) {
+      throw new HttpError(404, 'Blocked date range not found');
+    }
+  }
+}
+
+/**
+ * Why a property cannot take a number of guests
+ * @param {Object} property - Property
+ * @param {Number} guests - Number of guests
+ * @returns {Array} - Reasons; empty when the guests fit
+ */
+function capacityReasons(property, guests) {
+  if (property.maxGuests && guests > property.maxGuests) {
+    return [{ code: 'MAX_GUESTS', message: `This property sleeps at most ${property.maxGuests} guest(s)` }];
+  }
+  return [];
+}
+
+module.exports = new AvailabilityService();
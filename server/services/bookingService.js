@@ -0,0 +1,269 @@
+const repositories = require('../repositories');
+const HttpError = require('../utils/httpError');
+const availabilityService = require('./availabilityService');
+const pricingService = require('./pricingService');
+const reviewService = require('./reviewService');
+const paymentService = require('./paymentService');
+const messageService = require('./messageService');
+const { BOOKING_STATUSES } = require('../constants/booking');
+const { STATUS_EVENTS } = require('../constants/messages');
+const { today } = require('../utils/dates');
+
+// Allowed moves of the booking state machine; anything else is rejected
+const TRANSITIONS = {
+  [BOOKING_STATUSES.PENDING]: [BOOKING_STATUSES.CONFIRMED, BOOKING_STATUSES.CANCELLED],
+  [BOOKING_STATUSES.CONFIRMED]: [BOOKING_STATUSES.CHECKED_IN, BOOKING_STATUSES.CANCELLED, BOOKING_STATUSES.NO_SHOW],
+  [BOOKING_STATUSES.CHECKED_IN]: [BOOKING_STATUSES.COMPLETED],
+  [BOOKING_STATUSES.COMPLETED]: [],
+  [BOOKING_STATUSES.CANCELLED]: [],
+  [BOOKING_STATUSES.NO_SHOW]: []
+};
+
+// Statuses that only make sense once the stay has started: the guest can
+// arrive, fail to arrive or leave from the check-in date on
+const STAY_STARTED_STATUSES = [BOOKING_STATUSES.CHECKED_IN, BOOKING_STATUSES.NO_SHOW, BOOKING_STATUSES.COMPLETED];
+
+// Stay details can only change before the guest arrives
+const MODIFIABLE_STATUSES = [BOOKING_STATUSES.PENDING, BOOKING_STATUSES.CONFIRMED];
+const MODIFIABLE_FIELDS = ['propertyId', 'guestName', 'guestEmail', 'checkIn', 'checkOut', 'guests'];
+
+/**
+ * Booking Service implementing the booking lifecycle
+ */
+class BookingService {
+  /**
+   * Check whether the state machine allows a status change
+   * @param {String} from - Current status
+   * @param {String} to - Requested status
+   * @returns {Boolean} - Whether the transition is legal
+   */
+  canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Get a booking together with its full history
+   * @param {String} id - Booking id
+   * @returns {Promise<Object>} - Booking with `history`
+   */
+  async getBooking(id) {
+    const booking = await repositories.bookings.findById(id);
+    if (!booking) {
+      throw new HttpError(404, 'Booking not found');
+    }
+
+    return { ...booking, history: await repositories.bookingEvents.findByBooking(id) };
+  }
+
+  /**
+   * Create a pending booking, priced in the currency the guest chose (the
+   * property's own by default) at the current exchange rate, which the
+   * booking keeps from then on
+   * @param {Object} data - Booking fields and currency
+   * @param {Object} actor - { type, id } of who made the change
+   * @returns {Promise<Object>} - Created booking
+   */
+  async createBooking(data, actor) {
+    assertDateRange(data.checkIn, data.checkOut);
+
+    return repositories.transaction(async (repos) => {
+      const { properties, users, bookings, bookingEvents } = repos;
+      const property = await properties.findById(data.propertyId);
+      if (!property) {
+        throw new HttpError(404, 'Property not found');
+      }
+
+      await availabilityService.assertAvailable(repos, property.id, data.checkIn, data.checkOut, { guests: data.guests });
+      const quote = await pricingService.getQuote(property.id, data.checkIn, data.checkOut, { repos, currency: data.currency });
+
+      const user = await users.findByEmail(data.guestEmail);
+      const booking = await bookings.create({
+        ...pick(data, MODIFIABLE_FIELDS),
+        userId: user?.id,
+        totalAmount: quote.total,
+        currency: quote.currency,
+        baseCurrency: quote.baseCurrency,
+        exchangeRate: quote.exchangeRate,
+        pricing: quote,
+        status: BOOKING_STATUSES.PENDING
+      });
+
+      await bookingEvents.record({
+        bookingId: booking.id,
+        type: 'created',
+        toStatus: booking.status,
+        actor,
+        note: data.note
+      });
+      await messageService.postSystemMessage(repos, booking.id, 'booking_requested');
+
+      return booking;
+    });
+  }
+
+  /**
+   * Change the stay details of a booking that has not started yet. It is
+   * repriced in its own currency at its locked-in rate; moving to a property
+   * priced in another currency locks in that currency's current rate.
+   * @param {String} id - Booking id
+   * @param {Object} changes - Fields to change
+   * @param {Object} actor - { type, id } of who made the change
+   * @returns {Promise<Object>} - Updated booking
+   */
+  async modifyBooking(id, changes, actor) {
+    return repositories.transaction(async (repos) => {
+      const { properties, bookings, bookingEvents } = repos;
+      const booking = await findBooking(bookings, id);
+      if (!MODIFIABLE_STATUSES.includes(booking.status)) {
+        throw new HttpError(409, `A ${booking.status} booking can no longer be modified`);
+      }
+
+      const updates = pick(changes, MODIFIABLE_FIELDS);
+      assertDateRange(updates.checkIn || booking.checkIn, updates.checkOut || booking.checkOut);
+
+      const property = await properties.findById(updates.propertyId ?? booking.propertyId);
+      if (updates.propertyId !== undefined && !property) {
+        throw new HttpError(404, 'Property not found');
+      }
+
+      const diff = {};
+      Object.entries(updates).forEach(([field, value]) => {
+        if (booking[field] !== value) {
+          diff[field] = { from: booking[field], to: value };
+        }
+      });
+
+      if (Object.keys(diff).length === 0) {
+        return booking;
+      }
+
+      const guests = updates.guests ?? booking.guests;
+
+      // A different property or different dates mean a different price
+      if (diff.propertyId || diff.checkIn || diff.checkOut) {
+        const propertyId = updates.propertyId || booking.propertyId;
+        const checkIn = updates.checkIn || booking.checkIn;
+        const checkOut = updates.checkOut || booking.checkOut;
+
+        await availabilityService.assertAvailable(repos, propertyId, checkIn, checkOut, { excludeBookingId: id, guests });
+        const quote = await pricingService.getQuote(propertyId, checkIn, checkOut, {
+          repos,
+          bookedOn: booking.bookingDate,
+          currency: booking.currency,
+          exchangeRate: property?.currency === booking.baseCurrency ? booking.exchangeRate : undefined
+        });
+        updates.totalAmount = quote.total;
+        updates.baseCurrency = quote.baseCurrency;
+        updates.exchangeRate = quote.exchangeRate;
+        updates.pricing = quote;
+        diff.totalAmount = { from: booking.totalAmount, to: quote.total };
+      } else if (diff.guests) {
+        await availabilityService.assertCapacity(repos, booking.propertyId, guests);
+      }
+
+      let updated = await bookings.update(id, updates);
+      if (diff.totalAmount) {
+        // What was paid may no longer cover the new total, or may exceed it
+        updated = await paymentService.syncPaymentStatus(repos, updated);
+      }
+      await bookingEvents.record({
+        bookingId: id,
+        type: 'modified',
+        actor,
+        note: changes.note,
+        details: { changes: diff }
+      });
+      await messageService.postSystemMessage(repos, id, 'booking_modified');
+
+      return updated;
+    });
+  }
+
+  /**
+   * Move a booking to a new status if the state machine allows it. Check-in,
+   * no-show and check-out are refused before the stay's check-in date.
+   * @param {String} id - Booking id
+   * @param {String} status - Target status
+   * @param {Object} actor - { type, id } of who made the change
+   * @param {String} note - Optional reason
+   * @returns {Promise<Object>} - Updated booking
+   */
+  async transition(id, status, actor, note) {
+    const changed = await repositories.transaction(async (repos) => {
+      const { bookings, bookingEvents } = repos;
+      const booking = await findBooking(bookings, id);
+      if (!this.canTransition(booking.status, status)) {
+        throw new HttpError(409, `Cannot change booking status from ${booking.status} to ${status}`, {
+          allowedTransitions: TRANSITIONS[booking.status] || []
+        });
+      }
+      if (STAY_STARTED_STATUSES.includes(status) && today() < booking.checkIn) {
+        throw new HttpError(409, `A booking cannot become ${status} before its check-in date (${booking.checkIn})`);
+      }
+
+      const updated = await bookings.update(id, { status });
+      await bookingEvents.record({
+        bookingId: id,
+        type: 'status',
+        fromStatus: booking.status,
+        toStatus: status,
+        actor,
+        note
+      });
+      await messageService.postSystemMessage(repos, id, STATUS_EVENTS[status]);
+
+      return updated;
+    });
+
+    // Checking out invites the guest to review the stay; a mail failure
+    // must not undo the check-out, and admins can send the link again
+    if (status === BOOKING_STATUSES.COMPLETED) {
+      await reviewService.sendInvitation(changed.id).catch((error) => {
+        console.error(`Failed to send the review invitation for booking ${changed.id}:`, error);
+      });
+    }
+    return changed;
+  }
+}
+
+/**
+ * Load a booking or fail with 404
+ * @param {Object} bookings - Booking repository
+ * @param {String} id - Booking id
+ * @returns {Promise<Object>} - Booking
+ */
+async function findBooking(bookings, id) {
+  const booking = await bookings.findById(id);
+  if (!booking) {
+    throw new HttpError(404, 'Booking not found');
+  }
+  return booking;
+}
+
+/**
+ * Ensure check-out is after check-in
+ * @param {String} checkIn - YYYY-MM-DD
+ * @param {String} checkOut - YYYY-MM-DD
+ */
+function assertDateRange(checkIn, checkOut) {
+  if (!checkIn || !checkOut || checkIn >= checkOut) {
+    throw new HttpError(400, 'checkOut must be after checkIn');
+  }
+}
+
+/**
+ * Copy the given fields that are present on an object
+ * @param {Object} source - Source object
+ * @param {Array} fields - Field names
+ * @returns {Object} - Picked fields
+ */
+function pick(source, fields) {
+  return fields.reduce((picked, field) => {
+    if (source[field] !== undefined) {
+      picked[field] = source[field];
+    }
+    return picked;
+  }, {});
+}
+
+module.exports = new BookingService();
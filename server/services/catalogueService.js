@@ -0,0 +1,445 @@
+const repositories = require('../repositories');
+const imageService = require('./imageService');
+const searchService = require('./searchService');
+const currencyService = require('./currencyService');
+const pricingService = require('./pricingService');
+const HttpError = require('../utils/httpError');
+const { RELEASED_STATUSES } = require('../constants/booking');
+const { DEFAULT_CURRENCY } = require('../config/currencies');
+const { addDays, daysBetween, weekday, today } = require('../utils/dates');
+const { distanceKm, boundingBox, gridCluster, expansionZoom } = require('../utils/geo');
+
+// Longest stay a catalogue search can ask for
+const MAX_SEARCH_NIGHTS = 365;
+
+// Most stays one map search considers; denser viewports report `truncated`
+const MAX_MAP_POINTS = 2000;
+const MAX_ZOOM = 22;
+// From this zoom on, markers are close enough to the ground to show singly
+const CLUSTER_MAX_ZOOM = 17;
+// Markers within this many screen pixels of each other are clustered
+const CLUSTER_CELL_PX = 64;
+
+const MAX_SEARCH_RESULTS = 50;
+const MAX_SUGGESTIONS = 10;
+// Fields whose text is offered as a completion, and what it completes to
+const SUGGESTION_FIELDS = ['name', 'location', 'category'];
+
+const MAX_RADIUS_KM = 1000;
+const MAX_NEARBY = 50;
+// Search rings tried in turn for the nearest stays when no radius is given;
+// the last one spans half the globe, so it reaches everything
+const NEAREST_RINGS_KM = [25, 100, 500, 2500, 20040];
+
+/**
+ * Catalogue Service: the published stays guests can browse, without
+ * anything only admins should see. Prices are shown in the currency the
+ * guest chose with `currency`, the default currency otherwise.
+ */
+class CatalogueService {
+  /**
+   * List published stays, optionally only those bookable for given dates
+   * @param {Object} query - Query string: list parameters plus checkIn, checkOut and currency
+   * @returns {Promise<Object>} - { currency, data, pagination }
+   */
+  async listStays(query) {
+    const { checkIn, checkOut, currency, ...listQuery } = query;
+    const stay = parseStay(checkIn, checkOut);
+    const prices = await guestPrices(currency);
+
+    const page = await repositories.properties.listPublished(listQuery, { stay, rates: prices.rates });
+    return { currency: prices.currency, ...page, data: page.data.map(property => toStaySummary(property, prices)) };
+  }
+
+  /**
+   * Full-text search of published stays, best match first, tolerating
+   * typos and synonyms; higher rated stays rank higher
+   * @param {Object} query - Query string: q, limit, offset, currency
+   * @returns {Promise<Object>} - { query, currency, total, limit, offset, data } with a score on each stay
+   */
+  async searchStays(query) {
+    const q = String(query.q || '').trim();
+    const limit = query.limit === undefined ? 20 : Number(query.limit);
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+    if (!q) {
+      throw new HttpError(400, 'q is required');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_RESULTS) {
+      throw new HttpError(400, `limit must be an integer between 1 and ${MAX_SEARCH_RESULTS}`);
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new HttpError(400, 'offset must be a non-negative integer');
+    }
+
+    const prices = await guestPrices(query.currency);
+    const { results } = await searchService.rank(q);
+    const page = results.slice(offset, offset + limit);
+    const properties = await findInOrder(page.map(result => result.propertyId));
+
+    return {
+      query: q,
+      currency: prices.currency,
+      total: results.length,
+      limit,
+      offset,
+      data: page
+        .map((result, index) => properties[index] && { ...toStaySummary(properties[index], prices), score: result.score })
+        .filter(Boolean)
+    };
+  }
+
+  /**
+   * Completions for a search box: stay names, locations and categories
+   * matching what was typed so far, the last word as a prefix
+   * @param {Object} query - Query string: q, limit
+   * @returns {Promise<Object>} - { query, suggestions: [{ type, text, id }] }
+   */
+  async suggestStays(query) {
+    const q = String(query.q || '').trim();
+    const limit = query.limit === undefined ? 8 : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SUGGESTIONS) {
+      throw new HttpError(400, `limit must be an integer between 1 and ${MAX_SUGGESTIONS}`);
+    }
+
+    const { terms, results } = q ? await searchService.rank(q, { prefix: true }) : { terms: [], results: [] };
+    const candidates = results.filter(result => (
+      result.fields[terms.length - 1].some(field => SUGGESTION_FIELDS.includes(field))
+    ));
+    const properties = await findInOrder(candidates.slice(0, limit * 3).map(result => result.propertyId));
+
+    const suggestions = new Map();
+    candidates.forEach((result, index) => {
+      const property = properties[index];
+      if (!property) return;
+      result.fields[terms.length - 1]
+        .filter(field => SUGGESTION_FIELDS.includes(field))
+        .forEach((field) => {
+          const type = field === 'name' ? 'stay' : field;
+          const key = `${type}:${String(property[field]).toLowerCase()}`;
+          if (!suggestions.has(key)) {
+            suggestions.set(key, { type, text: property[field], ...(type === 'stay' && { id: property.id }) });
+          }
+        });
+    });
+
+    return { query: q, suggestions: [...suggestions.values()].slice(0, limit) };
+  }
+
+  /**
+   * Stay markers for a map viewport. Below CLUSTER_MAX_ZOOM, stays that
+   * would overlap on screen are merged into clusters the client can zoom
+   * into at `expansionZoom`.
+   * @param {Object} query - Query string: bbox (minLng,minLat,maxLng,maxLat), zoom,
+   * checkIn, checkOut, currency and the catalogue filters
+   * @returns {Promise<Object>} - { bbox, zoom, currency, total, truncated, markers }
+   */
+  async mapStays(query) {
+    const { bbox, zoom, checkIn, checkOut, currency, ...filters } = query;
+    const box = parseBbox(bbox);
+    const level = Number(zoom);
+    if (!Number.isInteger(level) || level < 0 || level > MAX_ZOOM) {
+      throw new HttpError(400, `zoom must be an integer between 0 and ${MAX_ZOOM}`);
+    }
+
+    const prices = await guestPrices(currency);
+    const properties = await repositories.properties.findPublishedWithin(box, filters, {
+      stay: parseStay(checkIn, checkOut),
+      rates: prices.rates,
+      limit: MAX_MAP_POINTS + 1
+    });
+    const points = properties.slice(0, MAX_MAP_POINTS);
+    const clusterOptions = { cellSize: CLUSTER_CELL_PX, maxZoom: CLUSTER_MAX_ZOOM };
+
+    const markers = gridCluster(points, level, clusterOptions).map(({ cell, points: members }) => {
+      if (members.length === 1) {
+        return { type: 'stay', ...toStaySummary(members[0], prices) };
+      }
+      return toCluster(cell, members, expansionZoom(members, level, clusterOptions), prices);
+    });
+
+    return {
+      bbox: box,
+      zoom: level,
+      currency: prices.currency,
+      total: points.length,
+      truncated: properties.length > MAX_MAP_POINTS,
+      markers
+    };
+  }
+
+  /**
+   * Published stays closest to a point, nearest first with their distance.
+   * With radiusKm only stays inside the circle count; without it the
+   * nearest `limit` stays are found however far away they are.
+   * @param {Object} query - Query string: lat, lng, radiusKm, limit, checkIn,
+   * checkOut, currency and the catalogue filters
+   * @returns {Promise<Object>} - { center, radiusKm, currency, data }
+   */
+  async nearbyStays(query) {
+    const { lat, lng, radiusKm, limit, checkIn, checkOut, currency, ...filters } = query;
+    const center = { latitude: Number(lat), longitude: Number(lng) };
+    if (!inRange(center.latitude, -90, 90) || !inRange(center.longitude, -180, 180)) {
+      throw new HttpError(400, 'lat must be between -90 and 90 and lng between -180 and 180');
+    }
+    const radius = radiusKm === undefined ? null : Number(radiusKm);
+    if (radius !== null && !(radius > 0 && radius <= MAX_RADIUS_KM)) {
+      throw new HttpError(400, `radiusKm must be greater than 0 and at most ${MAX_RADIUS_KM}`);
+    }
+    const count = limit === undefined ? 10 : Number(limit);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_NEARBY) {
+      throw new HttpError(400, `limit must be an integer between 1 and ${MAX_NEARBY}`);
+    }
+
+    const stay = parseStay(checkIn, checkOut);
+    const prices = await guestPrices(currency);
+    const rings = radius === null ? NEAREST_RINGS_KM : [radius];
+    let found = [];
+
+    for (const ring of rings) {
+      // The database ranks by an approximation; a margin of extra rows lets
+      // the exact distance settle the order
+      const properties = await repositories.properties.findPublishedWithin(
+        boundingBox(center.latitude, center.longitude, ring),
+        filters,
+        { stay, rates: prices.rates, near: center, limit: Math.min(count * 4, MAX_MAP_POINTS) }
+      );
+      found = properties
+        .map(property => ({
+          property,
+          distanceKm: distanceKm(center.latitude, center.longitude, property.latitude, property.longitude)
+        }))
+        .filter(match => match.distanceKm <= ring)
+        .sort((a, b) => a.distanceKm - b.distanceKm);
+      if (found.length >= count) break;
+    }
+
+    return {
+      center,
+      radiusKm: radius,
+      currency: prices.currency,
+      data: found.slice(0, count).map(({ property, distanceKm: distance }) => ({
+        ...toStaySummary(property, prices),
+        distanceKm: Math.round(distance * 100) / 100
+      }))
+    };
+  }
+
+  /**
+   * One published stay with its photos and stay rules
+   * @param {Number} id - Property id
+   * @param {String} currency - Currency to show the price in, optional
+   * @returns {Promise<Object>} - Stay
+   */
+  async getStay(id, currency) {
+    const property = await findPublished(id);
+    const prices = await guestPrices(currency);
+    const images = await imageService.listImages(property.id);
+    const rules = await repositories.availability.getRules(property.id);
+
+    return {
+      ...toStaySummary(property, prices),
+      description: property.description,
+      amenities: property.amenities || [],
+      images: images.map(toPublicImage),
+      stayRules: {
+        minStay: rules.minStay,
+        maxStay: rules.maxStay,
+        checkInDays: rules.checkInDays
+      }
+    };
+  }
+
+  /**
+   * Itemised price of a stay in the guest's currency at today's rate.
+   * Booking the stay locks in the rate of that moment.
+   * @param {Number} id - Property id
+   * @param {Object} query - Query string: checkIn, checkOut, currency
+   * @returns {Promise<Object>} - Quote
+   */
+  async getQuote(id, { checkIn, checkOut, currency }) {
+    const property = await findPublished(id);
+    parseStay(checkIn, checkOut);
+    return pricingService.getQuote(property.id, checkIn, checkOut, { currency: currency || DEFAULT_CURRENCY });
+  }
+}
+
+/**
+ * Load a published stay or fail with 404
+ * @param {Number} id - Property id
+ * @returns {Promise<Object>} - Property
+ */
+async function findPublished(id) {
+  const property = await repositories.properties.findPublished(id);
+  if (!property) {
+    throw new HttpError(404, 'Stay not found');
+  }
+  return property;
+}
+
+/**
+ * The currency a guest sees prices in, and the current rate to it from
+ * every currency that has one
+ * @param {String} currency - Currency the guest chose, optional
+ * @returns {Promise<Object>} - { currency, rates }
+ */
+async function guestPrices(currency) {
+  const target = currency ? currencyService.assertCurrency(currency) : DEFAULT_CURRENCY;
+  const rates = await currencyService.getRates();
+  return { currency: target, rates: rates.ratesTo(target) };
+}
+
+/**
+ * A property's nightly price in the guest's currency
+ * @param {Object} property - Property
+ * @param {Object} prices - Result of guestPrices
+ * @returns {Number|null} - Price, or null when its currency has no rate
+ */
+function priceIn(property, prices) {
+  const rate = prices.rates[property.currency];
+  return rate === undefined ? null : Math.round(property.price * rate * 100) / 100;
+}
+
+/**
+ * Check the dates of a stay search and describe the stay for the repository
+ * @param {String} checkIn - YYYY-MM-DD, optional
+ * @param {String} checkOut - YYYY-MM-DD, optional
+ * @returns {Object|undefined} - Stay, when dates were given
+ */
+function parseStay(checkIn, checkOut) {
+  if (!checkIn && !checkOut) return undefined;
+
+  if (!checkIn || !checkOut || checkIn >= checkOut) {
+    throw new HttpError(400, 'Give both checkIn and checkOut, with checkOut after checkIn');
+  }
+  if (checkIn < today()) {
+    throw new HttpError(400, 'checkIn must not be in the past');
+  }
+  const nights = daysBetween(checkIn, checkOut);
+  if (nights > MAX_SEARCH_NIGHTS) {
+    throw new HttpError(400, `Stays may be at most ${MAX_SEARCH_NIGHTS} nights`);
+  }
+  return {
+    checkIn,
+    checkOut,
+    lastNight: addDays(checkOut, -1),
+    nights,
+    weekday: weekday(checkIn),
+    releasedStatuses: RELEASED_STATUSES
+  };
+}
+
+/**
+ * Parse a map viewport given as minLng,minLat,maxLng,maxLat. Maps report
+ * longitudes past ±180 once panned around the world; those are wrapped,
+ * so a viewport across the antimeridian has minLng greater than maxLng.
+ * @param {String} bbox - Viewport
+ * @returns {Object} - { minLat, maxLat, minLng, maxLng }
+ */
+function parseBbox(bbox) {
+  const parts = String(bbox || '').split(',').map(Number);
+  if (parts.length !== 4 || parts.some(value => !Number.isFinite(value))) {
+    throw new HttpError(400, 'bbox must be minLng,minLat,maxLng,maxLat');
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (!inRange(minLat, -90, 90) || !inRange(maxLat, -90, 90) || minLat > maxLat || minLng > maxLng) {
+    throw new HttpError(400, 'bbox latitudes must be between -90 and 90, and each minimum not above its maximum');
+  }
+
+  if (maxLng - minLng >= 360) {
+    return { minLat, maxLat, minLng: -180, maxLng: 180 };
+  }
+  const wrap = (value) => ((((value + 180) % 360) + 360) % 360) - 180;
+  // Keep a viewport ending exactly on the antimeridian from wrapping to -180
+  return { minLat, maxLat, minLng: wrap(minLng), maxLng: maxLng === 180 ? 180 : wrap(maxLng) };
+}
+
+/**
+ * A map cluster: how many stays it holds, where to draw it, and the area
+ * its stays cover
+ * @param {String} id - Grid cell, stable for a zoom level
+ * @param {Array} members - Properties in the cluster
+ * @param {Number} zoom - Zoom level at which the cluster splits up
+ * @param {Object} prices - Result of guestPrices
+ * @returns {Object} - Cluster marker
+ */
+function toCluster(id, members, zoom, prices) {
+  const latitudes = members.map(property => property.latitude);
+  const longitudes = members.map(property => property.longitude);
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  return {
+    type: 'cluster',
+    id,
+    count: members.length,
+    latitude: mean(latitudes),
+    longitude: mean(longitudes),
+    bounds: {
+      minLat: Math.min(...latitudes),
+      maxLat: Math.max(...latitudes),
+      minLng: Math.min(...longitudes),
+      maxLng: Math.max(...longitudes)
+    },
+    minPrice: Math.min(...members.map(property => priceIn(property, prices))),
+    expansionZoom: zoom
+  };
+}
+
+/**
+ * Load published stays by id, in the order given
+ * @param {Array} ids - Property ids
+ * @returns {Promise<Array>} - Properties, undefined where one is no longer published
+ */
+async function findInOrder(ids) {
+  const found = await repositories.properties.findPublishedByIds(ids);
+  return ids.map(id => found.find(property => property.id === id));
+}
+
+function inRange(value, min, max) {
+  return Number.isFinite(value) && value >= min && value <= max;
+}
+
+/**
+ * The fields of a property guests may see in listings
+ * @param {Object} property - Property
+ * @param {Object} prices - Result of guestPrices
+ * @returns {Object} - Stay summary, priced in the guest's currency
+ */
+function toStaySummary(property, prices) {
+  return {
+    id: property.id,
+    name: property.name,
+    location: property.location,
+    category: property.category,
+    price: priceIn(property, prices),
+    currency: prices.currency,
+    rating: property.rating,
+    image: property.image,
+    maxGuests: property.maxGuests ?? null,
+    bedrooms: property.bedrooms ?? null,
+    bathrooms: property.bathrooms ?? null,
+    reviewCount: property.review_count ?? 0,
+    latitude: property.latitude ?? null,
+    longitude: property.longitude ?? null
+  };
+}
+
+/**
+ * An uploaded photo without upload details or the untouched original,
+ * which may still carry camera metadata
+ * @param {Object} image - Image with URLs
+ * @returns {Object} - Public image
+ */
+function toPublicImage(image) {
+  const { original, ...variants } = image.variants;
+  return {
+    id: image.id,
+    isCover: image.isCover,
+    width: image.width,
+    height: image.height,
+    blurhash: image.blurhash,
+    variants
+  };
+}
+
+module.exports = new CatalogueService();
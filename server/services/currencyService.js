@@ -0,0 +1,221 @@
+const repositories = require('../repositories');
+const HttpError = require('../utils/httpError');
+const { assertValid } = require('../utils/schema');
+const exchangeRateSchema = require('../schemas/exchangeRateSchema');
+const { CURRENCIES, REPORTING_CURRENCY } = require('../config/currencies');
+
+// Derived rates (inverses and cross rates) are kept to this many decimals
+const RATE_DECIMALS = 8;
+
+const roundRate = (rate) => Math.round(rate * 10 ** RATE_DECIMALS) / 10 ** RATE_DECIMALS;
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Currency Service: the admin-edited exchange rate table and conversions
+ * between currencies.
+ *
+ * A rate says 1 base = rate quote. A pair without a rate of its own is
+ * converted with the inverse of the opposite pair, or through the reporting
+ * currency, so admins only need to keep one rate per currency up to date.
+ */
+class CurrencyService {
+  /**
+   * Fail with 400 unless a currency is one the platform supports
+   * @param {String} code - Currency code
+   * @param {String} field - Field name for the error
+   * @returns {String} - The code, upper-cased
+   */
+  assertCurrency(code, field = 'currency') {
+    const normalised = String(code || '').trim().toUpperCase();
+    if (!CURRENCIES.includes(normalised)) {
+      throw new HttpError(400, 'Invalid input data', {
+        errors: [{ field, code: 'enum', message: `${field} must be one of: ${CURRENCIES.join(', ')}` }]
+      });
+    }
+    return normalised;
+  }
+
+  /**
+   * The rate table as it stands: the rate in effect for each pair that has
+   * one, and the changes scheduled for later
+   * @returns {Promise<Object>} - { currencies, reportingCurrency, rates, scheduled }
+   */
+  async listRates() {
+    const now = new Date().toISOString();
+    const current = new Map();
+    (await repositories.exchangeRates.findEffective(now)).forEach((rate) => {
+      current.set(`${rate.base}:${rate.quote}`, rate);
+    });
+
+    return {
+      currencies: CURRENCIES,
+      reportingCurrency: REPORTING_CURRENCY,
+      rates: [...current.values()].sort((a, b) => a.base.localeCompare(b.base) || a.quote.localeCompare(b.quote)),
+      scheduled: await repositories.exchangeRates.findScheduled(now)
+    };
+  }
+
+  /**
+   * Every rate a pair has had, newest first
+   * @param {String} base - Base currency
+   * @param {String} quote - Quote currency
+   * @returns {Promise<Object>} - { base, quote, history }
+   */
+  async getRateHistory(base, quote) {
+    const from = this.assertCurrency(base, 'base');
+    const to = this.assertCurrency(quote, 'quote');
+    return { base: from, quote: to, history: await repositories.exchangeRates.findByPair(from, to) };
+  }
+
+  /**
+   * Set the rate of a pair from a moment on, now by default. Earlier rates
+   * stay in the history; bookings keep the rate they were priced with.
+   * @param {Object} data - { base, quote, rate, effectiveFrom, note }
+   * @param {String} adminId - Admin making the change
+   * @returns {Promise<Object>} - Stored rate
+   */
+  async setRate(data, adminId) {
+    const fields = assertValid(exchangeRateSchema, data);
+    if (fields.base === fields.quote) {
+      throw new HttpError(400, 'Invalid input data', {
+        errors: [{ field: 'quote', code: 'invalid', message: 'quote must differ from base' }]
+      });
+    }
+
+    let effectiveFrom = new Date().toISOString();
+    if (fields.effectiveFrom) {
+      const parsed = new Date(fields.effectiveFrom);
+      if (Number.isNaN(parsed.getTime())) {
+        throw new HttpError(400, 'Invalid input data', {
+          errors: [{ field: 'effectiveFrom', code: 'format', message: 'effectiveFrom must be an ISO 8601 date or timestamp' }]
+        });
+      }
+      effectiveFrom = parsed.toISOString();
+    }
+
+    return repositories.exchangeRates.create({ ...fields, effectiveFrom, createdBy: adminId });
+  }
+
+  /**
+   * Load the rates in effect at a moment
+   * @param {Object} options - { repos, at: ISO timestamp, now by default }
+   * @returns {Promise<RateTable>} - Rates for converting amounts
+   */
+  async getRates({ repos = repositories, at = new Date().toISOString() } = {}) {
+    return new RateTable(await repos.exchangeRates.findEffective(at), at);
+  }
+
+  /**
+   * Load the whole rate history, for converting amounts at the rates of
+   * different moments
+   * @param {Object} options - { repos }
+   * @returns {Promise<RateTable>} - Rates; pass `at` to each conversion
+   */
+  async getHistoricalRates({ repos = repositories } = {}) {
+    return new RateTable(await repos.exchangeRates.findEffective(), new Date().toISOString());
+  }
+}
+
+/**
+ * Exchange rates loaded from the table, resolving pairs without a rate of
+ * their own through the inverse pair or the reporting currency
+ */
+class RateTable {
+  /**
+   * @param {Array} rates - Rates, oldest first
+   * @param {String} at - Moment conversions use unless given another
+   */
+  constructor(rates, at) {
+    this.at = at;
+    this.pairs = new Map();
+    rates.forEach((rate) => {
+      const key = `${rate.base}:${rate.quote}`;
+      if (!this.pairs.has(key)) this.pairs.set(key, []);
+      this.pairs.get(key).push(rate);
+    });
+  }
+
+  /**
+   * Rate from one currency to another, or fail with 409 when none is set
+   * @param {String} from - Currency of the amount
+   * @param {String} to - Currency wanted
+   * @param {String} at - ISO timestamp; defaults to the moment the table was loaded for
+   * @returns {Number} - Units of `to` per unit of `from`
+   */
+  rate(from, to, at = this.at) {
+    const rate = this.find(from, to, at);
+    if (rate === null) {
+      throw new HttpError(409, `No exchange rate from ${from} to ${to} has been set`);
+    }
+    return rate;
+  }
+
+  /**
+   * Rate from one currency to another, when one can be found
+   * @param {String} from - Currency of the amount
+   * @param {String} to - Currency wanted
+   * @param {String} at - ISO timestamp; defaults to the moment the table was loaded for
+   * @returns {Number|null} - Units of `to` per unit of `from`, or null
+   */
+  find(from, to, at = this.at) {
+    if (from === to) return 1;
+    return this.pairRate(from, to, at) ?? (
+      from !== REPORTING_CURRENCY && to !== REPORTING_CURRENCY
+        ? crossRate(this.pairRate(from, REPORTING_CURRENCY, at), this.pairRate(REPORTING_CURRENCY, to, at))
+        : null
+    );
+  }
+
+  /**
+   * Rates from every supported currency that has one to a target currency
+   * @param {String} to - Currency wanted
+   * @returns {Object} - { currency: rate }
+   */
+  ratesTo(to) {
+    return Object.fromEntries(CURRENCIES
+      .map(code => [code, this.find(code, to)])
+      .filter(([, rate]) => rate !== null));
+  }
+
+  /**
+   * Convert an amount, rounded to cents
+   * @param {Number} amount - Amount in `from`
+   * @param {String} from - Currency of the amount
+   * @param {String} to - Currency wanted
+   * @param {String} at - ISO timestamp; defaults to the moment the table was loaded for
+   * @returns {Number} - Amount in `to`
+   */
+  convert(amount, from, to, at) {
+    return roundMoney(amount * this.rate(from, to, at));
+  }
+
+  /**
+   * Rate of a pair from its own rates or the inverse of the opposite pair
+   * @returns {Number|null} - Rate, or null when neither is set
+   */
+  pairRate(from, to, at) {
+    const direct = latest(this.pairs.get(`${from}:${to}`), at);
+    if (direct) return direct.rate;
+    const inverse = latest(this.pairs.get(`${to}:${from}`), at);
+    return inverse ? roundRate(1 / inverse.rate) : null;
+  }
+}
+
+/**
+ * Newest rate of a pair's history in effect at a moment
+ * @param {Array} history - Rates, oldest first
+ * @param {String} at - ISO timestamp
+ * @returns {Object|undefined} - Rate
+ */
+function latest(history = [], at) {
+  for (let i = history.length - 1; i >= 0; i -= 1) {
+    if (history[i].effectiveFrom <= at) return history[i];
+  }
+  return undefined;
+}
+
+function crossRate(first, second) {
+  return first === null || second === null ? null : roundRate(first * second);
+}
+
+module.exports = new CurrencyService();
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const repositories = require('../repositories');
+const HttpError = require('../utils/httpError');
+const { JWT_SECRET, GUEST_ACCESS_TOKEN_TTL, GUEST_REFRESH_TOKEN_TTL_DAYS } = require('../config/auth');
+
+// Audience of guest access tokens; admin tokens never carry it, so neither
+// kind of token is accepted where the other is expected
+const GUEST_AUDIENCE = 'guest';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Whether a session can still be used
+ * @param {Object} session - Session
+ * @returns {Boolean} - True unless revoked or expired
+ */
+const isLive = (session) => Boolean(session) && !session.revokedAt && session.expiresAt > new Date().toISOString();
+
+/**
+ * Guest Session Service: guest sessions work like admin sessions (short-lived
+ * access tokens, rotating refresh tokens with reuse detection) but live in
+ * tables of their own and sign tokens for the guest audience.
+ */
+class GuestSessionService {
+  /**
+   * Start a session for a guest who has just signed in
+   * @param {Object} user - User
+   * @param {Object} client - { ip, userAgent }
+   * @returns {Promise<Object>} - { token, refreshToken, expiresIn, sessionId }
+   */
+  async start(user, client) {
+    return repositories.transaction(async ({ guestSessions }) => {
+      const expiresAt = new Date(Date.now() + GUEST_REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+      const session = await guestSessions.create({ userId: user.id, ...client, expiresAt });
+      return issueTokens(guestSessions, user, session);
+    });
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * @param {String} refreshToken - Refresh token from the last login or refresh
+   * @param {Object} client - { ip, userAgent }
+   * @returns {Promise<Object>} - { token, refreshToken, expiresIn, sessionId }
+   */
+  async refresh(refreshToken, client) {
+    const tokenHash = hashToken(refreshToken);
+
+    // As with admin sessions, a detected reuse revokes the family even
+    // though the request fails
+    const outcome = await repositories.transaction(async ({ guestSessions, users }) => {
+      const stored = await guestSessions.findRefreshToken(tokenHash);
+      const session = stored && await guestSessions.findById(stored.sessionId);
+      if (!isLive(session)) {
+        return { error: 'Invalid refresh token' };
+      }
+
+      if (!(await guestSessions.useRefreshToken(tokenHash))) {
+        await guestSessions.revoke(session.id, 'refresh_token_reuse');
+        return { error: 'Refresh token reuse detected. The session has been revoked.' };
+      }
+
+      const user = await users.findById(session.userId);
+      if (!user || user.status !== 'Active') {
+        await guestSessions.revoke(session.id, 'user_inactive');
+        return { error: 'Invalid refresh token' };
+      }
+
+      await guestSessions.touch(session.id, client);
+      return { tokens: await issueTokens(guestSessions, user, session) };
+    });
+
+    if (outcome.error) {
+      throw new HttpError(401, outcome.error);
+    }
+    return outcome.tokens;
+  }
+
+  /**
+   * Check a guest access token and load its session, if it is still live
+   * @param {String} token - Access token
+   * @returns {Promise<Object|null>} - Session, or null for any invalid token
+   */
+  async verify(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, JWT_SECRET, { audience: GUEST_AUDIENCE });
+    } catch (error) {
+      return null;
+    }
+
+    const session = decoded.sid && await repositories.guestSessions.findById(decoded.sid);
+    return isLive(session) && session.userId === decoded.userId ? session : null;
+  }
+
+  async revoke(sessionId, reason = 'logout') {
+    await repositories.guestSessions.revoke(sessionId, reason);
+  }
+}
+
+/**
+ * Sign an access token for a session and store a fresh refresh token
+ * @param {Object} guestSessions - Guest session repository
+ * @param {Object} user - User
+ * @param {Object} session - Session
+ * @returns {Promise<Object>} - { token, refreshToken, expiresIn, sessionId }
+ */
+async function issueTokens(guestSessions, user, session) {
+  const token = jwt.sign(
+    { userId: user.id, email: user.email, sid: session.id },
+    JWT_SECRET,
+    { expiresIn: GUEST_ACCESS_TOKEN_TTL, audience: GUEST_AUDIENCE }
+  );
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  await guestSessions.addRefreshToken(session.id, hashToken(refreshToken));
+
+  const { iat, exp } = jwt.decode(token);
+  return { token, refreshToken, expiresIn: exp - iat, sessionId: session.id };
+}
+
+module.exports = new GuestSessionService();
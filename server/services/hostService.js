@@ -0,0 +1,162 @@
+const repositories = require('../repositories');
+const HttpError = require('../utils/httpError');
+const { assertValid } = require('../utils/schema');
+const { toMajor } = require('../utils/money');
+const { today } = require('../utils/dates');
+const hostSettingsSchema = require('../schemas/hostSettingsSchema');
+const { HOST_ROLE } = require('../constants/host');
+const { BOOKING_STATUSES } = require('../constants/booking');
+const { LEDGER_ACCOUNTS } = require('../constants/payment');
+const { HOST_COMMISSION_RATE, HOST_PAYOUT_SCHEDULE } = require('../config/hosts');
+
+/**
+ * Host Service: host accounts, their commission and payout settings, and
+ * earnings statements.
+ *
+ * A host earns from completed stays at their properties: what the guest
+ * paid net of refunds, in the property's currency at the rate locked into
+ * the booking, less the platform's commission. Amounts already covered by
+ * a payout keep the commission rate they were paid at.
+ */
+class HostService {
+  /**
+   * Every host with the settings in effect for them
+   * @returns {Promise<Array>} - Hosts
+   */
+  async listHosts() {
+    return (await repositories.hosts.findAll(HOST_ROLE)).map(withDefaults);
+  }
+
+  /**
+   * One host with the settings in effect for them
+   * @param {String} id - Host id
+   * @param {Object} options - { repos }
+   * @returns {Promise<Object>} - Host
+   */
+  async getHost(id, { repos = repositories } = {}) {
+    const host = await repos.hosts.findById(id, HOST_ROLE);
+    if (!host) {
+      throw new HttpError(404, 'Host not found');
+    }
+    return withDefaults(host);
+  }
+
+  /**
+   * Change a host's commission rate and payout schedule. Bookings already
+   * paid out keep the rate they were paid at.
+   * @param {String} id - Host id
+   * @param {Object} data - { commissionRate, payoutSchedule }, either may be left out
+   * @param {String} adminId - Admin making the change
+   * @returns {Promise<Object>} - Updated host
+   */
+  async updateSettings(id, data, adminId) {
+    const changes = assertValid(hostSettingsSchema, data, { partial: true });
+    const host = await this.getHost(id);
+    await repositories.hosts.saveSettings(id, {
+      commissionRate: host.commissionRate,
+      payoutSchedule: host.payoutSchedule,
+      ...changes
+    }, adminId);
+    return this.getHost(id);
+  }
+
+  /**
+   * Earnings statement for stays that checked out in a date range, by
+   * default the current month so far
+   * @param {String} id - Host id
+   * @param {Object} range - { from, to }: YYYY-MM-DD, both inclusive
+   * @returns {Promise<Object>} - { host, from, to, commissionRate, totals, bookings }, amounts in currency units
+   */
+  async getEarnings(id, { from, to } = {}) {
+    const end = to || today();
+    const start = from || `${end.slice(0, 8)}01`;
+    if (start > end) {
+      throw new HttpError(400, 'from must not be after to');
+    }
+
+    const { host, lines } = await this.findEarnings(id, { from: start, to: end });
+    const totals = new Map();
+    lines.forEach((line) => {
+      const total = totals.get(line.currency) || { currency: line.currency, gross: 0, commission: 0, net: 0, inPayouts: 0, due: 0 };
+      ['gross', 'commission', 'net', 'inPayouts', 'due'].forEach((field) => { total[field] += line[field]; });
+      totals.set(line.currency, total);
+    });
+
+    return {
+      host: { id: host.id, name: host.name },
+      from: start,
+      to: end,
+      commissionRate: host.commissionRate,
+      totals: [...totals.values()].map(toMajorAmounts),
+      bookings: lines.map(toMajorAmounts)
+    };
+  }
+
+  /**
+   * What a host earned from each completed stay that checked out in a
+   * range, split into the part earlier payouts covered and the part still
+   * due at the host's current commission rate
+   * @param {String} id - Host id
+   * @param {Object} range - { from, to }: YYYY-MM-DD, both inclusive; either may be omitted
+   * @param {Object} options - { repos }
+   * @returns {Promise<Object>} - { host, lines }, line amounts in minor units of the property's currency
+   */
+  async findEarnings(id, range, { repos = repositories } = {}) {
+    const host = await this.getHost(id, { repos });
+    const rows = await repos.hosts.findEarnings(id, range, BOOKING_STATUSES.COMPLETED, LEDGER_ACCOUNTS.GUEST_PAYMENTS);
+
+    const lines = rows.map((row) => {
+      // Guests pay in the booking's currency; hosts are paid in the property's
+      const gross = Math.round(row.received / row.exchangeRate);
+      const dueGross = gross - row.paidGross;
+      const dueCommission = Math.round(dueGross * host.commissionRate);
+      return {
+        bookingId: row.bookingId,
+        propertyId: row.propertyId,
+        propertyName: row.propertyName,
+        checkIn: row.checkIn,
+        checkOut: row.checkOut,
+        currency: row.baseCurrency,
+        gross,
+        commission: row.paidCommission + dueCommission,
+        net: gross - row.paidCommission - dueCommission,
+        inPayouts: row.paidNet,
+        due: dueGross - dueCommission,
+        dueGross,
+        dueCommission
+      };
+    });
+    return { host, lines };
+  }
+}
+
+/**
+ * Fill in the platform defaults for settings a host was never given
+ * @param {Object} host - Host as stored
+ * @returns {Object} - Host with its commission rate and payout schedule
+ */
+function withDefaults(host) {
+  return {
+    ...host,
+    commissionRate: host.commissionRate ?? HOST_COMMISSION_RATE,
+    payoutSchedule: host.payoutSchedule || HOST_PAYOUT_SCHEDULE
+  };
+}
+
+/**
+ * Statement line or total with its amounts in currency units
+ * @param {Object} line - Amounts in minor units
+ * @returns {Object} - Amounts in currency units
+ */
+function toMajorAmounts({ dueGross: _gross, dueCommission: _commission, ...line }) {
+  return {
+    ...line,
+    gross: toMajor(line.gross),
+    commission: toMajor(line.commission),
+    net: toMajor(line.net),
+    inPayouts: toMajor(line.inPayouts),
+    due: toMajor(line.due)
+  };
+}
+
+module.exports = new HostService();
@@ -0,0 +1,297 @@
+const sharp = require('sharp');
+const { encode } = require('blurhash');
+const { v4: uuidv4 } = require('uuid');
+const repositories = require('../repositories');
+const HttpError = require('../utils/httpError');
+const { storage } = require('../config/storage');
+const { IMAGE_FORMATS, IMAGE_VARIANTS, MAX_IMAGES_PER_PROPERTY } = require('../constants/images');
+
+// The variant the property's `image` field points at
+const COVER_VARIANT = 'medium';
+
+/**
+ * Image Service: validates uploads, stores their variants and keeps the
+ * ordered image list and cover of each property
+ */
+class ImageService {
+  async listImages(propertyId) {
+    await assertProperty(repositories, propertyId);
+    return (await repositories.propertyImages.findByProperty(propertyId)).map(withUrls);
+  }
+
+  /**
+   * Process and store uploaded files, appended after the existing images.
+   * Every file is checked before anything is stored, so a batch is stored whole or not at all.
+   * @param {Number} propertyId - Property id
+   * @param {Array} files - Multer files ({ buffer, originalname, mimetype, size })
+   * @param {String} adminId - Uploading admin
+   * @returns {Promise<Array>} - Stored images
+   */
+  async uploadImages(propertyId, files, adminId) {
+    if (!files?.length) {
+      throw new HttpError(400, 'No images uploaded. Send them as multipart form data in the "images" field');
+    }
+    await assertProperty(repositories, propertyId);
+
+    const existing = await repositories.propertyImages.count(propertyId);
+    if (existing + files.length > MAX_IMAGES_PER_PROPERTY) {
+      throw new HttpError(409, `A property can have at most ${MAX_IMAGES_PER_PROPERTY} images`, {
+        current: existing
+      });
+    }
+
+    const decoded = [];
+    for (const file of files) {
+      decoded.push(await decode(file));
+    }
+
+    const written = [];
+    try {
+      const prepared = [];
+      for (const image of decoded) {
+        prepared.push(await store(propertyId, image, written));
+      }
+
+      const created = await repositories.transaction(async (repos) => {
+        await repos.properties.lock(propertyId);
+        const hasCover = (await repos.propertyImages.findByProperty(propertyId)).some(image => image.isCover);
+
+        const images = [];
+        for (const [index, image] of prepared.entries()) {
+          images.push(await repos.propertyImages.create({
+            ...image,
+            propertyId,
+            isCover: !hasCover && index === 0,
+            createdBy: adminId
+          }));
+        }
+
+        await syncCover(repos, propertyId, adminId);
+        return images;
+      });
+
+      return created.map(withUrls);
+    } catch (error) {
+      await Promise.all(written.map(key => storage.delete(key).catch(() => {})));
+      throw error;
+    }
+  }
+
+  /**
+   * Put the images of a property in the given order
+   * @param {Number} propertyId - Property id
+   * @param {Array} imageIds - Every image id of the property, in the new order
+   * @returns {Promise<Array>} - Images in order
+   */
+  async reorderImages(propertyId, imageIds) {
+    const images = await repositories.transaction(async (repos) => {
+      await assertProperty(repos, propertyId);
+      await repos.properties.lock(propertyId);
+
+      const current = await repos.propertyImages.findByProperty(propertyId);
+      const known = new Set(current.map(image => image.id));
+      if (imageIds.length !== known.size || new Set(imageIds).size !== imageIds.length
+        || imageIds.some(id => !known.has(id))) {
+        throw new HttpError(400, 'imageIds must list every image of the property exactly once');
+      }
+
+      for (const [position, id] of imageIds.entries()) {
+        await repos.propertyImages.setPosition(propertyId, id, position);
+      }
+      return repos.propertyImages.findByProperty(propertyId);
+    });
+
+    return images.map(withUrls);
+  }
+
+  /**
+   * Make an image the property's cover
+   * @param {Number} propertyId - Property id
+   * @param {String} imageId - Image id
+   * @param {String} adminId - Admin making the change
+   * @returns {Promise<Object>} - The new cover image
+   */
+  async setCover(propertyId, imageId, adminId) {
+    const image = await repositories.transaction(async (repos) => {
+      await assertProperty(repos, propertyId);
+      await repos.properties.lock(propertyId);
+      if (!(await repos.propertyImages.findById(propertyId, imageId))) {
+        throw new HttpError(404, 'Image not found');
+      }
+
+      await repos.propertyImages.setCover(propertyId, imageId);
+      await syncCover(repos, propertyId, adminId);
+      return repos.propertyImages.findById(propertyId, imageId);
+    });
+
+    return withUrls(image);
+  }
+
+  /**
+   * Delete an image and its files. Deleting the cover promotes the next image.
+   * @param {Number} propertyId - Property id
+   * @param {String} imageId - Image id
+   * @param {String} adminId - Admin making the change
+   * @returns {Promise<Object>} - The deleted image
+   */
+  async deleteImage(propertyId, imageId, adminId) {
+    const image = await repositories.transaction(async (repos) => {
+      await assertProperty(repos, propertyId);
+      await repos.properties.lock(propertyId);
+      const found = await repos.propertyImages.findById(propertyId, imageId);
+      if (!found) {
+        throw new HttpError(404, 'Image not found');
+      }
+
+      await repos.propertyImages.delete(propertyId, imageId);
+      const remaining = await repos.propertyImages.findByProperty(propertyId);
+      if (found.isCover && remaining.length > 0) {
+        await repos.propertyImages.setCover(propertyId, remaining[0].id);
+      }
+      await syncCover(repos, propertyId, adminId);
+      return found;
+    });
+
+    await removeFiles([image]);
+    return withUrls(image);
+  }
+
+  /**
+   * Remove the stored files of a property's images, once the property
+   * itself is deleted for good (its image rows go with it)
+   * @param {Array} images - Images as returned by the repository
+   */
+  async removeFiles(images) {
+    await removeFiles(images);
+  }
+}
+
+/**
+ * Check an uploaded file by its content, not its name or declared type
+ * @param {Object} file - Multer file
+ * @returns {Promise<Object>} - { file, format, metadata, pipeline }
+ */
+async function decode(file) {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    throw new HttpError(400, `${file.originalname} is not a readable image`);
+  }
+
+  // sharp reports AVIF as HEIF with AV1 compression
+  const format = metadata.format === 'heif' && metadata.compression === 'av1' ? 'avif' : metadata.format;
+  if (!IMAGE_FORMATS[format]) {
+    throw new HttpError(415, `${file.originalname} is not a supported image. Use JPEG, PNG, WebP or AVIF`);
+  }
+
+  return { file, format };
+}
+
+/**
+ * Write the original and every variant of an image to storage
+ * @param {Number} propertyId - Property id
+ * @param {Object} image - Result of decode
+ * @param {Array} written - Keys written so far, appended to for cleanup
+ * @returns {Promise<Object>} - Image fields for the repository
+ */
+async function store(propertyId, { file, format }, written) {
+  const id = uuidv4();
+  const prefix = `properties/${propertyId}/${id}`;
+  const { contentType, extension } = IMAGE_FORMATS[format];
+
+  // Apply the EXIF orientation once so every variant is upright
+  const { data: upright, info } = await sharp(file.buffer).rotate().toBuffer({ resolveWithObject: true });
+
+  const put = async (key, buffer, type) => {
+    await storage.put(key, buffer, type);
+    written.push(key);
+  };
+
+  await put(`${prefix}/original.${extension}`, file.buffer, contentType);
+
+  const variants = { original: { key: `${prefix}/original.${extension}`, width: info.width, height: info.height, size: file.size } };
+  for (const [name, width] of Object.entries(IMAGE_VARIANTS)) {
+    const { data, info: resized } = await sharp(upright)
+      .resize({ width, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+    const key = `${prefix}/${name}.webp`;
+    await put(key, data, 'image/webp');
+    variants[name] = { key, width: resized.width, height: resized.height, size: data.length };
+  }
+
+  return {
+    id,
+    originalName: file.originalname,
+    contentType,
+    width: info.width,
+    height: info.height,
+    size: file.size,
+    blurhash: await blurhashOf(upright, info),
+    variants
+  };
+}
+
+/**
+ * Compact placeholder shown while the real image loads
+ * @param {Buffer} buffer - Upright image
+ * @param {Object} info - Its dimensions
+ * @returns {Promise<String>} - Blurhash
+ */
+async function blurhashOf(buffer, info) {
+  const width = 32;
+  const height = Math.max(1, Math.round((32 * info.height) / info.width));
+  const { data } = await sharp(buffer)
+    .resize(width, height, { fit: 'fill' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return encode(new Uint8ClampedArray(data), width, height, 4, 3);
+}
+
+/**
+ * Point the property's `image` field at its cover, or clear it once the
+ * last uploaded image is gone
+ * @param {Object} repos - Transactional repositories
+ * @param {Number} propertyId - Property id
+ * @param {String} adminId - Admin making the change, for the revision
+ */
+async function syncCover(repos, propertyId, adminId) {
+  const cover = (await repos.propertyImages.findByProperty(propertyId)).find(image => image.isCover);
+  const image = cover ? storage.url(cover.variants[COVER_VARIANT].key) : null;
+
+  const before = await repos.properties.findById(propertyId);
+  if (before.image === image) return;
+
+  const after = await repos.properties.update(propertyId, { image });
+  await repos.propertyRevisions.recordChange({ before, after, action: 'cover', createdBy: adminId });
+}
+
+async function removeFiles(images) {
+  const keys = images.flatMap(image => Object.values(image.variants).map(variant => variant.key));
+  await Promise.all(keys.map(key => storage.delete(key).catch((error) => {
+    console.error(`Failed to delete stored file ${key}:`, error);
+  })));
+}
+
+async function assertProperty(repos, propertyId) {
+  if (!(await repos.properties.findById(propertyId))) {
+    throw new HttpError(404, 'Property not found');
+  }
+}
+
+/**
+ * Add public URLs to an image's variants
+ * @param {Object} image - Image from the repository
+ * @returns {Object} - Image for the API
+ */
+function withUrls(image) {
+  const variants = {};
+  Object.entries(image.variants).forEach(([name, { key, ...variant }]) => {
+    variants[name] = { ...variant, url: storage.url(key) };
+  });
+  return { ...image, variants };
+}
+
+module.exports = new ImageService();
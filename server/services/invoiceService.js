@@ -0,0 +1,401 @@
+const jwt = require('jsonwebtoken');
+const repositories = require('../repositories');
+const mailService = require('./mailService');
+const HttpError = require('../utils/httpError');
+const { today, daysBetween } = require('../utils/dates');
+const { invoiceHtml, invoicePdf } = require('../templates/invoiceDocument');
+const { receiptEmail } = require('../templates/guestEmails');
+const { PAYMENT_PURPOSES } = require('../constants/payment');
+const { LEGAL_ENTITIES, DEFAULT_LEGAL_ENTITY } = require('../config/invoicing');
+const { JWT_SECRET, RECEIPT_LINK_TTL } = require('../config/auth');
+const { GUEST_APP_URL } = require('../config/mail');
+
+const INVALID_LINK = 'This receipt link is invalid or has expired';
+
+// Document formats and how they are served
+const FORMATS = {
+  pdf: { contentType: 'application/pdf', render: invoicePdf },
+  html: { contentType: 'text/html; charset=utf-8', render: async invoice => invoiceHtml(invoice) }
+};
+
+/**
+ * Invoice Service: numbered invoices and credit notes for bookings.
+ *
+ * A stay is invoiced once it is fully paid, a claimed security deposit
+ * when it is captured, and every refund of invoiced money gets a credit
+ * note. Prices are tax-inclusive, so each line shows the tax it contains
+ * at the rate of the legal entity issuing the document.
+ */
+class InvoiceService {
+  async listInvoices(query) {
+    return repositories.invoices.list(query);
+  }
+
+  async getInvoice(id) {
+    return findInvoice(repositories, id);
+  }
+
+  /**
+   * Invoices and credit notes of a booking, oldest first
+   * @param {String} bookingId - Booking id
+   * @returns {Promise<Array>} - Documents
+   */
+  async listBookingInvoices(bookingId) {
+    await findBooking(repositories, bookingId);
+    return repositories.invoices.findByBooking(bookingId);
+  }
+
+  /**
+   * Invoice a stay before it is fully paid, for example when the guest
+   * pays at the property. A stay is only ever invoiced once.
+   * @param {String} bookingId - Booking id
+   * @param {Object} actor - { type, id } of who made the change
+   * @returns {Promise<Object>} - The invoice
+   */
+  async issueStayInvoice(bookingId, actor) {
+    const invoice = await repositories.transaction(async (repos) => {
+      await repos.bookings.lock(bookingId);
+      const booking = await findBooking(repos, bookingId);
+      if (await findStayInvoice(repos, booking.id)) {
+        throw new HttpError(409, 'This stay has already been invoiced');
+      }
+      return issueStayInvoice(repos, booking, null, actor);
+    });
+
+    await this.sendReceipts([invoice]);
+    return invoice;
+  }
+
+  /**
+   * Issue the documents a payment change calls for, in its transaction
+   * @param {Object} repos - Repositories of the payment transaction
+   * @param {Object} booking - Booking after the change
+   * @param {Object} change - { action, paymentId, purpose, amount, refunds, note } in minor units
+   * @param {Object} actor - { type, id } of who made the change
+   * @returns {Promise<Array>} - Issued invoices and credit notes
+   */
+  async recordPaymentChange(repos, booking, change, actor) {
+    const issued = [];
+
+    if (change.action === 'capture' && change.purpose === PAYMENT_PURPOSES.BOOKING) {
+      if (booking.paymentStatus === 'Paid' && !(await findStayInvoice(repos, booking.id))) {
+        issued.push(await issueStayInvoice(repos, booking, change.paymentId, actor));
+      }
+    }
+
+    if (change.action === 'capture' && change.purpose === PAYMENT_PURPOSES.DEPOSIT) {
+      const lines = [{
+        type: 'fee',
+        description: change.note ? `Security deposit claim: ${change.note}` : 'Security deposit claim',
+        quantity: 1,
+        unitPrice: change.amount,
+        amount: change.amount
+      }];
+      issued.push(await issueDocument(repos, booking, {
+        kind: 'invoice',
+        purpose: PAYMENT_PURPOSES.DEPOSIT,
+        paymentId: change.paymentId,
+        lines,
+        actor
+      }));
+    }
+
+    if (change.action === 'refund') {
+      for (const refund of change.refunds) {
+        const invoice = refund.purpose === PAYMENT_PURPOSES.BOOKING
+          ? await findStayInvoice(repos, booking.id)
+          : (await repos.invoices.findByBooking(booking.id))
+            .find(doc => doc.kind === 'invoice' && doc.paymentId === refund.paymentId);
+        if (!invoice) continue;
+
+        // Refunds beyond what was invoiced (an overpayment) need no credit note
+        const open = toCents(invoice.total) + await repos.invoices.creditedTotal(invoice.id);
+        const amount = Math.min(refund.amount, open);
+        if (amount <= 0) continue;
+
+        issued.push(await issueDocument(repos, booking, {
+          kind: 'credit_note',
+          purpose: invoice.purpose,
+          paymentId: refund.paymentId,
+          invoice,
+          lines: [{
+            type: 'refund',
+            description: change.note ? `Refund: ${change.note}` : `Refund against invoice ${invoice.number}`,
+            quantity: 1,
+            unitPrice: -amount,
+            amount: -amount
+          }],
+          actor
+        }));
+      }
+    }
+
+    return issued;
+  }
+
+  /**
+   * Email issued documents to their guests, with the PDF attached and a
+   * link to all receipts of the booking. A mail failure is only logged:
+   * the documents exist and can be sent again.
+   * @param {Array} invoices - Issued invoices and credit notes
+   */
+  async sendReceipts(invoices) {
+    for (const invoice of invoices) {
+      await this.sendReceipt(invoice).catch((error) => {
+        console.error(`Failed to email ${invoice.number} for booking ${invoice.bookingId}:`, error);
+      });
+    }
+  }
+
+  /**
+   * Email one invoice or credit note to the guest it was issued to
+   * @param {Object} invoice - Invoice or credit note
+   * @returns {Promise<Object>} - { sentTo }
+   */
+  async sendReceipt(invoice) {
+    if (!invoice.buyer.email) {
+      throw new HttpError(409, 'The guest of this booking has no email address');
+    }
+
+    const { contentType, render } = FORMATS.pdf;
+    await mailService.send({
+      to: invoice.buyer.email,
+      ...receiptEmail({ name: invoice.buyer.name, invoice, link: this.receiptLink(invoice.bookingId) }),
+      attachments: [{ filename: `${invoice.number}.pdf`, content: await render(invoice), contentType }]
+    });
+    return { sentTo: invoice.buyer.email };
+  }
+
+  /**
+   * Link guests use to see every receipt of a booking
+   * @param {String} bookingId - Booking id
+   * @returns {String} - URL
+   */
+  receiptLink(bookingId) {
+    const token = jwt.sign({ bookingId, purpose: 'receipts' }, JWT_SECRET, { expiresIn: RECEIPT_LINK_TTL });
+    return `${GUEST_APP_URL}/receipts?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * The receipts of the booking a receipt link is for
+   * @param {String} token - Token from the link
+   * @returns {Promise<Object>} - { bookingId, receipts }
+   */
+  async getReceipts(token) {
+    const bookingId = redeemLink(token);
+    const invoices = await repositories.invoices.findByBooking(bookingId);
+    return { bookingId, receipts: invoices.map(toReceiptSummary) };
+  }
+
+  /**
+   * One receipt of the booking a receipt link is for
+   * @param {String} token - Token from the link
+   * @param {Number} id - Invoice id
+   * @returns {Promise<Object>} - Invoice or credit note
+   */
+  async getReceipt(token, id) {
+    const bookingId = redeemLink(token);
+    const invoice = await repositories.invoices.findById(id);
+    if (!invoice || invoice.bookingId !== bookingId) {
+      throw new HttpError(404, 'Receipt not found');
+    }
+    // Which admin issued it is internal
+    return { ...invoice, createdBy: undefined };
+  }
+
+  /**
+   * Render an invoice or credit note as a document
+   * @param {Object} invoice - Invoice or credit note
+   * @param {String} format - pdf | html
+   * @returns {Promise<Object>} - { contentType, filename, body }
+   */
+  async renderDocument(invoice, format) {
+    const renderer = FORMATS[format];
+    if (!renderer) {
+      throw new HttpError(400, `format must be one of: json, ${Object.keys(FORMATS).join(', ')}`);
+    }
+    return {
+      contentType: renderer.contentType,
+      filename: `${invoice.number}.${format}`,
+      body: await renderer.render(invoice)
+    };
+  }
+}
+
+/**
+ * Invoice a booking's stay at its current total
+ * @param {Object} repos - Repositories
+ * @param {Object} booking - Booking
+ * @param {Number} paymentId - Payment that settled it, if any
+ * @param {Object} actor - { type, id } of who made the change
+ * @returns {Promise<Object>} - The invoice
+ */
+function issueStayInvoice(repos, booking, paymentId, actor) {
+  return issueDocument(repos, booking, {
+    kind: 'invoice',
+    purpose: PAYMENT_PURPOSES.BOOKING,
+    paymentId,
+    lines: stayLines(booking),
+    actor
+  });
+}
+
+/**
+ * Store an invoice or credit note with snapshots of the seller, the buyer
+ * and the stay. Credit notes are issued by the entity of their invoice.
+ * @param {Object} repos - Repositories
+ * @param {Object} booking - Booking
+ * @param {Object} document - { kind, purpose, paymentId, invoice, lines (minor units, tax-inclusive), actor }
+ * @returns {Promise<Object>} - Stored document
+ */
+async function issueDocument(repos, booking, { kind, purpose, paymentId, invoice, lines, actor }) {
+  const property = booking.propertyId
+    && await repos.properties.findById(booking.propertyId, { includeDeleted: true });
+  const code = invoice?.legalEntity || property?.legal_entity || DEFAULT_LEGAL_ENTITY;
+  const seller = LEGAL_ENTITIES[code] ? { code, ...LEGAL_ENTITIES[code] } : invoice.seller;
+
+  const taxed = lines.map(line => ({
+    ...line,
+    taxRate: seller.taxRate,
+    taxAmount: Math.round((line.amount * seller.taxRate) / (1 + seller.taxRate))
+  }));
+  const total = taxed.reduce((sum, line) => sum + line.amount, 0);
+  const tax = taxed.reduce((sum, line) => sum + line.taxAmount, 0);
+
+  return repos.invoices.create({
+    kind,
+    legalEntity: code,
+    prefix: seller.invoicePrefix,
+    bookingId: booking.id,
+    paymentId,
+    invoiceId: invoice?.id,
+    purpose,
+    currency: invoice?.currency || booking.currency,
+    issueDate: today(),
+    seller,
+    buyer: { name: booking.guestName, email: booking.guestEmail },
+    stay: {
+      propertyId: booking.propertyId,
+      propertyName: booking.propertyName || property?.name || null,
+      location: booking.propertyLocation || property?.location || null,
+      checkIn: booking.checkIn,
+      checkOut: booking.checkOut,
+      nights: daysBetween(booking.checkIn, booking.checkOut),
+      guests: booking.guests,
+      invoiceNumber: invoice?.number
+    },
+    lines: taxed,
+    subtotal: total - tax,
+    tax,
+    total,
+    createdBy: actor?.id
+  });
+}
+
+/**
+ * Invoice lines of a stay from its nightly pricing: each night at its rate
+ * before discounts, then one line per discount. Bookings priced before
+ * nightly pricing existed get a single line for the stay.
+ * @param {Object} booking - Booking with its pricing quote
+ * @returns {Array} - Lines in minor units, summing to the booking total
+ */
+function stayLines(booking) {
+  const total = toCents(booking.totalAmount);
+  const nights = booking.pricing?.breakdown || [];
+  const lines = [];
+
+  if (nights.length > 0) {
+    const discounts = new Map();
+    nights.forEach((night) => {
+      let amount = toCents(night.rate);
+      night.adjustments.filter(adjustment => adjustment.amount < 0).forEach((adjustment) => {
+        amount -= toCents(adjustment.amount);
+        const discount = discounts.get(adjustment.name) || { nights: 0, amount: 0 };
+        discounts.set(adjustment.name, { nights: discount.nights + 1, amount: discount.amount + toCents(adjustment.amount) });
+      });
+      lines.push({ type: 'night', description: `Night of ${night.date}`, quantity: 1, unitPrice: amount, amount });
+    });
+
+    discounts.forEach((discount, name) => {
+      const description = `${name} (${discount.nights} night${discount.nights === 1 ? '' : 's'})`;
+      lines.push({ type: 'discount', description, quantity: 1, unitPrice: discount.amount, amount: discount.amount });
+    });
+  } else {
+    const count = Math.max(1, daysBetween(booking.checkIn, booking.checkOut));
+    lines.push({
+      type: 'night',
+      description: `Stay from ${booking.checkIn} to ${booking.checkOut}`,
+      quantity: count,
+      unitPrice: Math.round(total / count),
+      amount: total
+    });
+  }
+
+  // Nightly rates are rounded one by one, the booking total once
+  const difference = total - lines.reduce((sum, line) => sum + line.amount, 0);
+  if (difference !== 0) {
+    lines.push({ type: 'adjustment', description: 'Rounding', quantity: 1, unitPrice: difference, amount: difference });
+  }
+  return lines;
+}
+
+/**
+ * What guests see of a document in their list of receipts
+ * @param {Object} invoice - Invoice or credit note
+ * @returns {Object} - Summary
+ */
+function toReceiptSummary(invoice) {
+  return {
+    id: invoice.id,
+    number: invoice.number,
+    kind: invoice.kind,
+    purpose: invoice.purpose,
+    issueDate: invoice.issueDate,
+    currency: invoice.currency,
+    total: invoice.total
+  };
+}
+
+/**
+ * Verify a receipt link
+ * @param {String} token - Token from the link
+ * @returns {String} - Booking id it grants access to
+ */
+function redeemLink(token) {
+  try {
+    const decoded = jwt.verify(String(token || ''), JWT_SECRET);
+    if (decoded.purpose === 'receipts') {
+      return decoded.bookingId;
+    }
+  } catch (error) {
+    // Reported below like any other invalid link
+  }
+  throw new HttpError(400, INVALID_LINK);
+}
+
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+async function findStayInvoice(repos, bookingId) {
+  const invoices = await repos.invoices.findByBooking(bookingId);
+  return invoices.find(doc => doc.kind === 'invoice' && doc.purpose === PAYMENT_PURPOSES.BOOKING);
+}
+
+async function findInvoice(repos, id) {
+  const invoice = await repos.invoices.findById(id);
+  if (!invoice) {
+    throw new HttpError(404, 'Invoice not found');
+  }
+  return invoice;
+}
+
+async function findBooking(repos, id) {
+  const booking = await repos.bookings.findById(id);
+  if (!booking) {
+    throw new HttpError(404, 'Booking not found');
+  }
+  return booking;
+}
+
+module.exports = new InvoiceService();
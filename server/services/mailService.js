@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { MAIL_TRANSPORT, MAIL_FROM, MAIL_OUTBOX_PATH, SMTP } = require('../config/mail');
+
+/**
+ * Mail Service: sends email over SMTP, or writes each message as an .eml
+ * file to a local outbox so development needs no mail server
+ */
+class MailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.transport = MAIL_TRANSPORT === 'smtp'
+        ? nodemailer.createTransport(SMTP)
+        : nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    }
+    return this.transport;
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - { to, subject, text, html, attachments }
+   * @returns {Promise<Object>} - { messageId, file } where file is the outbox path in file mode
+   */
+  async send(message) {
+    const info = await this.getTransport().sendMail({ from: MAIL_FROM, ...message });
+
+    if (MAIL_TRANSPORT === 'smtp') {
+      return { messageId: info.messageId };
+    }
+
+    await fs.promises.mkdir(MAIL_OUTBOX_PATH, { recursive: true });
+    const slug = String(message.subject).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const file = path.join(MAIL_OUTBOX_PATH, `${new Date().toISOString().replace(/[:.]/g, '-')}-${slug}.eml`);
+    await fs.promises.writeFile(file, info.message);
+    console.log(`Email to ${message.to} written to ${file}`);
+    return { messageId: info.messageId, file };
+  }
+}
+
+module.exports = new MailService();
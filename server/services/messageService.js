@@ -0,0 +1,307 @@
+const path = require('path');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const repositories = require('../repositories');
+const HttpError = require('../utils/httpError');
+const { findContactDetails, redactContactDetails } = require('../utils/contactDetails');
+const { storage, PRIVATE_PREFIX } = require('../config/storage');
+const {
+  MESSAGE_SENDERS,
+  MESSAGE_PARTIES,
+  RECEIVED_MESSAGES,
+  MODERATION_STATUSES,
+  CONTACT_SHARING_STATUSES,
+  SYSTEM_MESSAGES,
+  MAX_MESSAGE_LENGTH,
+  ATTACHMENT_TYPES
+} = require('../constants/messages');
+
+// sharp's names for the image formats that can be attached
+const ATTACHMENT_IMAGE_FORMATS = { 'image/jpeg': 'jpeg', 'image/png': 'png', 'image/webp': 'webp' };
+
+/**
+ * Message Service: one thread per booking between the guest and the host
+ * side (the host, or platform staff writing as admins), with attachments,
+ * read receipts and system messages about the booking.
+ *
+ * Callers pass the viewer of a thread: { party: guest|host, type, id, scope, moderator },
+ * where scope narrows thread lists to a guest's bookings or a host's properties.
+ * Until a booking is confirmed, guest and host messages containing an email
+ * address or phone number are held from the other side for moderation.
+ * Moderators see held messages and every moderation detail.
+ */
+class MessageService {
+  /**
+   * The messages of a booking's thread as the viewer sees them
+   * @param {Object} booking - Booking
+   * @param {Object} viewer - { party, type, id, moderator }
+   * @returns {Promise<Object>} - { bookingId, bookingStatus, unread, messages }
+   */
+  async getThread(booking, viewer) {
+    const messages = await repositories.messages.findByBooking(booking.id, heldFrom(viewer));
+    const received = RECEIVED_MESSAGES[viewer.party];
+    return {
+      bookingId: booking.id,
+      bookingStatus: booking.status,
+      unread: messages.filter(message => received.includes(message.sender.type) && !message.readAt && !isHeld(message)).length,
+      messages: messages.map(message => forViewer(message, viewer))
+    };
+  }
+
+  /**
+   * Write in a booking's thread, with optional attachments. Every file is
+   * checked before anything is stored, and stored files are removed again
+   * if the message cannot be saved.
+   * @param {Object} booking - Booking
+   * @param {Object} viewer - { party, type, id }
+   * @param {String} text - Message text; may be empty when files are attached
+   * @param {Array} files - Multer files ({ buffer, originalname, mimetype, size })
+   * @returns {Promise<Object>} - Stored message as the sender sees it
+   */
+  async postMessage(booking, viewer, text, files = []) {
+    const body = typeof text === 'string' ? text.trim() : '';
+    if (!body && !files.length) {
+      throw new HttpError(400, 'A message needs text or at least one attachment');
+    }
+    if (body.length > MAX_MESSAGE_LENGTH) {
+      throw new HttpError(400, `Messages may be at most ${MAX_MESSAGE_LENGTH} characters long`);
+    }
+
+    for (const file of files) {
+      await assertAttachment(file);
+    }
+
+    // Staff write for the platform and are not moderated
+    const flags = viewer.type === MESSAGE_SENDERS.ADMIN || CONTACT_SHARING_STATUSES.includes(booking.status)
+      ? []
+      : findContactDetails(body);
+
+    const written = [];
+    try {
+      const stored = [];
+      for (const file of files) {
+        const id = uuidv4();
+        const key = `${PRIVATE_PREFIX}messages/${booking.id}/${id}.${ATTACHMENT_TYPES[file.mimetype]}`;
+        await storage.put(key, file.buffer, file.mimetype);
+        written.push(key);
+        stored.push({ id, fileName: fileNameOf(file), contentType: file.mimetype, size: file.size, storageKey: key });
+      }
+
+      const message = await repositories.transaction(async ({ messages }) => {
+        const created = await messages.create({
+          bookingId: booking.id,
+          senderType: viewer.type,
+          senderId: viewer.id,
+          body,
+          moderationStatus: flags.length ? MODERATION_STATUSES.FLAGGED : null,
+          moderationFlags: flags
+        });
+        for (const [position, attachment] of stored.entries()) {
+          await messages.addAttachment({ ...attachment, messageId: created.id, position });
+        }
+        return messages.findById(created.id);
+      });
+
+      return forViewer(message, viewer);
+    } catch (error) {
+      await Promise.all(written.map(key => storage.delete(key).catch(() => {})));
+      throw error;
+    }
+  }
+
+  /**
+   * Post a system message about something that happened to a booking
+   * @param {Object} repos - Repositories, inside the transaction making the change
+   * @param {String} bookingId - Booking id
+   * @param {String} event - Key of SYSTEM_MESSAGES
+   * @returns {Promise<Object>} - Stored message
+   */
+  async postSystemMessage(repos, bookingId, event) {
+    return repos.messages.create({
+      bookingId,
+      senderType: MESSAGE_SENDERS.SYSTEM,
+      body: SYSTEM_MESSAGES[event],
+      event
+    });
+  }
+
+  /**
+   * Mark everything the viewer's side has received in a thread as read
+   * @param {Object} booking - Booking
+   * @param {Object} viewer - { party }
+   * @returns {Promise<Object>} - { marked }: messages newly marked read
+   */
+  async markRead(booking, viewer) {
+    return { marked: await repositories.messages.markRead(booking.id, RECEIVED_MESSAGES[viewer.party]) };
+  }
+
+  /**
+   * An attachment and its content, if the viewer can see its message
+   * @param {Object} booking - Booking
+   * @param {String} attachmentId - Attachment id
+   * @param {Object} viewer - { party, moderator }
+   * @returns {Promise<Object>} - { fileName, contentType, content }
+   */
+  async getAttachment(booking, attachmentId, viewer) {
+    const found = await repositories.messages.findAttachment(booking.id, attachmentId);
+    const hidden = !found || (isHeld(found.message) && heldFrom(viewer).includes(found.message.sender.type));
+    const content = !hidden && await storage.get(found.attachment.storageKey);
+    if (!content) {
+      throw new HttpError(404, 'Attachment not found');
+    }
+    return { fileName: found.attachment.fileName, contentType: found.attachment.contentType, content };
+  }
+
+  /**
+   * Threads within the viewer's scope, with their unread counts for the viewer's side
+   * @param {Object} query - List parameters (see the thread list spec)
+   * @param {Object} viewer - { party, scope }
+   * @returns {Promise<Object>} - { data, pagination }
+   */
+  async listThreads(query, viewer) {
+    const page = await repositories.messages.listThreads({ ...query, ...viewer.scope });
+    const counts = await repositories.messages.countUnread(RECEIVED_MESSAGES[viewer.party], {
+      bookingIds: page.data.map(thread => thread.bookingId)
+    });
+    const unread = new Map(counts.map(count => [count.bookingId, count.unread]));
+    return { ...page, data: page.data.map(thread => ({ ...thread, unread: unread.get(thread.bookingId) || 0 })) };
+  }
+
+  /**
+   * Unread counters for the guest area and the dashboards; moderators also
+   * see how many messages wait for moderation
+   * @param {Object} viewer - { party, scope, moderator }
+   * @returns {Promise<Object>} - { unread, threads: [{ bookingId, unread }], held }
+   */
+  async getUnreadCounts(viewer) {
+    const threads = await repositories.messages.countUnread(RECEIVED_MESSAGES[viewer.party], viewer.scope);
+    return {
+      unread: threads.reduce((total, thread) => total + thread.unread, 0),
+      threads,
+      ...(viewer.moderator && { held: await repositories.messages.countByModerationStatus(MODERATION_STATUSES.FLAGGED) })
+    };
+  }
+
+  /**
+   * Messages across threads, for moderation (moderationStatus, senderType, bookingId, q)
+   * @param {Object} query - List parameters
+   * @returns {Promise<Object>} - { data, pagination }
+   */
+  async listMessages(query) {
+    return repositories.messages.list(query);
+  }
+
+  /**
+   * One message with its attachments, for moderation
+   * @param {Number} id - Message id
+   * @returns {Promise<Object>} - Message
+   */
+  async getMessage(id) {
+    const message = await repositories.messages.findById(id);
+    if (!message) {
+      throw new HttpError(404, 'Message not found');
+    }
+    return message;
+  }
+
+  /**
+   * Release a held message as written, or with its contact details removed
+   * @param {Number} id - Message id
+   * @param {Object} decision - { status: approved|redacted, note }
+   * @param {String} adminId - Moderating admin
+   * @returns {Promise<Object>} - Updated message
+   */
+  async moderateMessage(id, { status, note }, adminId) {
+    if (![MODERATION_STATUSES.APPROVED, MODERATION_STATUSES.REDACTED].includes(status)) {
+      throw new HttpError(400, `status must be ${MODERATION_STATUSES.APPROVED} or ${MODERATION_STATUSES.REDACTED}`);
+    }
+
+    return repositories.transaction(async ({ messages }) => {
+      await messages.lock(id);
+      const message = await messages.findById(id);
+      if (!message) {
+        throw new HttpError(404, 'Message not found');
+      }
+      if (!isHeld(message)) {
+        throw new HttpError(409, 'Only held messages can be moderated');
+      }
+
+      const body = status === MODERATION_STATUSES.REDACTED ? redactContactDetails(message.body) : message.body;
+      return messages.moderate(id, { status, body, note, moderatedBy: adminId });
+    });
+  }
+}
+
+const isHeld = (message) => message.moderation?.status === MODERATION_STATUSES.FLAGGED;
+
+/**
+ * Senders whose held messages the viewer does not see: the other side's
+ * @param {Object} viewer - { party, moderator }
+ * @returns {Array} - Sender types
+ */
+function heldFrom(viewer) {
+  if (viewer.moderator) return [];
+  return Object.entries(MESSAGE_PARTIES)
+    .filter(([party]) => party !== viewer.party)
+    .flatMap(([, senders]) => senders);
+}
+
+/**
+ * A message as the viewer sees it. Storage keys stay private; outside
+ * moderation, only the sender's side learns that a message was held or
+ * redacted, and why.
+ * @param {Object} message - Message with attachments
+ * @param {Object} viewer - { party, moderator }
+ * @returns {Object} - Message
+ */
+function forViewer(message, viewer) {
+  const own = MESSAGE_PARTIES[viewer.party].includes(message.sender.type);
+  let moderation = null;
+  if (viewer.moderator) {
+    ({ moderation } = message);
+  } else if (own && message.moderation) {
+    moderation = { status: message.moderation.status, flags: message.moderation.flags };
+  }
+
+  return {
+    ...message,
+    sender: viewer.moderator || own ? message.sender : { type: message.sender.type },
+    moderation,
+    attachments: message.attachments.map(({ storageKey: _key, ...attachment }) => attachment)
+  };
+}
+
+/**
+ * Check that an attachment really is what its content type says
+ * @param {Object} file - Multer file
+ */
+async function assertAttachment(file) {
+  if (file.mimetype === 'application/pdf') {
+    if (file.buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+      throw new HttpError(400, `${file.originalname} is not a readable PDF`);
+    }
+    return;
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    throw new HttpError(400, `${file.originalname} is not a readable image`);
+  }
+  if (metadata.format !== ATTACHMENT_IMAGE_FORMATS[file.mimetype]) {
+    throw new HttpError(415, `${file.originalname} is not the ${file.mimetype} image it claims to be`);
+  }
+}
+
+/**
+ * A safe display name for an uploaded file
+ * @param {Object} file - Multer file
+ * @returns {String} - Base name without control characters or quotes, at most 200 characters
+ */
+function fileNameOf(file) {
+  const name = path.basename(file.originalname || '').replace(/[\p{Cc}"\\]/gu, '').slice(0, 200);
+  return name || `attachment.${ATTACHMENT_TYPES[file.mimetype]}`;
+}
+
+module.exports = new MessageService();
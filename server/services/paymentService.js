@@ -0,0 +1,756 @@
+const { v4: uuidv4 } = require('uuid');
+const repositories = require('../repositories');
+const invoiceService = require('./invoiceService');
+const HttpError = require('../utils/httpError');
+const { assertValid } = require('../utils/schema');
+const { toMinor, toMajor } = require('../utils/money');
+const { paymentProvider } = require('../config/payments');
+const { authorizationSchema, captureSchema, voidSchema, refundSchema } = require('../schemas/paymentSchema');
+const { RELEASED_STATUSES } = require('../constants/booking');
+const { PAYMENT_PURPOSES, PAYMENT_STATES, OPERATION_STATES, LEDGER_ACCOUNTS } = require('../constants/payment');
+
+const { HOLDS_CLEARING, PROVIDER_BALANCE } = LEDGER_ACCOUNTS;
+
+// Where a payment's hold sits and which account its captured money goes to
+const ACCOUNTS = {
+  [PAYMENT_PURPOSES.BOOKING]: { hold: LEDGER_ACCOUNTS.CARD_HOLDS, income: LEDGER_ACCOUNTS.GUEST_PAYMENTS },
+  [PAYMENT_PURPOSES.DEPOSIT]: { hold: LEDGER_ACCOUNTS.DEPOSIT_HOLDS, income: LEDGER_ACCOUNTS.DEPOSIT_CLAIMS }
+};
+
+// Payments recorded before the ledger existed; the provider knows nothing of them
+const LEGACY_PROVIDER = 'legacy';
+
+// A provider call still pending after this long was cut short before its
+// outcome was written down, and is sent again like an unanswered one
+const STALE_AFTER_MS = 60 * 1000;
+
+/**
+ * Payment Service: authorisations, captures, refunds and security deposits
+ * through the payment provider, each recorded as a balanced transaction in
+ * the booking's ledger. Everything is in the currency the booking is charged in.
+ *
+ * A booking's paymentStatus is derived from its ledger after every change
+ * and never set directly. The provider is never called inside a database
+ * transaction: once every check has passed, the calls a change needs are
+ * journalled as payment operations and committed, then made one by one
+ * with the operation id as idempotency key, each result written down as
+ * soon as it arrives. Only then are the results recorded in the ledger,
+ * invoices and booking history. A failing call stops the change without
+ * undoing what the provider already did. Before the booking's next payment
+ * change, calls the provider never answered are sent again under the same
+ * key, and whatever could not be recorded is recorded.
+ */
+class PaymentService {
+  /**
+   * A booking's payments, ledger entries and balances
+   * @param {String} bookingId - Booking id
+   * @returns {Promise<Object>} - Payment overview
+   */
+  async getPayments(bookingId) {
+    const booking = await findBooking(repositories, bookingId);
+    return overview(booking, await loadLedger(repositories, booking));
+  }
+
+  /**
+   * Authorise a payment on the guest's card. Declines are recorded and
+   * returned, not thrown, so they count towards the payment status.
+   * @param {String} bookingId - Booking id
+   * @param {Object} data - { purpose, amount, paymentMethod, note }
+   * @param {Object} actor - { type, id } of who made the change
+   * @param {Object} options - { repos: of an open transaction }
+   * @returns {Promise<Object>} - Payment overview with the new `payment`
+   */
+  async authorize(bookingId, data, actor, { repos } = {}) {
+    const fields = assertValid(authorizationSchema, data);
+    const purpose = fields.purpose || PAYMENT_PURPOSES.BOOKING;
+
+    return applyChange(repos, bookingId, actor, fields.note, (booking, ledger) => {
+      if (RELEASED_STATUSES.includes(booking.status)) {
+        throw new HttpError(409, `A ${booking.status} booking cannot take new payments`);
+      }
+
+      let amount;
+      if (purpose === PAYMENT_PURPOSES.BOOKING) {
+        amount = fields.amount === undefined ? ledger.outstanding : toMinor(fields.amount);
+        if (ledger.outstanding <= 0) {
+          throw new HttpError(409, 'Nothing is left to pay on this booking');
+        }
+        if (amount > ledger.outstanding) {
+          throw new HttpError(409, `amount exceeds the ${toMajor(ledger.outstanding)} left to pay`);
+        }
+      } else {
+        if (fields.amount === undefined) {
+          throw new HttpError(400, 'Invalid input data', {
+            errors: [{ field: 'amount', code: 'required', message: 'amount is required for a deposit' }]
+          });
+        }
+        amount = toMinor(fields.amount);
+      }
+
+      return [{ kind: 'authorize', purpose, amount, currency: booking.currency, paymentMethod: fields.paymentMethod }];
+    });
+  }
+
+  /**
+   * Take all or part of an authorised payment and release the rest. For a
+   * deposit this keeps the captured part as a claim.
+   * @param {String} bookingId - Booking id
+   * @param {Number} paymentId - Payment id
+   * @param {Object} data - { amount, note }
+   * @param {Object} actor - { type, id } of who made the change
+   * @param {Object} options - { repos: of an open transaction }
+   * @returns {Promise<Object>} - Payment overview with the captured `payment`
+   */
+  async capture(bookingId, paymentId, data, actor, { repos } = {}) {
+    const fields = assertValid(captureSchema, data);
+
+    return applyChange(repos, bookingId, actor, fields.note, (booking, ledger) => {
+      const payment = findOpenPayment(ledger, paymentId, 'captured');
+      const amount = fields.amount === undefined ? payment.held : toMinor(fields.amount);
+      if (amount > payment.held) {
+        throw new HttpError(409, `amount exceeds the ${toMajor(payment.held)} authorised`);
+      }
+
+      return [{ kind: 'capture', ...operationOn(payment), amount, reference: payment.providerRef }];
+    });
+  }
+
+  /**
+   * Release an authorised payment without taking anything, such as a
+   * deposit at the end of an uneventful stay
+   * @param {String} bookingId - Booking id
+   * @param {Number} paymentId - Payment id
+   * @param {Object} data - { note }
+   * @param {Object} actor - { type, id } of who made the change
+   * @returns {Promise<Object>} - Payment overview with the voided `payment`
+   */
+  async void(bookingId, paymentId, data, actor) {
+    const fields = assertValid(voidSchema, data || {});
+
+    return applyChange(null, bookingId, actor, fields.note, (booking, ledger) => {
+      const payment = findOpenPayment(ledger, paymentId, 'voided');
+      return [{ kind: 'void', ...operationOn(payment), amount: payment.held, reference: payment.providerRef }];
+    });
+  }
+
+  /**
+   * Give captured money back, from one payment or spread over the stay's
+   * payments newest first. If the provider fails part way, the refunds it
+   * made are listed with the 502, and recorded with the one it failed on once
+   * that has been sent again.
+   * @param {String} bookingId - Booking id
+   * @param {Object} data - { amount, paymentId, note }
+   * @param {Object} actor - { type, id } of who made the change
+   * @returns {Promise<Object>} - Payment overview with the `refunds` made
+   */
+  async refund(bookingId, data, actor) {
+    const fields = assertValid(refundSchema, data || {});
+
+    return applyChange(null, bookingId, actor, fields.note, (booking, ledger) => {
+      let sources;
+      if (fields.paymentId !== undefined) {
+        const payment = ledger.payments.find(p => p.id === fields.paymentId);
+        if (!payment) {
+          throw new HttpError(404, 'Payment not found');
+        }
+        sources = [payment];
+      } else {
+        sources = ledger.payments.filter(p => p.purpose === PAYMENT_PURPOSES.BOOKING).reverse();
+      }
+      sources = sources.filter(p => p.refundable > 0);
+
+      const refundable = sources.reduce((sum, p) => sum + p.refundable, 0);
+      if (refundable <= 0) {
+        throw new HttpError(409, 'Nothing has been paid that could be refunded');
+      }
+      const amount = fields.amount === undefined ? refundable : toMinor(fields.amount);
+      if (amount > refundable) {
+        throw new HttpError(409, `amount exceeds the ${toMajor(refundable)} that can be refunded`);
+      }
+
+      const operations = [];
+      let remaining = amount;
+      for (const payment of sources) {
+        if (remaining <= 0) break;
+        const part = Math.min(remaining, payment.refundable);
+        remaining -= part;
+
+        // Legacy payments were taken outside this system, so their refunds
+        // are paid out by hand and only recorded here
+        operations.push({
+          kind: 'refund',
+          ...operationOn(payment),
+          amount: part,
+          reference: payment.captureRef,
+          provider: payment.provider === LEGACY_PROVIDER ? LEGACY_PROVIDER : undefined
+        });
+      }
+      return operations;
+    });
+  }
+
+  /**
+   * Re-derive a booking's payment status, for changes such as a new total
+   * that affect it without touching the ledger
+   * @param {Object} repos - Repositories of the open transaction
+   * @param {Object} booking - Booking as it is now
+   * @returns {Promise<Object>} - The booking, updated if its status changed
+   */
+  async syncPaymentStatus(repos, booking) {
+    const { paymentStatus } = await loadLedger(repos, booking);
+    return paymentStatus === booking.paymentStatus
+      ? booking
+      : repos.bookings.update(booking.id, { paymentStatus });
+  }
+}
+
+/**
+ * Make a payment change: plan it on the locked booking and journal the
+ * provider calls it needs, make the calls outside any transaction, then
+ * record their results. Inside a caller's transaction nothing can be
+ * committed early, so all three steps run in it.
+ * @param {Object} repos - Transactional repositories, if one is open
+ * @param {String} bookingId - Booking id
+ * @param {Object} actor - { type, id } of who made the change
+ * @param {String} note - Optional reason
+ * @param {Function} plan - (booking, ledger) => operations to journal, after checking the change is allowed
+ * @returns {Promise<Object>} - Payment overview after the change
+ */
+async function applyChange(repos, bookingId, actor, note, plan) {
+  if (repos) {
+    const { changeId, operations } = await prepare(repos, bookingId, actor, note, plan);
+    const failure = await perform(repos, operations);
+    if (failure) throw failure;
+    return (await record(repos, bookingId, changeId)).result;
+  }
+
+  await catchUp(bookingId);
+  const prepared = await repositories.transaction(tx => prepare(tx, bookingId, actor, note, plan));
+  await invoiceService.sendReceipts(prepared.documents);
+  const failure = await perform(repositories, prepared.operations);
+  const { result, documents } = await repositories.transaction(tx => record(tx, bookingId, prepared.changeId));
+  await invoiceService.sendReceipts(documents);
+
+  if (failure && result.refunds?.length) {
+    throw new HttpError(502, 'The payment provider failed part way; the refunds listed were made and the rest are checked again', {
+      refunds: result.refunds
+    });
+  }
+  if (failure) throw failure;
+  return result;
+}
+
+/**
+ * Lock the booking, record what earlier changes left unrecorded, check the
+ * change against the ledger and journal its provider calls
+ * @param {Object} tx - Transactional repositories
+ * @param {String} bookingId - Booking id
+ * @param {Object} actor - { type, id } of who made the change
+ * @param {String} note - Optional reason
+ * @param {Function} plan - See applyChange
+ * @returns {Promise<Object>} - { changeId, operations, documents: issued for earlier changes }
+ */
+async function prepare(tx, bookingId, actor, note, plan) {
+  await tx.bookings.lock(bookingId);
+  const { booking, documents } = await recordOutstanding(tx, await findBooking(tx, bookingId));
+  const planned = plan(booking, await loadLedger(tx, booking));
+
+  const changeId = uuidv4();
+  const operations = [];
+  for (const operation of planned) {
+    const provider = operation.provider || paymentProvider.name;
+    operations.push(await tx.paymentOperations.create({
+      ...operation,
+      id: uuidv4(),
+      changeId,
+      bookingId: booking.id,
+      provider,
+      // Nothing to send for legacy payments; they are done by hand
+      status: provider === LEGACY_PROVIDER ? OPERATION_STATES.SUCCEEDED : OPERATION_STATES.PENDING,
+      note,
+      actor
+    }));
+  }
+  return { changeId, operations, documents };
+}
+
+/**
+ * Make a change's provider calls in order, stopping at the first failure;
+ * the calls after it are never made
+ * @param {Object} repos - Repositories
+ * @param {Array} operations - Journalled operations
+ * @returns {Promise<HttpError|null>} - The failure, if any
+ */
+async function perform(repos, operations) {
+  for (const [index, operation] of operations.entries()) {
+    if (operation.status !== OPERATION_STATES.PENDING) continue;
+    try {
+      await send(repos, operation);
+    } catch (error) {
+      for (const skipped of operations.slice(index + 1)) {
+        if (skipped.status === OPERATION_STATES.PENDING) {
+          await repos.paymentOperations.complete(skipped.id, { status: OPERATION_STATES.FAILED, failureReason: 'not_sent' });
+        }
+      }
+      return error;
+    }
+  }
+  return null;
+}
+
+/**
+ * Make one provider call and write down its outcome. A call that throws or
+ * times out may still have gone through, so it is left unknown until it is
+ * sent again.
+ * @param {Object} repos - Repositories
+ * @param {Object} operation - Pending or unknown operation
+ */
+async function send(repos, operation) {
+  let result;
+  try {
+    result = await callProvider(() => PROVIDER_CALLS[operation.kind](operation));
+  } catch (error) {
+    await repos.paymentOperations.markUnknown(operation.id, 'provider_error');
+    throw error;
+  }
+  await repos.paymentOperations.complete(operation.id, {
+    status: result.status === 'declined' ? OPERATION_STATES.DECLINED : OPERATION_STATES.SUCCEEDED,
+    providerRef: result.reference,
+    failureReason: result.reason
+  });
+}
+
+// The provider call of each kind of operation; the operation id makes retries safe
+const PROVIDER_CALLS = {
+  authorize: operation => paymentProvider.authorize({
+    amount: operation.amount,
+    currency: operation.currency,
+    paymentMethod: operation.paymentMethod,
+    description: `Booking ${operation.bookingId}${operation.purpose === PAYMENT_PURPOSES.DEPOSIT ? ' security deposit' : ''}`,
+    idempotencyKey: operation.id
+  }),
+  capture: operation => paymentProvider.capture({
+    reference: operation.reference,
+    amount: operation.amount,
+    currency: operation.currency,
+    idempotencyKey: operation.id
+  }),
+  void: operation => paymentProvider.void({ reference: operation.reference, idempotencyKey: operation.id }),
+  refund: operation => paymentProvider.refund({
+    reference: operation.reference,
+    amount: operation.amount,
+    currency: operation.currency,
+    idempotencyKey: operation.id
+  })
+};
+
+/**
+ * Bring a booking's ledger up to date before a change: resolve the calls
+ * whose outcome is not known, then record what earlier changes left
+ * unrecorded, in a transaction of its own so that it stays recorded even if
+ * the new change is refused
+ * @param {String} bookingId - Booking id
+ */
+async function catchUp(bookingId) {
+  await retryStale(bookingId);
+  const { documents } = await repositories.transaction(async (tx) => {
+    await tx.bookings.lock(bookingId);
+    return recordOutstanding(tx, await findBooking(tx, bookingId));
+  });
+  await invoiceService.sendReceipts(documents);
+}
+
+/**
+ * Send again the calls of a booking whose outcome is not known: those the
+ * provider did not answer and those cut short before their outcome was
+ * written down. The provider recognises the idempotency key and answers
+ * with what it did the first time.
+ * @param {String} bookingId - Booking id
+ */
+async function retryStale(bookingId) {
+  const before = new Date(Date.now() - STALE_AFTER_MS).toISOString();
+  for (const operation of await repositories.paymentOperations.findStale(bookingId, before)) {
+    try {
+      await send(repositories, operation);
+    } catch (error) {
+      // Still unknown, and still set aside; it is sent again before the next change
+    }
+  }
+}
+
+/**
+ * Record a change's results and return the overview after it
+ * @param {Object} tx - Transactional repositories
+ * @param {String} bookingId - Booking id
+ * @param {String} changeId - Change just made
+ * @returns {Promise<Object>} - { result, documents: every document issued }
+ */
+async function record(tx, bookingId, changeId) {
+  await tx.bookings.lock(bookingId);
+  const { booking, documents, issued } = await recordOutstanding(tx, await findBooking(tx, bookingId));
+  const change = summarize(await tx.paymentOperations.findByChange(changeId));
+
+  const result = overview(booking, await loadLedger(tx, booking));
+  if (change.paymentId) {
+    result.payment = result.payments.find(p => p.id === change.paymentId);
+  }
+  if (change.refunds) {
+    result.refunds = change.refunds.map(refund => ({ ...refund, amount: toMajor(refund.amount) }));
+  }
+  result.documents = (issued.get(changeId) || []).map(({ id, number, kind }) => ({ id, number, kind }));
+  return { result, documents };
+}
+
+/**
+ * Record every change of a booking whose provider calls have all
+ * completed but which the ledger does not reflect yet
+ * @param {Object} tx - Transactional repositories
+ * @param {Object} booking - Locked booking
+ * @returns {Promise<Object>} - { booking: after the changes, documents, issued: documents by change id }
+ */
+async function recordOutstanding(tx, booking) {
+  const changes = new Map();
+  for (const operation of await tx.paymentOperations.findUnrecorded(booking.id)) {
+    changes.set(operation.changeId, [...(changes.get(operation.changeId) || []), operation]);
+  }
+
+  let current = booking;
+  const issued = new Map();
+  for (const [changeId, operations] of changes) {
+    // Calls in flight or unanswered leave the change's outcome open
+    if (operations.some(operation => [OPERATION_STATES.PENDING, OPERATION_STATES.UNKNOWN].includes(operation.status))) continue;
+    const recorded = await recordChange(tx, current, operations);
+    current = recorded.booking;
+    issued.set(changeId, recorded.documents);
+  }
+  return { booking: current, documents: [...issued.values()].flat(), issued };
+}
+
+/**
+ * Post a change's completed operations to the ledger, then store the
+ * derived payment status, record the change in the booking history and
+ * issue the invoices or credit notes it calls for
+ * @param {Object} tx - Transactional repositories
+ * @param {Object} booking - Booking before the change
+ * @param {Array} operations - The change's completed operations
+ * @returns {Promise<Object>} - { booking, documents }
+ */
+async function recordChange(tx, booking, operations) {
+  const recorded = [];
+  for (const operation of operations) {
+    const paymentId = await RECORDERS[operation.kind](tx, booking, operation, await loadLedger(tx, booking));
+    await tx.paymentOperations.markRecorded(operation.id, paymentId);
+    recorded.push({ ...operation, paymentId });
+  }
+
+  const change = summarize(recorded);
+  const [{ note, actor }] = operations;
+  const ledger = await loadLedger(tx, booking);
+  const updated = ledger.paymentStatus === booking.paymentStatus
+    ? booking
+    : await tx.bookings.update(booking.id, { paymentStatus: ledger.paymentStatus });
+
+  await tx.bookingEvents.record({
+    bookingId: booking.id,
+    type: 'payment',
+    actor,
+    note,
+    details: {
+      action: change.action,
+      paymentId: change.paymentId,
+      refunds: change.refunds?.map(refund => ({ ...refund, amount: toMajor(refund.amount) })),
+      amount: toMajor(change.amount),
+      from: booking.paymentStatus,
+      to: ledger.paymentStatus
+    }
+  });
+  const documents = await invoiceService.recordPaymentChange(tx, updated, { ...change, note }, actor);
+  return { booking: updated, documents };
+}
+
+// How each kind of completed operation is posted; each returns its payment id
+const RECORDERS = {
+  async authorize(tx, booking, operation) {
+    const authorized = operation.status === OPERATION_STATES.SUCCEEDED;
+    const payment = await tx.payments.create({
+      bookingId: booking.id,
+      purpose: operation.purpose,
+      provider: operation.provider,
+      providerRef: operation.providerRef,
+      paymentMethod: operation.paymentMethod,
+      amount: operation.amount,
+      currency: operation.currency,
+      status: authorized ? PAYMENT_STATES.AUTHORIZED : PAYMENT_STATES.DECLINED,
+      failureReason: operation.failureReason,
+      createdBy: operation.actor?.id
+    });
+
+    if (authorized) {
+      await tx.ledger.post({
+        ...postingOf(booking, operation, 'authorization'),
+        paymentId: payment.id,
+        entries: [
+          { account: ACCOUNTS[operation.purpose].hold, debit: operation.amount },
+          { account: HOLDS_CLEARING, credit: operation.amount }
+        ]
+      });
+    }
+    return payment.id;
+  },
+
+  async capture(tx, booking, operation, ledger) {
+    const payment = ledger.payments.find(p => p.id === operation.paymentId);
+    const { hold, income } = ACCOUNTS[payment.purpose];
+    await tx.ledger.post({
+      ...postingOf(booking, operation, 'capture'),
+      entries: [
+        { account: HOLDS_CLEARING, debit: payment.held },
+        { account: hold, credit: payment.held },
+        { account: PROVIDER_BALANCE, debit: operation.amount },
+        { account: income, credit: operation.amount }
+      ]
+    });
+    await tx.payments.setStatus(payment.id, PAYMENT_STATES.CAPTURED);
+    return payment.id;
+  },
+
+  async void(tx, booking, operation, ledger) {
+    const payment = ledger.payments.find(p => p.id === operation.paymentId);
+    await tx.ledger.post({
+      ...postingOf(booking, operation, 'void'),
+      providerRef: operation.reference,
+      entries: [
+        { account: HOLDS_CLEARING, debit: payment.held },
+        { account: ACCOUNTS[payment.purpose].hold, credit: payment.held }
+      ]
+    });
+    await tx.payments.setStatus(payment.id, PAYMENT_STATES.VOIDED);
+    return payment.id;
+  },
+
+  async refund(tx, booking, operation) {
+    await tx.ledger.post({
+      ...postingOf(booking, operation, 'refund'),
+      entries: [
+        { account: ACCOUNTS[operation.purpose].income, debit: operation.amount },
+        { account: PROVIDER_BALANCE, credit: operation.amount }
+      ]
+    });
+    return operation.paymentId;
+  }
+};
+
+/**
+ * The ledger transaction fields an operation's posting shares
+ * @param {Object} booking - Booking
+ * @param {Object} operation - Completed operation
+ * @param {String} type - Ledger transaction type
+ * @returns {Object} - Ledger transaction without entries
+ */
+function postingOf(booking, operation, type) {
+  return {
+    bookingId: booking.id,
+    paymentId: operation.paymentId,
+    type,
+    currency: operation.currency,
+    providerRef: operation.providerRef,
+    note: operation.note,
+    createdBy: operation.actor?.id
+  };
+}
+
+/**
+ * Describe a change by its operations, for the booking history and invoicing
+ * @param {Array} operations - The change's operations
+ * @returns {Object} - { action, amount, paymentId, purpose, refunds } in minor units
+ */
+function summarize(operations) {
+  const [first] = operations;
+  if (first.kind === 'refund') {
+    const refunds = operations
+      .filter(operation => operation.status === OPERATION_STATES.SUCCEEDED)
+      .map(({ paymentId, purpose, amount, providerRef }) => ({ paymentId, purpose, amount, providerRef: providerRef || null }));
+    return { action: 'refund', amount: refunds.reduce((sum, refund) => sum + refund.amount, 0), refunds };
+  }
+
+  const declined = first.status === OPERATION_STATES.DECLINED;
+  return { action: declined ? 'decline' : first.kind, amount: first.amount, paymentId: first.paymentId, purpose: first.purpose };
+}
+
+/**
+ * The fields an operation on an existing payment takes from it
+ * @param {Object} payment - Payment with its ledger amounts
+ * @returns {Object} - { paymentId, purpose, currency }
+ */
+function operationOn(payment) {
+  return { paymentId: payment.id, purpose: payment.purpose, currency: payment.currency };
+}
+
+/**
+ * Read a booking's payments and ledger, and work out per payment what is
+ * held, captured and refunded, and for the booking what is left to pay
+ * and its payment status. Refunds are money given back, not money owed
+ * again, so they leave what is left to pay as it was. Provider calls not recorded yet are set aside:
+ * their amounts cannot be refunded or authorised again, and a payment they
+ * act on cannot be changed. All amounts are in minor units.
+ * @param {Object} repos - Repositories
+ * @param {Object} booking - Booking
+ * @returns {Promise<Object>} - { payments, entries, balances, outstanding, paymentStatus }
+ */
+async function loadLedger(repos, booking) {
+  const payments = await repos.payments.findByBooking(booking.id);
+  const entries = await repos.ledger.findByBooking(booking.id);
+  const totals = await repos.ledger.totals(booking.id);
+  const inFlight = (await repos.paymentOperations.findUnrecorded(booking.id))
+    .filter(operation => operation.status !== OPERATION_STATES.DECLINED);
+  const setAside = (kind, match) => inFlight
+    .filter(operation => operation.kind === kind && match(operation))
+    .reduce((total, operation) => total + operation.amount, 0);
+
+  const sum = (paymentId, account, side, type) => totals
+    .filter(t => t.paymentId === paymentId && t.account === account && (!type || t.type === type))
+    .reduce((total, t) => total + t[side], 0);
+
+  const withLedger = payments.map((payment) => {
+    const { hold, income } = ACCOUNTS[payment.purpose];
+    const captured = sum(payment.id, income, 'credit');
+    const refunded = sum(payment.id, income, 'debit', 'refund');
+    return {
+      ...payment,
+      held: sum(payment.id, hold, 'debit') - sum(payment.id, hold, 'credit'),
+      captured,
+      refunded,
+      refundable: captured - refunded - setAside('refund', operation => operation.paymentId === payment.id),
+      changing: inFlight.some(operation => operation.paymentId === payment.id && ['capture', 'void'].includes(operation.kind)),
+      captureRef: entries.find(e => e.paymentId === payment.id && e.type === 'capture')?.providerRef
+    };
+  });
+
+  const add = (purpose, field) => withLedger
+    .filter(p => p.purpose === purpose)
+    .reduce((total, p) => total + p[field], 0);
+  const balances = {};
+  Object.values(PAYMENT_PURPOSES).forEach((purpose) => {
+    balances[purpose] = {
+      held: add(purpose, 'held'),
+      captured: add(purpose, 'captured'),
+      refunded: add(purpose, 'refunded')
+    };
+  });
+
+  const total = Math.round(Number(booking.totalAmount) * 100);
+  const stay = balances[PAYMENT_PURPOSES.BOOKING];
+  const lastAttempt = withLedger.filter(p => p.purpose === PAYMENT_PURPOSES.BOOKING).pop();
+
+  return {
+    payments: withLedger,
+    entries,
+    balances,
+    total,
+    outstanding: Math.max(0, total - stay.captured - stay.held
+      - setAside('authorize', operation => operation.purpose === PAYMENT_PURPOSES.BOOKING)),
+    paymentStatus: derivePaymentStatus(total, stay, lastAttempt)
+  };
+}
+
+/**
+ * Payment status of a booking from the ledger balances of its stay payments
+ * @param {Number} total - Booking total in minor units
+ * @param {Object} stay - { held, captured, refunded } in minor units
+ * @param {Object} lastAttempt - Latest stay payment, if any
+ * @returns {String} - One of PAYMENT_STATUSES
+ */
+function derivePaymentStatus(total, { held, captured, refunded }, lastAttempt) {
+  if (refunded > 0) {
+    return refunded >= captured ? 'Refunded' : 'PartiallyRefunded';
+  }
+  if (captured > 0) {
+    return captured >= total ? 'Paid' : 'PartiallyPaid';
+  }
+  if (held > 0) {
+    return 'Authorized';
+  }
+  return lastAttempt?.status === PAYMENT_STATES.DECLINED ? 'Failed' : 'Pending';
+}
+
+/**
+ * Shape a booking's ledger for the API, amounts in currency units
+ * @param {Object} booking - Booking
+ * @param {Object} ledger - Result of loadLedger
+ * @returns {Object} - Payment overview
+ */
+function overview(booking, ledger) {
+  const major = balance => Object.fromEntries(Object.entries(balance).map(([key, value]) => [key, toMajor(value)]));
+
+  return {
+    bookingId: booking.id,
+    currency: booking.currency,
+    totalAmount: booking.totalAmount,
+    paymentStatus: booking.paymentStatus,
+    outstanding: toMajor(ledger.outstanding),
+    balances: {
+      stay: major(ledger.balances[PAYMENT_PURPOSES.BOOKING]),
+      deposit: major(ledger.balances[PAYMENT_PURPOSES.DEPOSIT])
+    },
+    payments: ledger.payments.map(({ captureRef, changing: _changing, ...payment }) => ({
+      ...payment,
+      captureRef: captureRef || null,
+      held: toMajor(payment.held),
+      captured: toMajor(payment.captured),
+      refunded: toMajor(payment.refunded),
+      refundable: toMajor(payment.refundable)
+    })),
+    ledger: ledger.entries
+  };
+}
+
+/**
+ * Find a payment whose authorisation is still open
+ * @param {Object} ledger - Result of loadLedger
+ * @param {Number} paymentId - Payment id
+ * @param {String} verb - What is being done, for the error message
+ * @returns {Object} - Payment with its ledger amounts
+ */
+function findOpenPayment(ledger, paymentId, verb) {
+  const payment = ledger.payments.find(p => p.id === Number(paymentId));
+  if (!payment) {
+    throw new HttpError(404, 'Payment not found');
+  }
+  if (payment.status !== PAYMENT_STATES.AUTHORIZED || payment.held <= 0) {
+    throw new HttpError(409, `A ${payment.status} payment cannot be ${verb}`);
+  }
+  if (payment.changing) {
+    throw new HttpError(409, 'Another change to this payment is still in progress');
+  }
+  return payment;
+}
+
+/**
+ * Call the payment provider; its outages become 502s
+ * @param {Function} call - Async provider call
+ * @returns {Promise<Object>} - Provider result
+ */
+async function callProvider(call) {
+  try {
+    return await call();
+  } catch (error) {
+    console.error(`Payment provider ${paymentProvider.name} failed:`, error);
+    throw new HttpError(502, 'The payment provider is unavailable, please try again');
+  }
+}
+
+/**
+ * Find a booking or fail with 404
+ * @param {Object} repos - Repositories
+ * @param {String} id - Booking id
+ * @returns {Promise<Object>} - Booking
+ */
+async function findBooking(repos, id) {
+  const booking = await repos.bookings.findById(id);
+  if (!booking) {
+    throw new HttpError(404, 'Booking not found');
+  }
+  return booking;
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,174 @@
+const repositories = require('../repositories');
+const hostService = require('./hostService');
+const HttpError = require('../utils/httpError');
+const { addDays, today, weekday } = require('../utils/dates');
+const { toMajor } = require('../utils/money');
+const { HOST_ROLE, PAYOUT_STATUSES } = require('../constants/host');
+const { HOST_PAYOUT_DELAY_DAYS } = require('../config/hosts');
+
+/**
+ * Payout Service: paying hosts what their completed stays earned.
+ *
+ * A payout run closes each host's last finished period (a week ending on
+ * Sunday, or a calendar month) and schedules one payout per currency for
+ * whatever is still due on stays that checked out by then. The payout is
+ * due HOST_PAYOUT_DELAY_DAYS after the period ends, and an admin marks it
+ * paid once the transfer has gone out. Refunds after a payout leave a
+ * negative amount due that the next payout nets off.
+ */
+class PayoutService {
+  async listPayouts(query) {
+    return repositories.payouts.list(query);
+  }
+
+  /**
+   * One payout with its booking lines
+   * @param {Number} id - Payout id
+   * @param {Object} options - { hostId: fail with 404 unless the payout is this host's }
+   * @returns {Promise<Object>} - Payout
+   */
+  async getPayout(id, { hostId } = {}) {
+    const payout = await repositories.payouts.findById(id);
+    if (!payout || (hostId && payout.hostId !== hostId)) {
+      throw new HttpError(404, 'Payout not found');
+    }
+    return payout;
+  }
+
+  /**
+   * When a host is paid next, and what is due to them so far
+   * @param {String} hostId - Host id
+   * @returns {Promise<Object>} - { payoutSchedule, commissionRate, periodEnd, payoutDate, due: [{ currency, amount }] }
+   */
+  async getSchedule(hostId) {
+    const date = today();
+    const { host, lines } = await hostService.findEarnings(hostId, { to: date });
+    const periodEnd = currentPeriodEnd(host.payoutSchedule, date);
+
+    const due = new Map();
+    lines.forEach((line) => {
+      due.set(line.currency, (due.get(line.currency) || 0) + line.due);
+    });
+
+    return {
+      payoutSchedule: host.payoutSchedule,
+      commissionRate: host.commissionRate,
+      periodEnd,
+      payoutDate: addDays(periodEnd, HOST_PAYOUT_DELAY_DAYS),
+      due: [...due.entries()].map(([currency, amount]) => ({ currency, amount: toMajor(amount) }))
+    };
+  }
+
+  /**
+   * Schedule the payouts of every host whose last closed period has money
+   * due. Running again for the same date adds nothing, as the stays are
+   * then covered.
+   * @param {String} date - YYYY-MM-DD the run is for, today by default
+   * @param {String} adminId - Admin starting the run
+   * @returns {Promise<Object>} - { date, payouts }
+   */
+  async runPayouts(date = today(), adminId) {
+    const payouts = [];
+    for (const host of await repositories.hosts.findAll(HOST_ROLE)) {
+      payouts.push(...await repositories.transaction(async (repos) => {
+        await repos.hosts.lock(host.id);
+        return this.scheduleHostPayouts(repos, host.id, date, adminId);
+      }));
+    }
+    return { date, payouts };
+  }
+
+  /**
+   * Schedule one host's payouts for their last closed period
+   * @param {Object} repos - Transactional repositories
+   * @param {String} hostId - Host id
+   * @param {String} date - YYYY-MM-DD the run is for
+   * @param {String} adminId - Admin starting the run
+   * @returns {Promise<Array>} - Created payouts
+   */
+  async scheduleHostPayouts(repos, hostId, date, adminId) {
+    const host = await hostService.getHost(hostId, { repos });
+    const periodEnd = lastClosedPeriodEnd(host.payoutSchedule, date);
+    const { lines } = await hostService.findEarnings(hostId, { to: periodEnd }, { repos });
+
+    const byCurrency = new Map();
+    lines.filter(line => line.dueGross !== 0).forEach((line) => {
+      if (!byCurrency.has(line.currency)) byCurrency.set(line.currency, []);
+      byCurrency.get(line.currency).push(line);
+    });
+
+    const created = [];
+    for (const [currency, currencyLines] of byCurrency) {
+      // A negative balance waits until later stays cover it
+      if (currencyLines.reduce((sum, line) => sum + line.due, 0) <= 0) continue;
+
+      created.push(await repos.payouts.create({
+        hostId,
+        currency,
+        periodEnd,
+        scheduledFor: addDays(periodEnd, HOST_PAYOUT_DELAY_DAYS),
+        status: PAYOUT_STATUSES.SCHEDULED,
+        createdBy: adminId,
+        lines: currencyLines.map(line => ({
+          bookingId: line.bookingId,
+          propertyId: line.propertyId,
+          checkOut: line.checkOut,
+          gross: line.dueGross,
+          commissionRate: host.commissionRate,
+          commission: line.dueCommission,
+          net: line.due
+        }))
+      }));
+    }
+    return created;
+  }
+
+  /**
+   * Record that a scheduled payout was sent
+   * @param {Number} id - Payout id
+   * @param {String} reference - Transfer reference
+   * @param {String} adminId - Admin recording the payment
+   * @returns {Promise<Object>} - Paid payout
+   */
+  async markPaid(id, reference, adminId) {
+    return repositories.transaction(async (repos) => {
+      await repos.payouts.lock(id);
+      const payout = await repos.payouts.findById(id);
+      if (!payout) {
+        throw new HttpError(404, 'Payout not found');
+      }
+      if (payout.status === PAYOUT_STATUSES.PAID) {
+        throw new HttpError(409, 'Payout has already been paid');
+      }
+      return repos.payouts.markPaid(id, { status: PAYOUT_STATUSES.PAID, reference, paidBy: adminId });
+    });
+  }
+}
+
+/**
+ * Last day of the most recent period that ended before a date
+ * @param {String} schedule - Payout schedule
+ * @param {String} date - YYYY-MM-DD
+ * @returns {String} - YYYY-MM-DD
+ */
+function lastClosedPeriodEnd(schedule, date) {
+  if (schedule === 'weekly') {
+    return addDays(date, -(weekday(date) || 7));
+  }
+  return addDays(`${date.slice(0, 8)}01`, -1);
+}
+
+/**
+ * Last day of the period a date falls in
+ * @param {String} schedule - Payout schedule
+ * @param {String} date - YYYY-MM-DD
+ * @returns {String} - YYYY-MM-DD
+ */
+function currentPeriodEnd(schedule, date) {
+  if (schedule === 'weekly') {
+    return addDays(date, (7 - weekday(date)) % 7);
+  }
+  return lastClosedPeriodEnd(schedule, addDays(`${date.slice(0, 8)}28`, 7));
+}
+
+module.exports = new PayoutService();
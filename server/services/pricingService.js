@@ -0,0 +1,286 @@
+const repositories = require('../repositories');
+const currencyService = require('./currencyService');
+const HttpError = require('../utils/httpError');
+const { getSeasonForMonth, SEASONS } = require('../utils/seasons');
+const { daysBetween, eachDay, weekday, today } = require('../utils/dates');
+
+const RULE_TYPES = ['season', 'weekend', 'length_of_stay', 'last_minute', 'early_bird'];
+const ADJUSTMENT_TYPES = ['percent', 'amount', 'rate'];
+
+// Friday and Saturday nights
+const DEFAULT_WEEKEND_DAYS = [5, 6];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Pricing Service: turns a property's flat price and its pricing rules
+ * into an itemised per-night quote
+ */
+class PricingService {
+  /**
+   * Validate a pricing rule's type and config
+   * @param {String} type - Rule type
+   * @param {Object} config - Rule configuration
+   */
+  validateRule(type, config = {}) {
+    if (!RULE_TYPES.includes(type)) {
+      throw new HttpError(400, `Invalid rule type. Use one of: ${RULE_TYPES.join(', ')}`);
+    }
+
+    const { adjustment } = config;
+    if (!adjustment || !ADJUSTMENT_TYPES.includes(adjustment.type) || typeof adjustment.value !== 'number') {
+      throw new HttpError(400, `config.adjustment must be { type: ${ADJUSTMENT_TYPES.join('|')}, value: number }`);
+    }
+    if (adjustment.type === 'rate' && type !== 'season') {
+      throw new HttpError(400, 'Only season rules can set a fixed nightly rate');
+    }
+
+    switch (type) {
+      case 'season':
+        if (!config.season && !(config.startDate && config.endDate)) {
+          throw new HttpError(400, 'Season rules need config.season or config.startDate and config.endDate');
+        }
+        if (config.season && !SEASONS.includes(config.season)) {
+          throw new HttpError(400, `config.season must be one of: ${SEASONS.join(', ')}`);
+        }
+        break;
+      case 'weekend':
+        if (config.days && (!Array.isArray(config.days) || config.days.some(day => day < 0 || day > 6))) {
+          throw new HttpError(400, 'config.days must be weekday numbers between 0 (Sunday) and 6 (Saturday)');
+        }
+        break;
+      case 'length_of_stay':
+        assertPositiveInt(config.minNights, 'config.minNights');
+        break;
+      case 'last_minute':
+        assertPositiveInt(config.withinDays, 'config.withinDays');
+        break;
+      case 'early_bird':
+        assertPositiveInt(config.minDaysAhead, 'config.minDaysAhead');
+        break;
+    }
+  }
+
+  /**
+   * Price a stay night by night. Rules and overrides are in the property's
+   * base currency; the quote is converted to the requested currency at the
+   * current rate, or at a given one when a booking has locked its rate in.
+   * @param {Number} propertyId - Property id
+   * @param {String} checkIn - YYYY-MM-DD
+   * @param {String} checkOut - YYYY-MM-DD
+   * @param {Object} options - { repos, bookedOn, currency, exchangeRate } where bookedOn drives
+   * last-minute/early-bird rules, currency defaults to the property's and exchangeRate is from it
+   * @returns {Promise<Object>} - Quote with per-night breakdown and total
+   */
+  async getQuote(propertyId, checkIn, checkOut, { repos = repositories, bookedOn = today(), currency, exchangeRate } = {}) {
+    if (!checkIn || !checkOut || checkIn >= checkOut) {
+      throw new HttpError(400, 'checkOut must be after checkIn');
+    }
+
+    const property = await repos.properties.findById(propertyId);
+    if (!property) {
+      throw new HttpError(404, 'Property not found');
+    }
+
+    const target = currency ? currencyService.assertCurrency(currency) : property.currency;
+    const conversionRate = exchangeRate ?? (await currencyService.getRates({ repos })).rate(property.currency, target);
+    const convert = amount => round(amount * conversionRate);
+
+    const rules = await repos.pricing.findRules(property.id, { activeOnly: true });
+    const overrides = await repos.pricing.findOverrides(property.id, checkIn, checkOut);
+    const dates = eachDay(checkIn, checkOut);
+    const leadDays = daysBetween(bookedOn, checkIn);
+    const stayRules = selectStayRules(rules, dates.length, leadDays);
+    const baseRate = Number(property.price);
+
+    const breakdown = dates.map((date) => {
+      const adjustments = [];
+      let rate = baseRate;
+
+      const override = overrides.find(o => o.date === date);
+      if (override) {
+        adjustments.push({ ruleId: null, name: override.note || 'Date override', type: 'date_override', amount: round(override.price - rate) });
+        rate = override.price;
+      } else {
+        const season = rules.find(rule => rule.type === 'season' && seasonMatches(rule.config, date));
+        if (season) {
+          rate = applyRule(rate, season, adjustments);
+        }
+
+        const weekend = rules.find(rule => rule.type === 'weekend'
+          && (rule.config.days || DEFAULT_WEEKEND_DAYS).includes(weekday(date)));
+        if (weekend) {
+          rate = applyRule(rate, weekend, adjustments);
+        }
+      }
+
+      stayRules.forEach((rule) => {
+        rate = applyRule(rate, rule, adjustments);
+      });
+
+      return {
+        date,
+        baseRate: convert(baseRate),
+        adjustments: adjustments.map(adjustment => ({ ...adjustment, amount: convert(adjustment.amount) })),
+        rate: convert(rate)
+      };
+    });
+
+    const subtotal = round(convert(baseRate) * dates.length);
+    const total = round(breakdown.reduce((sum, night) => sum + night.rate, 0));
+
+    return {
+      propertyId: property.id,
+      checkIn,
+      checkOut,
+      nights: dates.length,
+      currency: target,
+      baseCurrency: property.currency,
+      exchangeRate: conversionRate,
+      baseRate: convert(baseRate),
+      breakdown,
+      subtotal,
+      adjustmentsTotal: round(total - subtotal),
+      total
+    };
+  }
+
+  async listRules(propertyId) {
+    return repositories.pricing.findRules(propertyId);
+  }
+
+  async getRule(propertyId, ruleId) {
+    const rule = await repositories.pricing.findRule(propertyId, ruleId);
+    if (!rule) {
+      throw new HttpError(404, 'Pricing rule not found');
+    }
+    return rule;
+  }
+
+  /**
+   * Add a pricing rule to a property
+   * @param {Number} propertyId - Property id
+   * @param {Object} data - { type, name, config, priority, active }
+   * @returns {Promise<Object>} - Created rule
+   */
+  async createRule(propertyId, data) {
+    this.validateRule(data.type, data.config);
+    return repositories.pricing.createRule({ ...data, propertyId });
+  }
+
+  /**
+   * Update a pricing rule; its type cannot change
+   * @param {Number} propertyId - Property id
+   * @param {Number} ruleId - Rule id
+   * @param {Object} data - { name, config, priority, active }
+   * @returns {Promise<Object>} - Updated rule
+   */
+  async updateRule(propertyId, ruleId, data) {
+    const rule = await this.getRule(propertyId, ruleId);
+
+    const next = {
+      name: data.name ?? rule.name,
+      config: data.config ?? rule.config,
+      priority: data.priority ?? rule.priority,
+      active: data.active ?? rule.active
+    };
+    this.validateRule(rule.type, next.config);
+
+    return repositories.pricing.updateRule(propertyId, ruleId, next);
+  }
+
+  async deleteRule(propertyId, ruleId) {
+    if (!(await repositories.pricing.deleteRule(propertyId, ruleId))) {
+      throw new HttpError(404, 'Pricing rule not found');
+    }
+  }
+
+  async listOverrides(propertyId, from, to) {
+    return repositories.pricing.findOverrides(propertyId, from, to);
+  }
+
+  /**
+   * Set nightly rates for specific dates
+   * @param {Number} propertyId - Property id
+   * @param {Array} overrides - [{ date, price, note }]
+   * @returns {Promise<Array>} - Stored overrides
+   */
+  async setOverrides(propertyId, overrides) {
+    return repositories.transaction(async ({ pricing }) => {
+      const saved = [];
+      for (const override of overrides) {
+        saved.push(await pricing.saveOverride(propertyId, override));
+      }
+      return saved;
+    });
+  }
+
+  async deleteOverride(propertyId, date) {
+    if (!(await repositories.pricing.deleteOverride(propertyId, date))) {
+      throw new HttpError(404, 'Rate override not found');
+    }
+  }
+}
+
+/**
+ * Pick the stay-level rules that apply: the best length-of-stay discount
+ * and at most one last-minute and one early-bird rule
+ * @param {Array} rules - Active rules ordered by priority
+ * @param {Number} nights - Length of stay
+ * @param {Number} leadDays - Days between booking and check-in
+ * @returns {Array} - Rules to apply to every night
+ */
+function selectStayRules(rules, nights, leadDays) {
+  const lengthOfStay = rules
+    .filter(rule => rule.type === 'length_of_stay' && rule.config.minNights <= nights)
+    .sort((a, b) => b.config.minNights - a.config.minNights || b.priority - a.priority)[0];
+  const earlyBird = rules
+    .filter(rule => rule.type === 'early_bird' && leadDays >= rule.config.minDaysAhead)
+    .sort((a, b) => b.config.minDaysAhead - a.config.minDaysAhead || b.priority - a.priority)[0];
+  const lastMinute = rules.find(rule => rule.type === 'last_minute'
+    && leadDays >= 0 && leadDays <= rule.config.withinDays);
+
+  return [lengthOfStay, earlyBird, lastMinute].filter(Boolean);
+}
+
+/**
+ * Whether a season rule covers a night: an explicit date range (inclusive)
+ * or a named season from the shared season calendar
+ * @param {Object} config - Season rule config
+ * @param {String} date - YYYY-MM-DD
+ * @returns {Boolean} - Whether the rule applies
+ */
+function seasonMatches(config, date) {
+  if (config.startDate && config.endDate) {
+    return config.startDate <= date && date <= config.endDate;
+  }
+  return getSeasonForMonth(Number(date.slice(5, 7)) - 1) === config.season;
+}
+
+/**
+ * Apply a rule's adjustment to a nightly rate and record the line item
+ * @param {Number} rate - Current nightly rate
+ * @param {Object} rule - Pricing rule
+ * @param {Array} adjustments - Line items of the night, appended to
+ * @returns {Number} - New nightly rate, never below zero
+ */
+function applyRule(rate, rule, adjustments) {
+  const { type, value } = rule.config.adjustment;
+  let next = rate;
+
+  if (type === 'percent') next = rate * (1 + value / 100);
+  if (type === 'amount') next = rate + value;
+  if (type === 'rate') next = value;
+  next = Math.max(0, next);
+
+  adjustments.push({ ruleId: rule.id, name: rule.name, type: rule.type, amount: round(next - rate) });
+  return next;
+}
+
+function assertPositiveInt(value, name) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new HttpError(400, `${name} must be a positive integer`);
+  }
+}
+
+module.exports = new PricingService();
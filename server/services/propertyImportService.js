@@ -0,0 +1,231 @@
+const repositories = require('../repositories');
+const propertyService = require('./propertyService');
+const HttpError = require('../utils/httpError');
+const { diffObjects } = require('../utils/diff');
+const { validate } = require('../utils/schema');
+const { parseCsv } = require('../utils/csv');
+const propertySchema = require('../schemas/propertySchema');
+const { fromCsvRecord } = require('../schemas/propertyCsv');
+
+const IMPORT_FORMATS = ['csv', 'json'];
+const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Property Import Service: bulk create and update of properties from CSV or
+ * JSON. Rows with an external_id that is already known update that property;
+ * the others create new ones. A real run writes every row or none.
+ */
+class PropertyImportService {
+  /**
+   * Turn an uploaded file or request body into import records
+   * @param {String} format - 'csv' or 'json'
+   * @param {String|Array} input - CSV text, JSON text, or already parsed JSON rows
+   * @returns {Object} - { records: [{ row, data }], ignoredFields }
+   */
+  parse(format, input) {
+    if (!IMPORT_FORMATS.includes(format)) {
+      throw new HttpError(400, `Invalid import format. Use one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+
+    const records = format === 'csv' ? parseCsvRecords(input) : parseJsonRecords(input);
+    if (records.length === 0) {
+      throw new HttpError(400, 'The import contains no rows');
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+      throw new HttpError(400, `Import at most ${MAX_IMPORT_ROWS} rows at a time`);
+    }
+
+    // Exports carry the server-owned fields; they are skipped rather than rejected so exports re-import
+    const ignored = new Set();
+    records.forEach((record) => {
+      if (!record.data || typeof record.data !== 'object') return;
+      propertySchema.readOnly.forEach((field) => {
+        if (field in record.data) {
+          ignored.add(field);
+          delete record.data[field];
+        }
+      });
+    });
+
+    return { records, ignoredFields: [...ignored] };
+  }
+
+  /**
+   * Validate and, unless it is a dry run, apply an import
+   * @param {Object} parsed - Result of parse
+   * @param {Object} options - { dryRun, adminId }
+   * @returns {Promise<Object>} - Report with a line per row
+   */
+  async run({ records, ignoredFields }, { dryRun, adminId }) {
+    if (dryRun) {
+      return report(await analyse(repositories, records), { dryRun, ignoredFields });
+    }
+
+    const outcome = await repositories.transaction(async (repos) => {
+      const rows = await analyse(repos, records);
+      if (rows.some(row => row.errors.length > 0)) {
+        return { rows, failed: true };
+      }
+
+      for (const row of rows) {
+        if (row.action === 'create') {
+          row.propertyId = (await propertyService.createProperty(row.data, adminId, { repos, action: 'import' })).id;
+        } else if (row.action === 'update') {
+          await propertyService.updateProperty(row.propertyId, row.data, adminId, { repos, action: 'import' });
+        }
+      }
+      return { rows, failed: false };
+    });
+
+    const result = report(outcome.rows, { dryRun, ignoredFields });
+    if (outcome.failed) {
+      throw new HttpError(400, 'Some rows are invalid; nothing was imported', result);
+    }
+    return result;
+  }
+}
+
+/**
+ * Work out what each row would do and everything wrong with it
+ * @param {Object} repos - Repositories (transactional for real runs)
+ * @param {Array} records - [{ row, data }]
+ * @returns {Promise<Array>} - [{ row, externalId, action, propertyId, data, changes, errors }]
+ */
+async function analyse(repos, records) {
+  const externalIds = [...new Set(records
+    .map(record => record.data?.external_id)
+    .filter(id => typeof id === 'string' && id.trim() !== '')
+    .map(id => id.trim()))];
+
+  const known = new Map();
+  for (let i = 0; i < externalIds.length; i += 500) {
+    (await repos.properties.findByExternalIds(externalIds.slice(i, i + 500)))
+      .forEach(property => known.set(property.external_id, property));
+  }
+
+  // Rows without an external id are told apart from existing listings by name and location
+  const nameKey = (data) => `${String(data.name).trim().toLowerCase()}\n${String(data.location).trim().toLowerCase()}`;
+  const listed = new Map((await repos.properties.findAll()).map(property => [nameKey(property), property.id]));
+
+  const seenExternal = new Map();
+  const seenNames = new Map();
+
+  return records.map(({ row, data }) => {
+    const externalId = typeof data?.external_id === 'string' ? data.external_id.trim() || null : null;
+    const existing = externalId ? known.get(externalId) : null;
+    const { value, errors } = validate(propertySchema, data, { partial: Boolean(existing) });
+    const result = { row, externalId, action: existing ? 'update' : 'create', propertyId: existing?.id || null, data: value, errors };
+
+    if (externalId) {
+      if (seenExternal.has(externalId)) {
+        errors.push({ field: 'external_id', code: 'duplicate', message: `external_id is also used on row ${seenExternal.get(externalId)}` });
+      }
+      seenExternal.set(externalId, row);
+    }
+
+    if (existing?.deleted_at) {
+      errors.push({ field: 'external_id', code: 'trashed', message: `Property ${existing.id} with this external_id is in the trash; restore it first` });
+    } else if (existing) {
+      result.changes = diffObjects(existing, { ...existing, ...value });
+      if (errors.length === 0 && Object.keys(result.changes).length === 0) {
+        result.action = 'unchanged';
+      }
+    } else if (value.name && value.location) {
+      const key = nameKey(value);
+      if (listed.has(key)) {
+        errors.push({ field: 'name', code: 'duplicate', message: `Property ${listed.get(key)} already has this name and location; give the row its external_id to update it` });
+      } else if (seenNames.has(key)) {
+        errors.push({ field: 'name', code: 'duplicate', message: `Row ${seenNames.get(key)} has the same name and location` });
+      }
+      seenNames.set(key, row);
+    }
+
+    return result;
+  });
+}
+
+/**
+ * Summarise analysed rows for the client
+ * @param {Array} rows - Result of analyse
+ * @param {Object} options - { dryRun, ignoredFields }
+ * @returns {Object} - Report
+ */
+function report(rows, { dryRun, ignoredFields }) {
+  const invalid = rows.filter(row => row.errors.length > 0);
+  const count = (action) => rows.filter(row => row.errors.length === 0 && row.action === action).length;
+
+  return {
+    dryRun,
+    total: rows.length,
+    valid: rows.length - invalid.length,
+    invalid: invalid.length,
+    created: count('create'),
+    updated: count('update'),
+    unchanged: count('unchanged'),
+    ignoredFields,
+    rows: rows.map(({ data, ...row }) => ({
+      ...row,
+      action: row.errors.length > 0 ? 'skip' : row.action
+    }))
+  };
+}
+
+/**
+ * CSV with a header row naming property fields; rows are numbered by their line
+ * @param {String} text - CSV text
+ * @returns {Array} - Records
+ */
+function parseCsvRecords(text) {
+  let lines;
+  try {
+    lines = parseCsv(String(text));
+  } catch (error) {
+    throw new HttpError(400, `Invalid CSV: ${error.message}`);
+  }
+  if (lines.length === 0) return [];
+
+  const [{ cells: header }, ...body] = lines;
+  const columns = header.map(column => column.trim());
+  const unknown = columns.filter(column => !propertySchema.fields[column] && !propertySchema.readOnly.includes(column));
+  if (unknown.length > 0) {
+    throw new HttpError(400, `Unknown columns: ${unknown.join(', ')}`, {
+      columns: unknown,
+      allowed: Object.keys(propertySchema.fields)
+    });
+  }
+
+  return body.map(({ line, cells }) => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = cells[index] ?? '';
+    });
+    return { row: line, data: fromCsvRecord(record) };
+  });
+}
+
+/**
+ * A JSON array of property objects, or { properties: [...] }; rows are numbered from 1
+ * @param {String|Array|Object} input - JSON text or parsed body
+ * @returns {Array} - Records
+ */
+function parseJsonRecords(input) {
+  let parsed = input;
+  if (typeof input === 'string') {
+    try {
+      parsed = JSON.parse(input);
+    } catch (error) {
+      throw new HttpError(400, `Invalid JSON: ${error.message}`);
+    }
+  }
+
+  const rows = Array.isArray(parsed) ? parsed : parsed?.properties;
+  if (!Array.isArray(rows)) {
+    throw new HttpError(400, 'JSON imports must be an array of properties or { "properties": [...] }');
+  }
+  return rows.map((data, index) => ({
+    row: index + 1,
+    data: data && typeof data === 'object' && !Array.isArray(data) ? { ...data } : data
+  }));
+}
+
+module.exports = new PropertyImportService();
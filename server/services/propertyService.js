@@ -0,0 +1,291 @@
+const repositories = require('../repositories');
+const imageService = require('./imageService');
+const searchService = require('./searchService');
+const HttpError = require('../utils/httpError');
+const { diffObjects } = require('../utils/diff');
+const { assertValid } = require('../utils/schema');
+const propertySchema = require('../schemas/propertySchema');
+const { RATING_PRIOR_MEAN } = require('../constants/review');
+const { HOST_ROLE } = require('../constants/host');
+
+// Fields a rollback leaves alone: server-managed ones, the cover image,
+// which follows the property's uploaded images, and the rating, which
+// follows its reviews
+const ROLLBACK_IGNORED = ['id', 'created_at', 'updated_at', 'deleted_at', 'deleted_by', 'image', 'rating', 'review_count'];
+
+/**
+ * Property Service: property changes with revision history, the trash and rollback
+ */
+class PropertyService {
+  /**
+   * Create a property, recording its first revision
+   * @param {Object} data - Property fields, checked against the property schema
+   * @param {String} adminId - Creating admin
+   * @param {Object} options - { repos: of an open transaction, action: revision action }
+   * @returns {Promise<Object>} - Created property
+   */
+  async createProperty(data, adminId, { repos, action = 'create' } = {}) {
+    const fields = assertValid(propertySchema, data);
+    assertCoordinates(fields);
+
+    return withTransaction(repos, async (tx) => {
+      await assertExternalIdFree(tx, fields.external_id);
+      await assertHost(tx, fields.host_id);
+      const property = await tx.properties.create({
+        status: 'Active',
+        ...fields,
+        rating: RATING_PRIOR_MEAN,
+        review_count: 0,
+        bookings: 0
+      });
+      await tx.propertyRevisions.recordChange({ before: null, after: property, action, createdBy: adminId });
+      await searchService.indexProperty(tx, property);
+      return property;
+    });
+  }
+
+  /**
+   * Merge changes into a property. Changes that alter nothing store no revision.
+   * @param {Number} id - Property id
+   * @param {Object} changes - Fields to change, checked against the property schema
+   * @param {String} adminId - Admin making the change
+   * @param {Object} options - { repos: of an open transaction, action: revision action }
+   * @returns {Promise<Object>} - Updated property
+   */
+  async updateProperty(id, changes, adminId, { repos, action = 'update' } = {}) {
+    const fields = assertValid(propertySchema, changes, { partial: true });
+
+    return withTransaction(repos, async (tx) => {
+      await tx.properties.lock(id);
+      const before = await findProperty(tx, id);
+      assertCoordinates({ ...before, ...fields });
+      await assertExternalIdFree(tx, fields.external_id, before.id);
+      await assertHost(tx, fields.host_id);
+      const after = await tx.properties.update(id, fields);
+
+      if (Object.keys(diffObjects(before, after)).length > 0) {
+        await tx.propertyRevisions.recordChange({ before, after, action, createdBy: adminId });
+        await searchService.indexProperty(tx, after);
+      }
+      return after;
+    });
+  }
+
+  /**
+   * Move a property to the trash. Its bookings, images and history are kept.
+   * @param {Number} id - Property id
+   * @param {String} adminId - Deleting admin
+   * @returns {Promise<Object>} - The trashed property
+   */
+  async deleteProperty(id, adminId) {
+    return repositories.transaction(async (repos) => {
+      await repos.properties.lock(id);
+      const before = await findProperty(repos, id);
+      const after = await repos.properties.softDelete(id, adminId);
+      await repos.propertyRevisions.recordChange({ before, after, action: 'delete', createdBy: adminId });
+      await searchService.removeProperty(repos, id);
+      return after;
+    });
+  }
+
+  async listTrash(query) {
+    return repositories.properties.listTrash(query);
+  }
+
+  /**
+   * Take a property out of the trash
+   * @param {Number} id - Property id
+   * @param {String} adminId - Restoring admin
+   * @returns {Promise<Object>} - The restored property
+   */
+  async restoreProperty(id, adminId) {
+    return repositories.transaction(async (repos) => {
+      const before = await findTrashed(repos, id);
+      const after = await repos.properties.restore(id);
+      await repos.propertyRevisions.recordChange({ before, after, action: 'restore', createdBy: adminId });
+      await searchService.indexProperty(repos, after);
+      return after;
+    });
+  }
+
+  /**
+   * Delete a trashed property for good, with its images and revision
+   * history. Its bookings are kept, no longer linked to a property.
+   * @param {Number} id - Property id
+   * @returns {Promise<Object>} - The purged property
+   */
+  async purgeProperty(id) {
+    const { property, images } = await repositories.transaction(async (repos) => {
+      const trashed = await findTrashed(repos, id);
+      const stored = await repos.propertyImages.findByProperty(id);
+      await repos.properties.delete(id);
+      return { property: trashed, images: stored };
+    });
+
+    await imageService.removeFiles(images);
+    return property;
+  }
+
+  /**
+   * Revisions of a property, newest first; trashed properties keep theirs
+   * @param {Number} id - Property id
+   * @returns {Promise<Array>} - Revisions without snapshots
+   */
+  async listRevisions(id) {
+    await findProperty(repositories, id, { includeDeleted: true });
+    return repositories.propertyRevisions.findByProperty(id);
+  }
+
+  /**
+   * One revision with its full snapshot
+   * @param {Number} id - Property id
+   * @param {Number} revision - Revision number
+   * @returns {Promise<Object>} - Revision
+   */
+  async getRevision(id, revision) {
+    const found = await repositories.propertyRevisions.find(id, revision);
+    if (!found) {
+      throw new HttpError(404, 'Revision not found');
+    }
+    return found;
+  }
+
+  /**
+   * Field-by-field difference between two revisions
+   * @param {Number} id - Property id
+   * @param {Number} from - Older revision number
+   * @param {Number} to - Newer revision number
+   * @returns {Promise<Object>} - { from, to, changes }
+   */
+  async diffRevisions(id, from, to) {
+    const older = await this.getRevision(id, from);
+    const newer = await this.getRevision(id, to);
+
+    return {
+      propertyId: Number(id),
+      from: older.revision,
+      to: newer.revision,
+      changes: diffObjects(older.snapshot, newer.snapshot)
+    };
+  }
+
+  /**
+   * Bring a property back to the state of an earlier revision. The rollback
+   * is itself a new revision, so it can be undone the same way.
+   * @param {Number} id - Property id
+   * @param {Number} revision - Revision to return to
+   * @param {String} adminId - Admin making the change
+   * @returns {Promise<Object>} - { property, revision }
+   */
+  async rollbackProperty(id, revision, adminId) {
+    return repositories.transaction(async (repos) => {
+      await repos.properties.lock(id);
+      const before = await findProperty(repos, id);
+      const target = await repos.propertyRevisions.find(id, revision);
+      if (!target) {
+        throw new HttpError(404, 'Revision not found');
+      }
+
+      const restored = Object.fromEntries(Object.entries(target.snapshot)
+        .filter(([field]) => !ROLLBACK_IGNORED.includes(field)));
+      const after = await repos.properties.replace(id, {
+        ...restored,
+        image: before.image,
+        rating: before.rating,
+        review_count: before.review_count
+      });
+
+      const recorded = await repos.propertyRevisions.recordChange({
+        before,
+        after,
+        action: 'rollback',
+        restoredFrom: target.revision,
+        createdBy: adminId
+      });
+      await searchService.indexProperty(repos, after);
+      return { property: after, revision: recorded };
+    });
+  }
+}
+
+/**
+ * Run work in the given transaction, or in a new one
+ * @param {Object} repos - Transactional repositories, if one is open
+ * @param {Function} fn - Async work receiving transactional repositories
+ */
+function withTransaction(repos, fn) {
+  return repos ? fn(repos) : repositories.transaction(fn);
+}
+
+/**
+ * Fail with 409 when another property, trashed ones included, has the external id
+ * @param {Object} repos - Repositories
+ * @param {String} externalId - External id being set
+ * @param {Number} propertyId - Property being changed, if any
+ */
+async function assertExternalIdFree(repos, externalId, propertyId) {
+  if (!externalId) return;
+  const [owner] = await repos.properties.findByExternalIds([externalId]);
+  if (owner && owner.id !== propertyId) {
+    throw new HttpError(409, 'Invalid input data', {
+      errors: [{ field: 'external_id', code: 'duplicate', message: `external_id is already used by property ${owner.id}` }]
+    });
+  }
+}
+
+/**
+ * Fail with 400 unless a host being assigned is an account with the host role
+ * @param {Object} repos - Repositories
+ * @param {String} hostId - Host id being set
+ */
+async function assertHost(repos, hostId) {
+  if (!hostId) return;
+  if (!(await repos.hosts.findById(hostId, HOST_ROLE))) {
+    throw new HttpError(400, 'Invalid input data', {
+      errors: [{ field: 'host_id', code: 'invalid', message: `host_id must be an account with the ${HOST_ROLE} role` }]
+    });
+  }
+}
+
+/**
+ * Fail with 400 when a property would have only one of its coordinates
+ * @param {Object} property - Property fields after the change
+ */
+function assertCoordinates({ latitude, longitude }) {
+  const hasLatitude = latitude !== null && latitude !== undefined;
+  const hasLongitude = longitude !== null && longitude !== undefined;
+  if (hasLatitude !== hasLongitude) {
+    throw new HttpError(400, 'Invalid input data', {
+      errors: [{
+        field: hasLatitude ? 'longitude' : 'latitude',
+        code: 'required',
+        message: 'latitude and longitude must be set together'
+      }]
+    });
+  }
+}
+
+/**
+ * Load a property or fail with 404
+ * @param {Object} repos - Repositories
+ * @param {Number} id - Property id
+ * @param {Object} options - { includeDeleted }
+ * @returns {Promise<Object>} - Property
+ */
+async function findProperty(repos, id, options) {
+  const property = await repos.properties.findById(id, options);
+  if (!property) {
+    throw new HttpError(404, 'Property not found');
+  }
+  return property;
+}
+
+async function findTrashed(repos, id) {
+  const property = await repos.properties.findById(id, { includeDeleted: true });
+  if (!property?.deleted_at) {
+    throw new HttpError(404, 'Property not found in trash');
+  }
+  return property;
+}
+
+module.exports = new PropertyService();
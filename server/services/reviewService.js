@@ -0,0 +1,277 @@
+const jwt = require('jsonwebtoken');
+const repositories = require('../repositories');
+const mailService = require('./mailService');
+const HttpError = require('../utils/httpError');
+const { assertValid } = require('../utils/schema');
+const reviewSchema = require('../schemas/reviewSchema');
+const { reviewInvitationEmail } = require('../templates/guestEmails');
+const { BOOKING_STATUSES } = require('../constants/booking');
+const { REVIEW_STATUSES, REVIEW_SUB_SCORES, RATING_PRIOR_MEAN, RATING_PRIOR_WEIGHT } = require('../constants/review');
+const { JWT_SECRET, REVIEW_LINK_TTL } = require('../config/auth');
+const { GUEST_APP_URL } = require('../config/mail');
+
+const INVALID_LINK = 'This review link is invalid or has expired';
+
+/**
+ * Review Service: reviews of completed stays, their moderation and host
+ * replies, and the property ratings derived from them.
+ *
+ * Every guest is emailed a signed link after check-out, since not all of
+ * them have accounts; signed-in guests can also review their own completed
+ * bookings directly. Either way a booking can be reviewed once.
+ */
+class ReviewService {
+  /**
+   * Email the guest of a completed booking a link to review their stay
+   * @param {String} bookingId - Booking id
+   * @returns {Promise<Object>} - { expiresAt }
+   */
+  async sendInvitation(bookingId) {
+    const booking = await repositories.bookings.findById(bookingId);
+    if (!booking) {
+      throw new HttpError(404, 'Booking not found');
+    }
+    if (!isReviewable(booking)) {
+      throw new HttpError(409, 'Only completed stays at a listed property can be reviewed');
+    }
+    if (await repositories.reviews.findByBooking(booking.id)) {
+      throw new HttpError(409, 'This stay has already been reviewed');
+    }
+
+    const token = jwt.sign({ bookingId: booking.id, purpose: 'review' }, JWT_SECRET, { expiresIn: REVIEW_LINK_TTL });
+    const expiresAt = new Date(jwt.decode(token).exp * 1000).toISOString();
+    const link = `${GUEST_APP_URL}/review?token=${encodeURIComponent(token)}`;
+
+    await mailService.send({
+      to: booking.guestEmail,
+      ...reviewInvitationEmail({ name: booking.guestName, propertyName: booking.propertyName, link, expiresAt })
+    });
+    return { expiresAt };
+  }
+
+  /**
+   * The stay a review link is for, so the review page can show it
+   * @param {String} token - Token from the link
+   * @returns {Promise<Object>} - { bookingId, propertyId, propertyName, checkIn, checkOut, guestName, reviewed }
+   */
+  async getInvitation(token) {
+    const booking = await redeemLink(repositories, token);
+    return {
+      bookingId: booking.id,
+      propertyId: booking.propertyId,
+      propertyName: booking.propertyName,
+      checkIn: booking.checkIn,
+      checkOut: booking.checkOut,
+      guestName: booking.guestName,
+      reviewed: Boolean(await repositories.reviews.findByBooking(booking.id))
+    };
+  }
+
+  /**
+   * Submit the review of a stay through its review link; it waits for
+   * moderation before it is shown
+   * @param {Object} data - The link token, and review fields checked against the review schema
+   * @returns {Promise<Object>} - Created review
+   */
+  async submitReview(data) {
+    const { token, ...fields } = data || {};
+    const review = assertValid(reviewSchema, fields);
+
+    return repositories.transaction(async (repos) => {
+      const booking = await redeemLink(repos, token);
+      return createReview(repos, booking, review);
+    });
+  }
+
+  /**
+   * Submit the review of a signed-in guest's own stay; it waits for
+   * moderation before it is shown
+   * @param {Object} booking - The guest's booking, as loaded by requireGuestBooking
+   * @param {Object} data - Review fields, checked against the review schema
+   * @returns {Promise<Object>} - Created review
+   */
+  async submitGuestReview(booking, data) {
+    if (!isReviewable(booking)) {
+      throw new HttpError(409, 'Only completed stays at a listed property can be reviewed');
+    }
+    const review = assertValid(reviewSchema, data);
+
+    return repositories.transaction(async (repos) => createReview(repos, booking, review));
+  }
+
+  async listReviews(query) {
+    return repositories.reviews.list(query);
+  }
+
+  async getReview(id) {
+    return findReview(repositories, id);
+  }
+
+  /**
+   * Publish or reject a review; the property's rating follows
+   * @param {Number} id - Review id
+   * @param {Object} decision - { status: published|rejected, note }
+   * @param {String} adminId - Moderating admin
+   * @returns {Promise<Object>} - Updated review
+   */
+  async moderateReview(id, { status, note }, adminId) {
+    if (![REVIEW_STATUSES.PUBLISHED, REVIEW_STATUSES.REJECTED].includes(status)) {
+      throw new HttpError(400, `status must be ${REVIEW_STATUSES.PUBLISHED} or ${REVIEW_STATUSES.REJECTED}`);
+    }
+
+    return repositories.transaction(async (repos) => {
+      const review = await findReview(repos, id);
+      const updated = await repos.reviews.setStatus(review.id, { status, note, moderatedBy: adminId });
+      if (review.status !== status) {
+        await this.recomputeRating(repos, review.propertyId);
+      }
+      return updated;
+    });
+  }
+
+  /**
+   * Set the host's public reply to a review, or remove it with null
+   * @param {Number} id - Review id
+   * @param {String} reply - Reply text, or null
+   * @param {String} adminId - Admin replying for the host
+   * @returns {Promise<Object>} - Updated review
+   */
+  async replyToReview(id, reply, adminId) {
+    const review = await findReview(repositories, id);
+    const text = typeof reply === 'string' ? reply.trim() : null;
+    return repositories.reviews.setReply(review.id, text || null, adminId);
+  }
+
+  /**
+   * Published reviews of a published stay, with their averages
+   * @param {Number} propertyId - Property id
+   * @param {Object} query - Query string: sort, minOverall, cursor, limit
+   * @returns {Promise<Object>} - { summary, data, pagination }
+   */
+  async listPropertyReviews(propertyId, query) {
+    const property = await repositories.properties.findPublished(propertyId);
+    if (!property) {
+      throw new HttpError(404, 'Stay not found');
+    }
+
+    const summary = await repositories.reviews.summarize(property.id);
+    const page = await repositories.reviews.listPublished(property.id, query);
+    return {
+      summary: { ...summary, rating: property.rating },
+      ...page,
+      data: page.data.map(toPublicReview)
+    };
+  }
+
+  /**
+   * Published review comments of a user, for preference analysis
+   * @param {Number} userId - User id
+   * @returns {Promise<Array>} - Comments, newest first
+   */
+  async listCommentsByUser(userId) {
+    const reviews = await repositories.reviews.findPublishedByUser(userId);
+    return reviews
+      .filter(review => review.comment)
+      .map(review => `${review.propertyName || 'A stay'} (${review.overall}/5): ${review.comment}`);
+  }
+
+  /**
+   * Recompute a property's rating from its published reviews. The rating
+   * is a Bayesian average: the reviews' mean pulled towards the prior mean,
+   * less so the more reviews there are.
+   * @param {Object} repos - Repositories, of the transaction changing the reviews
+   * @param {Number} propertyId - Property id
+   * @returns {Promise<Number>} - New rating
+   */
+  async recomputeRating(repos, propertyId) {
+    const { count, overall } = await repos.reviews.summarize(propertyId);
+    const total = (overall || 0) * count;
+    const rating = Math.round(((RATING_PRIOR_MEAN * RATING_PRIOR_WEIGHT + total) / (RATING_PRIOR_WEIGHT + count)) * 100) / 100;
+
+    await repos.properties.setRating(propertyId, rating, count);
+    return rating;
+  }
+}
+
+/**
+ * Verify a review link and load the completed booking it is for
+ * @param {Object} repos - Repositories
+ * @param {String} token - Token from the link
+ * @returns {Promise<Object>} - Booking
+ */
+async function redeemLink(repos, token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token || ''), JWT_SECRET);
+  } catch (error) {
+    throw new HttpError(400, INVALID_LINK);
+  }
+
+  const booking = decoded.purpose === 'review' && await repos.bookings.findById(decoded.bookingId);
+  if (!booking || !isReviewable(booking)) {
+    throw new HttpError(400, INVALID_LINK);
+  }
+  return booking;
+}
+
+/**
+ * Whether a booking is a completed stay at a listed property
+ * @param {Object} booking - Booking
+ * @returns {Boolean} - True if it can be reviewed
+ */
+function isReviewable(booking) {
+  return booking.status === BOOKING_STATUSES.COMPLETED && Boolean(booking.propertyId);
+}
+
+/**
+ * Store the pending review of a booking, unless it already has one
+ * @param {Object} repos - Repositories, of the submitting transaction
+ * @param {Object} booking - Booking reviewed
+ * @param {Object} review - { overall, comment, ...scores }, checked against the review schema
+ * @returns {Promise<Object>} - Created review
+ */
+async function createReview(repos, booking, { overall, comment, ...scores }) {
+  if (await repos.reviews.findByBooking(booking.id)) {
+    throw new HttpError(409, 'This stay has already been reviewed');
+  }
+
+  return repos.reviews.create({
+    propertyId: booking.propertyId,
+    bookingId: booking.id,
+    userId: booking.userId,
+    guestName: booking.guestName,
+    overall,
+    scores,
+    comment: comment || null,
+    status: REVIEW_STATUSES.PENDING
+  });
+}
+
+async function findReview(repos, id) {
+  const review = await repos.reviews.findById(id);
+  if (!review) {
+    throw new HttpError(404, 'Review not found');
+  }
+  return review;
+}
+
+/**
+ * A review as guests see it: no moderation details, and only the first
+ * name of its author
+ * @param {Object} review - Review
+ * @returns {Object} - Public review
+ */
+function toPublicReview(review) {
+  return {
+    id: review.id,
+    guestName: String(review.guestName).trim().split(/\s+/)[0],
+    overall: review.overall,
+    scores: Object.fromEntries(REVIEW_SUB_SCORES.map(score => [score, review.scores[score]])),
+    comment: review.comment,
+    reply: review.reply,
+    repliedAt: review.repliedAt,
+    created_at: review.created_at
+  };
+}
+
+module.exports = new ReviewService();
@@ -0,0 +1,166 @@
+const repositories = require('../repositories');
+const { tokenize, editDistance, allowedEdits, singleWordSynonyms } = require('../utils/textSearch');
+const { SEARCH_INDEX_VERSION, FIELD_WEIGHTS, RATING_BOOST } = require('../constants/search');
+
+const VERSION_KEY = 'searchIndexVersion';
+
+// How much a matched index term counts, by how it matched the query term
+const MATCH_SCORES = { exact: 1, prefix: 0.8, typo: 0.7, typo2: 0.5 };
+
+/**
+ * Search Service: keeps the stay search index in step with properties and
+ * ranks published stays for a query, tolerating typos and, for the word
+ * being typed, matching prefixes
+ */
+class SearchService {
+  /**
+   * Re-index a property; trashed properties leave the index
+   * @param {Object} repos - Repositories, of the transaction changing the property
+   * @param {Object} property - Property as stored
+   */
+  async indexProperty(repos, property) {
+    if (property.deleted_at) {
+      await repos.searchIndex.remove(property.id);
+      return;
+    }
+    await repos.searchIndex.replace(property.id, indexEntries(property));
+  }
+
+  async removeProperty(repos, id) {
+    await repos.searchIndex.remove(id);
+  }
+
+  /**
+   * Rebuild the index from scratch when it was built by another version of
+   * the tokeniser, synonyms or weights, or never built at all
+   * @returns {Promise<Boolean>} - Whether the index was rebuilt
+   */
+  async ensureIndex() {
+    if (await repositories.settings.get(VERSION_KEY) === SEARCH_INDEX_VERSION) {
+      return false;
+    }
+
+    await repositories.transaction(async (repos) => {
+      await repos.searchIndex.clear();
+      for (const property of await repos.properties.findAll()) {
+        await this.indexProperty(repos, property);
+      }
+      await repos.settings.set(VERSION_KEY, SEARCH_INDEX_VERSION, null);
+    });
+    return true;
+  }
+
+  /**
+   * Rank published stays for a query. Stays matching every query term come
+   * first; when none does, those matching the most terms are returned.
+   * @param {String} query - Search text
+   * @param {Object} options - { prefix: match the last term as a prefix, as it is still being typed }
+   * @returns {Promise<Object>} - { terms, results: [{ propertyId, score, fields }] } best first,
+   * where fields lists the fields each query term matched in
+   */
+  async rank(query, { prefix = false } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) {
+      return { terms, results: [] };
+    }
+
+    const vocabulary = await repositories.searchIndex.vocabulary();
+    const matchers = terms.map((term, index) => matchTerm(term, vocabulary, prefix && index === terms.length - 1));
+    const postings = await repositories.searchIndex.findPublishedPostings(
+      [...new Set(matchers.flatMap(matches => [...matches.keys()]))]
+    );
+
+    const byProperty = new Map();
+    postings.forEach((posting) => {
+      if (!byProperty.has(posting.propertyId)) {
+        byProperty.set(posting.propertyId, { rating: posting.rating, best: terms.map(() => null) });
+      }
+      const entry = byProperty.get(posting.propertyId);
+      matchers.forEach((matches, index) => {
+        const match = matches.get(posting.term);
+        if (match === undefined) return;
+        const score = match * posting.weight;
+        const best = entry.best[index];
+        if (!best || score > best.score) {
+          entry.best[index] = { score, fields: [...new Set([...(best?.fields || []), posting.field])] };
+        } else {
+          best.fields = [...new Set([...best.fields, posting.field])];
+        }
+      });
+    });
+
+    const ranked = [...byProperty.entries()].map(([propertyId, { rating, best }]) => {
+      const matched = best.filter(Boolean);
+      const relevance = matched.reduce((sum, match) => sum + match.score, 0);
+      return {
+        propertyId,
+        matched: matched.length,
+        score: Math.round(relevance * (1 + RATING_BOOST * (Math.min(rating, 5) / 5)) * 1000) / 1000,
+        fields: best.map(match => match?.fields || [])
+      };
+    });
+
+    const mostMatched = Math.max(0, ...ranked.map(result => result.matched));
+    const results = ranked
+      .filter(result => result.matched === mostMatched)
+      .sort((a, b) => b.score - a.score || a.propertyId - b.propertyId)
+      .map(({ propertyId, score, fields }) => ({ propertyId, score, fields }));
+
+    return { terms, results };
+  }
+}
+
+/**
+ * Index rows of a property: each term once per field it appears in
+ * @param {Object} property - Property
+ * @returns {Array} - [{ term, field, weight }]
+ */
+function indexEntries(property) {
+  return Object.entries(FIELD_WEIGHTS).flatMap(([field, weight]) => (
+    [...new Set(tokenize(property[field]))].map(term => ({ term, field, weight }))
+  ));
+}
+
+/**
+ * Index terms a query term matches, with how well each matches
+ * @param {String} term - Query term
+ * @param {Array} vocabulary - Indexed terms
+ * @param {Boolean} asPrefix - Also match terms starting with the query term
+ * @returns {Map} - Index term => match score
+ */
+function matchTerm(term, vocabulary, asPrefix) {
+  const matches = new Map();
+  const edits = allowedEdits(term);
+
+  vocabulary.forEach((candidate) => {
+    let score = 0;
+    if (candidate === term) {
+      score = MATCH_SCORES.exact;
+    } else if (asPrefix && candidate.startsWith(term)) {
+      score = MATCH_SCORES.prefix;
+    } else if (edits > 0) {
+      const distance = Math.min(
+        editDistance(term, candidate, edits),
+        // A typo in a word still being typed: compare with the same-length start
+        asPrefix && candidate.length > term.length ? editDistance(term, candidate.slice(0, term.length), edits) : edits + 1
+      );
+      if (distance <= edits) {
+        score = distance === 1 ? MATCH_SCORES.typo : MATCH_SCORES.typo2;
+      }
+    }
+    if (score > 0) matches.set(candidate, score);
+  });
+
+  if (edits > 0) {
+    singleWordSynonyms().forEach(({ synonym, canonical }) => {
+      const distance = editDistance(term, synonym, edits);
+      if (distance > 0 && distance <= edits && !matches.has(canonical)) {
+        matches.set(canonical, distance === 1 ? MATCH_SCORES.typo : MATCH_SCORES.typo2);
+      }
+    });
+  }
+
+  return matches;
+}
+
+module.exports = new SearchService();
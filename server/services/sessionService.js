@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const repositories = require('../repositories');
+const HttpError = require('../utils/httpError');
+const { JWT_SECRET, ACCESS_TOKEN_TTL, REFRESH_TOKEN_TTL_DAYS } = require('../config/auth');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Whether a session can still be used
+ * @param {Object} session - Session
+ * @returns {Boolean} - True unless revoked or expired
+ */
+const isLive = (session) => Boolean(session) && !session.revokedAt && session.expiresAt > new Date().toISOString();
+
+/**
+ * Session Service: admin sessions with short-lived access tokens and
+ * rotating refresh tokens. Each session is one refresh token family;
+ * presenting a refresh token that was already rotated revokes the family.
+ */
+class SessionService {
+  /**
+   * Start a session for an admin who has just authenticated
+   * @param {Object} admin - Admin
+   * @param {Object} client - { ip, userAgent }
+   * @returns {Promise<Object>} - { token, refreshToken, expiresIn, sessionId }
+   */
+  async start(admin, client) {
+    return repositories.transaction(async ({ sessions }) => {
+      const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+      const session = await sessions.create({ adminId: admin.id, ...client, expiresAt });
+      return issueTokens(sessions, admin, session);
+    });
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * @param {String} refreshToken - Refresh token from the last login or refresh
+   * @param {Object} client - { ip, userAgent }
+   * @returns {Promise<Object>} - { token, refreshToken, expiresIn, sessionId }
+   */
+  async refresh(refreshToken, client) {
+    const tokenHash = hashToken(refreshToken);
+
+    // A detected reuse must revoke the family even though the request fails,
+    // so the outcome is returned from the transaction and thrown afterwards
+    const outcome = await repositories.transaction(async ({ sessions, admins }) => {
+      const stored = await sessions.findRefreshToken(tokenHash);
+      const session = stored && await sessions.findById(stored.sessionId);
+      if (!isLive(session)) {
+        return { error: 'Invalid refresh token' };
+      }
+
+      if (!(await sessions.useRefreshToken(tokenHash))) {
+        await sessions.revoke(session.id, 'refresh_token_reuse');
+        return { error: 'Refresh token reuse detected. The session has been revoked.' };
+      }
+
+      const admin = await admins.findById(session.adminId);
+      if (!admin || admin.status !== 'active') {
+        await sessions.revoke(session.id, 'admin_inactive');
+        return { error: 'Invalid refresh token' };
+      }
+
+      await sessions.touch(session.id, client);
+      return { tokens: await issueTokens(sessions, admin, session) };
+    });
+
+    if (outcome.error) {
+      throw new HttpError(401, outcome.error);
+    }
+    return outcome.tokens;
+  }
+
+  /**
+   * Load the session an access token belongs to, if it is still live
+   * @param {String} sessionId - Session id from the access token
+   * @param {String} adminId - Admin id from the access token
+   * @returns {Promise<Object|null>} - Session
+   */
+  async findLiveSession(sessionId, adminId) {
+    const session = sessionId && await repositories.sessions.findById(sessionId);
+    return isLive(session) && session.adminId === adminId ? session : null;
+  }
+
+  async list(adminId, currentSessionId) {
+    const sessions = await repositories.sessions.findActiveByAdmin(adminId);
+    return sessions.map(session => ({ ...session, current: session.id === currentSessionId }));
+  }
+
+  /**
+   * Revoke one of an admin's own sessions
+   * @param {String} adminId - Admin id
+   * @param {String} sessionId - Session id
+   * @param {String} reason - Why it is revoked
+   */
+  async revoke(adminId, sessionId, reason = 'revoked') {
+    const session = await repositories.sessions.findById(sessionId);
+    if (!session || session.adminId !== adminId || !isLive(session)) {
+      throw new HttpError(404, 'Session not found');
+    }
+    await repositories.sessions.revoke(sessionId, reason);
+  }
+
+  async revokeOthers(adminId, currentSessionId) {
+    return repositories.sessions.revokeAllForAdmin(adminId, 'revoked', currentSessionId);
+  }
+}
+
+/**
+ * Sign an access token for a session and store a fresh refresh token
+ * @param {Object} sessions - Session repository
+ * @param {Object} admin - Admin
+ * @param {Object} session - Session
+ * @returns {Promise<Object>} - { token, refreshToken, expiresIn, sessionId }
+ */
+async function issueTokens(sessions, admin, session) {
+  const token = jwt.sign(
+    { adminId: admin.id, email: admin.email, sid: session.id },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  await sessions.addRefreshToken(session.id, hashToken(refreshToken));
+
+  const { iat, exp } = jwt.decode(token);
+  return { token, refreshToken, expiresIn: exp - iat, sessionId: session.id };
+}
+
+module.exports = new SessionService();
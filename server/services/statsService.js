@@ -0,0 +1,227 @@
+const repositories = require('../repositories');
+const currencyService = require('./currencyService');
+const HttpError = require('../utils/httpError');
+const { REPORTING_CURRENCY } = require('../config/currencies');
+const { RELEASED_STATUSES } = require('../constants/booking');
+const { addDays, daysBetween, eachDay, today } = require('../utils/dates');
+
+const MAX_PERIOD_DAYS = 3660;
+
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Stats Service: dashboard figures computed from stored data
+ */
+class StatsService {
+  /**
+   * Resolve a period and the previous period of equal length.
+   * Rolling periods look like `7d`/`30d`; MTD, QTD and YTD run from the start of
+   * the month/quarter/year to today and compare with the same number of days
+   * from the start of the previous one; `custom` takes `from` and `to`, and is
+   * implied when they are given without a period.
+   * @param {String} period - Period key
+   * @param {String} from - YYYY-MM-DD, for custom periods
+   * @param {String} to - YYYY-MM-DD, for custom periods
+   * @returns {Object} - { key, from, to, previousFrom, previousTo, days } with inclusive dates
+   */
+  resolvePeriod(period, from, to) {
+    const dated = from !== undefined || to !== undefined;
+    period = period ?? (dated ? 'custom' : '30d');
+    if (dated && period !== 'custom') {
+      throw new HttpError(400, 'from and to only apply to custom periods');
+    }
+
+    const end = today();
+    const rolling = /^(\d+)d$/.exec(period);
+
+    if (rolling) {
+      const days = Number(rolling[1]);
+      if (days < 1 || days > MAX_PERIOD_DAYS) {
+        throw new HttpError(400, `Rolling periods must be between 1d and ${MAX_PERIOD_DAYS}d`);
+      }
+      const start = addDays(end, -(days - 1));
+      return withPrevious(period, start, end, addDays(start, -days));
+    }
+
+    if (['MTD', 'QTD', 'YTD'].includes(period)) {
+      const [year, month] = end.split('-').map(Number);
+      let start;
+      let previousStart;
+
+      if (period === 'MTD') {
+        start = `${year}-${pad(month)}-01`;
+        previousStart = month === 1 ? `${year - 1}-12-01` : `${year}-${pad(month - 1)}-01`;
+      } else if (period === 'QTD') {
+        const quarterMonth = Math.floor((month - 1) / 3) * 3 + 1;
+        start = `${year}-${pad(quarterMonth)}-01`;
+        previousStart = quarterMonth === 1 ? `${year - 1}-10-01` : `${year}-${pad(quarterMonth - 3)}-01`;
+      } else {
+        start = `${year}-01-01`;
+        previousStart = `${year - 1}-01-01`;
+      }
+
+      return withPrevious(period, start, end, previousStart);
+    }
+
+    if (period === 'custom') {
+      if (!from || !to || from > to) {
+        throw new HttpError(400, 'Custom periods need from and to, with from not after to');
+      }
+      const days = daysBetween(from, to) + 1;
+      if (days > MAX_PERIOD_DAYS) {
+        throw new HttpError(400, `Custom periods may span at most ${MAX_PERIOD_DAYS} days`);
+      }
+      return withPrevious(period, from, to, addDays(from, -days));
+    }
+
+    throw new HttpError(400, 'Invalid period. Use e.g. 7d, 30d, MTD, QTD, YTD or custom');
+  }
+
+  /**
+   * Compute dashboard stats for a period, each compared with the previous
+   * period. Money figures are in the reporting currency.
+   * @param {Object} range - Result of resolvePeriod
+   * @returns {Promise<Object>} - Stats
+   */
+  async getStats(range) {
+    const rates = await currencyService.getHistoricalRates();
+    const current = await collect(range.from, range.to, rates);
+    const previous = await collect(range.previousFrom, range.previousTo, rates);
+
+    return {
+      period: range,
+      currency: REPORTING_CURRENCY,
+      properties: compare(current.properties, previous.properties),
+      users: compare(current.users, previous.users),
+      bookings: compare(current.bookings, previous.bookings),
+      revenue: compare(current.revenue, previous.revenue),
+      avgRating: compare(current.avgRating, previous.avgRating),
+      occupancyRate: compare(current.occupancyRate, previous.occupancyRate),
+      adr: compare(current.adr, previous.adr),
+      revpar: compare(current.revpar, previous.revpar)
+    };
+  }
+}
+
+/**
+ * Gather the raw figures of one period
+ * @param {String} from - YYYY-MM-DD
+ * @param {String} to - YYYY-MM-DD (inclusive)
+ * @param {Object} rates - Exchange rate history
+ * @returns {Promise<Object>} - Figures
+ */
+async function collect(from, to, rates) {
+  const { stats } = repositories;
+  const end = addDays(to, 1);
+  const days = eachDay(from, end);
+
+  const snapshot = await stats.propertySnapshot(end);
+  const stays = await stats.findStays(from, end, RELEASED_STATUSES);
+  const blocks = await stats.findBlocks(from, to);
+
+  let nightsSold = 0;
+  let revenue = 0;
+  stays.forEach((stay) => {
+    const nights = eachDay(stay.checkIn, stay.checkOut);
+    const rate = reportingRate(rates, stay);
+    nights.forEach((date) => {
+      if (date < from || date >= end) return;
+      nightsSold += 1;
+      revenue += nightlyRevenue(stay, date, nights.length) * rate;
+    });
+  });
+
+  const blockedNights = blocks.reduce((sum, block) => (
+    sum + days.filter(date => block.startDate <= date && date <= block.endDate).length
+  ), 0);
+  const availableNights = Math.max(0, snapshot.activeCount * days.length - blockedNights);
+
+  return {
+    properties: snapshot.count,
+    users: await stats.countUsersJoinedBefore(end),
+    bookings: await stats.countBookingsMade(from, to),
+    revenue: round(revenue),
+    avgRating: snapshot.avgRating === null ? 0 : round(snapshot.avgRating),
+    occupancyRate: availableNights ? round((nightsSold / availableNights) * 100, 1) : 0,
+    adr: nightsSold ? round(revenue / nightsSold) : 0,
+    revpar: availableNights ? round(revenue / availableNights) : 0
+  };
+}
+
+/**
+ * Revenue earned on one night of a stay: the quoted nightly rate when the
+ * booking was priced by the pricing engine, otherwise an even split
+ * @param {Object} stay - Stay
+ * @param {String} date - YYYY-MM-DD
+ * @param {Number} nights - Nights in the stay
+ * @returns {Number} - Revenue for that night
+ */
+function nightlyRevenue(stay, date, nights) {
+  const quoted = stay.pricing?.breakdown?.find(night => night.date === date);
+  if (quoted && stay.pricing.total === stay.totalAmount) {
+    return quoted.rate;
+  }
+  return stay.totalAmount / nights;
+}
+
+/**
+ * Rate from a stay's currency to the reporting currency when the stay was
+ * booked, so a period's revenue does not move with later rate changes.
+ * Stays booked before their currency had a rate use the current one.
+ * @param {Object} rates - Exchange rate history
+ * @param {Object} stay - Stay
+ * @returns {Number} - Rate
+ */
+function reportingRate(rates, stay) {
+  return rates.find(stay.currency, REPORTING_CURRENCY, stay.created_at)
+    ?? rates.rate(stay.currency, REPORTING_CURRENCY);
+}
+
+/**
+ * Describe a figure against its previous value
+ * @param {Number} total - Current value
+ * @param {Number} previous - Previous period's value
+ * @returns {Object} - { total, previous, change, changePercent, trend }
+ */
+function compare(total, previous) {
+  const change = round(total - previous);
+  return {
+    total,
+    previous,
+    change,
+    changePercent: previous ? round((change / previous) * 100, 1) : null,
+    trend: change > 0 ? 'up' : change < 0 ? 'down' : 'flat'
+  };
+}
+
+/**
+ * Build a period and its comparison period, which never runs into the current one
+ * @param {String} key - Period key
+ * @param {String} from - YYYY-MM-DD
+ * @param {String} to - YYYY-MM-DD (inclusive)
+ * @param {String} previousFrom - Start of the previous period
+ * @returns {Object} - Resolved period
+ */
+function withPrevious(key, from, to, previousFrom) {
+  const days = daysBetween(from, to) + 1;
+  const previousTo = addDays(previousFrom, days - 1);
+  const dayBefore = addDays(from, -1);
+
+  return {
+    key,
+    from,
+    to,
+    previousFrom,
+    previousTo: previousTo < dayBefore ? previousTo : dayBefore,
+    days
+  };
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+module.exports = new StatsService();
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const repositories = require('../repositories');
+const HttpError = require('../utils/httpError');
+const { generateSecret, verifyCode, otpauthUrl } = require('../utils/totp');
+const { ROLES } = require('../constants/permissions');
+const { JWT_SECRET, TOTP_ISSUER } = require('../config/auth');
+
+const POLICY_KEY = 'two_factor_required_roles';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+/**
+ * Two-Factor Service: TOTP enrolment, recovery codes, the second login
+ * step and the policy that makes 2FA mandatory for some roles
+ */
+class TwoFactorService {
+  async getPolicy() {
+    return { requiredRoles: await repositories.settings.get(POLICY_KEY, []) };
+  }
+
+  /**
+   * Choose the roles whose admins must use 2FA
+   * @param {Array} requiredRoles - Role keys
+   * @param {Object} actor - Admin making the change
+   * @returns {Promise<Object>} - Policy
+   */
+  async setPolicy(requiredRoles, actor) {
+    const unknown = requiredRoles.filter(role => !ROLES[role]);
+    if (unknown.length > 0) {
+      throw new HttpError(400, `Unknown role(s): ${unknown.join(', ')}`, { roles: Object.keys(ROLES) });
+    }
+    await repositories.settings.set(POLICY_KEY, [...new Set(requiredRoles)], actor.id);
+    return this.getPolicy();
+  }
+
+  /**
+   * Whether the policy requires 2FA for an admin holding these roles
+   * @param {Array} roles - Role keys
+   * @returns {Promise<Boolean>} - Whether 2FA is mandatory
+   */
+  async isRequired(roles) {
+    const { requiredRoles } = await this.getPolicy();
+    return roles.some(role => requiredRoles.includes(role));
+  }
+
+  async getStatus(admin) {
+    return {
+      enabled: admin.twoFactorEnabled,
+      required: await this.isRequired(admin.roles),
+      recoveryCodesRemaining: admin.twoFactorEnabled ? await repositories.admins.countRecoveryCodes(admin.id) : 0
+    };
+  }
+
+  /**
+   * Start enrolment with a new secret; 2FA stays off until a code is confirmed
+   * @param {Object} admin - Admin
+   * @returns {Promise<Object>} - { secret, otpauthUrl }
+   */
+  async beginEnrolment(admin) {
+    if (admin.twoFactorEnabled) {
+      throw new HttpError(409, 'Two-factor authentication is already enabled');
+    }
+
+    const secret = generateSecret();
+    await repositories.admins.saveTwoFactor(admin.id, { secret, enabled: false });
+    return { secret, otpauthUrl: otpauthUrl({ secret, account: admin.email, issuer: TOTP_ISSUER }) };
+  }
+
+  /**
+   * Finish enrolment with a code from the authenticator app
+   * @param {Object} admin - Admin
+   * @param {String} code - Current TOTP code
+   * @returns {Promise<Object>} - { recoveryCodes } shown to the admin once
+   */
+  async confirmEnrolment(admin, code) {
+    return repositories.transaction(async ({ admins }) => {
+      const state = await admins.findTwoFactor(admin.id);
+      if (state.enabled) {
+        throw new HttpError(409, 'Two-factor authentication is already enabled');
+      }
+      if (!state.secret) {
+        throw new HttpError(409, 'Start enrolment first');
+      }
+
+      const step = verifyCode(state.secret, code);
+      if (step === null) {
+        throw new HttpError(400, 'Invalid authentication code');
+      }
+
+      await admins.saveTwoFactor(admin.id, { secret: state.secret, enabled: true });
+      await admins.useTotpStep(admin.id, step);
+      return { recoveryCodes: await replaceRecoveryCodes(admins, admin.id) };
+    });
+  }
+
+  /**
+   * Turn 2FA off after proving possession of the second factor
+   * @param {Object} admin - Admin
+   * @param {Object} proof - { code } or { recoveryCode }
+   */
+  async disable(admin, proof) {
+    if (await this.isRequired(admin.roles)) {
+      throw new HttpError(409, 'Two-factor authentication is mandatory for your role');
+    }
+
+    await repositories.transaction(async ({ admins }) => {
+      await assertSecondFactor(admins, admin.id, proof);
+      await admins.saveTwoFactor(admin.id, { secret: null, enabled: false });
+      await admins.replaceRecoveryCodes(admin.id, []);
+    });
+  }
+
+  /**
+   * Issue a new set of recovery codes, invalidating the old ones
+   * @param {Object} admin - Admin
+   * @param {Object} proof - { code } or { recoveryCode }
+   * @returns {Promise<Object>} - { recoveryCodes }
+   */
+  async regenerateRecoveryCodes(admin, proof) {
+    return repositories.transaction(async ({ admins }) => {
+      await assertSecondFactor(admins, admin.id, proof);
+      return { recoveryCodes: await replaceRecoveryCodes(admins, admin.id) };
+    });
+  }
+
+  /**
+   * Remove another admin's 2FA, e.g. after they lost their device.
+   * They must enrol again on next login if the policy requires it.
+   * @param {String} adminId - Admin id
+   */
+  async reset(adminId) {
+    await repositories.transaction(async ({ admins, sessions }) => {
+      if (!(await admins.findById(adminId))) {
+        throw new HttpError(404, 'Admin not found');
+      }
+      await admins.saveTwoFactor(adminId, { secret: null, enabled: false });
+      await admins.replaceRecoveryCodes(adminId, []);
+      await sessions.revokeAllForAdmin(adminId, 'two_factor_reset');
+    });
+  }
+
+  /**
+   * Short-lived token proving the password step of a login succeeded
+   * @param {Object} admin - Admin
+   * @returns {String} - Challenge token
+   */
+  createChallenge(admin) {
+    return jwt.sign({ adminId: admin.id, purpose: 'two_factor' }, JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+  }
+
+  /**
+   * Complete the second login step
+   * @param {String} challengeToken - Token from the password step
+   * @param {Object} proof - { code } or { recoveryCode }
+   * @returns {Promise<Object>} - The admin
+   */
+  async completeChallenge(challengeToken, proof) {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, JWT_SECRET);
+    } catch (error) {
+      throw new HttpError(401, 'Login challenge expired or invalid');
+    }
+    if (decoded.purpose !== 'two_factor') {
+      throw new HttpError(401, 'Login challenge expired or invalid');
+    }
+
+    return repositories.transaction(async ({ admins }) => {
+      const admin = await admins.findById(decoded.adminId);
+      if (!admin || admin.status !== 'active' || !admin.twoFactorEnabled) {
+        throw new HttpError(401, 'Login challenge expired or invalid');
+      }
+      await assertSecondFactor(admins, admin.id, proof);
+      return admin;
+    });
+  }
+}
+
+/**
+ * Accept a TOTP code (not replayed) or an unused recovery code
+ * @param {Object} admins - Admin repository
+ * @param {String} adminId - Admin id
+ * @param {Object} proof - { code } or { recoveryCode }
+ */
+async function assertSecondFactor(admins, adminId, { code, recoveryCode } = {}) {
+  const state = await admins.findTwoFactor(adminId);
+  if (!state?.enabled) {
+    throw new HttpError(409, 'Two-factor authentication is not enabled');
+  }
+
+  if (recoveryCode) {
+    if (await admins.useRecoveryCode(adminId, hashRecoveryCode(recoveryCode))) return;
+    throw new HttpError(401, 'Invalid recovery code');
+  }
+
+  const step = verifyCode(state.secret, code, { afterStep: state.lastStep });
+  if (step === null || !(await admins.useTotpStep(adminId, step))) {
+    throw new HttpError(401, 'Invalid authentication code');
+  }
+}
+
+/**
+ * Generate, store and return a fresh set of recovery codes
+ * @param {Object} admins - Admin repository
+ * @param {String} adminId - Admin id
+ * @returns {Promise<Array>} - Codes like `a1b2c-3d4e5`
+ */
+async function replaceRecoveryCodes(admins, adminId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  await admins.replaceRecoveryCodes(adminId, codes.map(hashRecoveryCode));
+  return codes;
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+/**
+ * File storage on the local disk, served by the app itself.
+ *
+ * Every storage backend implements the same interface, so an S3-style
+ * store can replace this one without touching the services:
+ *  - put(key, buffer, contentType) -> Promise<void>
+ *  - get(key)                      -> Promise<Buffer>, or null when there is no such object
+ *  - delete(key)                   -> Promise<void>, a missing object is not an error
+ *  - url(key)                      -> public URL of the object
+ *  - handler()                     -> Express middleware serving the objects, or null
+ *                                     when the store serves them itself
+ *
+ * Objects under the private prefix are never served publicly; the app
+ * reads them with get() and checks who may see them.
+ */
+class LocalDiskStorage {
+  /**
+   * @param {Object} options - { root: directory, publicUrl: URL the handler is mounted at,
+   *                            privatePrefix: key prefix of objects the handler must not serve }
+   */
+  constructor({ root, publicUrl, privatePrefix }) {
+    this.root = root;
+    this.privatePrefix = privatePrefix;
+    this.publicUrl = publicUrl.replace(/\/$/, '');
+  }
+
+  resolve(key) {
+    const file = path.resolve(this.root, key);
+    if (!file.startsWith(path.resolve(this.root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  }
+
+  async put(key, buffer) {
+    const file = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, buffer);
+  }
+
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+
+  url(key) {
+    return `${this.publicUrl}/${key}`;
+  }
+
+  /**
+   * Serve stored files. Keys are never reused, so responses can be cached
+   * for good; the frontend runs on another origin, hence the CORP header.
+   * @returns {Function} - Express middleware
+   */
+  handler() {
+    const serve = express.static(this.root, { immutable: true, maxAge: '365d', index: false });
+    return (req, res, next) => {
+      let requested;
+      try {
+        requested = path.posix.normalize(decodeURIComponent(req.path));
+      } catch (error) {
+        return next();
+      }
+      if (this.privatePrefix && requested.startsWith(`/${this.privatePrefix}`)) return next();
+      res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+      serve(req, res, next);
+    };
+  }
+}
+
+module.exports = LocalDiskStorage;
@@ -0,0 +1,47 @@
+const { formatExpiry, layout } = require('./layout');
+
+/**
+ * Emails sent to admins about their account. Each builder returns the
+ * subject with plain-text and HTML bodies.
+ */
+
+/**
+ * Invitation to create an admin account
+ * @param {Object} data - { name, invitedBy, link, expiresAt }
+ * @returns {Object} - { subject, text, html }
+ */
+const inviteEmail = ({ name, invitedBy, link, expiresAt }) => {
+  const paragraphs = [
+    `Hi ${name},`,
+    `${invitedBy || 'The UniqueStays team'} invited you to the UniqueStays admin dashboard.`,
+    `Choose a password to activate your account. This link expires on ${formatExpiry(expiresAt)}.`
+  ];
+  return {
+    subject: 'You have been invited to UniqueStays Admin',
+    text: `${paragraphs.join('\n\n')}\n\n${link}\n`,
+    html: layout('Welcome to UniqueStays Admin', paragraphs, link, 'Accept invitation')
+  };
+};
+
+/**
+ * Link to choose a new password
+ * @param {Object} data - { name, link, expiresAt }
+ * @returns {Object} - { subject, text, html }
+ */
+const passwordResetEmail = ({ name, link, expiresAt }) => {
+  const paragraphs = [
+    `Hi ${name},`,
+    `Someone asked to reset the password of your UniqueStays admin account. This link expires on ${formatExpiry(expiresAt)}.`,
+    'If this was not you, you can ignore this email; your password stays the same.'
+  ];
+  return {
+    subject: 'Reset your UniqueStays Admin password',
+    text: `${paragraphs.join('\n\n')}\n\n${link}\n`,
+    html: layout('Reset your password', paragraphs, link, 'Choose a new password')
+  };
+};
+
+module.exports = {
+  inviteEmail,
+  passwordResetEmail
+};
@@ -0,0 +1,88 @@
+const { formatExpiry, layout } = require('./layout');
+
+/**
+ * Emails sent to guests about their stays. Each builder returns the
+ * subject with plain-text and HTML bodies.
+ */
+
+/**
+ * Invitation to review a completed stay
+ * @param {Object} data - { name, propertyName, link, expiresAt }
+ * @returns {Object} - { subject, text, html }
+ */
+const reviewInvitationEmail = ({ name, propertyName, link, expiresAt }) => {
+  const paragraphs = [
+    `Hi ${name},`,
+    `Thank you for staying at ${propertyName}. How was it?`,
+    `Your review helps other guests choose and helps your host improve. This link expires on ${formatExpiry(expiresAt)}.`
+  ];
+  return {
+    subject: `How was your stay at ${propertyName}?`,
+    text: `${paragraphs.join('\n\n')}\n\n${link}\n`,
+    html: layout('Review your stay', paragraphs, link, 'Write a review')
+  };
+};
+
+/**
+ * An invoice or credit note, with its PDF attached by the caller
+ * @param {Object} data - { name, invoice, link to all receipts of the booking }
+ * @returns {Object} - { subject, text, html }
+ */
+const receiptEmail = ({ name, invoice, link }) => {
+  const document = invoice.kind === 'credit_note' ? 'credit note' : 'invoice';
+  const paragraphs = [
+    `Hi ${name},`,
+    invoice.kind === 'credit_note'
+      ? `Your refund for booking ${invoice.bookingId} has been processed. Credit note ${invoice.number} is attached.`
+      : `Thank you for your payment for booking ${invoice.bookingId}. Invoice ${invoice.number} is attached.`,
+    'All receipts for this booking are available from the link below.'
+  ];
+  return {
+    subject: `Your ${document} ${invoice.number} from ${invoice.seller.name}`,
+    text: `${paragraphs.join('\n\n')}\n\n${link}\n`,
+    html: layout(`Your ${document}`, paragraphs, link, 'View receipts')
+  };
+};
+
+/**
+ * Link confirming the email address of a new account
+ * @param {Object} data - { name, link, expiresAt }
+ * @returns {Object} - { subject, text, html }
+ */
+const emailVerificationEmail = ({ name, link, expiresAt }) => {
+  const paragraphs = [
+    `Hi ${name},`,
+    'Welcome to UniqueStays! Confirm your email address to start signing in.',
+    `This link expires on ${formatExpiry(expiresAt)}. If you did not sign up, you can ignore this email.`
+  ];
+  return {
+    subject: 'Confirm your UniqueStays email address',
+    text: `${paragraphs.join('\n\n')}\n\n${link}\n`,
+    html: layout('Confirm your email address', paragraphs, link, 'Confirm email')
+  };
+};
+
+/**
+ * Link to choose a new account password
+ * @param {Object} data - { name, link, expiresAt }
+ * @returns {Object} - { subject, text, html }
+ */
+const guestPasswordResetEmail = ({ name, link, expiresAt }) => {
+  const paragraphs = [
+    `Hi ${name},`,
+    `Someone asked to reset the password of your UniqueStays account. This link expires on ${formatExpiry(expiresAt)}.`,
+    'If this was not you, you can ignore this email; your password stays the same.'
+  ];
+  return {
+    subject: 'Reset your UniqueStays password',
+    text: `${paragraphs.join('\n\n')}\n\n${link}\n`,
+    html: layout('Reset your password', paragraphs, link, 'Choose a new password')
+  };
+};
+
+module.exports = {
+  reviewInvitationEmail,
+  receiptEmail,
+  emailVerificationEmail,
+  guestPasswordResetEmail
+};
@@ -0,0 +1,193 @@
+const PDFDocument = require('pdfkit');
+const { escapeHtml } = require('./layout');
+
+/**
+ * Invoices and credit notes as documents: a standalone HTML page and a PDF,
+ * both branded with the colour and logo of the issuing legal entity
+ */
+
+const TITLES = { invoice: 'Invoice', credit_note: 'Credit note' };
+const DEFAULT_BRAND_COLOR = '#059669';
+
+const formatMoney = (amount, currency) => new Intl.NumberFormat('en-GB', { style: 'currency', currency }).format(amount);
+
+const formatRate = (rate) => `${Math.round(rate * 10000) / 100}%`;
+
+/**
+ * The parts of a document both formats show, ready to print
+ * @param {Object} invoice - Invoice or credit note
+ * @returns {Object} - Title, parties, stay details, lines and totals as text
+ */
+const documentParts = (invoice) => {
+  const { seller, buyer, stay, currency } = invoice;
+  const money = amount => formatMoney(amount, currency);
+  const details = [
+    ['Number', invoice.number],
+    ['Issue date', invoice.issueDate],
+    ['Booking', invoice.bookingId]
+  ];
+  if (stay.invoiceNumber) {
+    details.push(['Corrects invoice', stay.invoiceNumber]);
+  }
+  const stayLines = [stay.propertyName, stay.location, `${stay.checkIn} to ${stay.checkOut}, ${stay.nights} night${stay.nights === 1 ? '' : 's'}, ${stay.guests} guest${stay.guests === 1 ? '' : 's'}`].filter(Boolean);
+
+  return {
+    title: TITLES[invoice.kind],
+    color: seller.brand?.color || DEFAULT_BRAND_COLOR,
+    logoUrl: seller.brand?.logoUrl || null,
+    sellerLines: [seller.name, ...(seller.address || []), seller.taxId && `${seller.taxName || 'Tax'} number: ${seller.taxId}`, seller.email].filter(Boolean),
+    buyerLines: [buyer.name, buyer.email].filter(Boolean),
+    details,
+    stayLines,
+    lines: invoice.lines.map(line => ({
+      description: line.description,
+      quantity: String(line.quantity),
+      unitPrice: money(line.unitPrice),
+      tax: `${formatRate(line.taxRate)} (${money(line.taxAmount)})`,
+      amount: money(line.amount)
+    })),
+    totals: [
+      ['Net', money(invoice.subtotal)],
+      [`${seller.taxName || 'Tax'}`, money(invoice.tax)],
+      ['Total', money(invoice.total)]
+    ],
+    footer: invoice.kind === 'credit_note'
+      ? 'The amount of this credit note has been refunded to your original payment method.'
+      : 'Prices include tax. Thank you for staying with us.'
+  };
+};
+
+/**
+ * Render an invoice or credit note as a standalone HTML page
+ * @param {Object} invoice - Invoice or credit note
+ * @returns {String} - HTML
+ */
+const invoiceHtml = (invoice) => {
+  const parts = documentParts(invoice);
+  const cell = 'padding: 8px; border-bottom: 1px solid #e5e7eb;';
+  const lines = (values) => values.map(escapeHtml).join('<br>');
+
+  return `<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(`${parts.title} ${invoice.number}`)}</title>
+  </head>
+  <body style="font-family: Arial, sans-serif; color: #1f2937; max-width: 800px; margin: 0 auto; padding: 24px;">
+    <header style="border-bottom: 4px solid ${escapeHtml(parts.color)}; padding-bottom: 16px; display: flex; justify-content: space-between;">
+      <div>
+        ${parts.logoUrl ? `<img src="${escapeHtml(parts.logoUrl)}" alt="" style="max-height: 48px;"><br>` : ''}
+        <strong>${lines(parts.sellerLines.slice(0, 1))}</strong><br>${lines(parts.sellerLines.slice(1))}
+      </div>
+      <div style="text-align: right;">
+        <h1 style="margin: 0; color: ${escapeHtml(parts.color)};">${escapeHtml(parts.title)}</h1>
+        ${parts.details.map(([label, value]) => `${escapeHtml(label)}: <strong>${escapeHtml(value)}</strong>`).join('<br>')}
+      </div>
+    </header>
+    <section style="display: flex; justify-content: space-between; margin: 24px 0;">
+      <div><strong>Billed to</strong><br>${lines(parts.buyerLines)}</div>
+      <div style="text-align: right;"><strong>Stay</strong><br>${lines(parts.stayLines)}</div>
+    </section>
+    <table style="width: 100%; border-collapse: collapse;">
+      <thead>
+        <tr style="background: ${escapeHtml(parts.color)}; color: #fff; text-align: left;">
+          <th style="padding: 8px;">Description</th>
+          <th style="padding: 8px; text-align: right;">Qty</th>
+          <th style="padding: 8px; text-align: right;">Unit price</th>
+          <th style="padding: 8px; text-align: right;">Tax</th>
+          <th style="padding: 8px; text-align: right;">Amount</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${parts.lines.map(line => `<tr>
+          <td style="${cell}">${escapeHtml(line.description)}</td>
+          <td style="${cell} text-align: right;">${escapeHtml(line.quantity)}</td>
+          <td style="${cell} text-align: right;">${escapeHtml(line.unitPrice)}</td>
+          <td style="${cell} text-align: right;">${escapeHtml(line.tax)}</td>
+          <td style="${cell} text-align: right;">${escapeHtml(line.amount)}</td>
+        </tr>`).join('\n        ')}
+      </tbody>
+    </table>
+    <table style="margin: 16px 0 0 auto;">
+      ${parts.totals.map(([label, value], index) => `<tr style="${index === parts.totals.length - 1 ? 'font-weight: bold; font-size: 18px;' : ''}">
+        <td style="padding: 4px 16px;">${escapeHtml(label)}</td><td style="padding: 4px 0; text-align: right;">${escapeHtml(value)}</td>
+      </tr>`).join('\n      ')}
+    </table>
+    <p style="font-size: 12px; color: #6b7280; margin-top: 32px;">${escapeHtml(parts.footer)}</p>
+  </body>
+</html>`;
+};
+
+/**
+ * Render an invoice or credit note as a PDF. The logo is left out: it is a
+ * remote image, and the PDF must render without network access.
+ * @param {Object} invoice - Invoice or credit note
+ * @returns {Promise<Buffer>} - PDF file
+ */
+const invoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const parts = documentParts(invoice);
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${parts.title} ${invoice.number}` } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = 50;
+  const width = doc.page.width - 100;
+  // Description, quantity, unit price, tax and amount columns
+  const columns = [
+    { x: left, width: 200, align: 'left' },
+    { x: left + 200, width: 40, align: 'right' },
+    { x: left + 240, width: 80, align: 'right' },
+    { x: left + 320, width: 100, align: 'right' },
+    { x: left + 420, width: width - 420, align: 'right' }
+  ];
+  const row = (values, y, font = 'Helvetica') => {
+    doc.font(font).fontSize(9);
+    const heights = values.map((value, index) => doc.heightOfString(value, { width: columns[index].width }));
+    values.forEach((value, index) => {
+      doc.text(value, columns[index].x, y, { width: columns[index].width, align: columns[index].align });
+    });
+    return y + Math.max(...heights) + 6;
+  };
+
+  doc.rect(0, 0, doc.page.width, 8).fill(parts.color);
+  doc.fillColor('#1f2937').font('Helvetica-Bold').fontSize(12).text(parts.sellerLines[0], left, 40);
+  doc.font('Helvetica').fontSize(9).text(parts.sellerLines.slice(1).join('\n'));
+  doc.fillColor(parts.color).font('Helvetica-Bold').fontSize(20).text(parts.title, left, 40, { width, align: 'right' });
+  doc.fillColor('#1f2937').font('Helvetica').fontSize(9)
+    .text(parts.details.map(([label, value]) => `${label}: ${value}`).join('\n'), left, 66, { width, align: 'right' });
+
+  let y = 150;
+  doc.font('Helvetica-Bold').text('Billed to', left, y).font('Helvetica').text(parts.buyerLines.join('\n'));
+  doc.font('Helvetica-Bold').text('Stay', left, y, { width, align: 'right' })
+    .font('Helvetica').text(parts.stayLines.join('\n'), { width, align: 'right' });
+
+  y = 230;
+  doc.rect(left, y - 4, width, 18).fill(parts.color);
+  doc.fillColor('#ffffff');
+  y = row(['Description', 'Qty', 'Unit price', 'Tax', 'Amount'], y, 'Helvetica-Bold');
+  doc.fillColor('#1f2937');
+  parts.lines.forEach((line) => {
+    if (y > doc.page.height - 150) {
+      doc.addPage();
+      y = 50;
+    }
+    y = row([line.description, line.quantity, line.unitPrice, line.tax, line.amount], y);
+    doc.moveTo(left, y - 3).lineTo(left + width, y - 3).strokeColor('#e5e7eb').stroke();
+  });
+
+  y += 10;
+  parts.totals.forEach(([label, value], index) => {
+    const last = index === parts.totals.length - 1;
+    doc.font(last ? 'Helvetica-Bold' : 'Helvetica').fontSize(last ? 12 : 10);
+    doc.text(label, left + 300, y, { width: 100 });
+    doc.text(value, left + 400, y, { width: width - 400, align: 'right' });
+    y += last ? 18 : 14;
+  });
+
+  doc.font('Helvetica').fontSize(8).fillColor('#6b7280').text(parts.footer, left, y + 30, { width });
+  doc.end();
+});
+
+module.exports = { invoiceHtml, invoicePdf };
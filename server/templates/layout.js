@@ -0,0 +1,24 @@
+/**
+ * Shared pieces of the HTML emails: escaping, dates and the page layout
+ * with a single call-to-action button
+ */
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatExpiry = (expiresAt) => new Date(expiresAt).toUTCString();
+
+const layout = (title, paragraphs, link, linkLabel) => `<!doctype html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #1f2937; max-width: 560px; margin: 0 auto; padding: 24px;">
+    <h1 style="font-size: 20px;">${escapeHtml(title)}</h1>
+    ${paragraphs.map(text => `<p>${escapeHtml(text)}</p>`).join('\n    ')}
+    <p><a href="${escapeHtml(link)}" style="display: inline-block; background: #059669; color: #fff; padding: 10px 18px; border-radius: 6px; text-decoration: none;">${escapeHtml(linkLabel)}</a></p>
+    <p style="font-size: 12px; color: #6b7280;">If the button does not work, open this link: ${escapeHtml(link)}</p>
+  </body>
+</html>`;
+
+module.exports = { escapeHtml, formatExpiry, layout };
@@ -0,0 +1,15 @@
+const { validationResult } = require('express-validator');
+const HttpError = require('./httpError');
+
+/**
+ * Fail with 400 when the request's express-validator checks found problems
+ * @param {Object} req - Request object
+ */
+const assertRequestValid = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new HttpError(400, 'Invalid input data', { errors: errors.array() });
+  }
+};
+
+module.exports = assertRequestValid;
@@ -0,0 +1,90 @@
+/**
+ * Spot email addresses and phone numbers in message text, including the
+ * usual disguises ("jane (at) example dot com", "+44 (0)20 7946-0000").
+ *
+ * Ordinary sentences are not contact details: in "We arrive at noon. Thanks!",
+ * "Check-in at 3. See you", "I am at home.ok" or "look at example.org please"
+ * the word "at" is not an @, and dates (2027-03-01, 01/03/2027), times (14:00),
+ * amounts (1,250.00) and bare counts ("12345678 points") are not phone numbers.
+ */
+
+const REDACTED = '[contact details removed]';
+
+// A dot in a domain: a literal one with nothing around it, or spelled out
+const SPELLED_DOT = String.raw`(?:\s*(?:\(dot\)|\[dot\])\s*|\s+dot\s+)`;
+const DOT = String.raw`(?:\.|${SPELLED_DOT})`;
+const LABEL = '[a-z0-9-]+';
+
+const EMAIL = new RegExp([
+  // jane@example.com, jane (at) example (dot) com
+  String.raw`[\w.%+-]+\s*(?:@|\(at\)|\[at\])\s*${LABEL}(?:${DOT}${LABEL})*${DOT}[a-z]{2,}\b`,
+  // jane at example dot com: a bare "at" only counts with a spelled-out dot
+  String.raw`[\w.%+-]+\s+at\s+${LABEL}(?:${DOT}${LABEL})*${SPELLED_DOT}[a-z]{2,}\b`,
+  // jane.doe at example.com: ...or with a local part no word looks like
+  String.raw`[\w%+-]*[\d._%+-][\w.%+-]*\s+at\s+${LABEL}(?:\.${LABEL})*\.[a-z]{2,}\b`
+].join('|'), 'gi');
+
+// Runs of digits with the separators people type in phone numbers
+const PHONE_CANDIDATE = /(?:\+|\b)\d[\d\s().\-/]{5,}\d\b/g;
+
+// Dates, times and amounts, which are not phone numbers however many digits they have
+const NOT_PHONE = new RegExp([
+  String.raw`\b\d{4}[./-]\d{1,2}[./-]\d{1,2}\b`,
+  String.raw`\b\d{1,2}[./-]\d{1,2}[./-](?:\d{4}|\d{2})\b`,
+  String.raw`\b\d{1,2}:\d{2}\b`,
+  String.raw`\b\d{1,3}(?:[.,]\d{3})+(?:[.,]\d{1,2})?\b(?![.,]?\d)`,
+  String.raw`\b\d+[.,]\d{2}\b(?![.,]?\d)`
+].join('|'), 'g');
+
+/**
+ * Whether a run of digits reads as a phone number
+ * @param {String} candidate - Matched text
+ * @returns {Boolean} - True for 7 to 15 digits that are written like a number
+ *                      someone dials: with separators or a leading 0 or +, or long
+ */
+const isPhoneNumber = (candidate) => {
+  const value = candidate.trim();
+  const digits = value.replace(/\D/g, '').length;
+  if (digits < 7 || digits > 15) return false;
+  return /\D/.test(value) || value.startsWith('0') || digits >= 9;
+};
+
+/**
+ * Where the phone numbers in a text are
+ * @param {String} text - Message text
+ * @returns {Array} - [start, end) offsets
+ */
+const phoneRanges = (text) => {
+  const masked = text.replace(NOT_PHONE, match => '#'.repeat(match.length));
+  return [...masked.matchAll(PHONE_CANDIDATE)]
+    .filter(match => isPhoneNumber(match[0]))
+    .map(match => [match.index, match.index + match[0].length]);
+};
+
+/**
+ * Kinds of contact details found in a text
+ * @param {String} text - Message text
+ * @returns {Array} - Some of 'email' and 'phone'; empty when there are none
+ */
+const findContactDetails = (text) => {
+  const value = String(text || '');
+  const found = [];
+  if ((value.match(EMAIL) || []).length) found.push('email');
+  if (phoneRanges(value).length) found.push('phone');
+  return found;
+};
+
+/**
+ * Replace every email address and phone number in a text
+ * @param {String} text - Message text
+ * @returns {String} - Text with contact details removed
+ */
+const redactContactDetails = (text) => {
+  const value = String(text || '').replace(EMAIL, REDACTED);
+  return phoneRanges(value).reduceRight(
+    (result, [start, end]) => `${result.slice(0, start)}${REDACTED}${result.slice(end)}`,
+    value
+  );
+};
+
+module.exports = { findContactDetails, redactContactDetails };
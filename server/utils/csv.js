@@ -0,0 +1,91 @@
+/**
+ * CSV reading for imports and writing for exports. Cells that a spreadsheet
+ * would treat as a formula are prefixed with an apostrophe on the way out,
+ * and that apostrophe is dropped again on the way in, so exports round-trip.
+ */
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Format one cell
+ * @param {*} value - Cell value; objects are written as JSON
+ * @returns {String} - Escaped cell
+ */
+const toCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format one line, including the trailing line break
+ * @param {Array} values - Cell values
+ * @returns {String} - CSV line
+ */
+const toCsvRow = (values) => `${values.map(toCell).join(',')}\r\n`;
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells may hold commas, quotes and line breaks)
+ * @param {String} text - CSV text, optionally starting with a byte order mark
+ * @returns {Array} - Rows as { line, cells }, skipping blank lines
+ */
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endCell = () => {
+    cells.push(cell.startsWith("'") && FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell);
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (cells.length > 1 || cells[0] !== '') {
+      rows.push({ line: rowLine, cells });
+    }
+    cells = [];
+    rowLine = line;
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line += 1;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      line += 1;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new Error(`Unterminated quoted cell starting on line ${rowLine}`);
+  }
+  if (cell !== '' || cells.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+module.exports = { toCsvRow, parseCsv };
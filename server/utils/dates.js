@@ -0,0 +1,57 @@
+/**
+ * Calendar-date helpers. Dates are `YYYY-MM-DD` strings handled in UTC,
+ * so nights never shift with the server's time zone.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toUTC = (date) => new Date(`${date}T00:00:00Z`);
+const toDateString = (value) => value.toISOString().slice(0, 10);
+
+/**
+ * Add (or subtract) whole days
+ * @param {String} date - YYYY-MM-DD
+ * @param {Number} days - Days to add
+ * @returns {String} - YYYY-MM-DD
+ */
+const addDays = (date, days) => toDateString(new Date(toUTC(date).getTime() + days * DAY_MS));
+
+/**
+ * Number of nights between two dates
+ * @param {String} from - YYYY-MM-DD
+ * @param {String} to - YYYY-MM-DD
+ * @returns {Number} - Days from `from` to `to`
+ */
+const daysBetween = (from, to) => Math.round((toUTC(to) - toUTC(from)) / DAY_MS);
+
+/**
+ * Every date in the half-open range [from, to)
+ * @param {String} from - YYYY-MM-DD
+ * @param {String} to - YYYY-MM-DD (exclusive)
+ * @returns {Array} - Dates
+ */
+const eachDay = (from, to) => {
+  const days = [];
+  for (let day = from; day < to; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+};
+
+/**
+ * Day of the week, 0 = Sunday ... 6 = Saturday
+ * @param {String} date - YYYY-MM-DD
+ * @returns {Number} - Weekday
+ */
+const weekday = (date) => toUTC(date).getUTCDay();
+
+const today = () => toDateString(new Date());
+
+module.exports = {
+  addDays,
+  daysBetween,
+  eachDay,
+  weekday,
+  today,
+  toDateString
+};
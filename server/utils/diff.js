@@ -0,0 +1,27 @@
+/**
+ * Field-level difference between two versions of a record, in the
+ * `{ field: { from, to } }` shape used by booking history and the audit log.
+ * Nested values are compared by their JSON form.
+ * @param {Object} before - Previous version, or null for a creation
+ * @param {Object} after - New version, or null for a deletion
+ * @param {Object} options - { ignore: fields left out of the diff }
+ * @returns {Object} - Changed fields
+ */
+const diffObjects = (before, after, { ignore = ['created_at', 'updated_at'] } = {}) => {
+  const from = before || {};
+  const to = after || {};
+  const diff = {};
+
+  new Set([...Object.keys(from), ...Object.keys(to)]).forEach((field) => {
+    if (ignore.includes(field)) return;
+    const previous = from[field] ?? null;
+    const next = to[field] ?? null;
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      diff[field] = { from: previous, to: next };
+    }
+  });
+
+  return diff;
+};
+
+module.exports = { diffObjects };
@@ -0,0 +1,60 @@
+const { once } = require('events');
+const HttpError = require('./httpError');
+const sendError = require('./sendError');
+const { toCsvRow } = require('./csv');
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+/**
+ * Stream rows to the client as a CSV or JSON download, waiting for the
+ * socket to drain so large exports never pile up in memory
+ * @param {Object} res - Response object
+ * @param {Function} rows - Returns the rows to write (an async iterable); called
+ *                          before any output so bad filters still get a JSON error
+ * @param {Object} options - { format: 'csv'|'json', name: file name prefix,
+ *                            columns: CSV header, toValues: row -> CSV cells, message }
+ */
+const streamExport = async (res, rows, { format = 'csv', name, columns, toValues, message }) => {
+  let iterator;
+  try {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new HttpError(400, `Invalid format. Use one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+    iterator = rows();
+  } catch (error) {
+    return sendError(res, error, message);
+  }
+
+  const write = async (chunk) => {
+    if (!res.write(chunk)) {
+      await once(res, 'drain');
+    }
+  };
+
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${name}-${new Date().toISOString().slice(0, 10)}.${format}"`);
+
+  try {
+    if (format === 'csv') {
+      await write(toCsvRow(columns));
+      for await (const row of iterator) {
+        await write(toCsvRow(toValues(row)));
+      }
+    } else {
+      let first = true;
+      await write('[');
+      for await (const row of iterator) {
+        await write(`${first ? '' : ','}\n${JSON.stringify(row)}`);
+        first = false;
+      }
+      await write('\n]\n');
+    }
+    res.end();
+  } catch (error) {
+    // Headers are gone; cut the download short so it is not mistaken for a complete file
+    console.error(`${message}:`, error);
+    res.destroy(error);
+  }
+};
+
+module.exports = { streamExport, EXPORT_FORMATS };
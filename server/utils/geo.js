@@ -0,0 +1,113 @@
+/**
+ * Geographic helpers for map search: great-circle distances, search boxes
+ * around a point, and grid clustering in Web Mercator pixel space, which is
+ * how map tiles (and so react-leaflet) lay out the world.
+ */
+
+const EARTH_RADIUS_KM = 6371.0088;
+const KM_PER_DEGREE = 111.32;
+const TILE_SIZE = 256;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points
+ * @param {Number} lat1 - Latitude of the first point
+ * @param {Number} lng1 - Longitude of the first point
+ * @param {Number} lat2 - Latitude of the second point
+ * @param {Number} lng2 - Longitude of the second point
+ * @returns {Number} - Distance in kilometres
+ */
+const distanceKm = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Box that contains every point within a radius of a centre. When the
+ * circle crosses the antimeridian, minLng is greater than maxLng.
+ * @param {Number} lat - Centre latitude
+ * @param {Number} lng - Centre longitude
+ * @param {Number} radiusKm - Radius in kilometres
+ * @returns {Object} - { minLat, maxLat, minLng, maxLng }
+ */
+const boundingBox = (lat, lng, radiusKm) => {
+  const dLat = radiusKm / KM_PER_DEGREE;
+  const minLat = Math.max(-90, lat - dLat);
+  const maxLat = Math.min(90, lat + dLat);
+
+  // Near a pole, or for huge radii, every longitude is in range
+  if (minLat === -90 || maxLat === 90) {
+    return { minLat, maxLat, minLng: -180, maxLng: 180 };
+  }
+  const dLng = radiusKm / (KM_PER_DEGREE * Math.cos(toRadians(lat)));
+  if (dLng >= 180) {
+    return { minLat, maxLat, minLng: -180, maxLng: 180 };
+  }
+
+  const wrap = (value) => ((((value + 180) % 360) + 360) % 360) - 180;
+  return { minLat, maxLat, minLng: wrap(lng - dLng), maxLng: wrap(lng + dLng) };
+};
+
+/**
+ * Project a point to world pixel coordinates at a zoom level
+ * @param {Number} lat - Latitude
+ * @param {Number} lng - Longitude
+ * @param {Number} zoom - Zoom level
+ * @returns {Object} - { x, y }
+ */
+const project = (lat, lng, zoom) => {
+  const size = TILE_SIZE * 2 ** zoom;
+  const sin = Math.sin(toRadians(Math.max(-85.05112878, Math.min(85.05112878, lat))));
+  return {
+    x: ((lng + 180) / 360) * size,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size
+  };
+};
+
+/**
+ * Group points that would overlap on screen: points sharing a grid cell of
+ * `cellSize` pixels at the zoom level form a cluster
+ * @param {Array} points - Objects with latitude and longitude
+ * @param {Number} zoom - Zoom level
+ * @param {Object} options - { cellSize: pixels, maxZoom: zoom from which points are never clustered }
+ * @returns {Array} - { cell, points } groups
+ */
+const gridCluster = (points, zoom, { cellSize = 64, maxZoom = 17 } = {}) => {
+  if (zoom >= maxZoom) {
+    return points.map(point => ({ cell: null, points: [point] }));
+  }
+
+  const cells = new Map();
+  points.forEach((point) => {
+    const { x, y } = project(point.latitude, point.longitude, zoom);
+    const cell = `${zoom}:${Math.floor(x / cellSize)}:${Math.floor(y / cellSize)}`;
+    if (!cells.has(cell)) cells.set(cell, []);
+    cells.get(cell).push(point);
+  });
+
+  return [...cells.entries()].map(([cell, members]) => ({ cell, points: members }));
+};
+
+/**
+ * Zoom level at which a cluster's points stop sharing one cell, i.e. where
+ * zooming in on the cluster shows it splitting up
+ * @param {Array} points - Cluster members
+ * @param {Number} zoom - Current zoom level
+ * @param {Object} options - Same as gridCluster
+ * @returns {Number} - Zoom level
+ */
+const expansionZoom = (points, zoom, options = {}) => {
+  const { maxZoom = 17 } = options;
+  for (let next = zoom + 1; next < maxZoom; next += 1) {
+    if (gridCluster(points, next, options).length > 1) {
+      return next;
+    }
+  }
+  return maxZoom;
+};
+
+module.exports = { distanceKm, boundingBox, gridCluster, expansionZoom };
@@ -0,0 +1,19 @@
+/**
+ * Error carrying an HTTP status, thrown by services for client-side
+ * problems (not found, illegal state) that controllers pass through as-is
+ */
+class HttpError extends Error {
+  /**
+   * @param {Number} status - HTTP status code
+   * @param {String} message - Message returned to the client
+   * @param {Object} details - Extra fields merged into the response body
+   */
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = HttpError;
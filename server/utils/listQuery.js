@@ -0,0 +1,239 @@
+const HttpError = require('./httpError');
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+/**
+ * Cursor-paginated list queries shared by the admin list endpoints.
+ *
+ * A list spec describes what a resource allows:
+ *  - fields:  sortable fields, { name: { expr, row, nullValue } } where `expr` is
+ *             the SQL expression and `row` the raw row property holding its value
+ *  - filters: { param: { expr, op, type } } with op one of
+ *             'in' (comma-separated values), 'eq', 'contains', 'gte', 'lte'
+ *  - search:  SQL expressions matched case-insensitively against `q`
+ *  - defaultSort: e.g. '-created_at'
+ *  - id: sort field used as the final tie-breaker
+ *  - where / whereValues: fixed conditions, and the values of their placeholders
+ *
+ * Cursors are opaque strings encoding the sort values of the row they point at,
+ * so pages stay stable while rows are inserted or deleted.
+ */
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeCursor = (value) => {
+  try {
+    return JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new HttpError(400, 'Invalid cursor');
+  }
+};
+
+/**
+ * Parse and validate list parameters from a query string
+ * @param {Object} query - req.query
+ * @param {Object} spec - List spec
+ * @returns {Object} - { filters, sort, q, limit, cursor }
+ */
+const parseListParams = (query, spec) => {
+  const sortParam = query.sort || spec.defaultSort;
+  const sort = sortParam.split(',').filter(Boolean).map((token) => {
+    const desc = token.startsWith('-');
+    const field = desc ? token.slice(1) : token;
+    if (!spec.fields[field]) {
+      throw new HttpError(400, `Cannot sort by "${field}". Sortable fields: ${Object.keys(spec.fields).join(', ')}`);
+    }
+    return { field, desc };
+  });
+  if (!sort.some(s => s.field === spec.id)) {
+    sort.push({ field: spec.id, desc: sort[sort.length - 1]?.desc || false });
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new HttpError(400, `limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  const sortKey = sort.map(s => `${s.desc ? '-' : ''}${s.field}`).join(',');
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (cursor.s !== sortKey || !Array.isArray(cursor.v) || cursor.v.length !== sort.length) {
+      throw new HttpError(400, 'Cursor does not match the requested sort');
+    }
+  }
+
+  return { ...parseFilters(query, spec), sort, sortKey, limit, cursor };
+};
+
+/**
+ * Parse and validate the filters and `q` search of a query string, for
+ * queries that select by a spec's filters without paging through it
+ * @param {Object} query - req.query
+ * @param {Object} spec - List spec
+ * @returns {Object} - { filters, q }
+ */
+const parseFilters = (query, spec) => {
+  const filters = {};
+  Object.entries(spec.filters).forEach(([param, filter]) => {
+    const value = query[param];
+    if (value === undefined || value === '') return;
+    if (filter.type === 'number' && Number.isNaN(Number(value))) {
+      throw new HttpError(400, `${param} must be a number`);
+    }
+    if (filter.type === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      throw new HttpError(400, `${param} must be a date (YYYY-MM-DD)`);
+    }
+    filters[param] = value;
+  });
+
+  return { filters, q: query.q ? String(query.q).trim() : '' };
+};
+
+/**
+ * Build the WHERE clause for filters and free-text search
+ * @param {Object} spec - List spec
+ * @param {Object} params - Parsed list parameters
+ * @returns {Object} - { clauses, values }
+ */
+const buildFilters = (spec, params) => {
+  const clauses = [...(spec.where || [])];
+  const values = [...(spec.whereValues || [])];
+
+  Object.entries(params.filters).forEach(([param, value]) => {
+    const { expr, op, type } = spec.filters[param];
+    const cast = (v) => (type === 'number' ? Number(v) : v);
+
+    switch (op) {
+      case 'in': {
+        const list = String(value).split(',').map(v => cast(v.trim())).filter(v => v !== '');
+        clauses.push(`${expr} IN (${list.map(() => '?').join(', ')})`);
+        values.push(...list);
+        break;
+      }
+      case 'contains':
+        clauses.push(`LOWER(${expr}) LIKE ? ESCAPE '\\'`);
+        values.push(`%${escapeLike(String(value).toLowerCase())}%`);
+        break;
+      case 'gte':
+        clauses.push(`${expr} >= ?`);
+        values.push(cast(value));
+        break;
+      case 'lte':
+        clauses.push(`${expr} <= ?`);
+        values.push(cast(value));
+        break;
+      default:
+        clauses.push(`${expr} = ?`);
+        values.push(cast(value));
+    }
+  });
+
+  if (params.q) {
+    const terms = params.q.toLowerCase().split(/\s+/).filter(Boolean);
+    terms.forEach((term) => {
+      clauses.push(`(${spec.search.map(expr => `LOWER(COALESCE(${expr}, '')) LIKE ? ESCAPE '\\'`).join(' OR ')})`);
+      spec.search.forEach(() => values.push(`%${escapeLike(term)}%`));
+    });
+  }
+
+  return { clauses, values };
+};
+
+/**
+ * Run a paginated list query
+ * @param {Object} db - Database executor
+ * @param {Object} spec - List spec, including `from` (SELECT ... FROM ... JOIN ...) and `countFrom`
+ * @param {Object} params - Parsed list parameters
+ * @param {Function} mapRow - Row to API shape
+ * @returns {Promise<Object>} - { data, pagination }
+ */
+const runListQuery = async (db, spec, params, mapRow) => {
+  const { clauses, values } = buildFilters(spec, params);
+  const total = Number((await db.get(
+    `SELECT COUNT(*) AS count ${spec.countFrom}${clauses.length ? ` WHERE ${clauses.join(' AND ')}` : ''}`,
+    values
+  )).count);
+
+  // Going backwards walks the sort in reverse, then flips the page back
+  const backwards = params.cursor?.d === 'prev';
+  const pageClauses = [...clauses];
+  const pageValues = [...values];
+
+  if (params.cursor) {
+    const keyset = params.sort.map((s, index) => {
+      const equal = params.sort.slice(0, index).map(prev => `${spec.fields[prev.field].expr} = ?`);
+      const after = s.desc !== backwards ? '<' : '>';
+      return `(${[...equal, `${spec.fields[s.field].expr} ${after} ?`].join(' AND ')})`;
+    });
+    params.sort.forEach((s, index) => {
+      pageValues.push(...params.cursor.v.slice(0, index), params.cursor.v[index]);
+    });
+    pageClauses.push(`(${keyset.join(' OR ')})`);
+  }
+
+  const orderBy = params.sort
+    .map(s => `${spec.fields[s.field].expr} ${s.desc !== backwards ? 'DESC' : 'ASC'}`)
+    .join(', ');
+
+  const rows = await db.query(
+    `${spec.from}${pageClauses.length ? ` WHERE ${pageClauses.join(' AND ')}` : ''}
+     ORDER BY ${orderBy} LIMIT ?`,
+    [...pageValues, params.limit + 1]
+  );
+
+  const hasMore = rows.length > params.limit;
+  const page = rows.slice(0, params.limit);
+  if (backwards) page.reverse();
+
+  const cursorFor = (row, direction) => encodeCursor({
+    s: params.sortKey,
+    d: direction,
+    v: params.sort.map(s => valueOf(spec.fields[s.field], row))
+  });
+
+  const hasNext = backwards ? true : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(params.cursor);
+
+  return {
+    data: page.map(mapRow),
+    pagination: {
+      total,
+      limit: params.limit,
+      hasNext: hasNext && page.length > 0,
+      hasPrev: hasPrev && page.length > 0,
+      nextCursor: hasNext && page.length ? cursorFor(page[page.length - 1], 'next') : null,
+      prevCursor: hasPrev && page.length ? cursorFor(page[0], 'prev') : null
+    }
+  };
+};
+
+/**
+ * Walk every row matching the filters, page by page in sort order, so
+ * exports never hold the whole result in memory
+ * @param {Object} db - Database executor
+ * @param {Object} spec - List spec
+ * @param {Object} params - Parsed list parameters; limit and cursor are ignored
+ * @param {Function} mapRow - Row to API shape
+ * @returns {AsyncGenerator<Object>} - Mapped rows
+ */
+async function* iterateList(db, spec, params, mapRow) {
+  let cursor = null;
+  do {
+    const page = await runListQuery(db, spec, { ...params, limit: MAX_LIMIT, cursor }, mapRow);
+    yield* page.data;
+    cursor = page.pagination.nextCursor && decodeCursor(page.pagination.nextCursor);
+  } while (cursor);
+}
+
+function valueOf(field, row) {
+  const value = row[field.row];
+  return value === null || value === undefined ? field.nullValue ?? null : value;
+}
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+module.exports = { parseListParams, parseFilters, buildFilters, runListQuery, iterateList };
@@ -0,0 +1,27 @@
+const HttpError = require('./httpError');
+
+/**
+ * Convert an amount in currency units to integer minor units (cents),
+ * failing with 400 for amounts that are not whole cents
+ * @param {Number} amount - Amount, e.g. 12.5
+ * @param {String} field - Field name used in the error
+ * @returns {Number} - Minor units, e.g. 1250
+ */
+const toMinor = (amount, field = 'amount') => {
+  const minor = Math.round(amount * 100);
+  if (!Number.isFinite(amount) || Math.abs(amount * 100 - minor) > 1e-6) {
+    throw new HttpError(400, 'Invalid input data', {
+      errors: [{ field, code: 'precision', message: `${field} must be a whole number of cents` }]
+    });
+  }
+  return minor;
+};
+
+/**
+ * Convert integer minor units back to currency units
+ * @param {Number} minor - Minor units
+ * @returns {Number} - Amount
+ */
+const toMajor = (minor) => Number(minor) / 100;
+
+module.exports = { toMinor, toMajor };
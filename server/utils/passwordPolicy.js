@@ -0,0 +1,60 @@
+const HttpError = require('./httpError');
+
+const MIN_LENGTH = 12;
+const MAX_LENGTH = 128;
+
+// Passwords that technically pass the rules but are among the first guessed
+const COMMON_PASSWORDS = [
+  'password', 'passw0rd', 'letmein', 'welcome', 'qwerty', 'admin', 'administrator',
+  'iloveyou', 'monkey', 'dragon', 'sunshine', 'uniquestays', '123456', 'abc123'
+];
+
+/**
+ * Check a password against the password policy of admin and guest accounts: 12-128 characters,
+ * at least three of lower case, upper case, digits and symbols, and no
+ * common words or parts of the account's email address
+ * @param {String} password - Candidate password
+ * @param {Object} context - { email } of the account
+ * @returns {Array} - Unmet requirements; empty when the password is acceptable
+ */
+const checkPassword = (password, { email } = {}) => {
+  const problems = [];
+  const value = String(password || '');
+  const lower = value.toLowerCase();
+
+  if (value.length < MIN_LENGTH) problems.push(`Must be at least ${MIN_LENGTH} characters long`);
+  if (value.length > MAX_LENGTH) problems.push(`Must be at most ${MAX_LENGTH} characters long`);
+
+  const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter(pattern => pattern.test(value)).length;
+  if (classes < 3) {
+    problems.push('Must mix at least three of: lower case, upper case, digits and symbols');
+  }
+
+  if (COMMON_PASSWORDS.some(word => lower.includes(word))) {
+    problems.push('Must not contain a common password');
+  }
+
+  const localPart = email ? email.split('@')[0].toLowerCase() : '';
+  if (localPart.length >= 3 && lower.includes(localPart)) {
+    problems.push('Must not contain your email address');
+  }
+
+  return problems;
+};
+
+/**
+ * Throw a 400 error listing the unmet requirements, if any
+ * @param {String} password - Candidate password
+ * @param {Object} context - { email } of the account
+ */
+const assertPasswordPolicy = (password, context) => {
+  const problems = checkPassword(password, context);
+  if (problems.length > 0) {
+    throw new HttpError(400, 'Password does not meet the password policy', { errors: problems });
+  }
+};
+
+module.exports = {
+  checkPassword,
+  assertPasswordPolicy
+};
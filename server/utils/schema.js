@@ -0,0 +1,165 @@
+const HttpError = require('./httpError');
+
+/**
+ * Minimal declarative validation for request bodies and imported rows.
+ *
+ * A schema lists its fields as { name: rule } where a rule has:
+ *  - type: 'string' | 'number' | 'integer' | 'boolean' | 'array'
+ *  - required: must be present when creating (and never cleared with null)
+ *  - nullable: null is an accepted value
+ *  - min / max: numeric bounds (inclusive)
+ *  - minLength / maxLength: string length, or array size for arrays
+ *  - enum: allowed values
+ *  - format: 'url' for http(s) URLs
+ *  - items: rule applied to each array element
+ * and `readOnly` names server-owned fields clients may not send.
+ * Fields outside the schema are rejected. Empty strings count as absent for
+ * optional fields; null clears a nullable one.
+ *
+ * Errors are { field, code, message } so clients can point at the input at fault.
+ */
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'true or false',
+  array: 'a list'
+};
+
+/**
+ * Check and normalise one value. Strings are trimmed and numeric strings
+ * accepted for numbers, so CSV input validates the same way as JSON.
+ * @param {String} field - Field path used in errors
+ * @param {*} raw - Input value
+ * @param {Object} rule - Field rule
+ * @param {Array} errors - Errors, appended to
+ * @returns {*} - Normalised value
+ */
+const checkValue = (field, raw, rule, errors) => {
+  const fail = (code, message) => {
+    errors.push({ field, code, message });
+    return undefined;
+  };
+
+  let value = raw;
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return fail('type', `${field} must be ${TYPE_NAMES.string}`);
+      value = value.trim();
+      if (rule.required && value === '') return fail('required', `${field} must not be empty`);
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof value === 'string' && value.trim() !== '') value = Number(value);
+      if (typeof value !== 'number' || !Number.isFinite(value)
+        || (rule.type === 'integer' && !Number.isInteger(value))) {
+        return fail('type', `${field} must be ${TYPE_NAMES[rule.type]}`);
+      }
+      break;
+    case 'boolean':
+      if (value === 'true' || value === 'false') value = value === 'true';
+      if (typeof value !== 'boolean') return fail('type', `${field} must be ${TYPE_NAMES.boolean}`);
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return fail('type', `${field} must be ${TYPE_NAMES.array}`);
+      value = value.map((item, index) => checkValue(`${field}[${index}]`, item, rule.items, errors));
+      break;
+  }
+
+  const size = rule.type === 'array' ? 'items' : 'characters';
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return fail('min_length', `${field} must have at least ${rule.minLength} ${size}`);
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return fail('max_length', `${field} must have at most ${rule.maxLength} ${size}`);
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    return fail('min', `${field} must be at least ${rule.min}`);
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return fail('max', `${field} must be at most ${rule.max}`);
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail('enum', `${field} must be one of: ${rule.enum.join(', ')}`);
+  }
+  if (rule.format === 'url' && !isHttpUrl(value)) {
+    return fail('format', `${field} must be an http(s) URL`);
+  }
+
+  return value;
+};
+
+/**
+ * Validate data against a schema
+ * @param {Object} schema - { fields, readOnly }
+ * @param {Object} data - Input
+ * @param {Object} options - { partial: only check the fields present, for updates }
+ * @returns {Object} - { value, errors } with value holding the normalised fields
+ */
+const validate = (schema, data, { partial = false } = {}) => {
+  const errors = [];
+  const value = {};
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value, errors: [{ field: null, code: 'type', message: 'Expected an object' }] };
+  }
+
+  Object.keys(data).forEach((field) => {
+    if (schema.readOnly.includes(field)) {
+      errors.push({ field, code: 'read_only', message: `${field} is set by the server and cannot be changed` });
+    } else if (!schema.fields[field]) {
+      errors.push({ field, code: 'unknown_field', message: `${field} is not a known field` });
+    }
+  });
+
+  Object.entries(schema.fields).forEach(([field, rule]) => {
+    const raw = data[field];
+    if (raw === undefined || (raw === '' && !rule.required)) {
+      if (rule.required && !partial) {
+        errors.push({ field, code: 'required', message: `${field} is required` });
+      }
+      return;
+    }
+    if (raw === null) {
+      if (rule.nullable) {
+        value[field] = null;
+      } else {
+        errors.push({ field, code: rule.required ? 'required' : 'type', message: `${field} must not be null` });
+      }
+      return;
+    }
+
+    const checked = checkValue(field, raw, rule, errors);
+    if (checked !== undefined) {
+      value[field] = checked;
+    }
+  });
+
+  return { value, errors };
+};
+
+/**
+ * Validate data, failing with 400 and the per-field errors
+ * @param {Object} schema - { fields, readOnly }
+ * @param {Object} data - Input
+ * @param {Object} options - { partial }
+ * @returns {Object} - Normalised value
+ */
+const assertValid = (schema, data, options) => {
+  const { value, errors } = validate(schema, data, options);
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Invalid input data', { errors });
+  }
+  return value;
+};
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = { validate, assertValid };
@@ -0,0 +1,19 @@
+/**
+ * Determine the season for a month (Northern Hemisphere)
+ * @param {Number} month - Month index, 0 = January
+ * @returns {String} - Spring, Summer, Fall or Winter
+ */
+const getSeasonForMonth = (month) => {
+  if (month >= 2 && month <= 4) {
+    return 'Spring';
+  } else if (month >= 5 && month <= 7) {
+    return 'Summer';
+  } else if (month >= 8 && month <= 10) {
+    return 'Fall';
+  }
+  return 'Winter';
+};
+
+const SEASONS = ['Spring', 'Summer', 'Fall', 'Winter'];
+
+module.exports = { getSeasonForMonth, SEASONS };
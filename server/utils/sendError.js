@@ -0,0 +1,17 @@
+const HttpError = require('./httpError');
+
+/**
+ * Send a service error to the client, or log it and send a generic 500
+ * @param {Object} res - Response object
+ * @param {Error} error - Error thrown while handling the request
+ * @param {String} message - Message for unexpected failures
+ */
+const sendError = (res, error, message) => {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({ message: error.message, ...error.details });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ message });
+};
+
+module.exports = sendError;
@@ -0,0 +1,115 @@
+const { STOP_WORDS, SYNONYM_GROUPS } = require('../constants/search');
+
+/**
+ * Text helpers for stay search. Indexed text and queries go through the
+ * same steps, so "Tree-Houses in Costa Rica" and "treehouse costa rica"
+ * both become [treehouse, costa, rica]:
+ *  - lower-case, accents dropped, split on anything but letters and digits
+ *  - stop words and single characters removed
+ *  - a light plural stemmer (trailing "s")
+ *  - synonyms and multi-word phrases folded into one canonical term
+ */
+
+const STOP_WORD_SET = new Set(STOP_WORDS);
+
+/**
+ * Strip a plural "s" from longer words, leaving "ss" endings ("glass") alone
+ * @param {String} word - Lower-case word
+ * @returns {String} - Stem
+ */
+const stem = (word) => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word);
+
+/**
+ * Split text into normalised words, before synonyms are applied
+ * @param {String} text - Any text
+ * @returns {Array} - Words
+ */
+const words = (text) => (String(text ?? '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .match(/[a-z0-9]+/g) || [])
+  .filter(word => word.length > 1 && !STOP_WORD_SET.has(word))
+  .map(stem);
+
+// Synonyms keyed by their words joined with a space, mapped to the group's first term
+const SYNONYMS = new Map();
+SYNONYM_GROUPS.forEach(([canonical, ...others]) => {
+  others.forEach(synonym => SYNONYMS.set(words(synonym).join(' '), canonical));
+});
+const LONGEST_SYNONYM = Math.max(...[...SYNONYMS.keys()].map(key => key.split(' ').length));
+
+/**
+ * Turn text into search terms
+ * @param {String} text - Any text
+ * @returns {Array} - Terms, in order, duplicates kept
+ */
+const tokenize = (text) => {
+  const list = words(text);
+  const terms = [];
+
+  for (let i = 0; i < list.length;) {
+    let length = Math.min(LONGEST_SYNONYM, list.length - i);
+    while (length > 1 && !SYNONYMS.has(list.slice(i, i + length).join(' '))) {
+      length -= 1;
+    }
+    const phrase = list.slice(i, i + length).join(' ');
+    terms.push(SYNONYMS.get(phrase) || phrase);
+    i += length;
+  }
+  return terms;
+};
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of
+ * neighbouring letters ("castel" is one edit from "castle"). Gives up once
+ * the distance is certain to exceed `max`.
+ * @param {String} a - First word
+ * @param {String} b - Second word
+ * @param {Number} max - Largest distance of interest
+ * @returns {Number} - Distance, or max + 1 when greater than max
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+  return Math.min(previous[b.length], max + 1);
+};
+
+/**
+ * Typos tolerated in a query term: none for short words, where a single
+ * edit turns one real word into another, more for long ones
+ * @param {String} term - Query term
+ * @returns {Number} - Allowed edits
+ */
+const allowedEdits = (term) => {
+  if (term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+};
+
+/**
+ * One-word synonyms, for matching misspelt synonyms ("fortres") that the
+ * index only knows by their canonical term
+ * @returns {Array} - [{ synonym, canonical }]
+ */
+const singleWordSynonyms = () => [...SYNONYMS.entries()]
+  .filter(([synonym]) => !synonym.includes(' '))
+  .map(([synonym, canonical]) => ({ synonym, canonical }));
+
+module.exports = { tokenize, editDistance, allowedEdits, singleWordSynonyms };